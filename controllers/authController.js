@@ -1,15 +1,57 @@
 /**
  * Authentication Controller
- * Handles user registration, login, and Google OAuth
+ * Handles user registration, login (password, passkey, Google OAuth) and the
+ * user's sessions
  */
 
+const Session = require('../models/Session');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 const {
+  getRequestToken,
   generateAccessToken,
-  generateRefreshToken,
+  verifyAccessToken,
+  generateMfaToken,
+  verifyMfaToken,
   verifyRefreshToken,
 } = require('../middleware/auth');
+const {
+  isMfaEnabled,
+  verifyMfaCode,
+  countChallengeAttempt,
+  completeChallenge,
+  countRecoveryCodes,
+} = require('../utils/mfa');
+const { generateAuthenticationOptions, verifyAuthentication } = require('../utils/webauthn');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} = require('../utils/refreshTokens');
+const {
+  createSession,
+  extendSession,
+  findActiveSession,
+  revokeSession,
+  revokeOtherSessions,
+} = require('../utils/sessions');
+
+/**
+ * Start a session for a login and issue its tokens
+ * @param {Object} user - User who logged in
+ * @param {string} method - "password", "webauthn" or "google"
+ * @param {Object} req - Login request
+ * @param {Object} [options]
+ * @param {boolean} [options.refreshToken=true] - Issue a refresh token too
+ * @returns {Promise<Object>} - { accessToken, refreshToken }
+ */
+const startSession = async (user, method, req, { refreshToken: withRefreshToken = true } = {}) => {
+  const session = await createSession(user._id, method, req);
+  const accessToken = generateAccessToken(user._id, session._id);
+  const refreshToken = withRefreshToken ? await issueRefreshToken(user._id, session._id.toString()) : null;
+  await extendSession(session._id, refreshToken || accessToken);
+  return { accessToken, refreshToken };
+};
 
 /**
  * Register a new user
@@ -38,8 +80,7 @@ const register = async (req, res) => {
     logger.info(`New user registered: ${email}`);
 
     // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { accessToken, refreshToken } = await startSession(user, 'password', req);
 
     // Set HTTP-only cookie for access token (more secure than localStorage)
     res.cookie('token', accessToken, {
@@ -68,9 +109,41 @@ const register = async (req, res) => {
   }
 };
 
+/**
+ * Start the session of a password or passkey login and send its tokens
+ */
+const completeLogin = async (req, res, user, method) => {
+  logger.loginSuccess(user.email, method);
+
+  // Generate tokens
+  const { accessToken, refreshToken } = await startSession(user, method, req);
+
+  // Set HTTP-only cookie
+  res.cookie('token', accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 60 * 60 * 1000, // 1 hour
+  });
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      email: user.email,
+      username: user.username,
+    },
+    accessToken,
+    refreshToken,
+  });
+};
+
 /**
  * Login with email and password
  * POST /api/auth/login
+ *
+ * With two-factor authentication enabled no tokens are issued yet: the
+ * response carries an MFA challenge token for POST /api/auth/login/mfa.
  */
 const login = async (req, res) => {
   try {
@@ -102,35 +175,141 @@ const login = async (req, res) => {
       });
     }
 
-    logger.loginSuccess(email, 'password');
+    if (isMfaEnabled(user)) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user._id),
+      });
+    }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    await completeLogin(req, res, user, 'password');
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: error.message,
+    });
+  }
+};
 
-    // Set HTTP-only cookie
-    res.cookie('token', accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 60 * 60 * 1000, // 1 hour
+/**
+ * Second login step: check the code from the authenticator app (or a
+ * recovery code) and issue the tokens
+ * POST /api/auth/login/mfa
+ */
+const loginMfa = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyMfaToken(mfaToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Login has expired. Please enter your password again.',
+      });
+    }
+
+    // A few codes per password check, so codes can't be guessed
+    if (!await countChallengeAttempt(decoded)) {
+      logger.suspiciousActivity('Two-factor code sent with a used-up login challenge', {
+        userId: decoded.userId,
+        ip: req.ip,
+      });
+      return res.status(401).json({
+        error: 'Too many attempts. Please enter your password again.',
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !isMfaEnabled(user)) {
+      return res.status(401).json({
+        error: 'Login has expired. Please enter your password again.',
+      });
+    }
+
+    const method = await verifyMfaCode(user, code);
+    if (!method) {
+      logger.loginFailure(user.email, 'Invalid two-factor code', req.ip);
+      return res.status(401).json({
+        error: 'Invalid code',
+      });
+    }
+
+    await completeChallenge(decoded);
+
+    if (method === 'recovery') {
+      logger.securityEvent('MFA recovery code used', {
+        userId: user._id,
+        remaining: countRecoveryCodes(await User.findById(user._id)),
+        ip: req.ip,
+      });
+    }
+
+    await completeLogin(req, res, user, 'password');
+  } catch (error) {
+    logger.error('MFA login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
     });
+  }
+};
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        email: user.email,
-        username: user.username,
-      },
-      accessToken,
-      refreshToken,
+/**
+ * Start a passkey sign-in: options for navigator.credentials.get()
+ * POST /api/auth/webauthn/login/options
+ *
+ * With an email the browser offers only that account's passkeys. Unknown
+ * emails get the same answer as an account without passkeys (the browser
+ * then offers every passkey saved for the site), so accounts can't be probed.
+ */
+const passkeyLoginOptions = async (req, res) => {
+  try {
+    const user = req.body.email ? await User.findOne({ email: req.body.email }) : null;
+
+    res.json(await generateAuthenticationOptions(user));
+  } catch (error) {
+    logger.error('Passkey login options error:', error);
+    res.status(500).json({
+      error: 'Failed to start passkey sign-in',
     });
+  }
+};
+
+/**
+ * Finish a passkey sign-in and issue the tokens
+ * POST /api/auth/webauthn/login
+ *
+ * A passkey is verified with the device's PIN or biometrics, so it counts as
+ * two factors: no authenticator app code is asked for.
+ */
+const loginPasskey = async (req, res) => {
+  try {
+    const result = await verifyAuthentication(req.body);
+
+    if (result.cloned) {
+      logger.suspiciousActivity('Passkey signature counter did not increase (cloned authenticator?)', {
+        userId: result.user._id,
+        credentialId: result.credential.credentialId,
+        storedCount: result.credential.signCount,
+        receivedCount: result.signCount,
+        ip: req.ip,
+      });
+    }
+
+    if (result.error) {
+      logger.loginFailure(result.user ? result.user.email : 'passkey', result.error, req.ip);
+      return res.status(401).json({
+        error: 'Passkey sign-in failed',
+      });
+    }
+
+    await completeLogin(req, res, result.user, 'webauthn');
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Passkey login error:', error);
     res.status(500).json({
       error: 'Login failed',
-      message: error.message,
     });
   }
 };
@@ -138,6 +317,9 @@ const login = async (req, res) => {
 /**
  * Refresh access token using refresh token
  * POST /api/auth/refresh
+ *
+ * The refresh token is rotated: it can't be used again, and the response
+ * carries the next one. Using a rotated token again revokes its family.
  */
 const refresh = async (req, res) => {
   try {
@@ -149,10 +331,9 @@ const refresh = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    let decoded;
+    // Verify refresh token signature and expiry, then that it is still usable
     try {
-      decoded = verifyRefreshToken(refreshToken);
+      verifyRefreshToken(refreshToken);
     } catch (error) {
       logger.securityEvent('Invalid refresh token attempt', { ip: req.ip });
       return res.status(401).json({
@@ -160,16 +341,39 @@ const refresh = async (req, res) => {
       });
     }
 
+    const rotation = await rotateRefreshToken(refreshToken);
+    // The family is the session: both end when a rotated token is reused
+    const session = rotation.familyId
+      ? await findActiveSession(rotation.familyId, rotation.userId)
+      : null;
+    if (rotation.status === 'reused') {
+      if (session) {
+        await revokeSession(session);
+      }
+      logger.securityEvent('Refresh token reused - token family revoked', {
+        userId: rotation.userId,
+        familyId: rotation.familyId,
+        ip: req.ip,
+      });
+    }
+    if (rotation.status !== 'valid' || !session) {
+      return res.status(401).json({
+        error: 'Invalid or expired refresh token',
+      });
+    }
+
     // Check if user still exists
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(rotation.userId);
     if (!user) {
       return res.status(401).json({
         error: 'User not found',
       });
     }
 
-    // Generate new access token
-    const accessToken = generateAccessToken(user._id);
+    // Generate new access token and the next refresh token of the family
+    const accessToken = generateAccessToken(user._id, session._id);
+    const nextRefreshToken = await issueRefreshToken(user._id, rotation.familyId);
+    await extendSession(session._id, nextRefreshToken);
 
     // Set new cookie
     res.cookie('token', accessToken, {
@@ -182,6 +386,7 @@ const refresh = async (req, res) => {
     res.json({
       message: 'Token refreshed successfully',
       accessToken,
+      refreshToken: nextRefreshToken,
     });
   } catch (error) {
     logger.error('Token refresh error:', error);
@@ -194,21 +399,59 @@ const refresh = async (req, res) => {
 /**
  * Logout user
  * POST /api/auth/logout
+ *
+ * Revokes the session of the access token (cookie or header) and of the
+ * refresh token in the body, if any, with all of its refresh tokens.
  */
-const logout = (req, res) => {
-  // Clear the cookie
-  res.clearCookie('token');
-  
-  res.json({
-    message: 'Logout successful',
-  });
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const ended = [];
+
+    if (refreshToken) {
+      const family = await revokeRefreshToken(refreshToken);
+      if (family) {
+        ended.push([family.familyId, family.userId]);
+      }
+    }
+
+    const accessToken = getRequestToken(req);
+    if (accessToken) {
+      try {
+        const decoded = verifyAccessToken(accessToken);
+        ended.push([decoded.sid, decoded.userId]);
+      } catch (error) {
+        // Expired or invalid: there is nothing left to revoke
+      }
+    }
+
+    for (const [sessionId, userId] of ended) {
+      const session = await findActiveSession(sessionId, userId);
+      if (session) {
+        await revokeSession(session);
+        logger.info(`Session ${session._id} of user ${userId} ended by logout`);
+      }
+    }
+
+    // Clear the cookie
+    res.clearCookie('token');
+
+    res.json({
+      message: 'Logout successful',
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+    });
+  }
 };
 
 /**
  * Google OAuth callback handler
  * This is called after successful Google authentication
  */
-const googleCallback = (req, res) => {
+const googleCallback = async (req, res) => {
   try {
     // User is attached by passport
     const user = req.user;
@@ -220,9 +463,8 @@ const googleCallback = (req, res) => {
 
     logger.loginSuccess(user.email, 'google');
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Generate access token (the redirect can't hand over a refresh token)
+    const { accessToken } = await startSession(user, 'google', req, { refreshToken: false });
 
     // Set HTTP-only cookie
     res.cookie('token', accessToken, {
@@ -241,10 +483,117 @@ const googleCallback = (req, res) => {
   }
 };
 
+/**
+ * A session as returned by the API
+ */
+const presentSession = (session, currentSessionId) => ({
+  id: session._id,
+  method: session.method,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId.toString(),
+});
+
+/**
+ * List the user's active sessions, most recently used first
+ * GET /api/auth/sessions
+ */
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      sessions: sessions.map((session) => presentSession(session, req.sessionId)),
+    });
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+    });
+  }
+};
+
+/**
+ * End one of the user's sessions (e.g. on a lost device)
+ * DELETE /api/auth/sessions/:id
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const session = await findActiveSession(req.params.id, req.userId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+      });
+    }
+
+    await revokeSession(session);
+
+    const current = session._id.toString() === req.sessionId.toString();
+    if (current) {
+      res.clearCookie('token');
+    }
+
+    logger.securityEvent('Session revoked', {
+      userId: req.userId,
+      sessionId: session._id,
+      ip: req.ip,
+    });
+
+    res.json({
+      message: 'Session ended',
+      current,
+    });
+  } catch (error) {
+    logger.error('Delete session error:', error);
+    res.status(500).json({
+      error: 'Failed to end session',
+    });
+  }
+};
+
+/**
+ * End all of the user's sessions except the current one
+ * DELETE /api/auth/sessions
+ */
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeOtherSessions(req.userId, req.sessionId);
+
+    logger.securityEvent('All other sessions revoked', {
+      userId: req.userId,
+      revoked,
+      ip: req.ip,
+    });
+
+    res.json({
+      message: 'Logged out everywhere else',
+      revoked,
+    });
+  } catch (error) {
+    logger.error('Delete other sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to end sessions',
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  loginMfa,
+  passkeyLoginOptions,
+  loginPasskey,
   refresh,
   logout,
   googleCallback,
+  listSessions,
+  deleteSession,
+  deleteOtherSessions,
 };
@@ -0,0 +1,69 @@
+/**
+ * Event Controller
+ * Server-Sent Events stream of changes to the user's todos, so other tabs
+ * and devices can update their list live (utils/realtime.js)
+ *
+ * The stream is authenticated like every other route (JWT from the
+ * Authorization header or the HTTP-only cookie, which EventSource sends) and
+ * is closed when that token expires or its session is revoked, so the client
+ * reconnects with a fresh one or is logged out.
+ */
+
+const { MAX_CONNECTIONS_PER_USER, addConnection } = require('../utils/realtime');
+const logger = require('../utils/logger');
+
+// How long clients wait before reconnecting after the stream closes
+const RETRY_MS = 5000;
+
+// Longest delay setTimeout accepts; longer-lived tokens reconnect in between
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Open the event stream
+ * GET /api/events
+ *
+ * Events: todo.created and todo.updated ({ todo }), todo.deleted ({ id }) and
+ * todos.imported ({ imported, mode }). Events are not replayed: after a
+ * reconnect the client should load its todos again.
+ */
+const streamEvents = (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const removeConnection = addConnection(userId, res, req.sessionId);
+    if (!removeConnection) {
+      return res.status(429).json({
+        error: `At most ${MAX_CONNECTIONS_PER_USER} event streams can be open at a time`,
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Don't let reverse proxies buffer the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const expiresIn = req.tokenExpiresAt ? req.tokenExpiresAt - Date.now() : null;
+    const expiry = expiresIn !== null ? setTimeout(() => res.end(), Math.min(Math.max(expiresIn, 0), MAX_TIMER_MS)) : null;
+
+    req.on('close', () => {
+      clearTimeout(expiry);
+      removeConnection();
+    });
+
+    logger.info(`Event stream opened by user ${userId}`);
+  } catch (error) {
+    logger.error('Event stream error:', error);
+    res.status(500).json({
+      error: 'Failed to open event stream',
+    });
+  }
+};
+
+module.exports = {
+  streamEvents,
+};
@@ -0,0 +1,525 @@
+/**
+ * List Controller
+ * Handles CRUD operations for todo lists (projects)
+ *
+ * Security flow:
+ * 1. Create: Encrypt the name with the user's data key (bound to userId and
+ *    list ID) → Tag name ciphertext, color and position → Store
+ * 2. Read: Verify the tag → Decrypt the name → Return it only if both pass
+ * 3. Update: Verify the stored list first (never re-tag tampered fields) →
+ *    Re-encrypt the name if it changed → Re-tag
+ * 4. Delete: Move the list's todos to the inbox → Revoke its shares → Remove the list
+ * 5. Share: Look up the recipient by email → Tag the grant (list, owner,
+ *    recipient, permission) → Store; every grant and revoke is a security event
+ *
+ * Every query is scoped to the authenticated user, like the todo routes. Lists
+ * shared with the user are read through verified grants (utils/listAccess.js)
+ * and their names decrypted with the owner's data key.
+ */
+
+const List = require('../models/List');
+const ListShare = require('../models/ListShare');
+const Todo = require('../models/Todo');
+const User = require('../models/User');
+const { getUserDataKey } = require('../utils/dataKeys');
+const { encryptListName, sealList, openList } = require('../utils/listCipher');
+const { sealShare, verifyShare } = require('../utils/listAccess');
+const { verifyTodoFields, sealTodoFields } = require('../utils/todoFields');
+const logger = require('../utils/logger');
+
+// Upper bound on lists per user
+const MAX_LISTS = 100;
+
+// Upper bound on users a list is shared with
+const MAX_SHARES = 50;
+
+/**
+ * List as returned by the API
+ */
+const presentList = (list, opened, activeCount = 0) => ({
+  id: list._id,
+  name: opened.valid ? opened.name : '[INTEGRITY VIOLATION - List may have been tampered with]',
+  color: list.color,
+  position: list.position,
+  tampered: !opened.valid,
+  activeCount,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt,
+});
+
+/**
+ * Grant as returned by the API
+ */
+const presentShare = (share, recipient, ownerId) => ({
+  id: share._id,
+  user: recipient ? { id: recipient._id, username: recipient.username, email: recipient.email } : null,
+  permission: share.permission,
+  tampered: !verifyShare(share) || !share.ownerId.equals(ownerId),
+  createdAt: share.createdAt,
+  updatedAt: share.updatedAt,
+});
+
+/**
+ * Lists shared with a user, names decrypted with each owner's data key
+ * Grants that fail their check are left out (and logged).
+ */
+const getSharedLists = async (user) => {
+  const shares = (await ListShare.find({ userId: user._id }).sort({ createdAt: 1 })).filter((share) => {
+    if (verifyShare(share)) {
+      return true;
+    }
+    logger.securityEvent('List share integrity check failed', {
+      shareId: share._id,
+      listId: share.listId,
+      userId: user._id,
+    });
+    return false;
+  });
+
+  if (shares.length === 0) {
+    return [];
+  }
+
+  const listIds = shares.map((share) => share.listId);
+  const ownerIds = shares.map((share) => share.ownerId);
+  const [lists, owners, counts] = await Promise.all([
+    List.find({ _id: { $in: listIds } }),
+    User.find({ _id: { $in: ownerIds } }),
+    Todo.aggregate([
+      { $match: { userId: { $in: ownerIds }, listId: { $in: listIds }, deletedAt: null, completed: false } },
+      { $group: { _id: '$listId', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const activeCounts = new Map(counts.map((entry) => [String(entry._id), entry.count]));
+  const dataKeys = new Map();
+  const shared = [];
+
+  for (const share of shares) {
+    // The grant must come from the list's current owner
+    const list = lists.find((entry) => entry._id.equals(share.listId) && entry.userId.equals(share.ownerId));
+    const owner = owners.find((entry) => entry._id.equals(share.ownerId));
+    if (!list || !owner) {
+      continue;
+    }
+
+    if (!dataKeys.has(String(owner._id))) {
+      dataKeys.set(String(owner._id), await getUserDataKey(owner));
+    }
+    const opened = openList(list, dataKeys.get(String(owner._id)));
+
+    if (!opened.valid) {
+      logger.securityEvent('List integrity check failed', {
+        listId: list._id,
+        userId: user._id,
+        error: opened.error,
+      });
+    }
+
+    shared.push({
+      ...presentList(list, opened, activeCounts.get(String(list._id)) || 0),
+      shareId: share._id,
+      permission: share.permission,
+      owner: { username: owner.username },
+    });
+  }
+
+  return shared;
+};
+
+/**
+ * Get all lists for authenticated user
+ * GET /api/lists
+ *
+ * Also returns the number of open todos per list and in the inbox, and the
+ * lists other users shared with the user.
+ */
+const getLists = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const dataKey = await getUserDataKey(req.user);
+
+    const [lists, counts, shared] = await Promise.all([
+      List.find({ userId }).sort({ position: 1, createdAt: 1 }),
+      Todo.aggregate([
+        { $match: { userId, deletedAt: null, completed: false } },
+        { $group: { _id: '$listId', count: { $sum: 1 } } },
+      ]),
+      getSharedLists(req.user),
+    ]);
+
+    const activeCounts = new Map(counts.map((entry) => [String(entry._id), entry.count]));
+
+    res.json({
+      lists: lists.map((list) => {
+        const opened = openList(list, dataKey);
+
+        if (!opened.valid) {
+          logger.securityEvent('List integrity check failed', {
+            listId: list._id,
+            userId,
+            error: opened.error,
+          });
+        }
+
+        return presentList(list, opened, activeCounts.get(String(list._id)) || 0);
+      }),
+      inbox: {
+        activeCount: activeCounts.get('null') || 0,
+      },
+      shared,
+    });
+  } catch (error) {
+    logger.error('Get lists error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve lists',
+    });
+  }
+};
+
+/**
+ * Create a new list
+ * POST /api/lists
+ */
+const createList = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { name, color, position } = req.body;
+
+    if (await List.countDocuments({ userId }) >= MAX_LISTS) {
+      return res.status(400).json({
+        error: `A user can have at most ${MAX_LISTS} lists`,
+      });
+    }
+
+    // New lists go to the end unless a position is given
+    let nextPosition = position;
+    if (nextPosition === undefined) {
+      const last = await List.findOne({ userId }).sort({ position: -1 }).select('position');
+      nextPosition = last ? last.position + 1 : 0;
+    }
+
+    // The ID is assigned up front, it is part of the associated data
+    const list = new List({ userId, color, position: nextPosition });
+    list.set(encryptListName(list, name, await getUserDataKey(req.user)));
+    list.set(sealList(list));
+
+    await list.save();
+
+    logger.info(`List created by user ${userId}`);
+
+    res.status(201).json({
+      message: 'List created successfully',
+      list: presentList(list, { valid: true, name }),
+    });
+  } catch (error) {
+    logger.error('Create list error:', error);
+    res.status(500).json({
+      error: 'Failed to create list',
+    });
+  }
+};
+
+/**
+ * Rename, recolor or move a list
+ * PUT /api/lists/:id
+ */
+const updateList = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const listId = req.params.id;
+    const { name, color, position } = req.body;
+
+    // Find the list and verify ownership
+    const list = await List.findOne({ _id: listId, userId });
+
+    if (!list) {
+      return res.status(404).json({
+        error: 'List not found',
+      });
+    }
+
+    const dataKey = await getUserDataKey(req.user);
+    const opened = openList(list, dataKey);
+
+    // Never re-tag fields that were modified directly in the database
+    if (!opened.valid) {
+      logger.securityEvent('Refusing to update tampered list', {
+        listId,
+        userId,
+        error: opened.error,
+      });
+      return res.status(409).json({
+        error: 'List failed its integrity check and cannot be updated',
+      });
+    }
+
+    if (name !== undefined) {
+      list.set(encryptListName(list, name, dataKey));
+    }
+    if (color !== undefined) {
+      list.color = color;
+    }
+    if (position !== undefined) {
+      list.position = position;
+    }
+    list.set(sealList(list));
+
+    await list.save();
+
+    logger.info(`List ${listId} updated by user ${userId}`);
+
+    res.json({
+      message: 'List updated successfully',
+      list: presentList(list, { valid: true, name: name !== undefined ? name : opened.name }),
+    });
+  } catch (error) {
+    logger.error('Update list error:', error);
+    res.status(500).json({
+      error: 'Failed to update list',
+    });
+  }
+};
+
+/**
+ * Delete a list
+ * DELETE /api/lists/:id
+ *
+ * Its todos (including those in the trash) are moved to the inbox and all
+ * of its shares are revoked. Todos that fail their metadata check are not
+ * re-tagged and keep pointing at the deleted list; they are reported as
+ * tampered either way.
+ */
+const deleteList = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const listId = req.params.id;
+
+    // Find the list and verify ownership
+    const list = await List.findOne({ _id: listId, userId });
+
+    if (!list) {
+      return res.status(404).json({
+        error: 'List not found',
+      });
+    }
+
+    const todos = await Todo.find({ userId, listId: list._id });
+    let movedTodos = 0;
+
+    for (const todo of todos) {
+      if (!verifyTodoFields(todo)) {
+        continue;
+      }
+      todo.listId = null;
+      todo.set(sealTodoFields(todo));
+      await todo.save();
+      movedTodos++;
+    }
+
+    await List.deleteOne({ _id: list._id, userId });
+
+    const { deletedCount: revokedShares } = await ListShare.deleteMany({ listId: list._id });
+    if (revokedShares > 0) {
+      logger.securityEvent('List shares revoked with deleted list', {
+        listId,
+        ownerId: userId,
+        shares: revokedShares,
+      });
+    }
+
+    logger.info(`List ${listId} deleted by user ${userId}, ${movedTodos} todos moved to inbox`);
+
+    res.json({
+      message: 'List deleted successfully',
+      movedTodos,
+    });
+  } catch (error) {
+    logger.error('Delete list error:', error);
+    res.status(500).json({
+      error: 'Failed to delete list',
+    });
+  }
+};
+
+/**
+ * Get the users a list is shared with
+ * GET /api/lists/:id/shares
+ *
+ * Owner only. Grants that fail their check are included (marked tampered)
+ * so the owner can revoke them.
+ */
+const getShares = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const listId = req.params.id;
+
+    const list = await List.findOne({ _id: listId, userId });
+
+    if (!list) {
+      return res.status(404).json({
+        error: 'List not found',
+      });
+    }
+
+    const shares = await ListShare.find({ listId: list._id }).sort({ createdAt: 1 });
+    const recipients = await User.find({ _id: { $in: shares.map((share) => share.userId) } })
+      .select('username email');
+
+    res.json({
+      shares: shares.map((share) => presentShare(
+        share,
+        recipients.find((recipient) => recipient._id.equals(share.userId)),
+        userId
+      )),
+    });
+  } catch (error) {
+    logger.error('Get list shares error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve list shares',
+    });
+  }
+};
+
+/**
+ * Share a list with another registered user, or change their permission
+ * POST /api/lists/:id/shares
+ *
+ * The response is the same whether or not the email is registered, so
+ * sharing can't be used to find out who has an account.
+ */
+const shareList = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const listId = req.params.id;
+    const { email, permission } = req.body;
+
+    // Only the owner can share a list
+    const list = await List.findOne({ _id: listId, userId });
+
+    if (!list) {
+      return res.status(404).json({
+        error: 'List not found',
+      });
+    }
+
+    const shared = () => res.json({
+      message: 'If a user with that email is registered, the list is shared with them',
+    });
+
+    const recipient = await User.findOne({ email }).select('_id');
+
+    if (recipient && recipient._id.equals(userId)) {
+      return res.status(400).json({
+        error: 'You cannot share a list with yourself',
+      });
+    }
+
+    let share = recipient && await ListShare.findOne({ listId: list._id, userId: recipient._id });
+
+    if (!share) {
+      // Checked for unknown emails too, or the limit would tell them apart
+      if (await ListShare.countDocuments({ listId: list._id }) >= MAX_SHARES) {
+        return res.status(400).json({
+          error: `A list can be shared with at most ${MAX_SHARES} users`,
+        });
+      }
+
+      if (!recipient) {
+        logger.info(`List ${listId} shared with an unregistered email by user ${userId}`);
+        return shared();
+      }
+
+      share = new ListShare({ listId: list._id, ownerId: userId, userId: recipient._id, permission });
+      share.set(sealShare(share));
+      await share.save();
+
+      logger.securityEvent('List shared', {
+        listId,
+        shareId: share._id,
+        ownerId: userId,
+        recipientId: recipient._id,
+        permission,
+      });
+
+      return shared();
+    }
+
+    // Already shared: the owner's choice replaces the stored grant
+    const previousPermission = share.permission;
+    share.ownerId = userId;
+    share.permission = permission;
+    share.set(sealShare(share));
+    await share.save();
+
+    logger.securityEvent('List share permission changed', {
+      listId,
+      shareId: share._id,
+      ownerId: userId,
+      recipientId: recipient._id,
+      from: previousPermission,
+      to: permission,
+    });
+
+    shared();
+  } catch (error) {
+    logger.error('Share list error:', error);
+    res.status(500).json({
+      error: 'Failed to share list',
+    });
+  }
+};
+
+/**
+ * Revoke a user's access to a list
+ * DELETE /api/lists/:id/shares/:shareId
+ *
+ * The owner can revoke any grant; a recipient can remove their own (leave the list).
+ */
+const revokeShare = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const listId = req.params.id;
+    const shareId = req.params.shareId;
+
+    const share = await ListShare.findOne({ _id: shareId, listId });
+    const isOwner = Boolean(share) && Boolean(await List.exists({ _id: listId, userId }));
+    const isRecipient = Boolean(share) && share.userId.equals(userId);
+
+    if (!isOwner && !isRecipient) {
+      return res.status(404).json({
+        error: 'Share not found',
+      });
+    }
+
+    await ListShare.deleteOne({ _id: share._id });
+
+    logger.securityEvent(isOwner ? 'List share revoked' : 'List share left by recipient', {
+      listId,
+      shareId,
+      ownerId: share.ownerId,
+      recipientId: share.userId,
+      permission: share.permission,
+      revokedBy: userId,
+    });
+
+    res.json({
+      message: 'Access revoked successfully',
+    });
+  } catch (error) {
+    logger.error('Revoke list share error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke access',
+    });
+  }
+};
+
+module.exports = {
+  getLists,
+  createList,
+  updateList,
+  deleteList,
+  getShares,
+  shareList,
+  revokeShare,
+};
@@ -0,0 +1,189 @@
+/**
+ * MFA Controller
+ * Enrollment in TOTP two-factor authentication for password logins
+ * (utils/mfa.js); the login step itself is in authController.loginMfa
+ *
+ * Enabling and disabling two-factor authentication are logged as security
+ * events. Accounts that sign in with Google use Google's second factor.
+ */
+
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const {
+  beginMfaSetup,
+  enableMfa,
+  verifyMfaCode,
+  isMfaEnabled,
+  countRecoveryCodes,
+} = require('../utils/mfa');
+
+/**
+ * Two-factor authentication status
+ * GET /api/auth/mfa
+ */
+const getMfaStatus = async (req, res) => {
+  try {
+    const user = req.user;
+
+    res.json({
+      available: Boolean(user.passwordHash),
+      enabled: isMfaEnabled(user),
+      enabledAt: isMfaEnabled(user) ? user.mfa.enabledAt : null,
+      recoveryCodesLeft: countRecoveryCodes(user),
+    });
+  } catch (error) {
+    logger.error('Get MFA status error:', error);
+    res.status(500).json({
+      error: 'Failed to load two-factor authentication status',
+    });
+  }
+};
+
+/**
+ * Start enrollment: a new secret for the authenticator app
+ * POST /api/auth/mfa/setup
+ *
+ * Nothing changes for logins until the setup is confirmed with a code.
+ */
+const setupMfa = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.passwordHash) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is for password logins; this account uses Google Sign-In',
+      });
+    }
+
+    if (isMfaEnabled(user)) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const { secret, otpauthUri } = await beginMfaSetup(user);
+
+    logger.info(`Two-factor authentication setup started by user ${user._id}`);
+
+    res.json({
+      message: 'Add the key to your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri,
+    });
+  } catch (error) {
+    logger.error('MFA setup error:', error);
+    res.status(500).json({
+      error: 'Failed to set up two-factor authentication',
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the app
+ * POST /api/auth/mfa/enable
+ *
+ * Returns the recovery codes; they are not shown again.
+ */
+const confirmMfa = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (isMfaEnabled(user)) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.mfa) {
+      return res.status(400).json({
+        error: 'Start the setup first',
+      });
+    }
+
+    const recoveryCodes = await enableMfa(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid code. Check the time on your device and try again.',
+      });
+    }
+
+    logger.securityEvent('MFA enabled', {
+      userId: user._id,
+      ip: req.ip,
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+  } catch (error) {
+    logger.error('MFA enable error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+    });
+  }
+};
+
+/**
+ * Turn two-factor authentication off (password and a code required)
+ * POST /api/auth/mfa/disable
+ */
+const disableMfa = async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, code } = req.body;
+
+    if (!user.mfa) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    // A setup that was never confirmed can simply be dropped
+    if (isMfaEnabled(user)) {
+      if (typeof password !== 'string' || !(await user.comparePassword(password))) {
+        logger.securityEvent('MFA disable attempt with wrong password', {
+          userId: user._id,
+          ip: req.ip,
+        });
+        return res.status(401).json({
+          error: 'Invalid password',
+        });
+      }
+
+      const method = await verifyMfaCode(user, code);
+      if (!method) {
+        logger.securityEvent('MFA disable attempt with invalid code', {
+          userId: user._id,
+          ip: req.ip,
+        });
+        return res.status(401).json({
+          error: 'Invalid code',
+        });
+      }
+    }
+
+    await User.updateOne({ _id: user._id }, { $unset: { mfa: 1 } });
+
+    logger.securityEvent('MFA disabled', {
+      userId: user._id,
+      ip: req.ip,
+    });
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    logger.error('MFA disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+    });
+  }
+};
+
+module.exports = {
+  getMfaStatus,
+  setupMfa,
+  confirmMfa,
+  disableMfa,
+};
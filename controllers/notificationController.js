@@ -0,0 +1,235 @@
+/**
+ * Notification Controller
+ * In-app inbox of due-date and reminder notifications, and the user's
+ * notification settings
+ *
+ * Notifications are created and delivered by the scheduler
+ * (utils/notifications.js); the inbox lists those delivered to it. They hold
+ * no todo content: the todo is decrypted with the user's data key when the
+ * inbox is read (end-to-end encrypted todos are returned as their blob).
+ *
+ * Every query is scoped to the authenticated user.
+ */
+
+const Notification = require('../models/Notification');
+const Todo = require('../models/Todo');
+const { getUserDataKey } = require('../utils/dataKeys');
+const { verifyIntegrity } = require('../utils/hash');
+const { ENCRYPTION_MODES, decryptTodoContent, verifyClientContent, isClientEncrypted } = require('../utils/todoCipher');
+const { verifyTodoFields } = require('../utils/todoFields');
+const { isTransportRegistered, getNotificationSettings } = require('../utils/notifications');
+const { getSmtpConfig } = require('../utils/smtp');
+const logger = require('../utils/logger');
+
+const DEFAULT_INBOX_SIZE = 50;
+
+// Notifications shown in the inbox
+const inboxQuery = (userId) => ({ userId, 'deliveries.transport': 'inbox' });
+
+/**
+ * The todo a notification is about, as shown in the inbox
+ * @returns {Object|null} - null if the todo was deleted since
+ */
+const presentNotificationTodo = (todo, dataKey) => {
+  if (!todo) {
+    return null;
+  }
+
+  if (!verifyTodoFields(todo)) {
+    return { id: todo._id, tampered: true };
+  }
+
+  const base = {
+    id: todo._id,
+    completed: todo.completed,
+    dueDate: todo.dueDate,
+    reminderAt: todo.reminderAt,
+    deleted: Boolean(todo.deletedAt),
+  };
+
+  if (isClientEncrypted(todo)) {
+    return verifyClientContent(todo)
+      ? {
+        ...base,
+        encryptionMode: ENCRYPTION_MODES.CLIENT,
+        encrypted: { encryptedContent: todo.encryptedContent, iv: todo.iv, authTag: todo.authTag },
+        tampered: false,
+      }
+      : { id: todo._id, tampered: true };
+  }
+
+  try {
+    const plaintext = decryptTodoContent(todo, dataKey);
+    return verifyIntegrity(plaintext, todo.integrityHash, todo.integrityScheme)
+      ? { ...base, encryptionMode: ENCRYPTION_MODES.SERVER, content: plaintext, tampered: false }
+      : { id: todo._id, tampered: true };
+  } catch (error) {
+    return { id: todo._id, tampered: true };
+  }
+};
+
+/**
+ * Settings as returned by the API, with the transports the server offers
+ */
+const presentSettings = (user) => ({
+  settings: getNotificationSettings(user),
+  available: {
+    email: isTransportRegistered('email') && Boolean(getSmtpConfig()),
+  },
+});
+
+/**
+ * Get the notification inbox, newest first
+ * GET /api/notifications
+ *
+ * Optional: unread=true for unread notifications only, limit (default 50).
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { unread, limit = DEFAULT_INBOX_SIZE } = req.query;
+
+    const filter = inboxQuery(userId);
+    if (unread) {
+      filter.readAt = null;
+    }
+
+    const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(limit);
+    const unreadCount = await Notification.countDocuments({ ...inboxQuery(userId), readAt: null });
+
+    const todoIds = notifications.map((notification) => notification.todoId);
+    const todos = await Todo.find({ _id: { $in: todoIds }, userId });
+    const todosById = new Map(todos.map((todo) => [String(todo._id), todo]));
+    const dataKey = todos.some((todo) => !isClientEncrypted(todo)) ? await getUserDataKey(req.user) : undefined;
+
+    res.json({
+      notifications: notifications.map((notification) => ({
+        id: notification._id,
+        kind: notification.kind,
+        scheduledFor: notification.scheduledFor,
+        todo: presentNotificationTodo(todosById.get(String(notification.todoId)), dataKey),
+        readAt: notification.readAt,
+        createdAt: notification.createdAt,
+      })),
+      unread: unreadCount,
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve notifications',
+    });
+  }
+};
+
+/**
+ * Mark a notification as read
+ * POST /api/notifications/:id/read
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, ...inboxQuery(req.userId) });
+
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found',
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      readAt: notification.readAt,
+    });
+  } catch (error) {
+    logger.error('Mark notification read error:', error);
+    res.status(500).json({
+      error: 'Failed to update notification',
+    });
+  }
+};
+
+/**
+ * Mark all notifications as read
+ * POST /api/notifications/read
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ...inboxQuery(req.userId), readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      message: 'Notifications marked as read',
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    logger.error('Mark notifications read error:', error);
+    res.status(500).json({
+      error: 'Failed to update notifications',
+    });
+  }
+};
+
+/**
+ * Get notification settings
+ * GET /api/notifications/settings
+ */
+const getSettings = async (req, res) => {
+  try {
+    res.json(presentSettings(req.user));
+  } catch (error) {
+    logger.error('Get notification settings error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve notification settings',
+    });
+  }
+};
+
+/**
+ * Update notification settings
+ * PUT /api/notifications/settings
+ *
+ * email (opt-in), quietHours { start, end } as "HH:MM" (null turns them off)
+ * and timeZone (IANA) for the quiet hours and email times.
+ */
+const updateSettings = async (req, res) => {
+  try {
+    const { email, quietHours, timeZone } = req.body;
+    const user = req.user;
+    const settings = getNotificationSettings(user);
+
+    user.notifications = {
+      email: email !== undefined ? email : settings.email,
+      quietHours: quietHours !== undefined
+        ? quietHours && { start: quietHours.start, end: quietHours.end }
+        : settings.quietHours,
+      timeZone: timeZone || settings.timeZone,
+    };
+    await user.save();
+
+    logger.info(`Notification settings updated by user ${user._id}`);
+
+    res.json({
+      message: 'Notification settings updated',
+      ...presentSettings(user),
+    });
+  } catch (error) {
+    logger.error('Update notification settings error:', error);
+    res.status(500).json({
+      error: 'Failed to update notification settings',
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getSettings,
+  updateSettings,
+};
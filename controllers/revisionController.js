@@ -0,0 +1,279 @@
+/**
+ * Revision Controller
+ * Lists, shows and restores earlier versions of a todo
+ *
+ * Security flow:
+ * 1. List: Return version numbers and timestamps only, plus a check of the
+ *    stored revision count against the signed integrity root
+ * 2. View: Decrypt with the todo ID and the revision's version as associated
+ *    data → Verify its integrity and metadata tags → Return plaintext only if valid
+ * 3. Restore: Verify the revision as above → Keep the current version as a
+ *    new revision → Re-encrypt the old content as the next version (fresh IV)
+ *    and restore its structured fields
+ *
+ * Client-encrypted (end-to-end) revisions are returned and restored as their
+ * blob; only the browser can decrypt them.
+ */
+
+const Todo = require('../models/Todo');
+const List = require('../models/List');
+const TodoRevision = require('../models/TodoRevision');
+const { getUserDataKey } = require('../utils/dataKeys');
+const { verifyIntegrity } = require('../utils/hash');
+const {
+  ENCRYPTION_MODES,
+  encryptTodoContent,
+  decryptTodoContent,
+  sealClientContent,
+  verifyClientContent,
+  isClientEncrypted,
+} = require('../utils/todoCipher');
+const { sealTodoFields, openTodoFields } = require('../utils/todoFields');
+const { verifyTodoHistory } = require('../utils/integrityRoot');
+const { snapshotTodo, commitRevision, revisionCipherView } = require('../utils/revisions');
+const { updateSubtasks } = require('../utils/subtasks');
+const { publish } = require('../utils/realtime');
+const { computeTodoETag } = require('../utils/etag');
+const logger = require('../utils/logger');
+
+/**
+ * Decrypt and verify a revision
+ * @returns {Object} - { valid, content, fields } for server-encrypted revisions,
+ *                     { valid, encrypted, fields } for client-encrypted ones
+ */
+const openRevision = (revision, dataKey) => {
+  const view = revisionCipherView(revision);
+
+  const { valid: isFieldsValid, fields, error } = openTodoFields(view, dataKey);
+  if (!isFieldsValid) {
+    return { valid: false, error };
+  }
+
+  if (isClientEncrypted(view)) {
+    return {
+      valid: verifyClientContent(view),
+      encrypted: { encryptedContent: view.encryptedContent, iv: view.iv, authTag: view.authTag },
+      fields,
+    };
+  }
+
+  try {
+    const plaintext = decryptTodoContent(view, dataKey);
+    return {
+      valid: verifyIntegrity(plaintext, view.integrityHash, view.integrityScheme),
+      content: plaintext,
+      fields,
+    };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+};
+
+/**
+ * List a todo's revisions
+ * GET /api/todos/:id/revisions
+ */
+const listRevisions = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const todoId = req.params.id;
+
+    const todo = await Todo.findOne({ _id: todoId, userId });
+
+    if (!todo) {
+      return res.status(404).json({
+        error: 'Todo not found',
+      });
+    }
+
+    const revisions = await TodoRevision.find({ todoId, userId })
+      .sort({ version: -1 })
+      .select('version encryptionMode createdAt archivedAt');
+
+    // Deleted history shows up as a count mismatch
+    const integrity = await verifyTodoHistory(userId, todoId, revisions.length);
+
+    res.json({
+      todoId: todo._id,
+      currentVersion: todo.version,
+      revisions: revisions.map((revision) => ({
+        version: revision.version,
+        encryptionMode: revision.encryptionMode,
+        createdAt: revision.createdAt,
+        archivedAt: revision.archivedAt,
+      })),
+      integrity,
+    });
+  } catch (error) {
+    logger.error('List revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve revisions',
+    });
+  }
+};
+
+/**
+ * View one revision, decrypted
+ * GET /api/todos/:id/revisions/:version
+ */
+const getRevision = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const todoId = req.params.id;
+    const version = req.params.version;
+
+    const revision = await TodoRevision.findOne({ todoId, userId, version });
+
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revision not found',
+      });
+    }
+
+    const dataKey = await getUserDataKey(req.user);
+    const opened = openRevision(revision, dataKey);
+
+    if (!opened.valid) {
+      logger.securityEvent('Todo revision integrity check failed', {
+        todoId,
+        userId,
+        version,
+        error: opened.error,
+      });
+    }
+
+    res.json({
+      revision: {
+        todoId: revision.todoId,
+        version: revision.version,
+        encryptionMode: revision.encryptionMode,
+        ...(!opened.valid
+          ? { content: '[INTEGRITY VIOLATION - Content may have been tampered with]' }
+          : opened.encrypted
+            ? { encrypted: opened.encrypted, ...opened.fields }
+            : { content: opened.content, ...opened.fields }),
+        tampered: !opened.valid,
+        createdAt: revision.createdAt,
+        archivedAt: revision.archivedAt,
+      },
+    });
+  } catch (error) {
+    logger.error('Get revision error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve revision',
+    });
+  }
+};
+
+/**
+ * Restore a revision as the todo's current content
+ * POST /api/todos/:id/revisions/:version/restore
+ *
+ * The current content is kept as a revision first, so a restore can itself
+ * be undone.
+ */
+const restoreRevision = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const todoId = req.params.id;
+    const version = req.params.version;
+
+    // Todos in the trash must be restored from the trash first
+    const todo = await Todo.findOne({ _id: todoId, userId, deletedAt: null });
+    const revision = todo && await TodoRevision.findOne({ todoId, userId, version });
+
+    if (!todo || !revision) {
+      return res.status(404).json({
+        error: todo ? 'Revision not found' : 'Todo not found',
+      });
+    }
+
+    const dataKey = await getUserDataKey(req.user);
+    const opened = openRevision(revision, dataKey);
+
+    // Never turn tampered history into current content
+    if (!opened.valid) {
+      logger.securityEvent('Refusing to restore tampered todo revision', {
+        todoId,
+        userId,
+        version,
+        error: opened.error,
+      });
+      return res.status(409).json({
+        error: 'Revision failed its integrity check and cannot be restored',
+      });
+    }
+
+    const snapshot = snapshotTodo(todo);
+
+    // Re-encrypt as the next version (new associated data, fresh IV)
+    todo.version += 1;
+    todo.set(opened.encrypted
+      ? sealClientContent(todo, opened.encrypted)
+      : encryptTodoContent(todo, opened.content, dataKey));
+
+    // Tags are bound to the todo, not the version, so their blob is reused;
+    // a list deleted since then leaves the todo in the inbox. The todo keeps
+    // its current place in the subtask tree (and a subtask its parent's list)
+    // and its current schedule, so an old version can't start a second series
+    const view = revisionCipherView(revision);
+    const listExists = view.listId && await List.exists({ _id: view.listId, userId });
+    const previousListId = todo.listId;
+    todo.set({
+      completed: view.completed,
+      completedAt: view.completedAt,
+      dueDate: view.dueDate,
+      reminderAt: view.reminderAt,
+      priority: view.priority,
+      encryptedTags: view.encryptedTags,
+      ...(!todo.parentId && { listId: listExists ? view.listId : null }),
+    });
+    todo.set(sealTodoFields(todo));
+    todo.updatedAt = Date.now();
+
+    await todo.save();
+    await commitRevision(todo, snapshot);
+
+    const listChanged = String(todo.listId) !== String(previousListId);
+    if (listChanged) {
+      await updateSubtasks(todo, {}, (subtask) => {
+        subtask.listId = todo.listId;
+      });
+    }
+
+    logger.info(`Todo ${todoId} restored to version ${version} by user ${userId}`);
+
+    const restored = {
+      id: todo._id,
+      version: todo.version,
+      etag: computeTodoETag(todo),
+      restoredFrom: revision.version,
+      encryptionMode: isClientEncrypted(todo) ? ENCRYPTION_MODES.CLIENT : ENCRYPTION_MODES.SERVER,
+      ...(opened.encrypted ? { encrypted: opened.encrypted } : { content: opened.content }),
+      ...opened.fields,
+      listId: todo.listId,
+      parentId: todo.parentId,
+      recurrence: todo.recurrence || null,
+      createdAt: todo.createdAt,
+      updatedAt: todo.updatedAt,
+    };
+    publish(userId, 'todo.updated', { todo: restored, subtasksChanged: listChanged });
+
+    res.set('ETag', restored.etag);
+    res.json({
+      message: 'Revision restored successfully',
+      todo: restored,
+    });
+  } catch (error) {
+    logger.error('Restore revision error:', error);
+    res.status(500).json({
+      error: 'Failed to restore revision',
+    });
+  }
+};
+
+module.exports = {
+  listRevisions,
+  getRevision,
+  restoreRevision,
+};
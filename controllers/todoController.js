@@ -3,89 +3,546 @@
  * Handles CRUD operations for encrypted to-do items
  * 
  * Security flow:
- * 1. Create: Compute SHA-256 hash → Encrypt with AES-256-GCM → Store ciphertext + IV + authTag + hash
- * 2. Read: Decrypt with AES-256-GCM → Verify SHA-256 hash → Return plaintext only if valid
- * 3. Update: Re-encrypt and update integrity hash
- * 4. Delete: Remove from database
+ * 1. Create: Compute HMAC-SHA256 tag → Encrypt with the user's data key (AES-256-GCM) → Store ciphertext + IV + authTag + keyId + tag
+ * 2. Read: Decrypt with the key named by keyId → Verify integrity tag → Return plaintext only if valid
+ * 3. Update: Keep the previous ciphertext as a revision → Re-encrypt and update integrity tag
+ * 4. Delete: Move to the trash → Restore, or purge for good (ciphertext
+ *    overwritten first, then removed with its revisions)
+ *
+ * Every change is also recorded in the user's signed integrity root, so a read
+ * can tell if todos were deleted, injected or rolled back directly in the database.
+ *
+ * The user's data key is unwrapped with the master key per request and never stored in plaintext.
+ * Ciphertext is bound to userId, todo ID and version via GCM associated data, so records
+ * swapped between users/todos or restored from an older version fail to decrypt.
+ *
+ * End-to-end mode (opt-in): the browser encrypts content with a key derived from
+ * the user's passphrase and sends only the ciphertext. Such records are stored
+ * and returned as opaque blobs; the server checks their tag but never decrypts them.
+ *
+ * Structured fields (completed, dueDate, reminderAt, priority, tags, list): tags are encrypted
+ * like the content, the others stay filterable; all are covered by a metadata
+ * tag checked on read (utils/todoFields.js).
+ *
+ * Shared lists: todos in a list shared with the user can be read (and with edit
+ * permission created, changed and trashed) through a verified grant
+ * (utils/listAccess.js). They stay encrypted under the list owner's data key
+ * and in the owner's integrity root.
+ *
+ * Subtasks: a todo can have subtasks (parentId), nested up to three levels and
+ * kept in the parent's list (utils/subtasks.js). Listings return top-level
+ * todos with their subtasks as a tree; trashing, restoring and moving a todo
+ * take its subtasks along, and completing it can optionally complete them too.
+ *
+ * Recurring todos: a todo with a due date can repeat on an RRULE schedule
+ * (utils/recurrence.js). Completing it creates the next occurrence as a new
+ * todo, with its content and tags encrypted again under fresh IVs.
+ *
+ * Batches: POST /api/todos/batch runs several creates, updates and deletes in
+ * one MongoDB transaction, through the same code as the single-todo routes.
+ *
+ * Every change is pushed to the owner's open event streams (utils/realtime.js)
+ * once it is stored, so other tabs and devices update live.
  */
 
+const mongoose = require('mongoose');
 const Todo = require('../models/Todo');
-const { encrypt, decrypt } = require('../utils/crypto');
-const { computeSHA256, verifyIntegrity } = require('../utils/hash');
+const List = require('../models/List');
+const User = require('../models/User');
+const { getUserDataKey } = require('../utils/dataKeys');
+const { verifyIntegrity, computeSHA256 } = require('../utils/hash');
+const {
+  ENCRYPTION_MODES,
+  encryptTodoContent,
+  decryptTodoContent,
+  sealClientContent,
+  verifyClientContent,
+  isClientEncrypted,
+} = require('../utils/todoCipher');
+const {
+  encryptTodoTags,
+  decryptTodoTags,
+  sealTodoFields,
+  verifyTodoFields,
+  openTodoFields,
+} = require('../utils/todoFields');
+const { recordTodo, recordTodoChanges, verifyTodoSet } = require('../utils/integrityRoot');
+const { createBackupArchive, openBackupArchive } = require('../utils/backup');
+const { snapshotTodo, commitRevision, deleteRevisions } = require('../utils/revisions');
+const { getTrashRetentionDays, getPurgeDate, emptyTrash: purgeTrash } = require('../utils/trash');
+const { PERMISSIONS, getListAccess, getTodoAccess, canEdit } = require('../utils/listAccess');
+const {
+  findSubtasksOf,
+  checkSubtaskPlacement,
+  updateSubtasks,
+  buildTodoTree,
+} = require('../utils/subtasks');
+const { createRecurrence, getNextOccurrence } = require('../utils/recurrence');
+const { publish, publishAll } = require('../utils/realtime');
+const { computeTodoETag, matchesIfMatch } = require('../utils/etag');
+const {
+  DEFAULT_SORT,
+  DEFAULT_ORDER,
+  DEFAULT_PAGE_SIZE,
+  buildSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+} = require('../utils/pagination');
 const logger = require('../utils/logger');
 
 /**
- * Get all todos for authenticated user
- * GET /api/todos
+ * Set a todo's encrypted content from a create/update request body
+ * Server mode encrypts the plaintext with the owner's data key; client mode
+ * stores the browser-encrypted blob (userId, _id and version must be final).
+ * @param {Object} owner - User document of the todo's owner
  */
-const getTodos = async (req, res) => {
+const setTodoContent = async (owner, todo, { content, encryptionMode, encrypted }) => {
+  if (encryptionMode === ENCRYPTION_MODES.CLIENT) {
+    todo.set(sealClientContent(todo, encrypted));
+    return;
+  }
+
+  const dataKey = await getUserDataKey(owner);
+  todo.set(encryptTodoContent(todo, content, dataKey));
+};
+
+/**
+ * Read a todo's stored content so it can be kept across an update
+ * @returns {Promise<Object|null>} - setTodoContent arguments for the same
+ *                                   content, or null if it fails its checks
+ */
+const readStoredContent = async (owner, todo) => {
+  if (isClientEncrypted(todo)) {
+    return verifyClientContent(todo)
+      ? {
+        encryptionMode: ENCRYPTION_MODES.CLIENT,
+        encrypted: { encryptedContent: todo.encryptedContent, iv: todo.iv, authTag: todo.authTag },
+      }
+      : null;
+  }
+
   try {
-    const userId = req.userId;
+    const plaintext = decryptTodoContent(todo, await getUserDataKey(owner));
+    return verifyIntegrity(plaintext, todo.integrityHash, todo.integrityScheme)
+      ? { content: plaintext }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
 
-    // Fetch all todos for this user
-    const todos = await Todo.find({ userId }).sort({ createdAt: -1 });
+/**
+ * Set a todo's structured fields; fields left undefined keep their value
+ * Tags are encrypted in the todo's encryption mode, so call after
+ * setTodoContent. Also re-tags the fields for the todo's current version.
+ */
+const setTodoFields = async (owner, todo, {
+  completed,
+  completedAt,
+  dueDate,
+  reminderAt,
+  priority,
+  tags,
+  encryptedTags,
+  listId,
+  parentId,
+  recurrence,
+}) => {
+  if (completed !== undefined && completed !== todo.completed) {
+    todo.completed = completed;
+    todo.completedAt = completed ? (completedAt || new Date()) : null;
+  }
+  if (dueDate !== undefined) {
+    todo.dueDate = dueDate;
+  }
+  if (reminderAt !== undefined) {
+    todo.reminderAt = reminderAt;
+  }
+  if (priority !== undefined) {
+    todo.priority = priority;
+  }
+  if (listId !== undefined) {
+    todo.listId = listId;
+  }
+  if (parentId !== undefined) {
+    todo.parentId = parentId;
+  }
+  if (recurrence !== undefined) {
+    todo.recurrence = recurrence;
+  }
 
-    // Decrypt each todo and verify integrity
-    const decryptedTodos = [];
+  if (isClientEncrypted(todo)) {
+    if (encryptedTags !== undefined) {
+      todo.encryptedTags = encryptedTags;
+    }
+  } else if (tags !== undefined) {
+    todo.encryptedTags = encryptTodoTags(todo, tags, await getUserDataKey(owner));
+  }
 
-    for (const todo of todos) {
-      try {
-        // Decrypt the content
-        const plaintext = decrypt(
-          todo.encryptedContent,
-          todo.iv,
-          todo.authTag
-        );
-
-        // Verify integrity hash
-        const isIntegrityValid = verifyIntegrity(plaintext, todo.integrityHash);
-
-        if (!isIntegrityValid) {
-          // Integrity check failed - content was tampered with
-          logger.securityEvent('Todo integrity check failed', {
-            todoId: todo._id,
-            userId: userId,
-          });
+  todo.set(sealTodoFields(todo));
+};
 
-          // Return a warning instead of the content
-          decryptedTodos.push({
-            id: todo._id,
-            content: '[INTEGRITY VIOLATION - Content may have been tampered with]',
-            tampered: true,
-            createdAt: todo.createdAt,
-            updatedAt: todo.updatedAt,
-          });
-        } else {
-          // Integrity verified - return decrypted content
-          decryptedTodos.push({
-            id: todo._id,
-            content: plaintext,
-            tampered: false,
-            createdAt: todo.createdAt,
-            updatedAt: todo.updatedAt,
-          });
-        }
+/**
+ * Check that a list a todo is put into belongs to the user
+ * @param {string} userId - Owner
+ * @param {string|null|undefined} listId - List from the request (null for the inbox)
+ * @returns {Promise<boolean>}
+ */
+const isOwnList = async (userId, listId) => {
+  if (listId === undefined || listId === null) {
+    return true;
+  }
+  return Boolean(await List.exists({ _id: listId, userId }));
+};
+
+/**
+ * Find the todo a subtask is put under
+ * @param {Object} user - Requesting user document
+ * @param {string} parentId - Parent todo ID from the request
+ * @returns {Promise<Object|null>} - Live parent the user can access, or null
+ */
+const findParentTodo = async (user, parentId) => {
+  const parent = await Todo.findOne({ _id: parentId, deletedAt: null });
+  return parent && await getTodoAccess(user, parent) ? parent : null;
+};
+
+/**
+ * Create the next occurrence of a recurring todo that was just completed
+ * Server-mode content and tags are decrypted and encrypted again for the new
+ * todo (its own ID, fresh IVs); end-to-end blobs are copied as they are, the
+ * server can't decrypt them. A reminder keeps its distance to the due date.
+ * @param {Object} owner - User document of the todo's owner
+ * @param {Object} todo - Completed todo (saved)
+ * @param {Object} recurrence - Its schedule before completion
+ * @returns {Promise<Object|null>} - New todo, or null if the series has ended
+ */
+const createNextOccurrence = async (owner, todo, recurrence) => {
+  // Occurrences missed while the todo was open are skipped
+  const dueDate = getNextOccurrence(recurrence, new Date(Math.max(todo.dueDate, Date.now())));
+  const content = dueDate && await readStoredContent(owner, todo);
+  if (!content) {
+    return null;
+  }
+
+  const next = new Todo({ userId: owner._id });
+  await setTodoContent(owner, next, content);
+  await setTodoFields(owner, next, {
+    dueDate,
+    reminderAt: todo.reminderAt ? new Date(dueDate.getTime() - (todo.dueDate - todo.reminderAt)) : undefined,
+    priority: todo.priority,
+    listId: todo.listId,
+    recurrence,
+    ...(isClientEncrypted(todo)
+      ? { encryptedTags: todo.encryptedTags }
+      : { tags: decryptTodoTags(todo, await getUserDataKey(owner)) }),
+  });
+
+  await next.save();
+  await recordTodo(next);
+  return next;
+};
+
+/**
+ * Check what a non-owner sends to a shared list
+ * Shared todos must stay readable for everyone with access, so the server
+ * encrypts them: end-to-end blobs (under the sender's own key) are refused.
+ * @returns {string|null} - Error message, or null if the body is acceptable
+ */
+const checkSharedTodoBody = ({ encryptionMode, encryptedTags }) => {
+  if (encryptionMode === ENCRYPTION_MODES.CLIENT || encryptedTags !== undefined) {
+    return 'End-to-end encrypted todos cannot be added to a shared list';
+  }
+  return null;
+};
+
+/**
+ * Response of a todo operation, so a batch can collect what the single-todo
+ * routes would have sent
+ * Events are published by the caller once the change is committed.
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Array} [events] - Real-time events ({ userId, type, data })
+ * @returns {Object} - { status, body, events }
+ */
+const operationResult = (status, body, events = []) => ({ status, body, events });
+
+const operationError = (status, error) => operationResult(status, { error });
+
+/**
+ * Structured fields returned after a write (tags decrypted in server mode)
+ */
+const todoFieldsResponse = async (owner, todo) => {
+  const dataKey = isClientEncrypted(todo) ? undefined : await getUserDataKey(owner);
+  return openTodoFields(todo, dataKey).fields;
+};
+
+/**
+ * Real-time event for a change to one of the owner's todos
+ */
+const todoEvent = (owner, type, data) => ({ userId: owner._id, type, data });
+
+/**
+ * Content fields returned after a write: the plaintext the client sent, or
+ * the stored blob for client-encrypted todos
+ */
+const todoContentResponse = (todo, content) => {
+  if (isClientEncrypted(todo)) {
+    return {
+      encryptionMode: ENCRYPTION_MODES.CLIENT,
+      encrypted: { encryptedContent: todo.encryptedContent, iv: todo.iv, authTag: todo.authTag },
+    };
+  }
+  return { encryptionMode: ENCRYPTION_MODES.SERVER, content };
+};
+
+/**
+ * Version and ETag of a todo, for If-Match on updates
+ */
+const todoVersion = (todo) => ({ version: todo.version, etag: computeTodoETag(todo) });
+
+/**
+ * Todo returned after a write (and pushed to the owner's event streams)
+ * @param {Object} owner - User document of the todo's owner
+ * @param {Object} todo - Saved todo
+ * @param {string} [content] - Its plaintext content in server mode
+ */
+const todoResponse = async (owner, todo, content) => ({
+  id: todo._id,
+  ...todoVersion(todo),
+  ...todoContentResponse(todo, content),
+  ...await todoFieldsResponse(owner, todo),
+  createdAt: todo.createdAt,
+  updatedAt: todo.updatedAt,
+});
+
+/**
+ * Decrypt and verify a todo for a response
+ * Todos that fail a check are returned as a placeholder marked tampered.
+ * @param {Object} todo - Todo document
+ * @param {Buffer} dataKey - Owner's unwrapped data key
+ * @returns {Object} - Todo as returned by the API
+ */
+const presentTodo = (todo, dataKey) => {
+  // Check the structured fields first: a flipped flag or moved due date
+  // means the record was modified outside the API
+  const { valid: isFieldsValid, fields, error: fieldsError } = openTodoFields(todo, dataKey);
+
+  if (!isFieldsValid) {
+    logger.securityEvent('Todo metadata integrity check failed', {
+      todoId: todo._id,
+      userId: todo.userId,
+      error: fieldsError,
+    });
+
+    return {
+      id: todo._id,
+      ...todoVersion(todo),
+      encryptionMode: todo.encryptionMode,
+      content: '[INTEGRITY VIOLATION - Content may have been tampered with]',
+      tampered: true,
+      createdAt: todo.createdAt,
+      updatedAt: todo.updatedAt,
+    };
+  }
+
+  // Client-encrypted: check the blob tag, the browser decrypts it
+  if (isClientEncrypted(todo)) {
+    const isBlobValid = verifyClientContent(todo);
+
+    if (!isBlobValid) {
+      logger.securityEvent('Client-encrypted todo integrity check failed', {
+        todoId: todo._id,
+        userId: todo.userId,
+      });
+    }
+
+    return {
+      id: todo._id,
+      ...todoVersion(todo),
+      encryptionMode: ENCRYPTION_MODES.CLIENT,
+      ...(isBlobValid
+        ? { encrypted: { encryptedContent: todo.encryptedContent, iv: todo.iv, authTag: todo.authTag } }
+        : { content: '[INTEGRITY VIOLATION - Content may have been tampered with]' }),
+      ...fields,
+      tampered: !isBlobValid,
+      createdAt: todo.createdAt,
+      updatedAt: todo.updatedAt,
+    };
+  }
+
+  try {
+    // Decrypt the content (fails if the record was moved or rolled back)
+    const plaintext = decryptTodoContent(todo, dataKey);
+
+    // Verify integrity tag
+    const isIntegrityValid = verifyIntegrity(
+      plaintext,
+      todo.integrityHash,
+      todo.integrityScheme
+    );
+
+    if (!isIntegrityValid) {
+      // Integrity check failed - content was tampered with
+      logger.securityEvent('Todo integrity check failed', {
+        todoId: todo._id,
+        userId: todo.userId,
+      });
+
+      // Return a warning instead of the content
+      return {
+        id: todo._id,
+        ...todoVersion(todo),
+        encryptionMode: ENCRYPTION_MODES.SERVER,
+        content: '[INTEGRITY VIOLATION - Content may have been tampered with]',
+        ...fields,
+        tampered: true,
+        createdAt: todo.createdAt,
+        updatedAt: todo.updatedAt,
+      };
+    } else {
+      // Integrity verified - return decrypted content
+      return {
+        id: todo._id,
+        ...todoVersion(todo),
+        encryptionMode: ENCRYPTION_MODES.SERVER,
+        content: plaintext,
+        ...fields,
+        tampered: false,
+        createdAt: todo.createdAt,
+        updatedAt: todo.updatedAt,
+      };
+    }
+  } catch (error) {
+    // Decryption failed (auth tag mismatch or other error)
+    logger.securityEvent('Todo decryption failed', {
+      todoId: todo._id,
+      userId: todo.userId,
+      error: error.message,
+    });
+
+    return {
+      id: todo._id,
+      ...todoVersion(todo),
+      encryptionMode: ENCRYPTION_MODES.SERVER,
+      content: '[DECRYPTION FAILED - Content is corrupted]',
+      ...fields,
+      tampered: true,
+      error: error.message,
+      createdAt: todo.createdAt,
+      updatedAt: todo.updatedAt,
+    };
+  }
+};
+
+/**
+ * Get a page of todos for authenticated user
+ * GET /api/todos
+ *
+ * Optional filters: list (a list ID, or "inbox" for todos without a list; lists
+ * shared with the user return the owner's todos in that list), status (all | active | completed), dueBefore, dueAfter, createdAfter,
+ * createdBefore (ISO 8601) and priority. Tags are encrypted, so filtering by
+ * tag is done by the client.
+ *
+ * Pagination: limit (default 50) todos sorted by sort (createdAt | updatedAt)
+ * and order (asc | desc); pass the returned nextCursor to get the next page.
+ * Only the requested page is decrypted.
+ *
+ * Filters and pagination apply to top-level todos; each comes with all of its
+ * subtasks nested under subtasks (oldest first).
+ */
+const getTodos = async (req, res) => {
+  try {
+    const {
+      list,
+      status = 'all',
+      dueBefore,
+      dueAfter,
+      createdAfter,
+      createdBefore,
+      priority,
+      sort = DEFAULT_SORT,
+      order = DEFAULT_ORDER,
+      limit = DEFAULT_PAGE_SIZE,
+      cursor,
+    } = req.query;
+
+    let position = null;
+    if (cursor) {
+      try {
+        position = decodeCursor(cursor, { sort, order });
       } catch (error) {
-        // Decryption failed (auth tag mismatch or other error)
-        logger.securityEvent('Todo decryption failed', {
-          todoId: todo._id,
-          userId: userId,
-          error: error.message,
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: error.message,
         });
+      }
+    }
 
-        decryptedTodos.push({
-          id: todo._id,
-          content: '[DECRYPTION FAILED - Content is corrupted]',
-          tampered: true,
-          error: error.message,
-          createdAt: todo.createdAt,
-          updatedAt: todo.updatedAt,
+    // A list shared with the user reads the owner's todos with the owner's key
+    let owner = req.user;
+    if (list && list !== 'inbox') {
+      const access = await getListAccess(req.user, list);
+      if (!access) {
+        return res.status(404).json({
+          error: 'List not found',
         });
       }
+      owner = access.owner;
     }
 
+    const dataKey = await getUserDataKey(owner);
+
+    const filter = { userId: owner._id, parentId: null, deletedAt: null };
+    if (list) {
+      filter.listId = list === 'inbox' ? null : list;
+    }
+    if (status !== 'all') {
+      filter.completed = status === 'completed';
+    }
+    if (dueBefore || dueAfter) {
+      filter.dueDate = {
+        ...(dueAfter && { $gte: dueAfter }),
+        ...(dueBefore && { $lte: dueBefore }),
+      };
+    }
+    if (createdAfter || createdBefore) {
+      filter.createdAt = {
+        ...(createdAfter && { $gte: createdAfter }),
+        ...(createdBefore && { $lte: createdBefore }),
+      };
+    }
+    if (priority) {
+      filter.priority = priority;
+    }
+
+    // Fetch one todo more than the page holds to know if there is a next page
+    const [page, total] = await Promise.all([
+      Todo.find(position ? { ...filter, ...buildCursorFilter(position, { sort, order }) } : filter)
+        .sort(buildSort({ sort, order }))
+        .limit(limit + 1),
+      Todo.countDocuments(filter),
+    ]);
+    const todos = page.slice(0, limit);
+    const nextCursor = page.length > limit
+      ? encodeCursor(todos[todos.length - 1], { sort, order })
+      : null;
+
+    // Subtasks are in their parent's list; anything else was moved there
+    // outside the API and is not shown in a shared list
+    const subtasks = await findSubtasksOf(
+      todos.map((todo) => todo._id),
+      owner._id,
+      { deletedAt: null, ...(list && { listId: filter.listId }) }
+    );
+
+    // Decrypt each todo and verify integrity
+    const decryptedTodos = buildTodoTree(todos, subtasks, (todo) => presentTodo(todo, dataKey));
+
     res.json({
       todos: decryptedTodos,
+      nextCursor,
+      total,
     });
   } catch (error) {
     logger.error('Get todos error:', error);
@@ -95,137 +552,1075 @@ const getTodos = async (req, res) => {
   }
 };
 
+/**
+ * Check the user's todos as a whole against their signed integrity root
+ * GET /api/todos/integrity
+ *
+ * Reads the ID and version of every todo the user has, so it is not part of
+ * listing: the app runs it once when it opens.
+ */
+const getTodoIntegrity = async (req, res) => {
+  try {
+    const todos = await Todo.find({ userId: req.userId }).select('_id version').lean();
+
+    res.json({
+      integrity: await verifyTodoSet(req.user, todos),
+    });
+  } catch (error) {
+    logger.error('Todo integrity check error:', error);
+    res.status(500).json({
+      error: 'Failed to check todo integrity',
+    });
+  }
+};
+
+/**
+ * Create a todo (POST /api/todos, or a create in a batch)
+ * @param {Object} user - Requesting user document
+ * @param {Object} fields - Validated request body (validateTodo)
+ * @returns {Promise<Object>} - { status, body } of the response
+ */
+const applyCreate = async (user, fields) => {
+  const userId = user._id;
+  const {
+    content,
+    encryptionMode,
+    encrypted,
+    completed,
+    dueDate,
+    reminderAt,
+    priority,
+    tags,
+    encryptedTags,
+    parentId,
+    recurrence,
+  } = fields;
+  let { listId } = fields;
+
+  // A schedule starts at the due date
+  if (recurrence && (!dueDate || parentId)) {
+    return operationError(400, parentId ? 'Subtasks cannot repeat' : 'Recurring todos need a due date');
+  }
+
+  // A subtask goes into its parent's list
+  const parent = parentId ? await findParentTodo(user, parentId) : null;
+  if (parentId) {
+    if (!parent) {
+      return operationError(404, 'Parent todo not found');
+    }
+
+    if (listId !== undefined && String(listId) !== String(parent.listId)) {
+      return operationError(400, 'Subtasks stay in their parent\'s list');
+    }
+    listId = parent.listId;
+  }
+
+  // The todo belongs to the list's owner (the user, or whoever shared it)
+  const access = listId ? await getListAccess(user, listId) : { owner: user, permission: PERMISSIONS.OWNER };
+
+  if (!access) {
+    return operationError(404, 'List not found');
+  }
+
+  if (!canEdit(access)) {
+    return operationError(403, 'You only have view access to this list');
+  }
+
+  const sharedError = access.permission !== PERMISSIONS.OWNER && checkSharedTodoBody(fields);
+  if (sharedError) {
+    return operationError(400, sharedError);
+  }
+
+  if (parent) {
+    // The parent's tag covers its place in the tree; don't build on a
+    // todo that was modified directly in the database
+    if (!verifyTodoFields(parent)) {
+      return operationError(409, 'Parent todo failed its integrity check');
+    }
+
+    const placementError = await checkSubtaskPlacement(parent);
+    if (placementError) {
+      return operationError(400, placementError);
+    }
+  }
+
+  const { owner } = access;
+
+  // Step 1: Assign the ID up front, it is part of the associated data
+  const todo = new Todo({ userId: owner._id });
+
+  // Step 2: Compute integrity tag and encrypt with the owner's data key
+  // (or, in end-to-end mode, tag the blob the browser already encrypted)
+  await setTodoContent(owner, todo, { content, encryptionMode, encrypted });
+  await setTodoFields(owner, todo, {
+    completed,
+    dueDate,
+    reminderAt,
+    priority,
+    tags,
+    encryptedTags,
+    listId,
+    parentId: parent ? parent._id : undefined,
+    recurrence: recurrence ? createRecurrence(recurrence, dueDate) : undefined,
+  });
+
+  // Step 3: Store encrypted data and record it in the owner's integrity root
+  await todo.save();
+  await recordTodo(todo);
+
+  logger.info(owner._id.equals(userId)
+    ? `Todo created by user ${userId}`
+    : `Todo created by user ${userId} in list ${listId} shared by user ${owner._id}`);
+
+  // Return the content as the client sent it (don't make them decrypt)
+  const created = await todoResponse(owner, todo, content);
+
+  return operationResult(201, {
+    message: 'Todo created successfully',
+    todo: created,
+  }, [todoEvent(owner, 'todo.created', { todo: created })]);
+};
+
 /**
  * Create a new todo
  * POST /api/todos
  */
 const createTodo = async (req, res) => {
   try {
-    const userId = req.userId;
-    const { content } = req.body;
+    const { status, body, events } = await applyCreate(req.user, req.body);
+    publishAll(events);
+    if (body.todo) {
+      res.set('ETag', body.todo.etag);
+    }
+    res.status(status).json(body);
+  } catch (error) {
+    logger.error('Create todo error:', error);
+    res.status(500).json({
+      error: 'Failed to create todo',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * 412 response for an update based on an outdated version of a todo
+ * @param {Object} owner - User document of the todo's owner
+ * @param {Object} todo - The todo as it is now
+ */
+const todoChanged = async (owner, todo) => operationResult(412, {
+  error: 'Todo was changed since you loaded it',
+  todo: presentTodo(todo, await getUserDataKey(owner)),
+});
+
+/**
+ * Update a todo (PUT /api/todos/:id, or an update in a batch)
+ *
+ * parentId moves the todo under another todo in the same list (null makes it
+ * a top-level todo again); a todo moved to another list takes its subtasks
+ * along. With cascade: true, a change of completed is applied to all of the
+ * todo's subtasks too.
+ *
+ * recurrence sets the repeat schedule (null stops it); it starts at the due
+ * date, so changing the due date restarts it. Completing a recurring todo
+ * moves the schedule to a new todo for the next occurrence.
+ *
+ * With ifMatch (the If-Match header), the update is only applied if the todo
+ * still has that ETag; otherwise 412 with the todo as it is now, so the
+ * client can resolve the conflict instead of overwriting someone's changes.
+ * The write itself is conditional on the version that was read, so of two
+ * concurrent updates one gets the 412 even when both sent the current ETag.
+ * @param {Object} user - Requesting user document
+ * @param {string} todoId - Todo to update
+ * @param {Object} fields - Validated request body (validateTodoUpdate)
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - ETag(s) the client's change is based on
+ * @returns {Promise<Object>} - { status, body } of the response
+ */
+const applyUpdate = async (user, todoId, fields, { ifMatch } = {}) => {
+  const userId = user._id;
+  const {
+    content,
+    encryptionMode,
+    encrypted,
+    completed,
+    dueDate,
+    reminderAt,
+    priority,
+    tags,
+    encryptedTags,
+    parentId,
+    cascade,
+    recurrence,
+  } = fields;
+  let { listId } = fields;
+
+  // Find the todo and verify access: the user's own, or in a list shared
+  // with them (todos in the trash can't be edited)
+  const todo = await Todo.findOne({ _id: todoId, deletedAt: null });
+  const access = todo && await getTodoAccess(user, todo);
+
+  if (!access) {
+    return operationError(404, 'Todo not found');
+  }
+
+  if (!canEdit(access)) {
+    return operationError(403, 'You only have view access to this list');
+  }
+
+  const { owner } = access;
 
-    // Step 1: Compute integrity hash of plaintext
-    const integrityHash = computeSHA256(content);
+  if (ifMatch !== undefined && !matchesIfMatch(ifMatch, computeTodoETag(todo))) {
+    return todoChanged(owner, todo);
+  }
+
+  // Subtasks stay in their parent's list: moving under a new parent moves
+  // the todo to that list, and a subtask can't change lists by itself
+  const parentChanged = parentId !== undefined && String(parentId) !== String(todo.parentId);
+  const parent = parentChanged && parentId ? await findParentTodo(user, parentId) : null;
+  if (parentChanged && parentId) {
+    if (!parent || !parent.userId.equals(todo.userId)) {
+      return operationError(404, 'Parent todo not found');
+    }
+    if (listId !== undefined && String(listId) !== String(parent.listId)) {
+      return operationError(400, 'Subtasks stay in their parent\'s list');
+    }
+    listId = parent.listId;
+  } else if (todo.parentId && !parentChanged && listId !== undefined && String(listId) !== String(todo.listId)) {
+    return operationError(400, 'Subtasks stay in their parent\'s list; move the parent instead');
+  }
 
-    // Step 2: Encrypt the content
-    const { encryptedContent, iv, authTag } = encrypt(content);
+  // A schedule starts at the due date, so moving the due date starts it
+  // again; the same schedule sent back unchanged is left as it is
+  const dueChanged = dueDate !== undefined
+    && (dueDate ? dueDate.getTime() : null) !== (todo.dueDate ? todo.dueDate.getTime() : null);
+  let schedule;
+  if (recurrence !== undefined || (dueChanged && todo.recurrence)) {
+    const newDueDate = dueDate !== undefined ? dueDate : todo.dueDate;
+    const rule = recurrence !== undefined ? recurrence : todo.recurrence;
+    if (rule && !newDueDate) {
+      return operationError(400, 'Recurring todos need a due date');
+    }
+    schedule = rule ? createRecurrence(rule, newDueDate) : null;
 
-    // Step 3: Store encrypted data
-    const todo = await Todo.create({
+    const current = todo.recurrence;
+    if (schedule && current && !dueChanged
+      && schedule.rule === current.rule && schedule.timeZone === current.timeZone) {
+      schedule = undefined;
+    }
+  }
+
+  const isSubtask = parentChanged ? Boolean(parentId) : Boolean(todo.parentId);
+  const repeats = schedule !== undefined ? Boolean(schedule) : Boolean(todo.recurrence);
+  if (isSubtask && repeats) {
+    return operationError(400, 'Subtasks cannot repeat');
+  }
+
+  if (access.permission === PERMISSIONS.OWNER) {
+    // A todo can only be moved into one of the owner's own lists
+    if (!await isOwnList(owner._id, listId)) {
+      return operationError(404, 'List not found');
+    }
+  } else {
+    if (listId !== undefined && String(listId) !== String(todo.listId)) {
+      return operationError(403, 'Only the list owner can move todos out of a shared list');
+    }
+
+    const sharedError = checkSharedTodoBody(fields);
+    if (sharedError) {
+      return operationError(400, sharedError);
+    }
+  }
+
+  // Without content only the structured fields change
+  const keepContent = content === undefined && encryptionMode === undefined;
+  const newMode = keepContent ? todo.encryptionMode : (encryptionMode || ENCRYPTION_MODES.SERVER);
+
+  if (keepContent && isClientEncrypted(todo) && tags !== undefined) {
+    return operationError(400, 'In end-to-end mode tags must be sent as encryptedTags');
+  }
+
+  // Kept tags stay encrypted in the old mode, so they must be sent again
+  const tagsSent = newMode === ENCRYPTION_MODES.CLIENT ? encryptedTags !== undefined : tags !== undefined;
+  if (todo.encryptedTags && !tagsSent && newMode !== todo.encryptionMode) {
+    return operationError(400, 'Tags must be sent again when the encryption mode changes');
+  }
+
+  // Whatever is kept gets re-tagged for the new version, so it must be
+  // intact: never launder a modification made directly in the database
+  const kept = keepContent ? await readStoredContent(owner, todo) : null;
+  if ((keepContent && !kept) || !verifyTodoFields(todo)) {
+    logger.securityEvent('Refusing to update tampered todo', {
+      todoId,
       userId,
-      encryptedContent,
-      iv,
-      authTag,
-      integrityHash,
     });
+    return operationError(409, 'Todo failed its integrity check; restore an earlier version instead');
+  }
 
-    logger.info(`Todo created by user ${userId}`);
+  if (parent) {
+    if (!verifyTodoFields(parent)) {
+      return operationError(409, 'Parent todo failed its integrity check');
+    }
 
-    // Return the plaintext content to client (don't make them decrypt)
-    res.status(201).json({
-      message: 'Todo created successfully',
-      todo: {
-        id: todo._id,
-        content: content, // Return original plaintext
-        createdAt: todo.createdAt,
-        updatedAt: todo.updatedAt,
-      },
-    });
+    const placementError = await checkSubtaskPlacement(parent, todo);
+    if (placementError) {
+      return operationError(400, placementError);
+    }
+  }
+
+  const listChanged = listId !== undefined && String(listId) !== String(todo.listId);
+
+  // Completing an occurrence hands the schedule on to the next one
+  const series = completed === true && !todo.completed && repeats
+    ? (schedule || todo.recurrence.toObject())
+    : null;
+
+  // Everything above was checked against the todo as read: only write if it
+  // is still stored that way, so a concurrent update can't be overwritten
+  todo.$where = {
+    userId: todo.userId,
+    deletedAt: null,
+    version: todo.version,
+    metadataHash: todo.metadataHash,
+  };
+
+  // Keep the current encrypted version in the history
+  const snapshot = snapshotTodo(todo);
+
+  // Bump the version and re-encrypt with new (or kept) content
+  todo.version += 1;
+  await setTodoContent(owner, todo, kept || { content, encryptionMode, encrypted });
+  await setTodoFields(owner, todo, {
+    completed,
+    dueDate,
+    reminderAt,
+    priority,
+    tags,
+    encryptedTags,
+    listId,
+    parentId: parentChanged ? (parent && parent._id) : undefined,
+    recurrence: series ? null : schedule,
+  });
+  todo.updatedAt = Date.now();
+
+  try {
+    await todo.save();
   } catch (error) {
-    logger.error('Create todo error:', error);
-    res.status(500).json({
-      error: 'Failed to create todo',
-      message: error.message,
+    if (!(error instanceof mongoose.Error.DocumentNotFoundError)) {
+      throw error;
+    }
+    const current = await Todo.findOne({ _id: todo._id, deletedAt: null });
+    return current ? todoChanged(owner, current) : operationError(404, 'Todo not found');
+  }
+  await commitRevision(todo, snapshot);
+
+  // Subtasks follow the todo into its new list
+  if (listChanged) {
+    await updateSubtasks(todo, {}, (subtask) => {
+      subtask.listId = todo.listId;
+    });
+  }
+
+  // Subtasks are changed in place (no new version); tampered ones are skipped
+  let cascaded;
+  if (cascade && completed !== undefined) {
+    cascaded = await updateSubtasks(todo, { deletedAt: null, completed: !todo.completed }, (subtask) => {
+      subtask.completed = todo.completed;
+      subtask.completedAt = todo.completed ? todo.completedAt : null;
     });
   }
+
+  const next = series && await createNextOccurrence(owner, todo, series);
+
+  logger.info(`Todo ${todoId} updated by user ${userId}`);
+
+  const plaintext = kept ? kept.content : content;
+  const updated = await todoResponse(owner, todo, plaintext);
+  const events = [todoEvent(owner, 'todo.updated', {
+    todo: updated,
+    subtasksChanged: listChanged || Boolean(cascaded && cascaded.updated),
+  })];
+  if (next) {
+    events.push(todoEvent(owner, 'todo.created', { todo: await todoResponse(owner, next, plaintext) }));
+  }
+
+  return operationResult(200, {
+    message: 'Todo updated successfully',
+    todo: updated,
+    ...(cascaded && { cascaded }),
+    ...(series && { nextOccurrence: next && { id: next._id, dueDate: next.dueDate } }),
+  }, events);
 };
 
 /**
  * Update an existing todo
  * PUT /api/todos/:id
+ *
+ * Send the todo's ETag in If-Match to make sure no other change is
+ * overwritten (412 Precondition Failed with the current todo otherwise).
  */
 const updateTodo = async (req, res) => {
+  try {
+    const { status, body, events } = await applyUpdate(req.user, req.params.id, req.body, {
+      ifMatch: req.get('If-Match'),
+    });
+    publishAll(events);
+    // The new ETag, or after a conflict the current one
+    if (body.todo) {
+      res.set('ETag', body.todo.etag);
+    }
+    res.status(status).json(body);
+  } catch (error) {
+    logger.error('Update todo error:', error);
+    res.status(500).json({
+      error: 'Failed to update todo',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Move a todo to the trash (DELETE /api/todos/:id, or a delete in a batch)
+ *
+ * The todo is purged for good once it has been in the trash for the
+ * retention period (or when the trash is emptied). Its subtasks go to the
+ * trash with it.
+ * @param {Object} user - Requesting user document
+ * @param {string} todoId - Todo to delete
+ * @returns {Promise<Object>} - { status, body } of the response
+ */
+const applyDelete = async (user, todoId) => {
+  const userId = user._id;
+
+  // Find the todo (only if accessible to the user and not already in the
+  // trash); shared todos go to the owner's trash
+  const todo = await Todo.findOne({ _id: todoId, deletedAt: null });
+  const access = todo && await getTodoAccess(user, todo);
+
+  if (!access) {
+    return operationError(404, 'Todo not found');
+  }
+
+  if (!canEdit(access)) {
+    return operationError(403, 'You only have view access to this list');
+  }
+
+  // Tampered fields are not re-tagged (that would launder the tampering);
+  // the todo goes to the trash as it is and can only be purged
+  const isFieldsValid = verifyTodoFields(todo);
+  todo.deletedAt = new Date();
+  if (isFieldsValid) {
+    todo.set(sealTodoFields(todo));
+  }
+  await todo.save();
+
+  // Same deletedAt, so restoring the todo brings them back together
+  const { updated: trashedSubtasks } = await updateSubtasks(todo, { deletedAt: null }, (subtask) => {
+    subtask.deletedAt = todo.deletedAt;
+  }, { includeTampered: true });
+
+  logger.info(`Todo ${todoId} moved to trash by user ${userId}`);
+
+  return operationResult(200, {
+    message: 'Todo moved to trash',
+    purgeAt: getPurgeDate(todo.deletedAt),
+    trashedSubtasks,
+  }, [todoEvent(access.owner, 'todo.deleted', { id: todo._id })]);
+};
+
+/**
+ * Move a todo to the trash
+ * DELETE /api/todos/:id
+ */
+const deleteTodo = async (req, res) => {
+  try {
+    const { status, body, events } = await applyDelete(req.user, req.params.id);
+    publishAll(events);
+    res.status(status).json(body);
+  } catch (error) {
+    logger.error('Delete todo error:', error);
+    res.status(500).json({
+      error: 'Failed to delete todo',
+    });
+  }
+};
+
+/**
+ * Apply one operation of a batch
+ * @param {Object} user - Requesting user document
+ * @param {Object} operation - { type, id, ifMatch, data }, validated by validateTodoBatch
+ * @returns {Promise<Object>} - { status, body }
+ */
+const applyOperation = (user, { type, id, ifMatch, data }) => {
+  switch (type) {
+    case 'create':
+      return applyCreate(user, data);
+    case 'update':
+      return applyUpdate(user, id, data, { ifMatch });
+    default:
+      return applyDelete(user, id);
+  }
+};
+
+/**
+ * Create, update and delete several todos at once
+ * POST /api/todos/batch
+ *
+ * operations: [{ type: "create", data }, { type: "update", id, ifMatch, data },
+ * { type: "delete", id }], where data is the body the single-todo route
+ * takes and ifMatch its optional If-Match header. They are applied in order in one transaction: all of them, or none
+ * if one fails. results holds each operation's status and response body;
+ * after a failure the response has that operation's status, and the others
+ * are reported as not applied (424).
+ *
+ * Transactions need MongoDB to run as a replica set (or sharded cluster).
+ */
+const batchTodos = async (req, res) => {
+  const { operations } = req.body;
+
+  try {
+    let failed = null;
+    let results;
+
+    try {
+      results = await mongoose.connection.transaction(async () => {
+        // Start over if the driver retries the transaction
+        failed = null;
+        const applied = [];
+
+        for (const [index, operation] of operations.entries()) {
+          const result = await applyOperation(req.user, operation);
+          if (result.status >= 400) {
+            failed = { index, result };
+            throw new Error(`Batch operation ${index} failed`);
+          }
+          applied.push(result);
+        }
+
+        return applied;
+      });
+    } catch (error) {
+      if (!failed) {
+        throw error;
+      }
+    }
+
+    if (failed) {
+      logger.info(`Todo batch of user ${req.userId} rolled back: operation ${failed.index} failed`);
+
+      return res.status(failed.result.status).json({
+        error: 'Batch failed, no changes were made',
+        failedOperation: failed.index,
+        results: operations.map(({ type }, index) => (index === failed.index
+          ? { type, status: failed.result.status, ...failed.result.body }
+          : { type, status: 424, error: `Not applied: operation ${failed.index} failed` })),
+      });
+    }
+
+    logger.info(`Todo batch of ${operations.length} operations applied by user ${req.userId}`);
+
+    for (const { events } of results) {
+      publishAll(events);
+    }
+
+    res.json({
+      message: 'Batch applied',
+      results: results.map(({ status, body }, index) => ({ type: operations[index].type, status, ...body })),
+    });
+  } catch (error) {
+    // Standalone servers don't support transactions (IllegalOperation)
+    if (error.code === 20) {
+      logger.error('Todo batch needs a MongoDB replica set:', error);
+      return res.status(503).json({
+        error: 'Batch operations are not available on this server',
+      });
+    }
+
+    logger.error('Batch todos error:', error);
+    res.status(500).json({
+      error: 'Failed to apply batch',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * List the todos in the trash
+ * GET /api/todos/trash
+ */
+const getTrash = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const dataKey = await getUserDataKey(req.user);
+    const retentionDays = getTrashRetentionDays();
+
+    const todos = await Todo.find({ userId, deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+
+    res.json({
+      retentionDays,
+      todos: todos.map((todo) => ({
+        ...presentTodo(todo, dataKey),
+        deletedAt: todo.deletedAt,
+        purgeAt: getPurgeDate(todo.deletedAt, retentionDays),
+      })),
+    });
+  } catch (error) {
+    logger.error('Get trash error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve trash',
+    });
+  }
+};
+
+/**
+ * Restore a todo from the trash
+ * POST /api/todos/trash/:id/restore
+ *
+ * Subtasks trashed together with the todo are restored with it. A subtask
+ * whose parent is gone (or no longer has room for it) becomes a top-level todo.
+ */
+const restoreTodo = async (req, res) => {
   try {
     const userId = req.userId;
     const todoId = req.params.id;
-    const { content } = req.body;
 
-    // Find the todo and verify ownership
-    const todo = await Todo.findOne({ _id: todoId, userId });
+    const todo = await Todo.findOne({ _id: todoId, userId, deletedAt: { $ne: null } });
 
     if (!todo) {
       return res.status(404).json({
-        error: 'Todo not found',
+        error: 'Todo not found in trash',
       });
     }
 
-    // Re-encrypt with new content
-    const integrityHash = computeSHA256(content);
-    const { encryptedContent, iv, authTag } = encrypt(content);
+    // Never bring tampered todos (or trash state) back into the list
+    if (!verifyTodoFields(todo)) {
+      logger.securityEvent('Refusing to restore tampered todo from trash', {
+        todoId,
+        userId,
+      });
+      return res.status(409).json({
+        error: 'Todo failed its integrity check and cannot be restored',
+      });
+    }
 
-    // Update the todo
-    todo.encryptedContent = encryptedContent;
-    todo.iv = iv;
-    todo.authTag = authTag;
-    todo.integrityHash = integrityHash;
-    todo.updatedAt = Date.now();
+    if (todo.parentId) {
+      const parent = await Todo.findOne({ _id: todo.parentId, userId });
 
+      if (parent && parent.deletedAt) {
+        return res.status(409).json({
+          error: 'Restore its parent todo first',
+        });
+      }
+
+      if (parent && verifyTodoFields(parent) && !await checkSubtaskPlacement(parent, todo)) {
+        todo.listId = parent.listId;
+      } else {
+        todo.parentId = null;
+      }
+    }
+
+    const { deletedAt } = todo;
+    todo.deletedAt = null;
+    todo.set(sealTodoFields(todo));
     await todo.save();
 
-    logger.info(`Todo ${todoId} updated by user ${userId}`);
+    const { updated: restoredSubtasks } = await updateSubtasks(todo, { deletedAt }, (subtask) => {
+      subtask.deletedAt = null;
+      subtask.listId = todo.listId;
+    });
+
+    logger.info(`Todo ${todoId} restored from trash by user ${userId}`);
+
+    const dataKey = await getUserDataKey(req.user);
+    const restored = presentTodo(todo, dataKey);
+    publish(userId, 'todo.created', { todo: restored });
 
     res.json({
-      message: 'Todo updated successfully',
-      todo: {
-        id: todo._id,
-        content: content,
-        createdAt: todo.createdAt,
-        updatedAt: todo.updatedAt,
-      },
+      message: 'Todo restored successfully',
+      todo: restored,
+      restoredSubtasks,
     });
   } catch (error) {
-    logger.error('Update todo error:', error);
+    logger.error('Restore todo error:', error);
     res.status(500).json({
-      error: 'Failed to update todo',
+      error: 'Failed to restore todo',
+    });
+  }
+};
+
+/**
+ * Permanently delete every todo in the trash
+ * DELETE /api/todos/trash
+ */
+const emptyTrash = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const { purged, failed } = await purgeTrash(userId);
+
+    logger.info(`Trash emptied by user ${userId}: ${purged} purged, ${failed} failed`);
+
+    if (failed > 0) {
+      return res.status(500).json({
+        error: 'Some todos could not be purged',
+        purged,
+        failed,
+      });
+    }
+
+    res.json({
+      message: 'Trash emptied',
+      purged,
+    });
+  } catch (error) {
+    logger.error('Empty trash error:', error);
+    res.status(500).json({
+      error: 'Failed to empty trash',
+    });
+  }
+};
+
+/**
+ * Export all of the user's todos as a password-protected archive
+ * GET /api/todos/export
+ *
+ * The archive password is sent in the X-Backup-Password header (never in
+ * the URL, which would end up in logs). Todos that fail decryption or
+ * their integrity check are left out rather than exported as placeholders.
+ */
+const exportTodos = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const password = req.get('X-Backup-Password');
+    const dataKey = await getUserDataKey(req.user);
+
+    const todos = await Todo.find({ userId, deletedAt: null }).sort({ createdAt: 1 });
+
+    const entries = [];
+    let skipped = 0;
+
+    for (const todo of todos) {
+      const { valid: isFieldsValid, fields } = openTodoFields(todo, dataKey);
+      if (!isFieldsValid) {
+        skipped++;
+        continue;
+      }
+
+      // Lists and subtasks aren't part of backups; imported todos go to the
+      // inbox as top-level todos
+      const details = {
+        fields: {
+          ...fields,
+          listId: undefined,
+          parentId: undefined,
+          completedAt: fields.completedAt && fields.completedAt.toISOString(),
+          dueDate: fields.dueDate && fields.dueDate.toISOString(),
+          reminderAt: fields.reminderAt ? fields.reminderAt.toISOString() : undefined,
+          recurrence: fields.recurrence
+            ? { ...fields.recurrence, start: fields.recurrence.start.toISOString() }
+            : undefined,
+        },
+        createdAt: todo.createdAt.toISOString(),
+        updatedAt: todo.updatedAt.toISOString(),
+      };
+
+      if (isClientEncrypted(todo)) {
+        if (verifyClientContent(todo)) {
+          entries.push({
+            encryptionMode: ENCRYPTION_MODES.CLIENT,
+            encrypted: { encryptedContent: todo.encryptedContent, iv: todo.iv, authTag: todo.authTag },
+            ...details,
+          });
+        } else {
+          skipped++;
+        }
+        continue;
+      }
+
+      try {
+        const plaintext = decryptTodoContent(todo, dataKey);
+        if (verifyIntegrity(plaintext, todo.integrityHash, todo.integrityScheme)) {
+          entries.push({ encryptionMode: ENCRYPTION_MODES.SERVER, content: plaintext, ...details });
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    const archive = await createBackupArchive(userId, entries, password);
+
+    logger.securityEvent('Todo backup exported', {
+      userId,
+      todoCount: entries.length,
+      skipped,
+    });
+
+    const date = archive.exportedAt.substring(0, 10);
+    res.set('Content-Disposition', `attachment; filename="todos-backup-${date}.json"`);
+    res.set('X-Backup-Skipped', String(skipped));
+    res.json(archive);
+  } catch (error) {
+    logger.error('Export todos error:', error);
+    res.status(500).json({
+      error: 'Failed to export todos',
+    });
+  }
+};
+
+/**
+ * Import todos from a backup archive
+ * POST /api/todos/import
+ *
+ * Body: { archive, password, mode }
+ * - merge (default): add the archived todos; todos already present (same
+ *   content and creation time) are not duplicated
+ * - replace: the archived todos replace all of the user's current todos
+ *
+ * The whole archive is verified before anything is written. Todos are
+ * re-encrypted under the server's current keys. Client-encrypted todos can
+ * only be restored into the account that exported them, since the browser's
+ * key is bound to it.
+ *
+ * The todos are written in one transaction, which needs MongoDB to run as a
+ * replica set (or sharded cluster).
+ */
+const importTodos = async (req, res) => {
+  const userId = req.userId;
+  const { archive, password, mode = 'merge' } = req.body;
+
+  let backup;
+  try {
+    backup = await openBackupArchive(archive, password);
+  } catch (error) {
+    logger.securityEvent('Todo backup import rejected', {
+      userId,
+      error: error.message,
+    });
+    return res.status(400).json({
+      error: 'Backup could not be verified',
       message: error.message,
     });
   }
+
+  try {
+    const dataKey = await getUserDataKey(req.user);
+    const existing = await Todo.find({ userId });
+
+    // Fingerprints of current todos, so merging the same backup twice is harmless
+    const fingerprint = (entry) => computeSHA256(JSON.stringify([
+      entry.createdAt,
+      entry.encryptionMode === ENCRYPTION_MODES.CLIENT ? entry.encrypted.encryptedContent : entry.content,
+    ]));
+    const present = new Set();
+
+    if (mode === 'merge') {
+      for (const todo of existing) {
+        const createdAt = todo.createdAt.toISOString();
+        if (isClientEncrypted(todo)) {
+          present.add(fingerprint({
+            createdAt,
+            encryptionMode: ENCRYPTION_MODES.CLIENT,
+            encrypted: { encryptedContent: todo.encryptedContent },
+          }));
+          continue;
+        }
+        try {
+          present.add(fingerprint({ createdAt, content: decryptTodoContent(todo, dataKey) }));
+        } catch (error) {
+          // Unreadable todos can't be duplicates of anything
+        }
+      }
+    }
+
+    const docs = [];
+    let duplicates = 0;
+    let skipped = 0;
+
+    for (const entry of backup.todos) {
+      const isClientEntry = entry.encryptionMode === ENCRYPTION_MODES.CLIENT;
+
+      if (isClientEntry && backup.userId !== userId.toString()) {
+        skipped++;
+        continue;
+      }
+
+      const key = fingerprint(entry);
+      if (present.has(key)) {
+        duplicates++;
+        continue;
+      }
+      present.add(key);
+
+      const todo = new Todo({
+        userId,
+        createdAt: new Date(entry.createdAt),
+        updatedAt: new Date(entry.updatedAt),
+      });
+      todo.set(isClientEntry
+        ? sealClientContent(todo, entry.encrypted)
+        : encryptTodoContent(todo, entry.content, dataKey));
+
+      // Archives from before structured fields have none
+      const { fields = {} } = entry;
+      await setTodoFields(req.user, todo, {
+        completed: fields.completed,
+        completedAt: fields.completedAt ? new Date(fields.completedAt) : undefined,
+        dueDate: fields.dueDate ? new Date(fields.dueDate) : undefined,
+        reminderAt: fields.reminderAt ? new Date(fields.reminderAt) : undefined,
+        priority: fields.priority,
+        tags: fields.tags,
+        encryptedTags: fields.encryptedTags,
+        recurrence: fields.recurrence
+          ? createRecurrence(fields.recurrence, new Date(fields.recurrence.start))
+          : undefined,
+      });
+      docs.push(todo);
+    }
+
+    // The new todos, the removal of the old ones and the integrity root are
+    // written together or not at all
+    const removed = mode === 'replace' ? existing.map((todo) => todo._id) : [];
+    await mongoose.connection.transaction(async () => {
+      if (docs.length > 0) {
+        await Todo.insertMany(docs);
+      }
+
+      if (removed.length > 0) {
+        await Todo.deleteMany({ userId, _id: { $in: removed } });
+        await deleteRevisions(userId, removed);
+      }
+
+      await recordTodoChanges(userId, { saved: docs, removed });
+    });
+
+    logger.securityEvent('Todo backup imported', {
+      userId,
+      mode,
+      imported: docs.length,
+      duplicates,
+      skipped,
+      removed: removed.length,
+      exportedAt: backup.metadata.exportedAt,
+    });
+
+    publish(userId, 'todos.imported', { imported: docs.length, mode });
+
+    res.json({
+      message: 'Backup imported successfully',
+      mode,
+      imported: docs.length,
+      duplicates,
+      skipped,
+      removed: removed.length,
+    });
+  } catch (error) {
+    // Standalone servers don't support transactions (IllegalOperation)
+    if (error.code === 20) {
+      logger.error('Todo import needs a MongoDB replica set:', error);
+      return res.status(503).json({
+        error: 'Backup import is not available on this server',
+      });
+    }
+
+    logger.error('Import todos error:', error);
+    res.status(500).json({
+      error: 'Failed to import todos',
+    });
+  }
 };
 
 /**
- * Delete a todo
- * DELETE /api/todos/:id
+ * Get the user's end-to-end encryption settings
+ * GET /api/todos/e2e
+ *
+ * Returns what the browser needs to re-derive its key from the passphrase.
  */
-const deleteTodo = async (req, res) => {
+const getE2ESettings = async (req, res) => {
+  try {
+    const { e2e } = req.user;
+
+    res.json({
+      enabled: Boolean(e2e),
+      userId: req.userId,
+      ...(e2e && {
+        salt: e2e.salt,
+        iterations: e2e.iterations,
+        keyCheck: e2e.keyCheck,
+        enabledAt: e2e.enabledAt,
+      }),
+    });
+  } catch (error) {
+    logger.error('Get E2E settings error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve end-to-end encryption settings',
+    });
+  }
+};
+
+/**
+ * Enable end-to-end encryption
+ * PUT /api/todos/e2e
+ *
+ * Stores the PBKDF2 parameters and the key check value chosen by the browser.
+ * Can only be done once: a different passphrase would make existing
+ * client-encrypted todos unreadable.
+ */
+const enableE2E = async (req, res) => {
   try {
     const userId = req.userId;
-    const todoId = req.params.id;
+    const { salt, iterations, keyCheck } = req.body;
 
-    // Find and delete the todo (only if owned by user)
-    const result = await Todo.deleteOne({ _id: todoId, userId });
+    // Only set if not enabled yet (also guards against concurrent requests)
+    const result = await User.updateOne(
+      { _id: userId, e2e: { $exists: false } },
+      {
+        $set: {
+          e2e: {
+            salt,
+            iterations,
+            keyCheck: {
+              encryptedContent: keyCheck.encryptedContent,
+              iv: keyCheck.iv,
+              authTag: keyCheck.authTag,
+            },
+            enabledAt: new Date(),
+          },
+        },
+      }
+    );
 
-    if (result.deletedCount === 0) {
-      return res.status(404).json({
-        error: 'Todo not found',
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        error: 'End-to-end encryption is already enabled',
       });
     }
 
-    logger.info(`Todo ${todoId} deleted by user ${userId}`);
+    logger.securityEvent('End-to-end encryption enabled', { userId });
 
     res.json({
-      message: 'Todo deleted successfully',
+      message: 'End-to-end encryption enabled',
     });
   } catch (error) {
-    logger.error('Delete todo error:', error);
+    logger.error('Enable E2E error:', error);
     res.status(500).json({
-      error: 'Failed to delete todo',
+      error: 'Failed to enable end-to-end encryption',
     });
   }
 };
 
 module.exports = {
   getTodos,
+  getTodoIntegrity,
   createTodo,
   updateTodo,
   deleteTodo,
+  batchTodos,
+  getTrash,
+  restoreTodo,
+  emptyTrash,
+  exportTodos,
+  importTodos,
+  getE2ESettings,
+  enableE2E,
 };
@@ -0,0 +1,150 @@
+/**
+ * WebAuthn Controller
+ * Registration and management of the user's passkeys (utils/webauthn.js);
+ * signing in with one is in authController.loginPasskey
+ *
+ * Adding and removing passkeys are logged as security events.
+ */
+
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { generateRegistrationOptions, verifyRegistration } = require('../utils/webauthn');
+
+/**
+ * Format a passkey for API responses (no key material)
+ */
+const presentCredential = (credential) => ({
+  id: credential._id,
+  name: credential.name,
+  transports: credential.transports,
+  createdAt: credential.createdAt,
+  lastUsedAt: credential.lastUsedAt,
+});
+
+/**
+ * List the user's passkeys
+ * GET /api/auth/webauthn/credentials
+ */
+const listCredentials = async (req, res) => {
+  try {
+    res.json({
+      credentials: (req.user.webauthnCredentials || []).map(presentCredential),
+    });
+  } catch (error) {
+    logger.error('List passkeys error:', error);
+    res.status(500).json({
+      error: 'Failed to load passkeys',
+    });
+  }
+};
+
+/**
+ * Start adding a passkey: options for navigator.credentials.create()
+ * POST /api/auth/webauthn/register/options
+ */
+const registerOptions = async (req, res) => {
+  try {
+    res.json(await generateRegistrationOptions(req.user));
+  } catch (error) {
+    logger.error('Passkey registration options error:', error);
+    res.status(500).json({
+      error: 'Failed to start passkey setup',
+    });
+  }
+};
+
+/**
+ * Finish adding a passkey
+ * POST /api/auth/webauthn/register
+ */
+const registerCredential = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const result = await verifyRegistration(user, req.body);
+    if (result.error) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+
+    if (await User.exists({ 'webauthnCredentials.credentialId': result.credential.credentialId })) {
+      return res.status(409).json({
+        error: 'This passkey is already registered',
+      });
+    }
+
+    const credential = { ...result.credential, name: req.body.name || 'Passkey' };
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $push: { webauthnCredentials: credential } },
+      { new: true }
+    );
+    const added = updated.webauthnCredentials.find((item) => item.credentialId === credential.credentialId);
+
+    logger.securityEvent('Passkey registered', {
+      userId: user._id,
+      credentialId: credential.credentialId,
+      ip: req.ip,
+    });
+
+    res.status(201).json({
+      message: 'Passkey added',
+      credential: presentCredential(added),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'This passkey is already registered',
+      });
+    }
+    logger.error('Passkey registration error:', error);
+    res.status(500).json({
+      error: 'Failed to add passkey',
+    });
+  }
+};
+
+/**
+ * Remove a passkey
+ * DELETE /api/auth/webauthn/credentials/:id
+ */
+const deleteCredential = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const credential = (user.webauthnCredentials || []).find((item) => item._id.toString() === req.params.id);
+    if (!credential) {
+      return res.status(404).json({
+        error: 'Passkey not found',
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { webauthnCredentials: { _id: credential._id } } }
+    );
+
+    logger.securityEvent('Passkey removed', {
+      userId: user._id,
+      credentialId: credential.credentialId,
+      ip: req.ip,
+    });
+
+    res.json({
+      message: 'Passkey removed',
+    });
+  } catch (error) {
+    logger.error('Delete passkey error:', error);
+    res.status(500).json({
+      error: 'Failed to remove passkey',
+    });
+  }
+};
+
+module.exports = {
+  listCredentials,
+  registerOptions,
+  registerCredential,
+  deleteCredential,
+};
@@ -6,32 +6,48 @@
  * - Validates JWT signature using secret from environment
  * - Checks token expiration
  * - Supports tokens from Authorization header or HTTP-only cookies
+ * - Refuses tokens whose session (login) has been revoked
+ * - Refuses MFA challenge and refresh tokens, which may share the secret
  * - Attaches user information to request object
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const logger = require('../utils/logger');
 
+// How often a session's lastSeenAt is updated at most
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Get the access token from the Authorization header or cookie
+ * @param {Object} req - Express request
+ * @returns {string|undefined}
+ */
+const getRequestToken = (req) => {
+  // Check Authorization header: "Bearer <token>"
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+
+  // If no header token, check for HTTP-only cookie
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
+  }
+
+  return undefined;
+};
+
 /**
  * Middleware to verify JWT and authenticate user
  * Usage: Add to routes that require authentication
  */
 const authenticate = async (req, res, next) => {
   try {
-    // Get token from Authorization header or cookie
-    let token;
-
-    // Check Authorization header: "Bearer <token>"
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    }
-
-    // If no header token, check for HTTP-only cookie
-    if (!token && req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    }
+    const token = getRequestToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -42,7 +58,7 @@ const authenticate = async (req, res, next) => {
     // Verify token
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
+      decoded = verifyAccessToken(token);
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         return res.status(401).json({
@@ -74,9 +90,33 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // The session must not have been revoked (logout, or ended from another
+    // device); tokens from before sessions existed have none
+    const session = mongoose.isValidObjectId(decoded.sid)
+      ? await Session.findOne({ _id: decoded.sid, userId: user._id })
+      : null;
+
+    if (!session || session.revokedAt) {
+      logger.securityEvent('Token for revoked or unknown session', {
+        userId: user._id,
+        sessionId: decoded.sid,
+        ip: req.ip,
+      });
+      return res.status(401).json({
+        error: 'Session has ended. Please login again.',
+      });
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+    }
+
     // Attach user to request object
     req.user = user;
     req.userId = user._id;
+    req.sessionId = session._id;
+    // Long-lived responses (event streams) end when the token does
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
 
     next();
   } catch (error) {
@@ -90,24 +130,69 @@ const authenticate = async (req, res, next) => {
 /**
  * Generate JWT access token
  * @param {string} userId - User ID to encode in token
+ * @param {string} sessionId - Session the token belongs to (models/Session.js)
  * @returns {string} - Signed JWT
  */
-const generateAccessToken = (userId) => {
+const generateAccessToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId.toString() },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
   );
 };
 
+/**
+ * Verify access token
+ * Other tokens signed with the same secret carry a type (MFA challenge and
+ * refresh tokens) or an audience (challenges); access tokens have neither.
+ * @param {string} token - Access token to verify
+ * @returns {Object} - Decoded token payload
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== undefined || decoded.aud !== undefined) {
+    throw new jwt.JsonWebTokenError('jwt is not an access token');
+  }
+  return decoded;
+};
+
+/**
+ * Generate MFA challenge token
+ * Issued after the password of a user with two-factor authentication was
+ * checked; it only lets the client send the second factor
+ * (POST /api/auth/login/mfa) and is never accepted as an access token
+ * @param {string} userId - User who passed the password check
+ * @returns {string} - Signed JWT
+ */
+const generateMfaToken = (userId) => {
+  return jwt.sign(
+    // jti identifies the challenge, which counts the codes tried with it
+    { userId, type: 'mfa', jti: crypto.randomBytes(16).toString('hex') },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.MFA_TOKEN_EXPIRES_IN || '5m', audience: 'mfa' }
+  );
+};
+
+/**
+ * Verify MFA challenge token
+ * @param {string} token - Challenge token to verify
+ * @returns {Object} - Decoded token payload
+ */
+const verifyMfaToken = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET, { audience: 'mfa' });
+};
+
 /**
  * Generate JWT refresh token
+ * Use utils/refreshTokens.js to issue one: it is only accepted once stored.
  * @param {string} userId - User ID to encode in token
+ * @param {string} familyId - Token family (see models/RefreshToken.js)
  * @returns {string} - Signed JWT refresh token
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, familyId) => {
   return jwt.sign(
-    { userId, type: 'refresh' },
+    // jti makes every token unique, also two issued within the same second
+    { userId, type: 'refresh', family: familyId, jti: crypto.randomBytes(16).toString('hex') },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
   );
@@ -127,7 +212,11 @@ const verifyRefreshToken = (token) => {
 
 module.exports = {
   authenticate,
+  getRequestToken,
   generateAccessToken,
+  verifyAccessToken,
+  generateMfaToken,
+  verifyMfaToken,
   generateRefreshToken,
   verifyRefreshToken,
 };
@@ -10,7 +10,8 @@
  * Note: Always validate on server-side even if client validates
  */
 
-const { body, param, validationResult } = require('express-validator');
+const { body, header, param, query, validationResult } = require('express-validator');
+const { parseRecurrenceRule, isValidTimeZone } = require('../utils/recurrence');
 
 /**
  * Middleware to check validation results
@@ -78,10 +79,173 @@ const validateLogin = [
 ];
 
 /**
- * Validation rules for creating/updating a todo
+ * Two-factor code: 6 digits from the app or a recovery code
  */
-const validateTodo = [
+const mfaCodeRule = () => body('code')
+  .isString()
+  .withMessage('Code is required')
+  .bail()
+  .trim()
+  .isLength({ min: 6, max: 32 })
+  .withMessage('Code must be 6 to 32 characters');
+
+/**
+ * Validation rules for the second login step
+ */
+const validateMfaLogin = [
+  body('mfaToken')
+    .isString()
+    .withMessage('MFA token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+
+  mfaCodeRule(),
+
+  validate,
+];
+
+/**
+ * Validation rules for confirming two-factor setup
+ */
+const validateMfaCode = [
+  mfaCodeRule(),
+  validate,
+];
+
+/**
+ * Validation rules for disabling two-factor authentication
+ * (password and code are checked only once it has been enabled)
+ */
+const validateMfaDisable = [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+
+  mfaCodeRule().optional(),
+
+  validate,
+];
+
+/**
+ * Binary field of a passkey ceremony, base64url-encoded by the browser
+ * @param {string} field - Body field path
+ * @param {number} maxLength - Longest accepted string
+ */
+const base64urlField = (field, maxLength) => body(field)
+  .isString()
+  .withMessage(`${field} is required`)
+  .bail()
+  .isLength({ min: 1, max: maxLength })
+  .withMessage(`${field} must be 1 to ${maxLength} characters`)
+  .bail()
+  .matches(/^[A-Za-z0-9_-]+$/)
+  .withMessage(`${field} must be base64url`);
+
+/**
+ * Validation rules for registering a passkey
+ */
+const validatePasskeyRegistration = [
+  base64urlField('id', 1366),
+  base64urlField('response.clientDataJSON', 4096),
+  base64urlField('response.attestationObject', 16384),
+
+  body('response.transports')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Transports must be an array'),
+
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+
+  validate,
+];
+
+/**
+ * Validation rules for starting a passkey sign-in
+ * (without an email the browser offers every passkey saved for the site)
+ */
+const validatePasskeyLoginOptions = [
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+
+  validate,
+];
+
+/**
+ * Validation rules for finishing a passkey sign-in
+ */
+const validatePasskeyLogin = [
+  base64urlField('id', 1366),
+  base64urlField('response.clientDataJSON', 4096),
+  base64urlField('response.authenticatorData', 4096),
+  base64urlField('response.signature', 1024),
+  base64urlField('response.userHandle', 128).optional({ values: 'null' }),
+
+  validate,
+];
+
+/**
+ * Base64 field of a client-encrypted blob (end-to-end mode)
+ * @param {string} field - Body field path
+ * @param {Object} length - { min, max } length of the base64 string
+ * @param {Object} [condition] - Only validate if this chain passes
+ */
+const base64Field = (field, length, condition) => (condition ? body(field).if(condition) : body(field))
+  .isString()
+  .withMessage(`${field} must be a string`)
+  .bail()
+  .isLength(length)
+  .withMessage(`${field} has an invalid length`)
+  .isBase64()
+  .withMessage(`${field} must be base64`);
+
+/**
+ * Validation rules for a browser-encrypted AES-GCM blob
+ * (12 byte IV, 16 byte tag, ciphertext of at most 5000 characters of UTF-8)
+ * @param {string} prefix - Body field holding the blob
+ * @param {Object} [condition] - Only validate if this chain passes
+ */
+const encryptedBlobRules = (prefix, condition) => [
+  base64Field(`${prefix}.encryptedContent`, { min: 4, max: 27000 }, condition),
+  base64Field(`${prefix}.iv`, { min: 16, max: 16 }, condition),
+  base64Field(`${prefix}.authTag`, { min: 24, max: 24 }, condition),
+];
+
+/**
+ * Whether a todo request body is in end-to-end mode
+ */
+const isClientMode = (value, { req }) => req.body.encryptionMode === 'client';
+
+/**
+ * Rules for a todo's content
+ * In end-to-end mode (encryptionMode "client") the body carries an encrypted
+ * blob instead of plaintext content; the server can't sanitize what it
+ * can't read, so the client must render it as text.
+ * @param {boolean} required - False for updates, which may keep the content
+ */
+const todoContentRules = (required) => [
+  body('encryptionMode')
+    .optional()
+    .isIn(['server', 'client'])
+    .withMessage('encryptionMode must be "server" or "client"'),
+
+  ...encryptedBlobRules('encrypted', body('encryptionMode').equals('client')),
+
   body('content')
+    .if((value, { req }) => required || req.body.encryptionMode !== undefined || value !== undefined)
+    .if(body('encryptionMode').not().equals('client'))
     .trim()
     .notEmpty()
     .withMessage('Todo content is required')
@@ -89,7 +253,426 @@ const validateTodo = [
     .withMessage('Todo content must not exceed 5000 characters')
     // Sanitize to prevent XSS (remove HTML tags)
     .escape(),
-  
+];
+
+/**
+ * Rules for a todo's structured fields (all optional)
+ * Tags follow the content: plaintext `tags` in server mode, an
+ * `encryptedTags` blob in client mode.
+ */
+const todoFieldRules = [
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('completed must be true or false')
+    .toBoolean(),
+
+  // null clears the due date
+  body('dueDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('dueDate must be an ISO 8601 date')
+    .toDate(),
+
+  // null removes the reminder
+  body('reminderAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('reminderAt must be an ISO 8601 date')
+    .toDate(),
+
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('priority must be "low", "medium" or "high"'),
+
+  // null moves the todo to the inbox
+  body('listId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('listId must be a list ID')
+    .bail()
+    .matches(/^[0-9a-fA-F]{24}$/)
+    .withMessage('listId must be a list ID'),
+
+  // null makes the todo a top-level todo
+  body('parentId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('parentId must be a todo ID')
+    .bail()
+    .matches(/^[0-9a-fA-F]{24}$/)
+    .withMessage('parentId must be a todo ID'),
+
+  // RRULE schedule; null stops the todo from repeating
+  body('recurrence')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('recurrence must be an object with rule and timeZone'),
+
+  body('recurrence.rule')
+    .if(body('recurrence').exists({ values: 'null' }))
+    .custom((rule) => {
+      parseRecurrenceRule(rule);
+      return true;
+    }),
+
+  body('recurrence.timeZone')
+    .if(body('recurrence').exists({ values: 'null' }))
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('recurrence.timeZone must be an IANA time zone such as "Europe/Berlin"'),
+
+  body('tags')
+    .if((value, meta) => !isClientMode(value, meta))
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('tags must be an array of at most 20 tags'),
+
+  body('tags.*')
+    .if((value, meta) => !isClientMode(value, meta))
+    .isString()
+    .withMessage('Each tag must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters')
+    .escape(),
+
+  body('tags')
+    .if(isClientMode)
+    .not()
+    .exists()
+    .withMessage('In end-to-end mode tags must be sent as encryptedTags'),
+
+  body('encryptedTags')
+    .if((value, meta) => !isClientMode(value, meta))
+    .not()
+    .exists()
+    .withMessage('encryptedTags is only allowed in end-to-end mode'),
+
+  // null removes all tags
+  ...encryptedBlobRules(
+    'encryptedTags',
+    (value, { req }) => req.body.encryptionMode === 'client' && req.body.encryptedTags != null
+  ),
+];
+
+/**
+ * Rules for creating a todo
+ */
+const todoCreateRules = [
+  ...todoContentRules(true),
+  ...todoFieldRules,
+];
+
+/**
+ * Rules for updating a todo
+ * Without content (and encryptionMode) only the structured fields change and
+ * the stored content is kept.
+ */
+const todoUpdateRules = [
+  ...todoContentRules(false),
+  ...todoFieldRules,
+
+  // Also apply a change of completed to the todo's subtasks
+  body('cascade')
+    .optional()
+    .isBoolean()
+    .withMessage('cascade must be true or false')
+    .toBoolean(),
+];
+
+/**
+ * Rules for the ETag(s) an update is based on (If-Match)
+ * @param {Object} chain - header('if-match'), or a batch operation's field
+ */
+const ifMatchRule = (chain) => chain
+  .optional()
+  .isString()
+  .withMessage('If-Match must be an ETag')
+  .bail()
+  .isLength({ min: 1, max: 1000 })
+  .withMessage('If-Match must be between 1 and 1000 characters');
+
+/**
+ * Rules for a MongoDB ObjectId parameter
+ */
+const objectIdRules = [
+  param('id')
+    .matches(/^[0-9a-fA-F]{24}$/)
+    .withMessage('Invalid ID format'),
+];
+
+/**
+ * Validation rules for creating a todo
+ */
+const validateTodo = [
+  ...todoCreateRules,
+  validate,
+];
+
+/**
+ * Validation rules for updating a todo
+ */
+const validateTodoUpdate = [
+  ...todoUpdateRules,
+  ifMatchRule(header('if-match')),
+  validate,
+];
+
+// Most operations accepted in one batch
+const MAX_BATCH_OPERATIONS = 100;
+
+// Rules each batch operation is checked with: the single-todo route's
+const batchOperationRules = {
+  create: todoCreateRules,
+  update: [...objectIdRules, ...todoUpdateRules],
+  delete: objectIdRules,
+};
+
+/**
+ * Check each operation of a batch with the rules of its single-todo route
+ * The rules run on the operation as if it were its own request (id as the
+ * :id parameter, data as the body); the sanitized data replaces the original.
+ */
+const validateBatchOperations = async (req, res, next) => {
+  if (!validationResult(req).isEmpty()) {
+    return validate(req, res, next);
+  }
+
+  const details = [];
+  for (const [index, operation] of req.body.operations.entries()) {
+    const operationReq = { body: operation.data || {}, params: { id: operation.id } };
+    for (const rule of batchOperationRules[operation.type]) {
+      await rule.run(operationReq);
+    }
+
+    for (const err of validationResult(operationReq).array()) {
+      details.push({
+        field: `operations[${index}].${err.location === 'params' ? 'id' : `data.${err.path}`}`,
+        message: err.msg,
+      });
+    }
+    operation.data = operationReq.body;
+  }
+
+  if (details.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details,
+    });
+  }
+  next();
+};
+
+/**
+ * Validation rules for a batch of todo operations
+ */
+const validateTodoBatch = [
+  body('operations')
+    .isArray({ min: 1, max: MAX_BATCH_OPERATIONS })
+    .withMessage(`operations must be an array of 1 to ${MAX_BATCH_OPERATIONS} operations`),
+
+  body('operations.*')
+    .isObject()
+    .withMessage('Each operation must be an object')
+    .bail()
+    .custom((operation) => Object.hasOwn(batchOperationRules, operation.type))
+    .withMessage('Operation type must be "create", "update" or "delete"'),
+
+  body('operations.*.data')
+    .optional()
+    .isObject()
+    .withMessage('Operation data must be an object'),
+
+  ifMatchRule(body('operations.*.ifMatch')),
+
+  validateBatchOperations,
+];
+
+/**
+ * Validation rules for todo list filters, sorting and pagination
+ * The cursor itself is decoded and checked by utils/pagination.js
+ */
+const validateTodoQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be an integer between 1 and 100')
+    .toInt(),
+
+  query('cursor')
+    .optional()
+    .isString()
+    .withMessage('cursor must be a string')
+    .bail()
+    .isLength({ max: 200 })
+    .withMessage('cursor is too long')
+    .isBase64({ urlSafe: true })
+    .withMessage('cursor is malformed'),
+
+  query('sort')
+    .optional()
+    .isIn(['createdAt', 'updatedAt'])
+    .withMessage('sort must be "createdAt" or "updatedAt"'),
+
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('order must be "asc" or "desc"'),
+
+  query('createdAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('createdAfter must be an ISO 8601 date')
+    .toDate(),
+
+  query('createdBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('createdBefore must be an ISO 8601 date')
+    .toDate(),
+
+  query('list')
+    .optional()
+    .matches(/^(inbox|[0-9a-fA-F]{24})$/)
+    .withMessage('list must be a list ID or "inbox"'),
+
+  query('status')
+    .optional()
+    .isIn(['all', 'active', 'completed'])
+    .withMessage('status must be "all", "active" or "completed"'),
+
+  query('dueBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('dueBefore must be an ISO 8601 date')
+    .toDate(),
+
+  query('dueAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('dueAfter must be an ISO 8601 date')
+    .toDate(),
+
+  query('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('priority must be "low", "medium" or "high"'),
+
+  validate,
+];
+
+/**
+ * Rules for a list's fields
+ * @param {boolean} required - False for updates, which may change any subset
+ */
+const listRules = (required) => [
+  (required ? body('name') : body('name').optional())
+    .isString()
+    .withMessage('List name must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('List name must be between 1 and 100 characters')
+    // Sanitize to prevent XSS (remove HTML tags)
+    .escape(),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('color must be a hex color like #4f46e5'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('position must be a non-negative integer')
+    .toInt(),
+];
+
+/**
+ * Validation rules for creating a list
+ */
+const validateList = [
+  ...listRules(true),
+  validate,
+];
+
+/**
+ * Validation rules for updating a list
+ */
+const validateListUpdate = [
+  ...listRules(false),
+  validate,
+];
+
+/**
+ * Validation rules for sharing a list
+ */
+const validateListShare = [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+
+  body('permission')
+    .isIn(['view', 'edit'])
+    .withMessage('permission must be view or edit'),
+
+  validate,
+];
+
+/**
+ * Validation rules for enabling end-to-end encryption
+ */
+const validateE2ESettings = [
+  base64Field('salt', { min: 24, max: 44 }),
+
+  body('iterations')
+    .isInt({ min: 100000, max: 10000000 })
+    .withMessage('iterations must be an integer between 100000 and 10000000')
+    .toInt(),
+
+  ...encryptedBlobRules('keyCheck'),
+
+  validate,
+];
+
+/**
+ * Validation rules for exporting a backup
+ * The archive password comes in a header so it never appears in URLs
+ */
+const validateBackupExport = [
+  header('x-backup-password')
+    .isLength({ min: 8, max: 256 })
+    .withMessage('X-Backup-Password header must be between 8 and 256 characters'),
+
+  validate,
+];
+
+/**
+ * Validation rules for importing a backup
+ * The archive itself is verified cryptographically by utils/backup.js
+ */
+const validateBackupImport = [
+  body('archive')
+    .isObject()
+    .withMessage('archive must be a backup archive object'),
+
+  body('password')
+    .isString()
+    .withMessage('password must be a string')
+    .bail()
+    .isLength({ min: 8, max: 256 })
+    .withMessage('password must be between 8 and 256 characters'),
+
+  body('mode')
+    .optional()
+    .isIn(['merge', 'replace'])
+    .withMessage('mode must be "merge" or "replace"'),
+
   validate,
 ];
 
@@ -97,13 +680,83 @@ const validateTodo = [
  * Validation rules for MongoDB ObjectId parameters
  */
 const validateObjectId = [
-  param('id')
+  ...objectIdRules,
+  validate,
+];
+
+/**
+ * Validation rules for a list share ID parameter
+ */
+const validateShareId = [
+  param('shareId')
     .matches(/^[0-9a-fA-F]{24}$/)
-    .withMessage('Invalid ID format'),
+    .withMessage('Invalid share ID format'),
+
+  validate,
+];
+
+/**
+ * Validation rules for todo revision parameters
+ */
+const validateRevisionVersion = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Revision version must be a positive integer')
+    .toInt(),
   
   validate,
 ];
 
+/**
+ * Validation rules for the notification inbox query
+ */
+const validateNotificationQuery = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('unread must be true or false')
+    .toBoolean(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be an integer between 1 and 100')
+    .toInt(),
+
+  validate,
+];
+
+/**
+ * Validation rules for notification settings
+ * Quiet hours are "HH:MM" local times; null turns them off
+ */
+const validateNotificationSettings = [
+  body('email')
+    .optional()
+    .isBoolean()
+    .withMessage('email must be true or false')
+    .toBoolean(),
+
+  body('quietHours')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('quietHours must be an object with start and end'),
+
+  body(['quietHours.start', 'quietHours.end'])
+    .if(body('quietHours').exists({ values: 'null' }))
+    .isString()
+    .bail()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Quiet hours must be times like "22:00"'),
+
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('timeZone must be an IANA time zone such as "Europe/Berlin"'),
+
+  validate,
+];
+
 /**
  * Validation rules for refresh token
  */
@@ -117,11 +770,43 @@ const validateRefreshToken = [
   validate,
 ];
 
+/**
+ * Validation rules for logout (the refresh token to revoke is optional)
+ */
+const validateLogout = [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string'),
+  
+  validate,
+];
+
 module.exports = {
   validate,
   validateRegistration,
   validateLogin,
   validateTodo,
+  validateTodoUpdate,
+  validateTodoBatch,
+  validateTodoQuery,
+  validateList,
+  validateListUpdate,
+  validateListShare,
+  validateE2ESettings,
+  validateBackupExport,
+  validateBackupImport,
   validateObjectId,
+  validateShareId,
+  validateRevisionVersion,
   validateRefreshToken,
+  validateLogout,
+  validateMfaLogin,
+  validateMfaCode,
+  validateMfaDisable,
+  validatePasskeyRegistration,
+  validatePasskeyLoginOptions,
+  validatePasskeyLogin,
+  validateNotificationQuery,
+  validateNotificationSettings,
 };
@@ -0,0 +1,67 @@
+/**
+ * IntegrityRoot Model
+ * Signed record of which todos (and which version of each) a user should have
+ *
+ * Security features:
+ * - One document per user listing every todo ID and its current version
+ * - Merkle root over those entries, signed with an HMAC under INTEGRITY_KEY
+ * - Sequence number incremented on every change (also covered by the signature)
+ * - Lets a read detect todos deleted, injected or rolled back directly in the
+ *   database, which per-item checks can't see
+ * - Also records how many revisions (history entries) each todo has, so
+ *   deleted history is detected too
+ *
+ * See utils/integrityRoot.js
+ */
+
+const mongoose = require('mongoose');
+
+const entrySchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  // Number of stored revisions of the todo (unset if it has none)
+  revisions: {
+    type: Number,
+  },
+}, { _id: false });
+
+const integrityRootSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  // Expected todo set, sorted by todoId
+  entries: {
+    type: [entrySchema],
+    default: [],
+  },
+  // Merkle root over the entries (hex)
+  root: {
+    type: String,
+    required: true,
+  },
+  // Incremented on every change, used for optimistic concurrency
+  sequence: {
+    type: Number,
+    required: true,
+  },
+  // HMAC-SHA256 over userId, sequence, entry count and root (hex)
+  signature: {
+    type: String,
+    required: true,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('IntegrityRoot', integrityRootSchema);
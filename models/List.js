@@ -0,0 +1,76 @@
+/**
+ * List Model
+ * A user's todo lists (projects)
+ *
+ * Security features:
+ * - The name is encrypted with AES-256-GCM under the owner's data key and
+ *   bound to userId/list ID via GCM associated data
+ * - Color and position stay in the clear for display and ordering but are
+ *   covered by an HMAC tag together with the name ciphertext
+ *   (see utils/listCipher.js)
+ * - Todos reference their list by ID; todos without a list are in the inbox
+ */
+
+const mongoose = require('mongoose');
+
+const listSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Encrypted name (base64 string)
+  encryptedName: {
+    type: String,
+    required: true,
+  },
+  // Initialization Vector for AES-GCM (base64 string)
+  iv: {
+    type: String,
+    required: true,
+  },
+  // Authentication tag from AES-GCM (base64 string)
+  authTag: {
+    type: String,
+    required: true,
+  },
+  // ID of the key the name was encrypted with
+  keyId: {
+    type: String,
+    required: true,
+  },
+  // Display color (#rrggbb)
+  color: {
+    type: String,
+    default: '#4f46e5',
+  },
+  // Sort position in the sidebar (ascending)
+  position: {
+    type: Number,
+    default: 0,
+  },
+  // HMAC tag over the name ciphertext, color, position and record binding (hex string)
+  integrityHash: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+listSchema.index({ userId: 1, position: 1 });
+
+// Update the updatedAt timestamp on save
+listSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('List', listSchema);
@@ -0,0 +1,63 @@
+/**
+ * List Share Model
+ * Grants another user access to a todo list
+ *
+ * Security features:
+ * - One grant per list and recipient, with view or edit permission
+ * - The grant (list, owner, recipient and permission) is covered by an HMAC
+ *   tag, so a grant injected or escalated directly in the database is
+ *   ignored (see utils/listAccess.js)
+ * - Shared todos stay encrypted under the owner's data key; the server
+ *   decrypts them for recipients after checking the grant
+ */
+
+const mongoose = require('mongoose');
+
+const listShareSchema = new mongoose.Schema({
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    required: true,
+  },
+  // Owner of the list (who granted access)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Recipient of the grant
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  permission: {
+    type: String,
+    enum: ['view', 'edit'],
+    required: true,
+  },
+  // HMAC tag over the list, owner, recipient and permission (hex string)
+  integrityHash: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+listShareSchema.index({ listId: 1, userId: 1 }, { unique: true });
+
+// Update the updatedAt timestamp on save
+listShareSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ListShare', listShareSchema);
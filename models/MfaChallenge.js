@@ -0,0 +1,46 @@
+/**
+ * MFA Challenge Model
+ * Codes tried for one two-factor login step (one mfaToken)
+ *
+ * Security features:
+ * - Keyed by the token's jti; each code sent is counted before it is
+ *   checked, and the token is refused after a few wrong ones (utils/mfa.js)
+ * - A completed challenge can't be used for another login
+ * - Records expire with their token (TTL index)
+ */
+
+const mongoose = require('mongoose');
+
+const mfaChallengeSchema = new mongoose.Schema({
+  // jti of the challenge token
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Codes sent with this token so far
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Set when a code was accepted
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  // When the token expires
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB deletes challenges once their token has expired
+mfaChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MfaChallenge', mfaChallengeSchema);
@@ -0,0 +1,90 @@
+/**
+ * Notification Model
+ * A due-date or reminder notification for a todo, and its delivery state
+ *
+ * - One notification per todo, kind and time (unique index), created by the
+ *   scheduler before anything is sent, so a notification is never sent twice,
+ *   also across restarts or with several server processes
+ * - Each transport (see utils/notifications.js) is removed from `pending` as
+ *   soon as it has delivered, so a retry only sends what is still missing
+ * - Holds no todo content: the inbox decrypts it when it is read, and emails
+ *   don't carry it at all
+ */
+
+const mongoose = require('mongoose');
+
+const deliverySchema = new mongoose.Schema({
+  transport: { type: String, required: true },
+  deliveredAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  // Owner of the todo, who is notified
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true,
+  },
+  // "due" at the todo's due date, "reminder" at its reminder time
+  kind: {
+    type: String,
+    enum: ['due', 'reminder'],
+    required: true,
+  },
+  // The due date or reminder time the notification is for
+  scheduledFor: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'cancelled'],
+    default: 'pending',
+  },
+  // Transports that still have to deliver it
+  pending: {
+    type: [String],
+    default: [],
+  },
+  deliveries: {
+    type: [deliverySchema],
+    default: [],
+  },
+  // Failed delivery attempts and the last error
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastError: {
+    type: String,
+  },
+  // When the scheduler next tries to deliver it (after quiet hours, or
+  // after a failure)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set when the user read it in the inbox
+  readAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One notification per todo, kind and time
+notificationSchema.index({ todoId: 1, kind: 1, scheduledFor: 1 }, { unique: true });
+// Lets the scheduler find notifications waiting for delivery
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+// Inbox, newest first
+notificationSchema.index({ userId: 1, 'deliveries.transport': 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
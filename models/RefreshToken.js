@@ -0,0 +1,60 @@
+/**
+ * Refresh Token Model
+ * A refresh token issued to a user, stored as a hash
+ *
+ * Security features:
+ * - Only the SHA-256 hash of the token is stored, so a database leak doesn't
+ *   hand out working tokens
+ * - Every token belongs to a family: the chain of tokens that started with
+ *   one login. Each refresh marks the token as rotated and issues the next
+ *   one in the same family (see utils/refreshTokens.js)
+ * - A rotated token presented again means it was copied; the whole family is
+ *   revoked, which logs out both the thief and the user
+ * - Expired tokens are removed by a TTL index
+ */
+
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Random ID shared by all tokens descended from the same login
+  familyId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // SHA-256 of the token (hex string)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set when the token was exchanged for the next one in its family
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set on logout or when reuse of the family was detected
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// MongoDB deletes tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
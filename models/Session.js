@@ -0,0 +1,62 @@
+/**
+ * Session Model
+ * One login (password or Google) on one device, listed so users can see
+ * where they are logged in and end sessions remotely
+ *
+ * Security features:
+ * - Access tokens carry their session's ID and are refused once the session
+ *   is revoked (middleware/auth.js)
+ * - The session's ID is also the family ID of its refresh tokens, so
+ *   revoking the session revokes them too (utils/sessions.js)
+ * - Sessions are removed by a TTL index once their last token has expired
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // How the user logged in
+  method: {
+    type: String,
+    enum: ['password', 'google', 'webauthn'],
+    required: true,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  // Address the login came from
+  ip: {
+    type: String,
+    default: '',
+  },
+  // Last authenticated request (updated at most once a minute)
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // When the session's longest-lived token expires
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set on logout or when the session was ended from another device
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// MongoDB deletes sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -6,12 +6,38 @@
  * - Content is encrypted with AES-256-GCM
  * - Each encryption uses a unique random IV (Initialization Vector)
  * - Auth tag from GCM mode ensures authenticity
- * - SHA-256 integrity hash of plaintext stored to detect tampering
+ * - The ID of the key used is stored so keys can be rotated
+ * - Ciphertext is bound to owner, record ID and version (GCM associated data)
+ * - HMAC-SHA256 integrity tag of plaintext stored to detect tampering
+ * - Optional end-to-end mode: content encrypted in the browser, stored as an
+ *   opaque blob the server can't decrypt (integrity tag covers the blob instead)
+ * - Tags are encrypted like the content; completion, due date, reminder time
+ *   and priority stay in the clear for filtering but are covered by an HMAC tag
+ *   (see utils/todoFields.js)
+ * - Deleted todos stay in the trash until purged; the purge overwrites the
+ *   ciphertext before removing the record
+ * - Recurring todos carry their RRULE schedule in the clear, covered by the
+ *   same HMAC tag as the other structured fields
  * - All encrypted data stored as base64 strings
  */
 
 const mongoose = require('mongoose');
 
+// AES-GCM blob of a JSON array of tags (base64 fields)
+const encryptedTagsSchema = new mongoose.Schema({
+  encryptedContent: { type: String, required: true },
+  iv: { type: String, required: true },
+  authTag: { type: String, required: true },
+}, { _id: false });
+
+// Repeat schedule: iCalendar RRULE, IANA time zone and the series start
+// (see utils/recurrence.js)
+const recurrenceSchema = new mongoose.Schema({
+  rule: { type: String, required: true },
+  timeZone: { type: String, required: true },
+  start: { type: Date, required: true },
+}, { _id: false });
+
 const todoSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -36,12 +62,109 @@ const todoSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
-  // SHA-256 hash of the original plaintext content (hex string)
+  // ID of the AES key (from the keyring) the content was encrypted with
+  // Records created before key versioning have no keyId and use "v1";
+  // client-encrypted records use "client"
+  keyId: {
+    type: String,
+    default: 'v1',
+    index: true, // Lets the re-encryption job find records on old keys
+  },
+  // Integrity tag of the original plaintext content (hex string)
   // Used to verify integrity after decryption
+  // For client-encrypted records it covers the ciphertext blob instead
   integrityHash: {
     type: String,
     required: true,
   },
+  // Scheme the integrity tag was computed with (see utils/hash.js)
+  // Records created before HMAC tags have no scheme and use legacy "sha256"
+  integrityScheme: {
+    type: String,
+    enum: ['sha256', 'hmac-sha256'],
+    default: 'sha256',
+  },
+  // Incremented on every content change
+  // Part of the GCM associated data, so old ciphertext can't be restored alone
+  version: {
+    type: Number,
+    default: 1,
+  },
+  // Who encrypted the content:
+  // - server: encrypted by the server with the owner's data key
+  // - client: encrypted in the browser with a key derived from the user's
+  //   passphrase; the server stores it as-is and never decrypts it
+  encryptionMode: {
+    type: String,
+    enum: ['server', 'client'],
+    default: 'server',
+  },
+  // True if the ciphertext is bound to userId/_id/version via GCM associated data
+  // (see utils/todoCipher.js); records written before binding are false
+  aadBound: {
+    type: Boolean,
+    default: false,
+  },
+  // Structured fields, in the clear so the database can filter on them
+  completed: {
+    type: Boolean,
+    default: false,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  // When to send a reminder, besides the one at the due date
+  // (see utils/notifications.js)
+  reminderAt: {
+    type: Date,
+    default: null,
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium',
+  },
+  // Encrypted tags, same encryption mode as the content (null if none)
+  encryptedTags: {
+    type: encryptedTagsSchema,
+    default: null,
+  },
+  // HMAC tag over the structured fields and the record binding (hex string)
+  // Records from before structured fields have none
+  metadataHash: {
+    type: String,
+  },
+  // List (project) the todo belongs to; null for the inbox
+  // (covered by the metadata tag)
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null,
+  },
+  // Parent todo for subtasks; null for top-level todos
+  // (covered by the metadata tag, see utils/subtasks.js)
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null,
+  },
+  // Repeat schedule; completing the todo creates the next occurrence
+  // (covered by the metadata tag)
+  recurrence: {
+    type: recurrenceSchema,
+    default: null,
+  },
+  // Set when the todo is moved to the trash (covered by the metadata tag);
+  // purged for good after the retention period (see utils/trash.js)
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -52,8 +175,17 @@ const todoSchema = new mongoose.Schema({
   },
 });
 
-// Compound index for efficient queries
-todoSchema.index({ userId: 1, createdAt: -1 });
+// Compound indexes for efficient queries
+// (_id breaks ties between equal timestamps for cursor pagination)
+todoSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+todoSchema.index({ userId: 1, updatedAt: -1, _id: -1 });
+todoSchema.index({ userId: 1, completed: 1, dueDate: 1 });
+todoSchema.index({ userId: 1, listId: 1, createdAt: -1, _id: -1 });
+todoSchema.index({ userId: 1, parentId: 1 });
+todoSchema.index({ deletedAt: 1 }); // Lets the purge job find expired trash
+// Let the notification scheduler find todos coming due
+todoSchema.index({ dueDate: 1 });
+todoSchema.index({ reminderAt: 1 });
 
 // Update the updatedAt timestamp on save
 todoSchema.pre('save', function (next) {
@@ -0,0 +1,140 @@
+/**
+ * TodoRevision Model
+ * Earlier versions of a todo, kept when the todo is updated
+ *
+ * Security features:
+ * - Stores the previous encrypted state exactly as it was: ciphertext, IV,
+ *   auth tag, keyId and integrity tag are copied, never decrypted to store
+ * - The ciphertext stays bound to userId, todo ID and version through GCM
+ *   associated data, so a revision can't be moved to another todo or version
+ * - The number of revisions per todo is recorded in the signed integrity
+ *   root, so deleted history is detected (see utils/integrityRoot.js)
+ */
+
+const mongoose = require('mongoose');
+
+// Same as the todo's encrypted tags (see models/Todo.js)
+const encryptedTagsSchema = new mongoose.Schema({
+  encryptedContent: { type: String, required: true },
+  iv: { type: String, required: true },
+  authTag: { type: String, required: true },
+}, { _id: false });
+
+const recurrenceSchema = new mongoose.Schema({
+  rule: { type: String, required: true },
+  timeZone: { type: String, required: true },
+  start: { type: Date, required: true },
+}, { _id: false });
+
+const todoRevisionSchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Version of the todo this revision holds
+  version: {
+    type: Number,
+    required: true,
+  },
+  // Encrypted fields as stored on the todo at that version (see models/Todo.js)
+  encryptedContent: {
+    type: String,
+    required: true,
+  },
+  iv: {
+    type: String,
+    required: true,
+  },
+  authTag: {
+    type: String,
+    required: true,
+  },
+  keyId: {
+    type: String,
+    default: 'v1',
+    index: true,
+  },
+  integrityHash: {
+    type: String,
+    required: true,
+  },
+  integrityScheme: {
+    type: String,
+    enum: ['sha256', 'hmac-sha256'],
+    default: 'sha256',
+  },
+  aadBound: {
+    type: Boolean,
+    default: false,
+  },
+  encryptionMode: {
+    type: String,
+    enum: ['server', 'client'],
+    default: 'server',
+  },
+  // Structured fields and their tag as stored on the todo at that version
+  completed: {
+    type: Boolean,
+    default: false,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  reminderAt: {
+    type: Date,
+    default: null,
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium',
+  },
+  encryptedTags: {
+    type: encryptedTagsSchema,
+    default: null,
+  },
+  metadataHash: {
+    type: String,
+  },
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null,
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null,
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null,
+  },
+  // When this version was written (the todo's updatedAt at the time)
+  createdAt: {
+    type: Date,
+    required: true,
+  },
+  // When it was replaced by a newer version
+  archivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One revision per todo version
+todoRevisionSchema.index({ todoId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('TodoRevision', todoRevisionSchema);
@@ -3,10 +3,97 @@
  * Stores user authentication information
  * - Supports both traditional email/password and Google OAuth
  * - Passwords are hashed with bcrypt (12 rounds)
+ * - Each user has a data key (wrapped by the master key) for their content
  */
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { generateDataKey, wrapKey } = require('../utils/crypto');
+
+/**
+ * Per-user data-encryption key, wrapped by a master key from the keyring
+ * The raw key is never stored; see utils/dataKeys.js
+ */
+const wrappedKeySchema = new mongoose.Schema({
+  wrappedKey: { type: String, required: true },
+  iv: { type: String, required: true },
+  authTag: { type: String, required: true },
+  keyId: { type: String, required: true }, // Master key that wrapped it
+  createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+/**
+ * End-to-end encryption settings (opt-in)
+ * Only what the browser needs to re-derive its key from the passphrase;
+ * the passphrase and the derived key never reach the server
+ */
+const e2eSettingsSchema = new mongoose.Schema({
+  salt: { type: String, required: true }, // PBKDF2 salt (base64)
+  iterations: { type: Number, required: true }, // PBKDF2 iteration count
+  // Known value encrypted with the derived key, lets the browser check the passphrase
+  keyCheck: {
+    encryptedContent: { type: String, required: true },
+    iv: { type: String, required: true },
+    authTag: { type: String, required: true },
+  },
+  enabledAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+/**
+ * Notification settings (see utils/notifications.js)
+ * Quiet hours are local times ("HH:MM") in the user's time zone; email
+ * waits until they end, the in-app inbox doesn't
+ */
+const quietHoursSchema = new mongoose.Schema({
+  start: { type: String, required: true },
+  end: { type: String, required: true },
+}, { _id: false });
+
+const notificationSettingsSchema = new mongoose.Schema({
+  email: { type: Boolean, default: false }, // Opt-in
+  quietHours: { type: quietHoursSchema, default: null },
+  timeZone: { type: String, default: 'UTC' }, // IANA time zone
+}, { _id: false });
+
+/**
+ * Two-factor authentication (TOTP, see utils/mfa.js)
+ * The secret is encrypted with the master key and bound to the user ID;
+ * recovery codes are stored as SHA-256 hashes and can each be used once
+ */
+const recoveryCodeSchema = new mongoose.Schema({
+  hash: { type: String, required: true }, // SHA-256 of the code (hex)
+  usedAt: { type: Date, default: null },
+}, { _id: false });
+
+const mfaSchema = new mongoose.Schema({
+  secret: {
+    encryptedContent: { type: String, required: true },
+    iv: { type: String, required: true },
+    authTag: { type: String, required: true },
+    keyId: { type: String, required: true },
+  },
+  // Null until the user confirmed the setup with a code
+  enabledAt: { type: Date, default: null },
+  // Time step of the last accepted code, so no code works twice
+  lastUsedStep: { type: Number, default: null },
+  recoveryCodes: { type: [recoveryCodeSchema], default: [] },
+}, { _id: false });
+
+/**
+ * Passkey (WebAuthn credential, see utils/webauthn.js)
+ * Only the public key is stored; the signature counter detects cloned
+ * authenticators
+ */
+const webauthnCredentialSchema = new mongoose.Schema({
+  credentialId: { type: String, required: true }, // base64url
+  publicKey: { type: String, required: true }, // SPKI DER (base64)
+  algorithm: { type: Number, required: true }, // COSE algorithm, e.g. -7 (ES256)
+  signCount: { type: Number, default: 0 },
+  transports: { type: [String], default: [] }, // Hints for the browser, e.g. "internal"
+  name: { type: String, default: 'Passkey' },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null },
+});
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -33,13 +120,64 @@ const userSchema = new mongoose.Schema({
     // Only set for users who sign up via Google OAuth
     sparse: true, // Allows multiple null values but unique non-null values
   },
+  // Wrapped data key used to encrypt this user's todos
+  dataKey: {
+    type: wrappedKeySchema,
+  },
+  // Set when the data key was destroyed (crypto-shredding)
+  // The user's encrypted content can never be decrypted again
+  dataKeyShreddedAt: {
+    type: Date,
+  },
+  // End-to-end encryption settings, set when the user opts in
+  e2e: {
+    type: e2eSettingsSchema,
+  },
+  // Set when the user's signed todo integrity root was first created
+  // A missing root after this point means it was deleted (utils/integrityRoot.js)
+  integrityRootCreatedAt: {
+    type: Date,
+  },
+  // Due-date and reminder notifications; defaults apply while unset
+  notifications: {
+    type: notificationSettingsSchema,
+  },
+  // Two-factor authentication for password logins, set when the user enrolls
+  mfa: {
+    type: mfaSchema,
+  },
+  // Passkeys the user can sign in with
+  webauthnCredentials: {
+    type: [webauthnCredentialSchema],
+    default: [],
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
-// Indexes are defined in schema fields (unique: true, sparse: true)
+// Indexes are defined in schema fields (unique: true, sparse: true), except:
+// a passkey belongs to one user, and sign-in looks users up by it
+userSchema.index(
+  { 'webauthnCredentials.credentialId': 1 },
+  { unique: true, partialFilterExpression: { 'webauthnCredentials.credentialId': { $exists: true } } }
+);
+
+/**
+ * Give every new user their own data key
+ * Existing users get one lazily on first use (utils/dataKeys.js)
+ */
+userSchema.pre('save', async function (next) {
+  if (this.isNew && !this.dataKey) {
+    try {
+      this.dataKey = await wrapKey(generateDataKey());
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
 
 /**
  * Hash password before saving
@@ -79,6 +217,9 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.passwordHash;
+  delete obj.dataKey;
+  delete obj.mfa;
+  delete obj.webauthnCredentials;
   delete obj.__v;
   return obj;
 };
@@ -0,0 +1,42 @@
+/**
+ * WebAuthn Challenge Model
+ * A random challenge handed to the browser for one passkey ceremony
+ *
+ * Security features:
+ * - Each challenge is deleted in the same operation that finds it, so a
+ *   signed response can't be replayed (utils/webauthn.js)
+ * - Registration challenges are bound to the user who asked for them
+ * - Challenges expire after a few minutes (TTL index)
+ */
+
+const mongoose = require('mongoose');
+
+const webAuthnChallengeSchema = new mongoose.Schema({
+  // Random challenge (base64url)
+  challenge: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // "registration" (adding a passkey) or "authentication" (signing in)
+  type: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true,
+  },
+  // User adding a passkey; sign-in challenges aren't bound to a user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB deletes challenges once they have expired
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
@@ -7,6 +7,8 @@
  * - Also sends token in Authorization header as fallback
  * - Input validation on client-side (but server validates too)
  * - Error messages are escaped
+ * - Optional end-to-end encryption: todos encrypted in the browser with a key
+ *   derived from a passphrase (WebCrypto PBKDF2 + AES-GCM) that never leaves it
  */
 
 // ============================================
@@ -15,7 +17,27 @@
 
 let currentUser = null;
 let todos = [];
+let allTodos = []; // Todos from the server before the (browser-side) tag filter
+let nextCursor = null; // Cursor of the next page of todos (null when all are loaded)
+let totalTodos = 0; // Number of todos matching the server-side filters
+let listGeneration = 0; // Bumped when the list is reloaded, so stale pages are dropped
+let isLoadingMore = false;
 let editingTodoId = null;
+let editingTodoETag = null; // Version of the todo the edit form was opened with
+let editConflict = null; // Unsaved edit and the current todo while the conflict dialog is open
+let lists = []; // The user's todo lists, in sidebar order
+let sharedLists = []; // Lists other users shared with this user
+let currentListId = 'all'; // Selected in the sidebar: 'all', 'inbox' or a list ID
+let sharingListId = null; // List whose share dialog is open
+let historyTodoId = null; // Todo whose revision history is open
+let collapsedTodos = new Set(); // Todos whose subtask checklist is collapsed
+let e2eSettings = null; // End-to-end encryption settings from the server
+let e2eKey = null; // Key derived from the passphrase, kept in memory only
+let notificationTimer = null; // Polls the unread notification count while logged in
+let eventSource = null; // Stream of changes made in other tabs and on other devices
+let mfaLoginToken = null; // Challenge between the password and the code step of a login
+let remoteRefreshTimer = null; // Batches reloads caused by those changes
+let remoteRefreshTodos = false; // Whether the pending reload includes the todo list
 
 // Check if user is already logged in (cookie exists)
 window.addEventListener('DOMContentLoaded', () => {
@@ -31,7 +53,7 @@ window.addEventListener('DOMContentLoaded', () => {
 async function checkAuthStatus() {
   try {
     // Try to fetch todos to check if we're authenticated
-    const response = await fetch('/api/todos', {
+    const response = await fetch(`/api/todos${buildTodoQuery()}`, {
       credentials: 'include', // Send cookies
     });
 
@@ -39,7 +61,9 @@ async function checkAuthStatus() {
       // User is authenticated
       const data = await response.json();
       showAppView();
-      displayTodos(data.todos);
+      await loadE2ESettings();
+      await loadLists();
+      await applyTodoPage(data, false);
     } else {
       // Not authenticated, show login
       showLoginView();
@@ -60,7 +84,7 @@ function handleOAuthCallback() {
   if (urlParams.get('login') === 'success') {
     // Google OAuth successful
     showAppView();
-    loadTodos();
+    loadE2ESettings().then(loadTodos);
     // Clean URL
     window.history.replaceState({}, document.title, '/');
   }
@@ -80,6 +104,11 @@ function handleOAuthCallback() {
 function setupEventListeners() {
   // Auth form submissions
   document.getElementById('login-form').addEventListener('submit', handleLogin);
+  document.getElementById('mfa-login-form').addEventListener('submit', handleMfaLogin);
+  document.getElementById('mfa-login-cancel').addEventListener('click', (e) => {
+    e.preventDefault();
+    resetMfaLoginStep();
+  });
   document.getElementById('register-form').addEventListener('submit', handleRegister);
   
   // View switching
@@ -102,14 +131,89 @@ function setupEventListeners() {
     window.location.href = '/api/auth/google';
   });
   
+  // Passkey sign-in, where the browser supports it
+  if (isPasskeySupported()) {
+    document.getElementById('passkey-login-btn').style.display = '';
+  }
+  document.getElementById('passkey-login-btn').addEventListener('click', handlePasskeyLogin);
+  
   // Todo operations
   document.getElementById('todo-form').addEventListener('submit', handleAddTodo);
+  ['todo', 'edit'].forEach(prefix => {
+    document.getElementById(`${prefix}-repeat`).addEventListener('change', () => updateRepeatFields(prefix));
+  });
+  
+  // Filters
+  ['filter-status', 'filter-priority', 'filter-due-before', 'filter-created-after', 'filter-sort'].forEach(id => {
+    document.getElementById(id).addEventListener('change', loadTodos);
+  });
+  document.getElementById('filter-tag').addEventListener('input', () => displayTodos(allTodos));
+  
+  // Infinite scroll: load the next page when the end of the list comes into view
+  new IntersectionObserver(entries => {
+    if (entries[0].isIntersecting) {
+      loadMoreTodos();
+    }
+  }, { rootMargin: '200px' }).observe(document.getElementById('todo-list-end'));
   document.getElementById('logout-btn').addEventListener('click', handleLogout);
   
+  // Lists sidebar
+  document.getElementById('list-form').addEventListener('submit', handleCreateList);
+  
+  // List sharing modal
+  document.getElementById('close-share').addEventListener('click', closeShareModal);
+  document.getElementById('share-form').addEventListener('submit', handleShareSubmit);
+  
   // Edit modal
   document.getElementById('close-modal').addEventListener('click', closeEditModal);
   document.getElementById('cancel-edit').addEventListener('click', closeEditModal);
   document.getElementById('edit-form').addEventListener('submit', handleEditSubmit);
+  
+  // Edit conflict modal
+  document.getElementById('close-conflict').addEventListener('click', handleConflictBack);
+  document.getElementById('conflict-back').addEventListener('click', handleConflictBack);
+  document.getElementById('conflict-use-current').addEventListener('click', handleConflictUseCurrent);
+  document.getElementById('conflict-keep-mine').addEventListener('click', handleConflictKeepMine);
+  
+  // Revision history modal
+  document.getElementById('close-history').addEventListener('click', closeHistoryModal);
+  
+  // Trash modal
+  document.getElementById('trash-btn').addEventListener('click', openTrashModal);
+  document.getElementById('close-trash').addEventListener('click', closeTrashModal);
+  document.getElementById('empty-trash-btn').addEventListener('click', handleEmptyTrash);
+  
+  // Notifications modal
+  document.getElementById('notifications-btn').addEventListener('click', openNotificationsModal);
+  document.getElementById('close-notifications').addEventListener('click', closeNotificationsModal);
+  document.getElementById('mark-all-read-btn').addEventListener('click', markAllNotificationsRead);
+  document.getElementById('notification-settings-form').addEventListener('submit', handleNotificationSettingsSubmit);
+  
+  // End-to-end encryption
+  document.getElementById('e2e-form').addEventListener('submit', handleE2ESubmit);
+  document.getElementById('e2e-lock-btn').addEventListener('click', lockE2E);
+  
+  // Backup export/import
+  document.getElementById('export-form').addEventListener('submit', handleExport);
+  document.getElementById('import-form').addEventListener('submit', handleImport);
+  
+  // Two-factor authentication
+  document.getElementById('mfa-panel').addEventListener('toggle', (e) => {
+    if (e.target.open) {
+      loadMfaStatus();
+    }
+  });
+  document.getElementById('mfa-setup-btn').addEventListener('click', handleMfaSetup);
+  document.getElementById('mfa-enable-form').addEventListener('submit', handleMfaEnable);
+  document.getElementById('mfa-disable-form').addEventListener('submit', handleMfaDisable);
+  
+  // Passkeys
+  document.getElementById('passkey-panel').addEventListener('toggle', (e) => {
+    if (e.target.open) {
+      loadPasskeys();
+    }
+  });
+  document.getElementById('passkey-add-form').addEventListener('submit', handlePasskeyAdd);
 }
 
 // ============================================
@@ -120,6 +224,7 @@ function showLoginView() {
   document.getElementById('login-view').style.display = 'block';
   document.getElementById('register-view').style.display = 'none';
   document.getElementById('app-view').style.display = 'none';
+  resetMfaLoginStep();
   clearError('login-error');
 }
 
@@ -134,6 +239,9 @@ function showAppView() {
   document.getElementById('login-view').style.display = 'none';
   document.getElementById('register-view').style.display = 'none';
   document.getElementById('app-view').style.display = 'block';
+  startNotificationPolling();
+  startEventStream();
+  checkTodoIntegrity();
 }
 
 // ============================================
@@ -172,7 +280,7 @@ async function handleRegister(e) {
     currentUser = data.user;
     form.reset();
     showAppView();
-    loadTodos();
+    loadE2ESettings().then(loadTodos);
   } catch (error) {
     showError('register-error', error.message);
   } finally {
@@ -207,11 +315,18 @@ async function handleLogin(e) {
       throw new Error(data.error || 'Login failed');
     }
     
+    // Two-factor authentication: ask for the code next
+    if (data.mfaRequired) {
+      form.reset();
+      showMfaLoginStep(data.mfaToken);
+      return;
+    }
+    
     // Success
     currentUser = data.user;
     form.reset();
     showAppView();
-    loadTodos();
+    loadE2ESettings().then(loadTodos);
   } catch (error) {
     showError('login-error', error.message);
   } finally {
@@ -219,6 +334,63 @@ async function handleLogin(e) {
   }
 }
 
+/**
+ * Switch the login card to the code step
+ * @param {string} token - MFA challenge token from the password step
+ */
+function showMfaLoginStep(token) {
+  mfaLoginToken = token;
+  document.getElementById('login-form').style.display = 'none';
+  document.getElementById('mfa-login-form').style.display = '';
+  clearError('mfa-login-error');
+  document.getElementById('mfa-login-code').focus();
+}
+
+/**
+ * Back to the password step (also after the challenge expired)
+ */
+function resetMfaLoginStep() {
+  mfaLoginToken = null;
+  document.getElementById('mfa-login-form').reset();
+  document.getElementById('mfa-login-form').style.display = 'none';
+  document.getElementById('login-form').style.display = '';
+  clearError('mfa-login-error');
+}
+
+async function handleMfaLogin(e) {
+  e.preventDefault();
+  clearError('mfa-login-error');
+  
+  const form = e.target;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  setLoading(submitBtn, true);
+  
+  try {
+    const response = await fetch('/api/auth/login/mfa', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mfaToken: mfaLoginToken, code: form.code.value.trim() }),
+      credentials: 'include',
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Login failed');
+    }
+    
+    // Success
+    currentUser = data.user;
+    resetMfaLoginStep();
+    showAppView();
+    loadE2ESettings().then(loadTodos);
+  } catch (error) {
+    showError('mfa-login-error', error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
 async function handleLogout() {
   try {
     await fetch('/api/auth/logout', {
@@ -229,9 +401,28 @@ async function handleLogout() {
     console.error('Logout error:', error);
   }
   
-  // Clear state
+  // Clear state (including the end-to-end key)
   currentUser = null;
   todos = [];
+  allTodos = [];
+  nextCursor = null;
+  totalTodos = 0;
+  listGeneration++;
+  lists = [];
+  sharedLists = [];
+  currentListId = 'all';
+  e2eSettings = null;
+  e2eKey = null;
+  clearInterval(notificationTimer);
+  notificationTimer = null;
+  updateNotificationCount(0);
+  stopEventStream();
+  resetMfaPanel();
+  resetPasskeyPanel();
+  document.getElementById('backup-result').textContent = '';
+  document.getElementById('todo-section-title').textContent = 'My Todos';
+  document.getElementById('todo-form').style.display = '';
+  document.getElementById('view-only-note').style.display = 'none';
   
   // Show login view
   showLoginView();
@@ -244,9 +435,13 @@ async function handleLogout() {
 async function loadTodos() {
   const loadingEl = document.getElementById('loading');
   loadingEl.style.display = 'block';
+  const generation = ++listGeneration;
+  
+  // Open todo counts in the sidebar may have changed too
+  loadLists();
   
   try {
-    const response = await fetch('/api/todos', {
+    const response = await fetch(`/api/todos${buildTodoQuery()}`, {
       credentials: 'include',
     });
     
@@ -260,7 +455,9 @@ async function loadTodos() {
     }
     
     const data = await response.json();
-    displayTodos(data.todos);
+    if (generation === listGeneration) {
+      await applyTodoPage(data, false);
+    }
   } catch (error) {
     console.error('Load todos error:', error);
     showError('todo-error', 'Failed to load todos');
@@ -269,6 +466,67 @@ async function loadTodos() {
   }
 }
 
+/**
+ * Load the next page of todos (infinite scroll)
+ */
+async function loadMoreTodos() {
+  if (!nextCursor || isLoadingMore) {
+    return;
+  }
+  
+  const loadingEl = document.getElementById('loading-more');
+  const generation = listGeneration;
+  isLoadingMore = true;
+  loadingEl.style.display = 'block';
+  
+  try {
+    const response = await fetch(`/api/todos${buildTodoQuery(nextCursor)}`, {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      if (response.status === 401) {
+        showLoginView();
+        return;
+      }
+      throw new Error('Failed to load more todos');
+    }
+    
+    const data = await response.json();
+    // Drop the page if the list was reloaded (e.g. filters changed) meanwhile
+    if (generation === listGeneration) {
+      await applyTodoPage(data, true);
+    }
+  } catch (error) {
+    console.error('Load more todos error:', error);
+    showError('todo-error', 'Failed to load more todos');
+  } finally {
+    isLoadingMore = false;
+    loadingEl.style.display = 'none';
+  }
+}
+
+/**
+ * Show a page of todos from the server
+ * @param {Object} data - GET /api/todos response
+ * @param {boolean} append - Add to the loaded todos instead of replacing them
+ */
+async function applyTodoPage(data, append) {
+  const page = await decryptClientTodos(data.todos);
+  allTodos = append ? allTodos.concat(page) : page;
+  nextCursor = data.nextCursor;
+  totalTodos = data.total;
+  displayTodos(allTodos);
+  
+  // The observer only fires on changes, so keep going while the end of a
+  // short (or tag-filtered) list is still in view
+  const listEnd = document.getElementById('todo-list-end');
+  if (nextCursor && listEnd.offsetParent !== null
+      && listEnd.getBoundingClientRect().top < window.innerHeight + 200) {
+    setTimeout(loadMoreTodos, 0);
+  }
+}
+
 async function handleAddTodo(e) {
   e.preventDefault();
   clearError('todo-error');
@@ -282,6 +540,17 @@ async function handleAddTodo(e) {
     return;
   }
   
+  const fields = readTodoFields('todo');
+  if (fields.recurrence && !fields.dueDate) {
+    showError('todo-error', 'Repeating todos need a due date');
+    return;
+  }
+  
+  const shared = sharedLists.some(list => list.id === fields.listId);
+  if (shared && !confirmSharedEncryption()) {
+    return;
+  }
+  
   setLoading(submitBtn, true);
   
   try {
@@ -289,7 +558,7 @@ async function handleAddTodo(e) {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ content }),
+      body: JSON.stringify(await buildTodoBody(content, fields, { shared })),
     });
     
     const data = await response.json();
@@ -300,6 +569,8 @@ async function handleAddTodo(e) {
     
     // Success
     form.reset();
+    updateRepeatFields('todo');
+    renderListOptions();
     loadTodos(); // Reload list
   } catch (error) {
     showError('todo-error', error.message);
@@ -308,8 +579,53 @@ async function handleAddTodo(e) {
   }
 }
 
+/**
+ * Add a subtask from the field under a todo's checklist
+ * It goes into the parent's list, so only the content is sent.
+ */
+async function handleAddSubtask(e, parent) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  const content = form.content.value.trim();
+  
+  if (!content) {
+    return;
+  }
+  
+  const shared = Boolean(getCurrentSharedList());
+  if (shared && !confirmSharedEncryption()) {
+    return;
+  }
+  
+  setLoading(submitBtn, true);
+  
+  try {
+    const response = await fetch('/api/todos', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ ...await buildTodoBody(content, {}, { shared }), parentId: parent.id }),
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to add subtask');
+    }
+    
+    collapsedTodos.delete(parent.id);
+    loadTodos(); // Reload list
+  } catch (error) {
+    alert(error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
 async function handleDeleteTodo(todoId) {
-  if (!confirm('Are you sure you want to delete this todo?')) {
+  if (!confirm('Move this todo to the trash?')) {
     return;
   }
   
@@ -332,13 +648,37 @@ async function handleDeleteTodo(todoId) {
 
 function openEditModal(todo) {
   editingTodoId = todo.id;
+  editingTodoETag = todo.etag || null;
   document.getElementById('edit-content').value = todo.content;
+  document.getElementById('edit-due').value = toDateInputValue(todo.dueDate);
+  document.getElementById('edit-reminder').value = toDateTimeInputValue(todo.reminderAt);
+  document.getElementById('edit-priority').value = todo.priority || 'medium';
+  document.getElementById('edit-tags').value = (todo.tags || []).join(', ');
+  
+  // A rule the presets don't cover is shown as custom; the schedule keeps its
+  // time zone while it is edited
+  const repeatSelect = document.getElementById('edit-repeat');
+  const rule = todo.recurrence ? todo.recurrence.rule : '';
+  const isPreset = Array.from(repeatSelect.options).some(option => option.value === rule);
+  repeatSelect.value = isPreset ? rule : 'custom';
+  repeatSelect.dataset.timeZone = todo.recurrence ? todo.recurrence.timeZone : '';
+  document.getElementById('edit-rrule').value = isPreset ? '' : rule;
+  updateRepeatFields('edit');
+  repeatSelect.closest('label').style.display = todo.parentId ? 'none' : ''; // Subtasks can't repeat
+  
+  // Todos in a shared list stay in that list, subtasks in their parent's
+  const listSelect = document.getElementById('edit-list-select');
+  listSelect.value = todo.listId || '';
+  listSelect.disabled = Boolean(getCurrentSharedList()) || Boolean(todo.parentId);
+  listSelect.closest('label').style.display = listSelect.disabled ? 'none' : '';
+  
   document.getElementById('edit-modal').style.display = 'flex';
   clearError('edit-error');
 }
 
 function closeEditModal() {
   editingTodoId = null;
+  editingTodoETag = null;
   document.getElementById('edit-modal').style.display = 'none';
   document.getElementById('edit-form').reset();
   clearError('edit-error');
@@ -356,23 +696,26 @@ async function handleEditSubmit(e) {
     return;
   }
   
+  const fields = readTodoFields('edit');
+  if (fields.recurrence && !fields.dueDate) {
+    showError('edit-error', 'Repeating todos need a due date');
+    return;
+  }
+  
+  const shared = Boolean(getCurrentSharedList());
+  if (shared && !confirmSharedEncryption()) {
+    return;
+  }
+  
   const submitBtn = form.querySelector('button[type="submit"]');
   setLoading(submitBtn, true);
   
   try {
-    const response = await fetch(`/api/todos/${editingTodoId}`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      credentials: 'include',
-      body: JSON.stringify({ content }),
-    });
-    
-    if (!response.ok) {
-      throw new Error('Failed to update todo');
+    const body = await buildTodoBody(content, fields, { shared });
+    if (await saveTodoEdit({ content, ...fields }, body, editingTodoETag)) {
+      closeEditModal();
+      loadTodos(); // Reload list
     }
-    
-    closeEditModal();
-    loadTodos(); // Reload list
   } catch (error) {
     showError('edit-error', error.message);
   } finally {
@@ -380,90 +723,2627 @@ async function handleEditSubmit(e) {
   }
 }
 
-// ============================================
-// Display Functions
-// ============================================
-
-function displayTodos(todoList) {
-  todos = todoList;
-  const container = document.getElementById('todo-list');
-  const emptyState = document.getElementById('empty-state');
+/**
+ * Send an edit of the todo being edited
+ * The update only applies if the todo is still at the version the form was
+ * opened with (If-Match); otherwise the conflict dialog is shown.
+ * @param {Object} mine - The edit as entered (content and fields)
+ * @param {Object} body - Request body (buildTodoBody)
+ * @param {string|null} etag - Version the edit is based on
+ * @returns {Promise<boolean>} - Whether the todo was saved
+ */
+async function saveTodoEdit(mine, body, etag) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (etag) {
+    headers['If-Match'] = etag;
+  }
   
-  // Clear current list
-  container.innerHTML = '';
+  const response = await fetch(`/api/todos/${editingTodoId}`, {
+    method: 'PUT',
+    headers,
+    credentials: 'include',
+    body: JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => ({}));
   
-  if (todos.length === 0) {
-    emptyState.style.display = 'block';
-    return;
+  if (response.status === 412 && data.todo) {
+    await openConflictModal(mine, body, data.todo);
+    return false;
   }
   
-  emptyState.style.display = 'none';
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update todo');
+  }
   
-  // Create todo elements
-  todos.forEach(todo => {
-    const todoEl = createTodoElement(todo);
-    container.appendChild(todoEl);
-  });
+  return true;
 }
 
+// ============================================
+// Edit Conflicts
+// ============================================
+
 /**
- * Create a todo DOM element
- * SECURITY: Uses textContent instead of innerHTML to prevent XSS
+ * Show an edit next to the version of the todo it would overwrite
+ * @param {Object} mine - The edit as entered
+ * @param {Object} body - Its request body, sent again by "Keep my changes"
+ * @param {Object} current - The todo as it is now (from the 412 response)
  */
-function createTodoElement(todo) {
-  const div = document.createElement('div');
-  div.className = 'todo-item';
-  
-  if (todo.tampered) {
-    div.classList.add('tampered');
-  }
-  
-  // Content area
-  const contentDiv = document.createElement('div');
-  contentDiv.className = 'todo-content';
+async function openConflictModal(mine, body, current) {
+  const theirs = await decryptClientTodo(current);
+  editConflict = { mine, body, etag: current.etag };
   
-  const contentP = document.createElement('p');
-  // SECURITY: Use textContent, NOT innerHTML
-  contentP.textContent = todo.content;
-  contentDiv.appendChild(contentP);
+  const rows = [
+    ['Content', todo => todo.content],
+    ['Due', todo => todo.dueDate ? new Date(todo.dueDate).toLocaleDateString() : 'None'],
+    ['Remind me', todo => todo.reminderAt ? formatDate(todo.reminderAt) : 'None'],
+    ['Repeat', todo => todo.recurrence ? describeRecurrence(todo.recurrence) : 'Never'],
+    ['Priority', todo => todo.priority || 'medium'],
+    ['Tags', todo => (todo.tags || []).join(', ') || 'None'],
+    // The list isn't sent when it can't be changed
+    ['List', todo => {
+      const listId = todo.listId === undefined ? theirs.listId : todo.listId;
+      const list = listId ? findList(listId) : null;
+      return list ? list.name : 'Inbox';
+    }],
+  ];
   
-  // Timestamp
-  const timeDiv = document.createElement('div');
-  timeDiv.className = 'todo-time';
-  const timeSpan = document.createElement('span');
-  timeSpan.textContent = `Created: ${formatDate(todo.createdAt)}`;
-  timeDiv.appendChild(timeSpan);
-  contentDiv.appendChild(timeDiv);
+  const mineList = document.getElementById('conflict-mine');
+  const currentList = document.getElementById('conflict-current');
+  mineList.innerHTML = '';
+  currentList.innerHTML = '';
   
-  // Warning for tampered todos
-  if (todo.tampered) {
-    const warningDiv = document.createElement('div');
-    warningDiv.className = 'warning-badge';
-    warningDiv.textContent = '⚠️ Integrity violation detected';
-    contentDiv.appendChild(warningDiv);
-  }
+  rows.forEach(([label, describe]) => {
+    const mineValue = describe(mine);
+    const currentValue = describe(theirs);
+    [[mineList, mineValue], [currentList, currentValue]].forEach(([list, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      if (mineValue !== currentValue) {
+        detail.classList.add('changed');
+      }
+      list.append(term, detail);
+    });
+  });
   
-  div.appendChild(contentDiv);
+  document.getElementById('conflict-modal').style.display = 'flex';
+  clearError('conflict-error');
+}
+
+function closeConflictModal() {
+  editConflict = null;
+  document.getElementById('conflict-modal').style.display = 'none';
+  clearError('conflict-error');
+}
+
+/**
+ * Return to the edit form; saving it then overwrites the current version
+ */
+function handleConflictBack() {
+  editingTodoETag = editConflict.etag;
+  closeConflictModal();
+}
+
+/**
+ * Drop the edit and show the current version
+ */
+function handleConflictUseCurrent() {
+  closeConflictModal();
+  closeEditModal();
+  loadTodos();
+}
+
+/**
+ * Save the edit over the current version
+ */
+async function handleConflictKeepMine() {
+  const { mine, body, etag } = editConflict;
+  const button = document.getElementById('conflict-keep-mine');
+  setLoading(button, true);
+  clearError('conflict-error');
   
-  // Actions (only if not tampered)
-  if (!todo.tampered) {
-    const actionsDiv = document.createElement('div');
-    actionsDiv.className = 'todo-actions';
-    
-    const editBtn = document.createElement('button');
-    editBtn.className = 'btn btn-small btn-secondary';
-    editBtn.textContent = 'Edit';
-    editBtn.addEventListener('click', () => openEditModal(todo));
-    
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'btn btn-small btn-danger';
-    deleteBtn.textContent = 'Delete';
-    deleteBtn.addEventListener('click', () => handleDeleteTodo(todo.id));
-    
-    actionsDiv.appendChild(editBtn);
-    actionsDiv.appendChild(deleteBtn);
-    div.appendChild(actionsDiv);
+  try {
+    // Changed yet again: saveTodoEdit shows the dialog with the newer version
+    if (await saveTodoEdit(mine, body, etag)) {
+      closeConflictModal();
+      closeEditModal();
+      loadTodos();
+    }
+  } catch (error) {
+    showError('conflict-error', error.message);
+  } finally {
+    setLoading(button, false);
   }
+}
+
+// ============================================
+// Structured Fields (completion, due date, priority, tags)
+// ============================================
+
+const MAX_TAGS = 20;
+const MAX_SUBTASK_DEPTH = 3; // Levels of subtasks, counting the top-level todo
+
+/**
+ * Split a comma-separated tag list (trimmed, no duplicates)
+ */
+function parseTags(value) {
+  const tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Date input value (yyyy-mm-dd, local day) to an ISO date, or null
+ */
+function fromDateInputValue(value) {
+  return value ? new Date(`${value}T00:00`).toISOString() : null;
+}
+
+/**
+ * ISO date to a date input value (local day)
+ */
+function toDateInputValue(isoDate) {
+  if (!isoDate) {
+    return '';
+  }
+  const date = new Date(isoDate);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Datetime input value (local time) to an ISO date, or null
+ */
+function fromDateTimeInputValue(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * ISO date to a datetime input value (local time, minutes)
+ */
+function toDateTimeInputValue(isoDate) {
+  if (!isoDate) {
+    return '';
+  }
+  const date = new Date(isoDate);
+  const pad = number => String(number).padStart(2, '0');
+  return `${toDateInputValue(isoDate)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Read the due date, reminder, priority and tags inputs of the add ("todo") or edit form
+ */
+function readTodoFields(prefix) {
+  return {
+    dueDate: fromDateInputValue(document.getElementById(`${prefix}-due`).value),
+    reminderAt: fromDateTimeInputValue(document.getElementById(`${prefix}-reminder`).value),
+    priority: document.getElementById(`${prefix}-priority`).value,
+    tags: parseTags(document.getElementById(`${prefix}-tags`).value),
+    listId: readListSelect(`${prefix}-list-select`),
+    recurrence: readRecurrence(prefix),
+  };
+}
+
+/**
+ * Repeat schedule from a todo form (null for "Never")
+ * New schedules use this browser's time zone, so "daily at 9" stays at 9
+ * local time across DST changes.
+ */
+function readRecurrence(prefix) {
+  const select = document.getElementById(`${prefix}-repeat`);
+  const rule = select.value === 'custom'
+    ? document.getElementById(`${prefix}-rrule`).value.trim()
+    : select.value;
+  
+  if (!rule) {
+    return null;
+  }
+  
+  return {
+    rule,
+    timeZone: select.dataset.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  };
+}
+
+/**
+ * Show the rule field only for custom repeat schedules
+ */
+function updateRepeatFields(prefix) {
+  const isCustom = document.getElementById(`${prefix}-repeat`).value === 'custom';
+  document.getElementById(`${prefix}-rrule-label`).style.display = isCustom ? '' : 'none';
+}
+
+/**
+ * Short description of a repeat schedule: the preset's name, or the rule
+ */
+function describeRecurrence(recurrence) {
+  const preset = Array.from(document.getElementById('todo-repeat').options)
+    .find(option => option.value === recurrence.rule);
+  return preset ? preset.textContent : recurrence.rule;
+}
+
+/**
+ * Selected list of a list select (null for the inbox, undefined if disabled)
+ */
+function readListSelect(id) {
+  const select = document.getElementById(id);
+  if (select.disabled) {
+    return undefined;
+  }
+  return select.value || null;
+}
+
+/**
+ * Query string for the server-side filters and sort order
+ * @param {string} [cursor] - Cursor of the page to load (first page if omitted)
+ */
+function buildTodoQuery(cursor) {
+  const params = new URLSearchParams();
+  const status = document.getElementById('filter-status').value;
+  const priority = document.getElementById('filter-priority').value;
+  const dueBefore = document.getElementById('filter-due-before').value;
+  const createdAfter = document.getElementById('filter-created-after').value;
+  const [sort, order] = document.getElementById('filter-sort').value.split(':');
+  
+  if (currentListId !== 'all') {
+    params.set('list', currentListId);
+  }
+  if (status !== 'all') {
+    params.set('status', status);
+  }
+  if (priority) {
+    params.set('priority', priority);
+  }
+  if (dueBefore) {
+    // Include the whole selected day
+    params.set('dueBefore', new Date(`${dueBefore}T23:59:59.999`).toISOString());
+  }
+  if (createdAfter) {
+    // From the start of the selected day
+    params.set('createdAfter', new Date(`${createdAfter}T00:00:00`).toISOString());
+  }
+  if (sort !== 'createdAt' || order !== 'desc') {
+    params.set('sort', sort);
+    params.set('order', order);
+  }
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Mark a todo done or not done
+ * Only the field is sent, so this works for locked end-to-end todos too.
+ * Completing a todo with open subtasks offers to complete them as well.
+ */
+async function handleToggleComplete(todo, completed) {
+  const cascade = completed && countOpenSubtasks(todo) > 0
+    && confirm(`Also mark its ${countOpenSubtasks(todo)} open subtask(s) as done?`);
+  
+  try {
+    const response = await fetch(`/api/todos/${todo.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(cascade ? { completed, cascade } : { completed }),
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to update todo');
+    }
+  } catch (error) {
+    console.error('Toggle error:', error);
+    alert(error.message);
+  } finally {
+    loadTodos(); // Reload list
+  }
+}
+
+/**
+ * Number of open subtasks under a todo, at any level
+ */
+function countOpenSubtasks(todo) {
+  return (todo.subtasks || []).reduce(
+    (count, subtask) => count + (subtask.completed ? 0 : 1) + countOpenSubtasks(subtask),
+    0
+  );
+}
+
+// ============================================
+// Revision History
+// ============================================
+
+async function openHistoryModal(todo) {
+  historyTodoId = todo.id;
+  document.getElementById('history-list').innerHTML = '';
+  document.getElementById('history-empty').style.display = 'none';
+  document.getElementById('history-preview').style.display = 'none';
+  document.getElementById('history-modal').style.display = 'flex';
+  clearError('history-error');
+  
+  await loadRevisions();
+}
+
+function closeHistoryModal() {
+  historyTodoId = null;
+  document.getElementById('history-modal').style.display = 'none';
+  clearError('history-error');
+}
+
+async function loadRevisions() {
+  try {
+    const response = await fetch(`/api/todos/${historyTodoId}/revisions`, {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to load history');
+    }
+    
+    const data = await response.json();
+    displayRevisions(data.revisions);
+    
+    if (!data.integrity.valid) {
+      showError('history-error', '⚠️ Integrity violation detected: revisions of this todo are missing');
+    }
+  } catch (error) {
+    showError('history-error', error.message);
+  }
+}
+
+function displayRevisions(revisions) {
+  const list = document.getElementById('history-list');
+  list.innerHTML = '';
+  document.getElementById('history-empty').style.display = revisions.length === 0 ? 'block' : 'none';
+  
+  revisions.forEach(revision => {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    
+    const label = document.createElement('span');
+    // SECURITY: Use textContent, NOT innerHTML
+    label.textContent = `Version ${revision.version} · ${formatDate(revision.createdAt)}`;
+    item.appendChild(label);
+    
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'todo-actions';
+    
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'btn btn-small btn-secondary';
+    viewBtn.textContent = 'View';
+    viewBtn.addEventListener('click', () => viewRevision(revision.version));
+    actionsDiv.appendChild(viewBtn);
+    
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn btn-small btn-primary';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => restoreRevision(revision.version));
+    actionsDiv.appendChild(restoreBtn);
+    
+    item.appendChild(actionsDiv);
+    list.appendChild(item);
+  });
+}
+
+async function viewRevision(version) {
+  clearError('history-error');
+  
+  try {
+    const response = await fetch(`/api/todos/${historyTodoId}/revisions/${version}`, {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to load revision');
+    }
+    
+    const { revision } = await response.json();
+    const [shown] = await decryptClientTodos([revision]);
+    
+    const preview = document.getElementById('history-preview');
+    preview.classList.toggle('tampered', Boolean(shown.tampered));
+    document.getElementById('history-preview-title').textContent =
+      `Version ${shown.version}${shown.tampered ? ' - ⚠️ Integrity violation detected' : ''}`;
+    document.getElementById('history-preview-content').textContent = shown.content;
+    preview.style.display = 'block';
+  } catch (error) {
+    showError('history-error', error.message);
+  }
+}
+
+async function restoreRevision(version) {
+  if (!confirm(`Restore version ${version}? The current content is kept in the history.`)) {
+    return;
+  }
+  
+  clearError('history-error');
+  
+  try {
+    const response = await fetch(`/api/todos/${historyTodoId}/revisions/${version}/restore`, {
+      method: 'POST',
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to restore revision');
+    }
+    
+    closeHistoryModal();
+    loadTodos(); // Reload list
+  } catch (error) {
+    showError('history-error', error.message);
+  }
+}
+
+// ============================================
+// Trash
+// ============================================
+
+async function openTrashModal() {
+  document.getElementById('trash-list').innerHTML = '';
+  document.getElementById('trash-empty').style.display = 'none';
+  document.getElementById('trash-info').textContent = '';
+  document.getElementById('trash-modal').style.display = 'flex';
+  clearError('trash-error');
+  
+  await loadTrash();
+}
+
+function closeTrashModal() {
+  document.getElementById('trash-modal').style.display = 'none';
+  clearError('trash-error');
+}
+
+async function loadTrash() {
+  try {
+    const response = await fetch('/api/todos/trash', {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to load trash');
+    }
+    
+    const data = await response.json();
+    document.getElementById('trash-info').textContent =
+      `Todos in the trash are permanently deleted after ${data.retentionDays} days.`;
+    displayTrash(await decryptClientTodos(data.todos));
+  } catch (error) {
+    showError('trash-error', error.message);
+  }
+}
+
+function displayTrash(trashed) {
+  const list = document.getElementById('trash-list');
+  list.innerHTML = '';
+  document.getElementById('trash-empty').style.display = trashed.length === 0 ? 'block' : 'none';
+  document.getElementById('empty-trash-btn').disabled = trashed.length === 0;
+  
+  trashed.forEach(todo => {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    
+    const textDiv = document.createElement('div');
+    textDiv.className = 'trash-item-text';
+    
+    const content = document.createElement('span');
+    // SECURITY: Use textContent, NOT innerHTML
+    content.textContent = todo.content;
+    textDiv.appendChild(content);
+    
+    const dates = document.createElement('span');
+    dates.className = 'trash-item-date';
+    dates.textContent = `Deleted ${formatDate(todo.deletedAt)} · purged ${formatDate(todo.purgeAt)}`;
+    textDiv.appendChild(dates);
+    
+    item.appendChild(textDiv);
+    
+    // Tampered todos can't be restored, only purged
+    if (!todo.tampered) {
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'btn btn-small btn-primary';
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.addEventListener('click', () => restoreFromTrash(todo.id));
+      item.appendChild(restoreBtn);
+    }
+    
+    list.appendChild(item);
+  });
+}
+
+async function restoreFromTrash(todoId) {
+  clearError('trash-error');
+  
+  try {
+    const response = await fetch(`/api/todos/trash/${todoId}/restore`, {
+      method: 'POST',
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to restore todo');
+    }
+    
+    await loadTrash();
+    loadTodos(); // Reload list
+  } catch (error) {
+    showError('trash-error', error.message);
+  }
+}
+
+async function handleEmptyTrash() {
+  if (!confirm('Permanently delete all todos in the trash? This cannot be undone.')) {
+    return;
+  }
+  
+  clearError('trash-error');
+  
+  try {
+    const response = await fetch('/api/todos/trash', {
+      method: 'DELETE',
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to empty trash');
+    }
+  } catch (error) {
+    showError('trash-error', error.message);
+  } finally {
+    await loadTrash();
+  }
+}
+
+// ============================================
+// Notifications (due dates and reminders)
+// ============================================
+
+const NOTIFICATION_POLL_MS = 60 * 1000;
+
+function startNotificationPolling() {
+  clearInterval(notificationTimer);
+  loadNotificationCount();
+  notificationTimer = setInterval(loadNotificationCount, NOTIFICATION_POLL_MS);
+}
+
+async function loadNotificationCount() {
+  try {
+    const response = await fetch('/api/notifications?unread=true&limit=1', {
+      credentials: 'include',
+    });
+    
+    if (response.ok) {
+      updateNotificationCount((await response.json()).unread);
+    }
+  } catch (error) {
+    console.error('Notification check failed:', error);
+  }
+}
+
+function updateNotificationCount(unread) {
+  const badge = document.getElementById('notification-count');
+  badge.textContent = unread > 99 ? '99+' : String(unread);
+  badge.style.display = unread > 0 ? '' : 'none';
+}
+
+async function openNotificationsModal() {
+  document.getElementById('notification-list').innerHTML = '';
+  document.getElementById('notifications-empty').style.display = 'none';
+  document.getElementById('notifications-modal').style.display = 'flex';
+  clearError('notifications-error');
+  clearError('notification-settings-error');
+  
+  await Promise.all([loadNotifications(), loadNotificationSettings()]);
+}
+
+function closeNotificationsModal() {
+  document.getElementById('notifications-modal').style.display = 'none';
+  clearError('notifications-error');
+  clearError('notification-settings-error');
+}
+
+async function loadNotifications() {
+  try {
+    const response = await fetch('/api/notifications', {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to load notifications');
+    }
+    
+    const data = await response.json();
+    updateNotificationCount(data.unread);
+    displayNotifications(await Promise.all(data.notifications.map(async notification => ({
+      ...notification,
+      text: await describeNotificationTodo(notification.todo),
+    }))));
+  } catch (error) {
+    showError('notifications-error', error.message);
+  }
+}
+
+/**
+ * Text of the todo a notification is about (decrypted here in end-to-end mode)
+ */
+async function describeNotificationTodo(todo) {
+  if (!todo) {
+    return 'A todo that has since been deleted';
+  }
+  if (todo.tampered) {
+    return '[INTEGRITY VIOLATION - Content may have been tampered with]';
+  }
+  if (todo.encryptionMode !== 'client') {
+    return todo.content;
+  }
+  if (!e2eKey) {
+    return '🔒 End-to-end encrypted - unlock to view';
+  }
+  try {
+    return await e2eDecrypt(e2eKey, todo.encrypted, e2eTodoAad());
+  } catch (error) {
+    return '[DECRYPTION FAILED - Content is corrupted]';
+  }
+}
+
+function displayNotifications(notifications) {
+  const list = document.getElementById('notification-list');
+  list.innerHTML = '';
+  document.getElementById('notifications-empty').style.display = notifications.length === 0 ? 'block' : 'none';
+  document.getElementById('mark-all-read-btn').disabled = !notifications.some(n => !n.readAt);
+  
+  notifications.forEach(notification => {
+    const item = document.createElement('li');
+    item.className = notification.readAt ? 'history-item' : 'history-item unread';
+    
+    const textDiv = document.createElement('div');
+    textDiv.className = 'trash-item-text';
+    
+    const content = document.createElement('span');
+    // SECURITY: Use textContent, NOT innerHTML
+    content.textContent = `${notification.kind === 'reminder' ? '⏰ Reminder' : '📅 Due'}: ${notification.text}`;
+    textDiv.appendChild(content);
+    
+    const when = document.createElement('span');
+    when.className = 'trash-item-date';
+    when.textContent = notification.kind === 'reminder'
+      ? formatDate(notification.scheduledFor)
+      : `Due ${new Date(notification.scheduledFor).toLocaleDateString()}`;
+    textDiv.appendChild(when);
+    
+    item.appendChild(textDiv);
+    
+    if (!notification.readAt) {
+      const readBtn = document.createElement('button');
+      readBtn.className = 'btn btn-small btn-secondary';
+      readBtn.textContent = 'Mark read';
+      readBtn.addEventListener('click', () => markNotificationRead(notification.id));
+      item.appendChild(readBtn);
+    }
+    
+    list.appendChild(item);
+  });
+}
+
+async function markNotificationRead(notificationId) {
+  clearError('notifications-error');
+  
+  try {
+    const response = await fetch(`/api/notifications/${notificationId}/read`, {
+      method: 'POST',
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to update notification');
+    }
+    
+    await loadNotifications();
+  } catch (error) {
+    showError('notifications-error', error.message);
+  }
+}
+
+async function markAllNotificationsRead() {
+  clearError('notifications-error');
+  
+  try {
+    const response = await fetch('/api/notifications/read', {
+      method: 'POST',
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to update notifications');
+    }
+    
+    await loadNotifications();
+  } catch (error) {
+    showError('notifications-error', error.message);
+  }
+}
+
+async function loadNotificationSettings() {
+  try {
+    const response = await fetch('/api/notifications/settings', {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to load notification settings');
+    }
+    
+    displayNotificationSettings(await response.json());
+  } catch (error) {
+    showError('notification-settings-error', error.message);
+  }
+}
+
+function displayNotificationSettings({ settings, available }) {
+  const emailInput = document.getElementById('notify-email');
+  emailInput.checked = settings.email;
+  emailInput.disabled = !available.email;
+  document.getElementById('notify-email-unavailable').style.display = available.email ? 'none' : 'block';
+  
+  document.getElementById('quiet-hours-enabled').checked = Boolean(settings.quietHours);
+  if (settings.quietHours) {
+    document.getElementById('quiet-hours-start').value = settings.quietHours.start;
+    document.getElementById('quiet-hours-end').value = settings.quietHours.end;
+  }
+  
+  document.getElementById('notify-time-zone').textContent =
+    `Times are in ${settings.timeZone}; saving uses this browser's time zone.`;
+}
+
+async function handleNotificationSettingsSubmit(e) {
+  e.preventDefault();
+  clearError('notification-settings-error');
+  
+  const form = e.target;
+  const quietHoursEnabled = document.getElementById('quiet-hours-enabled').checked;
+  const start = document.getElementById('quiet-hours-start').value;
+  const end = document.getElementById('quiet-hours-end').value;
+  
+  if (quietHoursEnabled && (!start || !end || start === end)) {
+    showError('notification-settings-error', 'Quiet hours need a different start and end time');
+    return;
+  }
+  
+  const submitBtn = form.querySelector('button[type="submit"]');
+  setLoading(submitBtn, true);
+  
+  try {
+    const response = await fetch('/api/notifications/settings', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({
+        ...(!document.getElementById('notify-email').disabled && {
+          email: document.getElementById('notify-email').checked,
+        }),
+        quietHours: quietHoursEnabled ? { start, end } : null,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      }),
+    });
+    
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save notification settings');
+    }
+    
+    displayNotificationSettings(data);
+  } catch (error) {
+    showError('notification-settings-error', error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
+// ============================================
+// Real-time Sync (changes from other tabs and devices)
+// ============================================
+
+const REMOTE_REFRESH_MS = 300;
+
+/**
+ * Listen for changes to the user's todos (GET /api/events)
+ * Updates and deletions of loaded todos are applied in place; anything whose
+ * place in the list only the server knows (new todos, moves, filtered or
+ * sorted fields) reloads the list. EventSource reconnects by itself, and
+ * the list is reloaded then to catch up on missed events.
+ */
+function startEventStream() {
+  stopEventStream();
+  
+  const source = new EventSource('/api/events', { withCredentials: true });
+  let connected = false;
+  
+  source.addEventListener('open', () => {
+    if (connected) {
+      scheduleRemoteRefresh(true);
+    }
+    connected = true;
+  });
+  
+  source.addEventListener('error', () => {
+    // Refused (e.g. the session expired): loading the list shows the
+    // login view if needed
+    if (source.readyState === EventSource.CLOSED && eventSource === source) {
+      eventSource = null;
+      loadTodos();
+    }
+  });
+  
+  source.addEventListener('todo.created', event => {
+    const { todo } = JSON.parse(event.data);
+    if (!findLoadedTodo(todo.id)) {
+      scheduleRemoteRefresh(true);
+    }
+  });
+  
+  source.addEventListener('todo.updated', event => {
+    applyRemoteUpdate(JSON.parse(event.data)).catch(error => {
+      console.error('Live update failed:', error);
+      scheduleRemoteRefresh(true);
+    });
+  });
+  
+  source.addEventListener('todo.deleted', event => {
+    applyRemoteDelete(JSON.parse(event.data));
+  });
+  
+  source.addEventListener('todos.imported', () => {
+    scheduleRemoteRefresh(true);
+  });
+  
+  eventSource = source;
+}
+
+function stopEventStream() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  clearTimeout(remoteRefreshTimer);
+  remoteRefreshTimer = null;
+  remoteRefreshTodos = false;
+}
+
+/**
+ * Reload after remote changes, at most once per burst of events
+ * @param {boolean} todosToo - Reload the todo list (which reloads the
+ *   sidebar too), not only the sidebar's open counts
+ */
+function scheduleRemoteRefresh(todosToo) {
+  remoteRefreshTodos = remoteRefreshTodos || todosToo;
+  if (remoteRefreshTimer) {
+    return;
+  }
+  
+  remoteRefreshTimer = setTimeout(() => {
+    const reloadTodos = remoteRefreshTodos;
+    remoteRefreshTimer = null;
+    remoteRefreshTodos = false;
+    if (reloadTodos) {
+      loadTodos();
+    } else {
+      loadLists();
+    }
+  }, REMOTE_REFRESH_MS);
+}
+
+/**
+ * Find a loaded todo at any level of the tree
+ * @returns {Object|null} - { todo, siblings } with the array holding it
+ */
+function findLoadedTodo(todoId, todoList = allTodos) {
+  for (const todo of todoList) {
+    if (todo.id === todoId) {
+      return { todo, siblings: todoList };
+    }
+    const found = findLoadedTodo(todoId, todo.subtasks || []);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a changed todo may have to move in (or out of) the loaded list
+ */
+function needsReload(previous, updated) {
+  const [sort] = document.getElementById('filter-sort').value.split(':');
+  const changed = field => String(previous[field]) !== String(updated[field]);
+  
+  return changed('listId') || changed('parentId') || sort === 'updatedAt'
+    || (document.getElementById('filter-status').value !== 'all' && changed('completed'))
+    || (document.getElementById('filter-priority').value && changed('priority'))
+    || (document.getElementById('filter-due-before').value && changed('dueDate'));
+}
+
+async function applyRemoteUpdate({ todo, subtasksChanged }) {
+  const found = findLoadedTodo(todo.id);
+  if (!found) {
+    return;
+  }
+  
+  if (subtasksChanged || needsReload(found.todo, todo)) {
+    scheduleRemoteRefresh(true);
+    return;
+  }
+  
+  // The event carries the todo without its subtasks; keep the loaded ones
+  const [shown] = await decryptClientTodos([todo]);
+  Object.assign(found.todo, { tampered: false, locked: false }, shown);
+  displayTodos(allTodos);
+  scheduleRemoteRefresh(false); // Open counts in the sidebar
+}
+
+function applyRemoteDelete({ id }) {
+  const found = findLoadedTodo(id);
+  if (!found) {
+    return;
+  }
+  
+  found.siblings.splice(found.siblings.indexOf(found.todo), 1);
+  if (found.siblings === allTodos) {
+    totalTodos = Math.max(totalTodos - 1, 0);
+  }
+  displayTodos(allTodos);
+  scheduleRemoteRefresh(false);
+}
+
+// ============================================
+// Lists (sidebar)
+// ============================================
+
+async function loadLists() {
+  try {
+    const response = await fetch('/api/lists', {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to load lists');
+    }
+    
+    const data = await response.json();
+    lists = data.lists;
+    sharedLists = data.shared;
+    
+    // The selected list was deleted or is no longer shared (e.g. in another tab)
+    if (currentListId !== 'all' && currentListId !== 'inbox' && !findList(currentListId)) {
+      selectList('all');
+    }
+    
+    renderLists(data.inbox.activeCount);
+  } catch (error) {
+    console.error('Load lists error:', error);
+    showError('list-error', 'Failed to load lists');
+  }
+}
+
+/**
+ * Show All, Inbox and the user's lists in the sidebar
+ * @param {number} inboxCount - Open todos without a list
+ */
+function renderLists(inboxCount) {
+  const nav = document.getElementById('list-nav');
+  nav.innerHTML = '';
+  
+  nav.appendChild(createListNavItem({ id: 'all', name: 'All todos' }));
+  nav.appendChild(createListNavItem({ id: 'inbox', name: 'Inbox', activeCount: inboxCount }));
+  lists.forEach((list, index) => nav.appendChild(createListNavItem(list, index)));
+  
+  if (sharedLists.length > 0) {
+    const heading = document.createElement('li');
+    heading.className = 'list-nav-heading';
+    heading.textContent = 'Shared with me';
+    nav.appendChild(heading);
+    sharedLists.forEach(list => nav.appendChild(createListNavItem(list)));
+  }
+  
+  renderListOptions();
+}
+
+/**
+ * Find one of the user's own or shared lists
+ */
+function findList(listId) {
+  return lists.find(list => list.id === listId) || sharedLists.find(list => list.id === listId);
+}
+
+/**
+ * The selected list if another user shared it, otherwise null
+ */
+function getCurrentSharedList() {
+  return sharedLists.find(list => list.id === currentListId) || null;
+}
+
+/**
+ * Shared todos are encrypted by the server so everyone with access can read
+ * them; ask before doing that while end-to-end encryption is unlocked
+ */
+function confirmSharedEncryption() {
+  return !e2eKey || confirm('This list is shared, so this todo is encrypted by the server instead of '
+    + 'with your passphrase. Continue?');
+}
+
+/**
+ * Create a sidebar entry
+ * SECURITY: Uses textContent instead of innerHTML to prevent XSS
+ * @param {Object} list - List from the server, or the All/Inbox pseudo-list
+ * @param {number} [index] - Position in the sidebar (user lists only)
+ */
+function createListNavItem(list, index) {
+  const li = document.createElement('li');
+  li.className = 'list-nav-item';
+  li.dataset.listId = list.id;
+  li.classList.toggle('active', list.id === currentListId);
+  
+  if (list.tampered) {
+    li.classList.add('tampered');
+  }
+  
+  const selectBtn = document.createElement('button');
+  selectBtn.className = 'list-nav-select';
+  selectBtn.addEventListener('click', () => selectList(list.id));
+  
+  if (list.color) {
+    const dot = document.createElement('span');
+    dot.className = 'list-color';
+    dot.style.background = list.color;
+    selectBtn.appendChild(dot);
+  }
+  
+  const name = document.createElement('span');
+  name.className = 'list-name';
+  name.textContent = list.tampered ? '⚠️ Integrity violation' : list.name;
+  selectBtn.appendChild(name);
+  
+  if (list.owner) {
+    const owner = document.createElement('span');
+    owner.className = 'list-owner';
+    owner.textContent = list.permission === 'view' ? `${list.owner.username} · view only` : list.owner.username;
+    name.appendChild(owner);
+  }
+  
+  if (list.activeCount) {
+    const count = document.createElement('span');
+    count.className = 'list-count';
+    count.textContent = list.activeCount;
+    selectBtn.appendChild(count);
+  }
+  li.appendChild(selectBtn);
+  
+  const actions = document.createElement('span');
+  actions.className = 'list-nav-actions';
+  
+  const addAction = (label, title, handler) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.title = title;
+    btn.setAttribute('aria-label', title);
+    btn.addEventListener('click', handler);
+    actions.appendChild(btn);
+  };
+  
+  // Rename, reorder, share and delete for the user's own lists
+  if (index !== undefined) {
+    // Tampered lists can't be updated, only deleted
+    if (!list.tampered) {
+      if (index > 0) {
+        addAction('▲', 'Move up', () => handleMoveList(index, -1));
+      }
+      if (index < lists.length - 1) {
+        addAction('▼', 'Move down', () => handleMoveList(index, 1));
+      }
+      addAction('✎', 'Rename', () => handleRenameList(list));
+    }
+    addAction('👥', 'Share', () => openShareModal(list));
+    addAction('✕', 'Delete', () => handleDeleteList(list));
+  } else if (list.shareId) {
+    addAction('✕', 'Leave list', () => handleLeaveList(list));
+  }
+  
+  if (actions.childNodes.length > 0) {
+    li.appendChild(actions);
+  }
+  
+  return li;
+}
+
+/**
+ * Fill the list selects of the add and edit forms
+ * New todos go to the list selected in the sidebar.
+ */
+function renderListOptions() {
+  ['todo-list-select', 'edit-list-select'].forEach(id => {
+    const select = document.getElementById(id);
+    const selected = id === 'todo-list-select'
+      ? (currentListId === 'all' || currentListId === 'inbox' ? '' : currentListId)
+      : select.value;
+    
+    select.innerHTML = '';
+    select.appendChild(new Option('Inbox', ''));
+    lists.forEach(list => {
+      // SECURITY: Option text is set as text, not parsed as HTML
+      select.appendChild(new Option(list.tampered ? '⚠️ Integrity violation' : list.name, list.id));
+    });
+    
+    // New todos can also go to lists shared with edit access (moving a
+    // todo between owners isn't possible)
+    const editable = sharedLists.filter(list => list.permission === 'edit' && !list.tampered);
+    if (id === 'todo-list-select' && editable.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'Shared with me';
+      editable.forEach(list => group.appendChild(new Option(`${list.name} (${list.owner.username})`, list.id)));
+      select.appendChild(group);
+    }
+    select.value = selected;
+  });
+}
+
+function selectList(listId) {
+  currentListId = listId;
+  
+  const list = findList(listId);
+  const shared = getCurrentSharedList();
+  let title = 'My Todos';
+  if (listId === 'inbox') {
+    title = 'Inbox';
+  } else if (list && !list.tampered) {
+    title = shared ? `${list.name} (shared by ${shared.owner.username})` : list.name;
+  }
+  document.getElementById('todo-section-title').textContent = title;
+  
+  // View-only lists can't get new todos
+  const readOnly = Boolean(shared) && shared.permission === 'view';
+  document.getElementById('todo-form').style.display = readOnly ? 'none' : '';
+  document.getElementById('view-only-note').style.display = readOnly ? 'block' : 'none';
+  
+  document.querySelectorAll('#list-nav .list-nav-item').forEach(item => {
+    item.classList.toggle('active', item.dataset.listId === listId);
+  });
+  renderListOptions();
+  loadTodos();
+}
+
+/**
+ * Send a list update
+ * @param {string} listId - List to update
+ * @param {Object} fields - name, color and/or position
+ */
+async function updateList(listId, fields) {
+  const response = await fetch(`/api/lists/${listId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(fields),
+  });
+  
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to update list');
+  }
+}
+
+async function handleCreateList(e) {
+  e.preventDefault();
+  clearError('list-error');
+  
+  const form = e.target;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  const name = document.getElementById('list-name').value.trim();
+  
+  if (!name) {
+    showError('list-error', 'List name cannot be empty');
+    return;
+  }
+  
+  setLoading(submitBtn, true);
+  
+  try {
+    const response = await fetch('/api/lists', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ name, color: document.getElementById('list-color').value }),
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to create list');
+    }
+    
+    form.reset();
+    await loadLists();
+    selectList(data.list.id);
+  } catch (error) {
+    showError('list-error', error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
+async function handleRenameList(list) {
+  const name = prompt('Rename list', list.name);
+  if (name === null || !name.trim() || name.trim() === list.name) {
+    return;
+  }
+  
+  clearError('list-error');
+  
+  try {
+    await updateList(list.id, { name: name.trim() });
+    await loadLists();
+    if (currentListId === list.id) {
+      selectList(list.id);
+    }
+  } catch (error) {
+    showError('list-error', error.message);
+  }
+}
+
+/**
+ * Move a list up or down in the sidebar
+ * Lists whose position changes are renumbered to their new index.
+ */
+async function handleMoveList(index, direction) {
+  const reordered = lists.slice();
+  const [moved] = reordered.splice(index, 1);
+  reordered.splice(index + direction, 0, moved);
+  
+  clearError('list-error');
+  
+  try {
+    for (const [position, list] of reordered.entries()) {
+      if (list.position !== position) {
+        await updateList(list.id, { position });
+      }
+    }
+  } catch (error) {
+    showError('list-error', error.message);
+  } finally {
+    await loadLists();
+  }
+}
+
+async function handleDeleteList(list) {
+  if (!confirm('Delete this list? Its todos are moved to the inbox.')) {
+    return;
+  }
+  
+  clearError('list-error');
+  
+  try {
+    const response = await fetch(`/api/lists/${list.id}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to delete list');
+    }
+    
+    if (currentListId === list.id) {
+      currentListId = 'all';
+    }
+    await loadLists();
+    selectList(currentListId);
+  } catch (error) {
+    showError('list-error', error.message);
+  }
+}
+
+async function handleLeaveList(list) {
+  if (!confirm(`Leave "${list.name}"? You will no longer see its todos.`)) {
+    return;
+  }
+  
+  clearError('list-error');
+  
+  try {
+    const response = await fetch(`/api/lists/${list.id}/shares/${list.shareId}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to leave list');
+    }
+    
+    if (currentListId === list.id) {
+      currentListId = 'all';
+    }
+    await loadLists();
+    selectList(currentListId);
+  } catch (error) {
+    showError('list-error', error.message);
+  }
+}
+
+// ============================================
+// List Sharing
+// ============================================
+
+function openShareModal(list) {
+  sharingListId = list.id;
+  document.getElementById('share-title').textContent = `Share "${list.name}"`;
+  document.getElementById('share-list').innerHTML = '';
+  document.getElementById('share-empty').style.display = 'none';
+  document.getElementById('share-modal').style.display = 'flex';
+  clearError('share-error');
+  
+  loadShares();
+}
+
+function closeShareModal() {
+  sharingListId = null;
+  document.getElementById('share-modal').style.display = 'none';
+  document.getElementById('share-form').reset();
+  clearError('share-error');
+}
+
+async function loadShares() {
+  try {
+    const response = await fetch(`/api/lists/${sharingListId}/shares`, {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to load shares');
+    }
+    
+    const data = await response.json();
+    displayShares(data.shares);
+  } catch (error) {
+    showError('share-error', error.message);
+  }
+}
+
+/**
+ * Show who a list is shared with
+ * SECURITY: Uses textContent instead of innerHTML to prevent XSS
+ */
+function displayShares(shares) {
+  const container = document.getElementById('share-list');
+  container.innerHTML = '';
+  document.getElementById('share-empty').style.display = shares.length === 0 ? 'block' : 'none';
+  
+  shares.forEach(share => {
+    const li = document.createElement('li');
+    li.className = 'history-item';
+    
+    const text = document.createElement('span');
+    text.className = 'trash-item-text';
+    const who = document.createElement('span');
+    who.textContent = share.user ? `${share.user.username} (${share.user.email})` : 'Deleted user';
+    text.appendChild(who);
+    const permission = document.createElement('span');
+    permission.className = 'trash-item-date';
+    permission.textContent = share.tampered
+      ? '⚠️ Integrity violation - this grant is ignored'
+      : (share.permission === 'edit' ? 'Can edit' : 'Can view');
+    text.appendChild(permission);
+    li.appendChild(text);
+    
+    const actions = document.createElement('div');
+    actions.className = 'todo-actions';
+    
+    if (share.user && !share.tampered) {
+      const toggleBtn = document.createElement('button');
+      toggleBtn.className = 'btn btn-small btn-secondary';
+      toggleBtn.textContent = share.permission === 'edit' ? 'Make view only' : 'Allow editing';
+      toggleBtn.addEventListener('click', () =>
+        shareWith(share.user.email, share.permission === 'edit' ? 'view' : 'edit'));
+      actions.appendChild(toggleBtn);
+    }
+    
+    const revokeBtn = document.createElement('button');
+    revokeBtn.className = 'btn btn-small btn-danger';
+    revokeBtn.textContent = 'Revoke';
+    revokeBtn.addEventListener('click', () => revokeShare(share.id));
+    actions.appendChild(revokeBtn);
+    
+    li.appendChild(actions);
+    container.appendChild(li);
+  });
+}
+
+/**
+ * Share the open list with a user, or change their permission
+ */
+async function shareWith(email, permission) {
+  const response = await fetch(`/api/lists/${sharingListId}/shares`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ email, permission }),
+  });
+  
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to share list');
+  }
+  
+  await loadShares();
+}
+
+async function handleShareSubmit(e) {
+  e.preventDefault();
+  clearError('share-error');
+  
+  const form = e.target;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  setLoading(submitBtn, true);
+  
+  try {
+    await shareWith(
+      document.getElementById('share-email').value.trim(),
+      document.getElementById('share-permission').value
+    );
+    form.reset();
+  } catch (error) {
+    showError('share-error', error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
+async function revokeShare(shareId) {
+  if (!confirm('Revoke this user\'s access to the list?')) {
+    return;
+  }
+  
+  clearError('share-error');
+  
+  try {
+    const response = await fetch(`/api/lists/${sharingListId}/shares/${shareId}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to revoke access');
+    }
+    
+    await loadShares();
+  } catch (error) {
+    showError('share-error', error.message);
+  }
+}
+
+// ============================================
+// End-to-End Encryption (optional)
+// ============================================
+
+// PBKDF2-SHA256 iterations for new passphrases (stored with the settings)
+const E2E_ITERATIONS = 600000;
+
+// Known value encrypted at setup, used to check the passphrase on unlock
+const E2E_KEY_CHECK = 'secure-todo-e2e-key-check';
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key from the passphrase (PBKDF2-SHA256)
+ * The key is not extractable and never sent anywhere
+ */
+async function deriveE2EKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt with AES-GCM under a fresh random IV
+ * The associated data binds the ciphertext to its purpose and owner
+ */
+async function e2eEncrypt(key, plaintext, aad) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(aad), tagLength: 128 },
+    key,
+    new TextEncoder().encode(plaintext)
+  ));
+  
+  // WebCrypto appends the 16 byte tag; the server stores it separately
+  return {
+    encryptedContent: bytesToBase64(sealed.slice(0, -16)),
+    iv: bytesToBase64(iv),
+    authTag: bytesToBase64(sealed.slice(-16)),
+  };
+}
+
+/**
+ * Decrypt an AES-GCM blob (throws if it was modified or the key is wrong)
+ */
+async function e2eDecrypt(key, blob, aad) {
+  const ciphertext = base64ToBytes(blob.encryptedContent);
+  const authTag = base64ToBytes(blob.authTag);
+  const sealed = new Uint8Array(ciphertext.length + authTag.length);
+  sealed.set(ciphertext);
+  sealed.set(authTag, ciphertext.length);
+  
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(blob.iv), additionalData: new TextEncoder().encode(aad), tagLength: 128 },
+    key,
+    sealed
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+function e2eTodoAad() {
+  return `e2e:todo:${e2eSettings.userId}`;
+}
+
+function e2eTagsAad() {
+  return `e2e:todo-tags:${e2eSettings.userId}`;
+}
+
+function e2eKeyCheckAad() {
+  return `e2e:key-check:${e2eSettings.userId}`;
+}
+
+async function loadE2ESettings() {
+  try {
+    const response = await fetch('/api/todos/e2e', {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to load encryption settings');
+    }
+    
+    e2eSettings = await response.json();
+  } catch (error) {
+    console.error('Load E2E settings error:', error);
+    e2eSettings = null;
+  }
+  
+  updateE2EPanel();
+}
+
+/**
+ * Enable end-to-end encryption, or unlock it if already enabled
+ */
+async function handleE2ESubmit(e) {
+  e.preventDefault();
+  clearError('e2e-error');
+  
+  const form = e.target;
+  const passphrase = form.passphrase.value;
+  
+  if (!e2eSettings.enabled && passphrase !== form.passphraseConfirm.value) {
+    showError('e2e-error', 'Passphrases do not match');
+    return;
+  }
+  
+  const submitBtn = form.querySelector('button[type="submit"]');
+  setLoading(submitBtn, true);
+  
+  try {
+    if (e2eSettings.enabled) {
+      const key = await deriveE2EKey(passphrase, e2eSettings.salt, e2eSettings.iterations);
+      try {
+        await e2eDecrypt(key, e2eSettings.keyCheck, e2eKeyCheckAad());
+      } catch (error) {
+        throw new Error('Wrong passphrase');
+      }
+      e2eKey = key;
+    } else {
+      const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+      const key = await deriveE2EKey(passphrase, salt, E2E_ITERATIONS);
+      const keyCheck = await e2eEncrypt(key, E2E_KEY_CHECK, e2eKeyCheckAad());
+      
+      const response = await fetch('/api/todos/e2e', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ salt, iterations: E2E_ITERATIONS, keyCheck }),
+      });
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to enable end-to-end encryption');
+      }
+      
+      e2eSettings = { ...e2eSettings, enabled: true, salt, iterations: E2E_ITERATIONS, keyCheck };
+      e2eKey = key;
+    }
+    
+    form.reset();
+    updateE2EPanel();
+    loadTodos(); // Show end-to-end encrypted todos
+  } catch (error) {
+    showError('e2e-error', error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
+function lockE2E() {
+  e2eKey = null;
+  updateE2EPanel();
+  loadTodos();
+}
+
+/**
+ * Request body for creating/updating a todo
+ * While unlocked, content is encrypted here and the server only gets the blob
+ * (except in shared lists, where the server encrypts it for everyone with access)
+ */
+async function buildTodoBody(content, { tags = [], ...fields } = {}, { shared = false } = {}) {
+  if (!e2eKey || shared) {
+    return { content, tags, ...fields };
+  }
+  
+  return {
+    encryptionMode: 'client',
+    encrypted: await e2eEncrypt(e2eKey, content, e2eTodoAad()),
+    // Tags are as sensitive as the content
+    encryptedTags: tags.length > 0 ? await e2eEncrypt(e2eKey, JSON.stringify(tags), e2eTagsAad()) : null,
+    ...fields,
+  };
+}
+
+/**
+ * Decrypt the end-to-end encrypted todos in a list from the server
+ * Locked todos are shown as placeholders until the passphrase is entered
+ */
+async function decryptClientTodos(todoList) {
+  return Promise.all(todoList.map(async todo => {
+    const shown = await decryptClientTodo(todo);
+    return todo.subtasks
+      ? { ...shown, subtasks: await decryptClientTodos(todo.subtasks) }
+      : shown;
+  }));
+}
+
+/**
+ * Decrypt one end-to-end encrypted todo (see decryptClientTodos)
+ */
+async function decryptClientTodo(todo) {
+  if (todo.encryptionMode !== 'client' || todo.tampered) {
+    return todo;
+  }
+  
+  // Encrypted with the passphrase of whoever shared the list
+  if (getCurrentSharedList()) {
+    return { ...todo, content: '🔒 End-to-end encrypted by the list owner', tags: [], locked: true };
+  }
+  
+  if (!e2eKey) {
+    return { ...todo, content: '🔒 End-to-end encrypted - unlock to view', tags: [], locked: true };
+  }
+  
+  try {
+    return {
+      ...todo,
+      content: await e2eDecrypt(e2eKey, todo.encrypted, e2eTodoAad()),
+      tags: todo.encryptedTags
+        ? JSON.parse(await e2eDecrypt(e2eKey, todo.encryptedTags, e2eTagsAad()))
+        : [],
+    };
+  } catch (error) {
+    return { ...todo, content: '[DECRYPTION FAILED - Content is corrupted]', tampered: true };
+  }
+}
+
+function updateE2EPanel() {
+  const panel = document.getElementById('e2e-panel');
+  
+  if (!e2eSettings) {
+    panel.style.display = 'none';
+    return;
+  }
+  
+  const status = document.getElementById('e2e-status');
+  const form = document.getElementById('e2e-form');
+  const confirmInput = document.getElementById('e2e-passphrase-confirm');
+  const submitSpan = form.querySelector('button[type="submit"] span');
+  const lockBtn = document.getElementById('e2e-lock-btn');
+  
+  panel.style.display = 'block';
+  clearError('e2e-error');
+  
+  if (e2eKey) {
+    status.textContent = '🔐 End-to-end encryption is on: todos are encrypted in this browser before they are sent.';
+    form.style.display = 'none';
+    lockBtn.style.display = 'inline-block';
+  } else if (e2eSettings.enabled) {
+    status.textContent = '🔒 Enter your encryption passphrase to read and add end-to-end encrypted todos.';
+    form.style.display = 'flex';
+    confirmInput.style.display = 'none';
+    confirmInput.required = false;
+    submitSpan.textContent = 'Unlock';
+    lockBtn.style.display = 'none';
+  } else {
+    status.textContent = 'Optional: set a passphrase to encrypt your todos in this browser. ' +
+      'The server can\'t read them, and a forgotten passphrase can\'t be recovered.';
+    form.style.display = 'flex';
+    confirmInput.style.display = 'block';
+    confirmInput.required = true;
+    submitSpan.textContent = 'Enable';
+    lockBtn.style.display = 'none';
+  }
+}
+
+// ============================================
+// Backup Export/Import
+// ============================================
+
+/**
+ * Download all todos as a password-protected archive
+ * The password goes in a header, never in the URL
+ */
+async function handleExport(e) {
+  e.preventDefault();
+  clearError('backup-error');
+  document.getElementById('backup-result').textContent = '';
+  
+  const form = e.target;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  setLoading(submitBtn, true);
+  
+  try {
+    const response = await fetch('/api/todos/export', {
+      credentials: 'include',
+      headers: { 'X-Backup-Password': form.password.value },
+    });
+    
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to export todos');
+    }
+    
+    const archive = await response.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(archive);
+    link.download = `todos-backup-${new Date().toISOString().substring(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    
+    const skipped = Number(response.headers.get('X-Backup-Skipped') || 0);
+    document.getElementById('backup-result').textContent = skipped > 0
+      ? `Backup downloaded. ${skipped} damaged todo(s) were left out.`
+      : 'Backup downloaded.';
+    form.reset();
+  } catch (error) {
+    showError('backup-error', error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
+/**
+ * Restore todos from an archive (merged with or replacing the current todos)
+ */
+async function handleImport(e) {
+  e.preventDefault();
+  clearError('backup-error');
+  document.getElementById('backup-result').textContent = '';
+  
+  const form = e.target;
+  const mode = form.mode.value;
+  
+  if (mode === 'replace' && !confirm('Replace ALL your current todos with the backup?')) {
+    return;
+  }
+  
+  const submitBtn = form.querySelector('button[type="submit"]');
+  setLoading(submitBtn, true);
+  
+  try {
+    let archive;
+    try {
+      archive = JSON.parse(await form.file.files[0].text());
+    } catch (error) {
+      throw new Error('The selected file is not a backup archive');
+    }
+    
+    const response = await fetch('/api/todos/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ archive, password: form.password.value, mode }),
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Failed to import backup');
+    }
+    
+    const notes = [`${data.imported} todo(s) imported`];
+    if (data.duplicates > 0) {
+      notes.push(`${data.duplicates} already present`);
+    }
+    if (data.skipped > 0) {
+      notes.push(`${data.skipped} end-to-end encrypted todo(s) from another account skipped`);
+    }
+    if (data.removed > 0) {
+      notes.push(`${data.removed} replaced`);
+    }
+    document.getElementById('backup-result').textContent = `${notes.join(', ')}.`;
+    form.reset();
+    loadTodos();
+  } catch (error) {
+    showError('backup-error', error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
+// ============================================
+// Two-Factor Authentication
+// ============================================
+
+/**
+ * Show whether two-factor authentication is on and what can be done next
+ * @param {Object} status - From GET /api/auth/mfa
+ */
+function renderMfaStatus(status) {
+  let text;
+  if (!status.available) {
+    text = 'Your account signs in with Google, which handles two-factor authentication.';
+  } else if (status.enabled) {
+    text = `Enabled. ${status.recoveryCodesLeft} recovery code(s) left.`;
+  } else {
+    text = 'Protect password logins with a code from an authenticator app.';
+  }
+  
+  document.getElementById('mfa-status').textContent = text;
+  document.getElementById('mfa-setup-btn').style.display = status.available && !status.enabled ? '' : 'none';
+  document.getElementById('mfa-disable-form').style.display = status.enabled ? '' : 'none';
+}
+
+async function loadMfaStatus() {
+  clearError('mfa-error');
+  
+  try {
+    const response = await fetch('/api/auth/mfa', { credentials: 'include' });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load two-factor authentication status');
+    }
+    
+    renderMfaStatus(data);
+  } catch (error) {
+    showError('mfa-error', error.message);
+  }
+}
+
+/**
+ * Hide the setup key and recovery codes (on logout)
+ */
+function resetMfaPanel() {
+  document.getElementById('mfa-panel').open = false;
+  document.getElementById('mfa-setup').style.display = 'none';
+  document.getElementById('mfa-secret').textContent = '';
+  document.getElementById('mfa-uri').href = '#';
+  document.getElementById('mfa-recovery').style.display = 'none';
+  document.getElementById('mfa-recovery-codes').innerHTML = '';
+  document.getElementById('mfa-enable-form').reset();
+  document.getElementById('mfa-disable-form').reset();
+  clearError('mfa-error');
+}
+
+/**
+ * Get a new key for the authenticator app
+ */
+async function handleMfaSetup() {
+  clearError('mfa-error');
+  const button = document.getElementById('mfa-setup-btn');
+  setLoading(button, true);
+  
+  try {
+    const response = await fetch('/api/auth/mfa/setup', {
+      method: 'POST',
+      credentials: 'include',
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to set up two-factor authentication');
+    }
+    
+    // Grouped in fours, which authenticator apps accept as typed
+    document.getElementById('mfa-secret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+    document.getElementById('mfa-uri').href = data.otpauthUri;
+    document.getElementById('mfa-setup').style.display = '';
+    document.getElementById('mfa-recovery').style.display = 'none';
+    button.style.display = 'none';
+    document.getElementById('mfa-enable-code').focus();
+  } catch (error) {
+    showError('mfa-error', error.message);
+  } finally {
+    setLoading(button, false);
+  }
+}
+
+/**
+ * Confirm the setup with a code and show the recovery codes
+ */
+async function handleMfaEnable(e) {
+  e.preventDefault();
+  clearError('mfa-error');
+  
+  const form = e.target;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  setLoading(submitBtn, true);
+  
+  try {
+    const response = await fetch('/api/auth/mfa/enable', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ code: form.code.value.trim() }),
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to enable two-factor authentication');
+    }
+    
+    form.reset();
+    document.getElementById('mfa-setup').style.display = 'none';
+    document.getElementById('mfa-secret').textContent = '';
+    
+    const list = document.getElementById('mfa-recovery-codes');
+    list.innerHTML = '';
+    data.recoveryCodes.forEach(code => {
+      const item = document.createElement('li');
+      item.textContent = code;
+      list.appendChild(item);
+    });
+    document.getElementById('mfa-recovery').style.display = '';
+    
+    renderMfaStatus({ available: true, enabled: true, recoveryCodesLeft: data.recoveryCodes.length });
+  } catch (error) {
+    showError('mfa-error', error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
+async function handleMfaDisable(e) {
+  e.preventDefault();
+  clearError('mfa-error');
+  
+  if (!confirm('Turn off two-factor authentication? Logging in will only need your password.')) {
+    return;
+  }
+  
+  const form = e.target;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  setLoading(submitBtn, true);
+  
+  try {
+    const response = await fetch('/api/auth/mfa/disable', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ password: form.password.value, code: form.code.value.trim() }),
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to disable two-factor authentication');
+    }
+    
+    form.reset();
+    document.getElementById('mfa-recovery').style.display = 'none';
+    document.getElementById('mfa-recovery-codes').innerHTML = '';
+    renderMfaStatus({ available: true, enabled: false, recoveryCodesLeft: 0 });
+  } catch (error) {
+    showError('mfa-error', error.message);
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
+// ============================================
+// Passkeys (WebAuthn)
+// ============================================
+
+// The server sends and expects binary values as base64url
+function bytesToBase64url(buffer) {
+  return bytesToBase64(new Uint8Array(buffer)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64urlToBytes(base64url) {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+}
+
+function isPasskeySupported() {
+  return Boolean(window.PublicKeyCredential && navigator.credentials);
+}
+
+/**
+ * Message for a failed browser passkey dialog
+ */
+function passkeyErrorMessage(error, action) {
+  if (error.name === 'NotAllowedError') {
+    // Cancelled, timed out, or no passkey for this site on the device
+    return `${action} was cancelled`;
+  }
+  if (error.name === 'InvalidStateError') {
+    return 'This device already has a passkey for your account';
+  }
+  return error.message;
+}
+
+/**
+ * Sign in with a passkey (from the login card)
+ * Uses the email field if filled in, so the browser offers that account's
+ * passkeys; otherwise it offers every passkey saved for this site.
+ */
+async function handlePasskeyLogin() {
+  clearError('login-error');
+  const button = document.getElementById('passkey-login-btn');
+  setLoading(button, true);
+  
+  try {
+    const email = document.getElementById('login-email').value.trim();
+    const optionsResponse = await fetch('/api/auth/webauthn/login/options', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(email ? { email } : {}),
+      credentials: 'include',
+    });
+    const options = await optionsResponse.json();
+    
+    if (!optionsResponse.ok) {
+      throw new Error(options.error || 'Passkey sign-in failed');
+    }
+    
+    const credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: base64urlToBytes(options.challenge),
+        allowCredentials: options.allowCredentials.map(item => ({ ...item, id: base64urlToBytes(item.id) })),
+      },
+    });
+    
+    const response = await fetch('/api/auth/webauthn/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        id: credential.id,
+        response: {
+          clientDataJSON: bytesToBase64url(credential.response.clientDataJSON),
+          authenticatorData: bytesToBase64url(credential.response.authenticatorData),
+          signature: bytesToBase64url(credential.response.signature),
+          userHandle: credential.response.userHandle ? bytesToBase64url(credential.response.userHandle) : null,
+        },
+      }),
+      credentials: 'include',
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Passkey sign-in failed');
+    }
+    
+    // Success
+    currentUser = data.user;
+    document.getElementById('login-form').reset();
+    showAppView();
+    loadE2ESettings().then(loadTodos);
+  } catch (error) {
+    showError('login-error', passkeyErrorMessage(error, 'Passkey sign-in'));
+  } finally {
+    setLoading(button, false);
+  }
+}
+
+/**
+ * Show the user's passkeys with a remove button each
+ * @param {Array} credentials - From GET /api/auth/webauthn/credentials
+ */
+function renderPasskeys(credentials) {
+  const supported = isPasskeySupported();
+  let text = '';
+  if (!supported) {
+    text = 'This browser does not support passkeys.';
+  } else if (credentials.length === 0) {
+    text = 'Sign in without a password, using your fingerprint, face or screen lock.';
+  }
+  document.getElementById('passkey-status').textContent = text;
+  document.getElementById('passkey-add-form').style.display = supported ? '' : 'none';
+  
+  const list = document.getElementById('passkey-list');
+  list.innerHTML = '';
+  credentials.forEach(credential => {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    
+    const textDiv = document.createElement('div');
+    textDiv.className = 'trash-item-text';
+    
+    const name = document.createElement('span');
+    // SECURITY: Use textContent, NOT innerHTML
+    name.textContent = credential.name;
+    textDiv.appendChild(name);
+    
+    const dates = document.createElement('span');
+    dates.className = 'trash-item-date';
+    dates.textContent = `Added ${formatDate(credential.createdAt)} · ${
+      credential.lastUsedAt ? `last used ${formatDate(credential.lastUsedAt)}` : 'never used'
+    }`;
+    textDiv.appendChild(dates);
+    
+    item.appendChild(textDiv);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-small btn-danger';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => deletePasskey(credential));
+    item.appendChild(removeBtn);
+    
+    list.appendChild(item);
+  });
+}
+
+async function loadPasskeys() {
+  clearError('passkey-error');
+  
+  try {
+    const response = await fetch('/api/auth/webauthn/credentials', { credentials: 'include' });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load passkeys');
+    }
+    
+    renderPasskeys(data.credentials);
+  } catch (error) {
+    showError('passkey-error', error.message);
+  }
+}
+
+/**
+ * Clear the passkey list (on logout)
+ */
+function resetPasskeyPanel() {
+  document.getElementById('passkey-panel').open = false;
+  document.getElementById('passkey-list').innerHTML = '';
+  document.getElementById('passkey-add-form').reset();
+  clearError('passkey-error');
+}
+
+/**
+ * Create a passkey on this device (or a security key) and register it
+ */
+async function handlePasskeyAdd(e) {
+  e.preventDefault();
+  clearError('passkey-error');
+  
+  const form = e.target;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  setLoading(submitBtn, true);
+  
+  try {
+    const optionsResponse = await fetch('/api/auth/webauthn/register/options', {
+      method: 'POST',
+      credentials: 'include',
+    });
+    const options = await optionsResponse.json();
+    
+    if (!optionsResponse.ok) {
+      throw new Error(options.error || 'Failed to add passkey');
+    }
+    
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: base64urlToBytes(options.challenge),
+        user: { ...options.user, id: base64urlToBytes(options.user.id) },
+        excludeCredentials: options.excludeCredentials.map(item => ({ ...item, id: base64urlToBytes(item.id) })),
+      },
+    });
+    
+    const response = await fetch('/api/auth/webauthn/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({
+        id: credential.id,
+        response: {
+          clientDataJSON: bytesToBase64url(credential.response.clientDataJSON),
+          attestationObject: bytesToBase64url(credential.response.attestationObject),
+          transports: credential.response.getTransports ? credential.response.getTransports() : [],
+        },
+        name: form.name.value.trim() || undefined,
+      }),
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to add passkey');
+    }
+    
+    form.reset();
+    loadPasskeys();
+  } catch (error) {
+    showError('passkey-error', passkeyErrorMessage(error, 'Passkey setup'));
+  } finally {
+    setLoading(submitBtn, false);
+  }
+}
+
+async function deletePasskey(credential) {
+  clearError('passkey-error');
+  
+  if (!confirm(`Remove the passkey "${credential.name}"? It can no longer be used to sign in.`)) {
+    return;
+  }
+  
+  try {
+    const response = await fetch(`/api/auth/webauthn/credentials/${credential.id}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to remove passkey');
+    }
+    
+    loadPasskeys();
+  } catch (error) {
+    showError('passkey-error', error.message);
+  }
+}
+
+// ============================================
+// Display Functions
+// ============================================
+
+function displayTodos(todoList) {
+  // Tags are encrypted on the server, so this filter runs here
+  const tagFilter = document.getElementById('filter-tag').value.trim().toLowerCase();
+  todos = tagFilter
+    ? todoList.filter(todo => (todo.tags || []).some(tag => tag.toLowerCase().includes(tagFilter)))
+    : todoList;
+  const container = document.getElementById('todo-list');
+  const emptyState = document.getElementById('empty-state');
+  
+  document.getElementById('todo-count').textContent = totalTodos > 0
+    ? `Showing ${allTodos.length} of ${totalTodos} todos`
+    : '';
+  
+  // Clear current list
+  container.innerHTML = '';
+  
+  if (todos.length === 0) {
+    emptyState.style.display = 'block';
+    return;
+  }
+  
+  emptyState.style.display = 'none';
+  
+  // Create todo elements
+  todos.forEach(todo => {
+    const todoEl = createTodoElement(todo);
+    container.appendChild(todoEl);
+  });
+}
+
+/**
+ * Check all of the user's todos against the signed integrity root
+ * Once when the app opens: the server reads every todo for it
+ */
+async function checkTodoIntegrity() {
+  try {
+    const response = await fetch('/api/todos/integrity', {
+      credentials: 'include',
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to check integrity');
+    }
+    
+    const data = await response.json();
+    displayIntegrityStatus(data.integrity);
+  } catch (error) {
+    console.error('Integrity check error:', error);
+  }
+}
+
+/**
+ * Show a warning if the server reports set-level integrity violations
+ * (todos deleted, injected or rolled back directly in the database)
+ */
+function displayIntegrityStatus(integrity) {
+  if (!integrity || integrity.valid) {
+    clearError('integrity-error');
+    return;
+  }
+  
+  const problems = [];
+  if (!integrity.rootValid) {
+    problems.push('the integrity record itself was modified');
+  }
+  if (integrity.missing.length > 0) {
+    problems.push(`${integrity.missing.length} todo(s) missing`);
+  }
+  if (integrity.unexpected.length > 0) {
+    problems.push(`${integrity.unexpected.length} unexpected todo(s)`);
+  }
+  if (integrity.rolledBack.length > 0) {
+    problems.push(`${integrity.rolledBack.length} todo(s) rolled back`);
+  }
+  
+  showError('integrity-error', `⚠️ Integrity violation detected: ${problems.join(', ')}`);
+}
+
+/**
+ * Create a todo DOM element, with its subtasks as a collapsible checklist
+ * SECURITY: Uses textContent instead of innerHTML to prevent XSS
+ * @param {Object} todo - Todo from the server (after decryptClientTodos)
+ * @param {number} [depth=1] - Nesting level (1 for top-level todos)
+ */
+function createTodoElement(todo, depth = 1) {
+  const div = document.createElement('div');
+  div.className = depth > 1 ? 'todo-item subtask' : 'todo-item';
+  
+  // Todos in a list shared with this user (view access is read-only)
+  const shared = getCurrentSharedList();
+  const readOnly = Boolean(shared) && shared.permission === 'view';
+  
+  if (todo.tampered) {
+    div.classList.add('tampered');
+  }
+  
+  if (todo.locked) {
+    div.classList.add('locked');
+  }
+  
+  if (todo.completed) {
+    div.classList.add('completed');
+  }
+  
+  // Completion checkbox (not for tampered or read-only todos)
+  if (!todo.tampered && !readOnly) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'todo-check';
+    checkbox.checked = Boolean(todo.completed);
+    checkbox.setAttribute('aria-label', 'Completed');
+    checkbox.addEventListener('change', () => handleToggleComplete(todo, checkbox.checked));
+    div.appendChild(checkbox);
+  }
+  
+  // Content area
+  const contentDiv = document.createElement('div');
+  contentDiv.className = 'todo-content';
+  
+  const contentP = document.createElement('p');
+  // SECURITY: Use textContent, NOT innerHTML
+  contentP.textContent = todo.content;
+  contentDiv.appendChild(contentP);
+  
+  // Priority, due date and tags
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'todo-meta';
+  
+  if (todo.priority && todo.priority !== 'medium') {
+    const prioritySpan = document.createElement('span');
+    prioritySpan.className = `priority-badge priority-${todo.priority}`;
+    prioritySpan.textContent = todo.priority === 'high' ? '▲ High' : '▼ Low';
+    metaDiv.appendChild(prioritySpan);
+  }
+  
+  if (todo.dueDate) {
+    const dueSpan = document.createElement('span');
+    dueSpan.className = 'due-badge';
+    if (!todo.completed && new Date(todo.dueDate) < new Date()) {
+      dueSpan.classList.add('overdue');
+    }
+    dueSpan.textContent = `Due: ${new Date(todo.dueDate).toLocaleDateString()}`;
+    metaDiv.appendChild(dueSpan);
+  }
+  
+  if (todo.reminderAt && !todo.completed) {
+    const reminderSpan = document.createElement('span');
+    reminderSpan.className = 'reminder-badge';
+    reminderSpan.textContent = `⏰ ${formatDate(todo.reminderAt)}`;
+    metaDiv.appendChild(reminderSpan);
+  }
+  
+  if (todo.recurrence) {
+    const repeatSpan = document.createElement('span');
+    repeatSpan.className = 'repeat-badge';
+    repeatSpan.title = `${todo.recurrence.rule} (${todo.recurrence.timeZone})`;
+    repeatSpan.textContent = `↻ ${describeRecurrence(todo.recurrence)}`;
+    metaDiv.appendChild(repeatSpan);
+  }
+  
+  // Which list the todo is in, when showing all lists
+  const list = currentListId === 'all' && todo.listId && lists.find(l => l.id === todo.listId);
+  if (list) {
+    const listSpan = document.createElement('span');
+    listSpan.className = 'list-badge';
+    listSpan.style.setProperty('--list-color', list.color);
+    // SECURITY: Use textContent, NOT innerHTML
+    listSpan.textContent = list.name;
+    metaDiv.appendChild(listSpan);
+  }
+  
+  (todo.tags || []).forEach(tag => {
+    const tagSpan = document.createElement('span');
+    tagSpan.className = 'tag-chip';
+    // SECURITY: Use textContent, NOT innerHTML
+    tagSpan.textContent = `#${tag}`;
+    metaDiv.appendChild(tagSpan);
+  });
+  
+  if (metaDiv.childNodes.length > 0) {
+    contentDiv.appendChild(metaDiv);
+  }
+  
+  // Timestamp
+  const timeDiv = document.createElement('div');
+  timeDiv.className = 'todo-time';
+  const timeSpan = document.createElement('span');
+  timeSpan.textContent = `Created: ${formatDate(todo.createdAt)}`;
+  timeDiv.appendChild(timeSpan);
+  
+  if (todo.encryptionMode === 'client') {
+    const e2eSpan = document.createElement('span');
+    e2eSpan.className = 'e2e-badge';
+    e2eSpan.textContent = '🔐 End-to-end encrypted';
+    timeDiv.appendChild(e2eSpan);
+  }
+  contentDiv.appendChild(timeDiv);
+  
+  // Warning for tampered todos
+  if (todo.tampered) {
+    const warningDiv = document.createElement('div');
+    warningDiv.className = 'warning-badge';
+    warningDiv.textContent = '⚠️ Integrity violation detected';
+    contentDiv.appendChild(warningDiv);
+  }
+  
+  const subtasks = todo.subtasks || [];
+  const canAddSubtask = !todo.tampered && !readOnly && depth < MAX_SUBTASK_DEPTH;
+  
+  if (subtasks.length > 0 || canAddSubtask) {
+    const checklist = document.createElement('div');
+    checklist.className = 'subtasks';
+    
+    const body = document.createElement('div');
+    body.className = 'subtask-body';
+    body.hidden = collapsedTodos.has(todo.id);
+    
+    if (subtasks.length > 0) {
+      const done = subtasks.filter(subtask => subtask.completed).length;
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'subtask-toggle';
+      const updateToggle = () => {
+        toggle.textContent = `${body.hidden ? '▸' : '▾'} Subtasks ${done}/${subtasks.length}`;
+        toggle.setAttribute('aria-expanded', String(!body.hidden));
+      };
+      toggle.addEventListener('click', () => {
+        body.hidden = !body.hidden;
+        if (body.hidden) {
+          collapsedTodos.add(todo.id);
+        } else {
+          collapsedTodos.delete(todo.id);
+        }
+        updateToggle();
+      });
+      updateToggle();
+      checklist.appendChild(toggle);
+      
+      subtasks.forEach(subtask => {
+        body.appendChild(createTodoElement(subtask, depth + 1));
+      });
+    }
+    
+    if (canAddSubtask) {
+      const form = document.createElement('form');
+      form.className = 'subtask-form';
+      
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = 'content';
+      input.maxLength = 5000;
+      input.placeholder = 'Add a subtask...';
+      input.setAttribute('aria-label', 'New subtask');
+      form.appendChild(input);
+      
+      const addBtn = document.createElement('button');
+      addBtn.type = 'submit';
+      addBtn.className = 'btn btn-small btn-secondary';
+      addBtn.textContent = 'Add';
+      form.appendChild(addBtn);
+      
+      form.addEventListener('submit', (e) => handleAddSubtask(e, todo));
+      body.appendChild(form);
+    }
+    
+    checklist.appendChild(body);
+    contentDiv.appendChild(checklist);
+  }
+  
+  div.appendChild(contentDiv);
+  
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'todo-actions';
+  
+  // Edit/delete only if not tampered; locked end-to-end todos can't be
+  // edited without the plaintext
+  if (!todo.tampered && !todo.locked && !readOnly) {
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn btn-small btn-secondary';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openEditModal(todo));
+    actionsDiv.appendChild(editBtn);
+  }
+  
+  // History stays available so a tampered todo can be restored (by the
+  // owner only, the history isn't shared)
+  if (!shared) {
+    const historyBtn = document.createElement('button');
+    historyBtn.className = 'btn btn-small btn-secondary';
+    historyBtn.textContent = 'History';
+    historyBtn.addEventListener('click', () => openHistoryModal(todo));
+    actionsDiv.appendChild(historyBtn);
+  }
+  
+  if (!todo.tampered && !readOnly) {
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => handleDeleteTodo(todo.id));
+    actionsDiv.appendChild(deleteBtn);
+  }
+  
+  div.appendChild(actionsDiv);
   
   return div;
 }
@@ -513,6 +3393,24 @@ function setLoading(button, isLoading) {
         span.textContent = 'Add Todo';
       } else if (form && form.id === 'edit-form') {
         span.textContent = 'Save Changes';
+      } else if (form && form.id === 'export-form') {
+        span.textContent = 'Export';
+      } else if (form && form.id === 'import-form') {
+        span.textContent = 'Import';
+      } else if (form && form.id === 'notification-settings-form') {
+        span.textContent = 'Save';
+      } else if (form && form.id === 'mfa-login-form') {
+        span.textContent = 'Verify';
+      } else if (form && form.id === 'mfa-enable-form') {
+        span.textContent = 'Confirm';
+      } else if (form && form.id === 'mfa-disable-form') {
+        span.textContent = 'Disable';
+      } else if (form && form.id === 'passkey-add-form') {
+        span.textContent = 'Add passkey';
+      } else if (button.id === 'passkey-login-btn') {
+        span.textContent = 'Sign in with a passkey';
+      } else if (form && form.id === 'e2e-form') {
+        span.textContent = e2eSettings && e2eSettings.enabled ? 'Unlock' : 'Enable';
       }
     }
   }
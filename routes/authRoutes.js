@@ -1,6 +1,7 @@
 /**
  * Authentication Routes
- * Handles user registration, login, and Google OAuth
+ * Handles user registration, login, two-factor authentication, passkeys,
+ * Google OAuth and sessions
  */
 
 const express = require('express');
@@ -8,17 +9,48 @@ const passport = require('passport');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
+const mfaController = require('../controllers/mfaController');
+const webauthnController = require('../controllers/webauthnController');
+const { authenticate } = require('../middleware/auth');
 const {
   validateRegistration,
   validateLogin,
   validateRefreshToken,
+  validateLogout,
+  validateMfaLogin,
+  validateMfaCode,
+  validateMfaDisable,
+  validatePasskeyRegistration,
+  validatePasskeyLoginOptions,
+  validatePasskeyLogin,
+  validateObjectId,
 } = require('../middleware/validation');
 
 // Traditional email/password authentication
 router.post('/register', validateRegistration, authController.register);
 router.post('/login', validateLogin, authController.login);
+router.post('/login/mfa', validateMfaLogin, authController.loginMfa);
 router.post('/refresh', validateRefreshToken, authController.refresh);
-router.post('/logout', authController.logout);
+router.post('/logout', validateLogout, authController.logout);
+
+// Sessions (logins) of the authenticated user
+router.get('/sessions', authenticate, authController.listSessions);
+router.delete('/sessions', authenticate, authController.deleteOtherSessions);
+router.delete('/sessions/:id', authenticate, validateObjectId, authController.deleteSession);
+
+// Two-factor authentication (TOTP) of the authenticated user
+router.get('/mfa', authenticate, mfaController.getMfaStatus);
+router.post('/mfa/setup', authenticate, mfaController.setupMfa);
+router.post('/mfa/enable', authenticate, validateMfaCode, mfaController.confirmMfa);
+router.post('/mfa/disable', authenticate, validateMfaDisable, mfaController.disableMfa);
+
+// Passkeys (WebAuthn): sign-in, and the authenticated user's passkeys
+router.post('/webauthn/login/options', validatePasskeyLoginOptions, authController.passkeyLoginOptions);
+router.post('/webauthn/login', validatePasskeyLogin, authController.loginPasskey);
+router.get('/webauthn/credentials', authenticate, webauthnController.listCredentials);
+router.post('/webauthn/register/options', authenticate, webauthnController.registerOptions);
+router.post('/webauthn/register', authenticate, validatePasskeyRegistration, webauthnController.registerCredential);
+router.delete('/webauthn/credentials/:id', authenticate, validateObjectId, webauthnController.deleteCredential);
 
 // Google OAuth routes
 router.get(
@@ -0,0 +1,18 @@
+/**
+ * Event Routes
+ * All routes require authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const eventController = require('../controllers/eventController');
+const { authenticate } = require('../middleware/auth');
+
+// All event routes require authentication
+router.use(authenticate);
+
+// Server-Sent Events stream of todo changes
+router.get('/', eventController.streamEvents);
+
+module.exports = router;
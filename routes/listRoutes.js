@@ -0,0 +1,33 @@
+/**
+ * List Routes
+ * All routes require authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const listController = require('../controllers/listController');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateList,
+  validateListUpdate,
+  validateListShare,
+  validateObjectId,
+  validateShareId,
+} = require('../middleware/validation');
+
+// All list routes require authentication
+router.use(authenticate);
+
+// CRUD operations
+router.get('/', listController.getLists);
+router.post('/', validateList, listController.createList);
+router.put('/:id', validateObjectId, validateListUpdate, listController.updateList);
+router.delete('/:id', validateObjectId, listController.deleteList);
+
+// Sharing (owner only, except that recipients can revoke their own access)
+router.get('/:id/shares', validateObjectId, listController.getShares);
+router.post('/:id/shares', validateObjectId, validateListShare, listController.shareList);
+router.delete('/:id/shares/:shareId', validateObjectId, validateShareId, listController.revokeShare);
+
+module.exports = router;
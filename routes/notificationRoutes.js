@@ -0,0 +1,29 @@
+/**
+ * Notification Routes
+ * All routes require authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateNotificationQuery,
+  validateNotificationSettings,
+  validateObjectId,
+} = require('../middleware/validation');
+
+// All notification routes require authentication
+router.use(authenticate);
+
+// Settings (before /:id routes)
+router.get('/settings', notificationController.getSettings);
+router.put('/settings', validateNotificationSettings, notificationController.updateSettings);
+
+// Inbox
+router.get('/', validateNotificationQuery, notificationController.getNotifications);
+router.post('/read', notificationController.markAllNotificationsRead);
+router.post('/:id/read', validateObjectId, notificationController.markNotificationRead);
+
+module.exports = router;
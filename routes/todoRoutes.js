@@ -7,16 +7,51 @@ const express = require('express');
 const router = express.Router();
 
 const todoController = require('../controllers/todoController');
+const revisionController = require('../controllers/revisionController');
 const { authenticate } = require('../middleware/auth');
-const { validateTodo, validateObjectId } = require('../middleware/validation');
+const {
+  validateTodo,
+  validateTodoUpdate,
+  validateTodoBatch,
+  validateTodoQuery,
+  validateE2ESettings,
+  validateBackupExport,
+  validateBackupImport,
+  validateObjectId,
+  validateRevisionVersion,
+} = require('../middleware/validation');
 
 // All todo routes require authentication
 router.use(authenticate);
 
+// End-to-end encryption settings (before /:id routes)
+router.get('/e2e', todoController.getE2ESettings);
+router.put('/e2e', validateE2ESettings, todoController.enableE2E);
+
+// Encrypted backup export/import
+router.get('/export', validateBackupExport, todoController.exportTodos);
+router.post('/import', validateBackupImport, todoController.importTodos);
+
+// Trash (deleted todos until purged)
+router.get('/trash', todoController.getTrash);
+router.delete('/trash', todoController.emptyTrash);
+router.post('/trash/:id/restore', validateObjectId, todoController.restoreTodo);
+
+// Set-level integrity check of all of the user's todos
+router.get('/integrity', todoController.getTodoIntegrity);
+
+// Several creates, updates and deletes in one transaction
+router.post('/batch', validateTodoBatch, todoController.batchTodos);
+
 // CRUD operations
-router.get('/', todoController.getTodos);
+router.get('/', validateTodoQuery, todoController.getTodos);
 router.post('/', validateTodo, todoController.createTodo);
-router.put('/:id', validateObjectId, validateTodo, todoController.updateTodo);
+router.put('/:id', validateObjectId, validateTodoUpdate, todoController.updateTodo);
 router.delete('/:id', validateObjectId, todoController.deleteTodo);
 
+// Revision history
+router.get('/:id/revisions', validateObjectId, revisionController.listRevisions);
+router.get('/:id/revisions/:version', validateObjectId, validateRevisionVersion, revisionController.getRevision);
+router.post('/:id/revisions/:version/restore', validateObjectId, validateRevisionVersion, revisionController.restoreRevision);
+
 module.exports = router;
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Audit the integrity of every stored todo and revision
+ *
+ * Usage:
+ *   node scripts/auditIntegrity.js [--out-dir <dir>]
+ *
+ *   --out-dir <dir>  Directory for the reports (default ./reports)
+ *
+ * Writes integrity-audit-<timestamp>.json (summary + findings) and
+ * integrity-audit-<timestamp>.csv (findings only) listing corrupted,
+ * tampered and orphaned todos and revisions.
+ *
+ * Exit codes (for schedulers):
+ *   0 - no findings
+ *   1 - the audit could not run
+ *   2 - findings were reported
+ */
+require('dotenv').config({ path: '.env.example' });
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const { auditTodos, findingsToCsv } = require('../utils/integrityAudit');
+const { initializeKeyProvider } = require('../utils/crypto');
+
+function parseArgs(argv) {
+  const args = { outDir: path.join(process.cwd(), 'reports') };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out-dir') {
+      args.outDir = path.resolve(argv[++i] || '');
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  await initializeKeyProvider();
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let report;
+  try {
+    report = await auditTodos({
+      onProgress: ({ total, checked }) => {
+        console.log(`${checked}/${total} todos checked`);
+      },
+    });
+  } finally {
+    await mongoose.connection.close();
+  }
+
+  const { summary, findings } = report;
+  const stamp = summary.startedAt.replace(/[:.]/g, '-');
+  const jsonPath = path.join(args.outDir, `integrity-audit-${stamp}.json`);
+  const csvPath = path.join(args.outDir, `integrity-audit-${stamp}.csv`);
+
+  fs.mkdirSync(args.outDir, { recursive: true });
+  fs.writeFileSync(jsonPath, JSON.stringify({ summary, findings }, null, 2));
+  fs.writeFileSync(csvPath, findingsToCsv(findings));
+
+  console.log(
+    `Checked ${summary.checked} todos: ${summary.ok} ok, ${summary.corrupted} corrupted, ` +
+    `${summary.tampered} tampered, ${summary.orphaned} orphaned, ${summary.shredded} shredded`
+  );
+  console.log(`Reports: ${jsonPath}, ${csvPath}`);
+
+  if (findings.length > 0) {
+    console.error(`✗ ${findings.length} integrity findings`);
+    return 2;
+  }
+  console.log('✓ No integrity findings');
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('✗ Integrity audit failed:', error.message);
+    process.exit(1);
+  });
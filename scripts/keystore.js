@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Manage the local keystore used by KEY_PROVIDER=keystore
+ *
+ * Usage:
+ *   node scripts/keystore.js init [--import-env]
+ *   node scripts/keystore.js add-key <keyId> [--activate]
+ *   node scripts/keystore.js activate <keyId>
+ *   node scripts/keystore.js list
+ *
+ *   init          Create a new keystore with a fresh key "v1"
+ *   --import-env  Import the keys from AES_KEYS / AES_KEY instead of generating one
+ *   add-key       Generate a new random key (keep old keys until `npm run reencrypt` has run)
+ *   --activate    Also make the new key the active one
+ *   activate      Use an existing key for new encryptions
+ *   list          Show key IDs and the active key (never the keys themselves)
+ *
+ * The keystore path is KEYSTORE_PATH (default ./keystore.json). The passphrase
+ * is read from KEYSTORE_PASSPHRASE or prompted for.
+ */
+require('dotenv').config({ path: '.env.example' });
+const fs = require('fs');
+
+const { LEGACY_KEY_ID, generateDataKey, createEnvKeyProvider } = require('../utils/crypto');
+const {
+  resolveKeystorePath,
+  readKeystore,
+  writeKeystore,
+  promptPassphrase,
+} = require('../utils/keystore');
+
+function parseArgs(argv) {
+  const args = { command: argv[0], keyId: null, importEnv: false, activate: false };
+
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--import-env') {
+      args.importEnv = true;
+    } else if (argv[i] === '--activate') {
+      args.activate = true;
+    } else if (!argv[i].startsWith('--') && !args.keyId) {
+      args.keyId = argv[i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!['init', 'add-key', 'activate', 'list'].includes(args.command)) {
+    throw new Error('Command must be one of: init, add-key, activate, list');
+  }
+  if (['add-key', 'activate'].includes(args.command) && !args.keyId) {
+    throw new Error(`${args.command} requires a key ID`);
+  }
+
+  return args;
+}
+
+async function getPassphrase({ confirm = false } = {}) {
+  if (process.env.KEYSTORE_PASSPHRASE) {
+    return process.env.KEYSTORE_PASSPHRASE;
+  }
+
+  const passphrase = await promptPassphrase();
+  if (confirm && passphrase !== await promptPassphrase('Repeat passphrase: ')) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Read the keys currently configured in the environment (AES_KEYS / AES_KEY)
+ */
+function readEnvKeys() {
+  const { activeKeyId, keys } = createEnvKeyProvider().getKeyring();
+  const entries = {};
+  for (const [keyId, key] of keys) {
+    entries[keyId] = key.toString('base64');
+  }
+  return { activeKeyId, keys: entries };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const keystorePath = resolveKeystorePath();
+
+  if (args.command === 'init') {
+    if (fs.existsSync(keystorePath)) {
+      throw new Error(`${keystorePath} already exists`);
+    }
+
+    const contents = args.importEnv
+      ? readEnvKeys()
+      : { activeKeyId: LEGACY_KEY_ID, keys: { [LEGACY_KEY_ID]: generateDataKey().toString('base64') } };
+
+    await writeKeystore(keystorePath, await getPassphrase({ confirm: true }), contents);
+    console.log(`✓ Keystore created at ${keystorePath} (keys: ${Object.keys(contents.keys).join(', ')}, active: ${contents.activeKeyId})`);
+    return 0;
+  }
+
+  const passphrase = await getPassphrase();
+  const contents = await readKeystore(keystorePath, passphrase);
+
+  if (args.command === 'list') {
+    for (const keyId of Object.keys(contents.keys)) {
+      console.log(`${keyId === contents.activeKeyId ? '*' : ' '} ${keyId}`);
+    }
+    return 0;
+  }
+
+  if (args.command === 'add-key') {
+    if (contents.keys[args.keyId]) {
+      throw new Error(`Key "${args.keyId}" already exists`);
+    }
+    contents.keys[args.keyId] = generateDataKey().toString('base64');
+  } else if (!contents.keys[args.keyId]) {
+    throw new Error(`Key "${args.keyId}" is not in the keystore`);
+  }
+
+  if (args.command === 'activate' || args.activate) {
+    contents.activeKeyId = args.keyId;
+  }
+
+  await writeKeystore(keystorePath, passphrase, contents);
+  console.log(`✓ Keystore updated (active key: ${contents.activeKeyId})`);
+  if (contents.activeKeyId === args.keyId) {
+    console.log('Restart the server, then run `npm run reencrypt` to move existing data onto the new key');
+  }
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('✗ Keystore command failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Replace legacy SHA-256 integrity hashes with HMAC-SHA256 tags
+ *
+ * Usage:
+ *   node scripts/migrateIntegrity.js [--status] [--batch-size <n>]
+ *
+ *   --status          Only report how many todos are still on legacy hashes
+ *   --batch-size <n>  Number of todos loaded per batch (default 100)
+ *
+ * Safe to interrupt and run again: migrated records are not revisited.
+ * Exits with code 1 if any record could not be migrated (e.g. it failed
+ * verification and may have been tampered with).
+ */
+require('dotenv').config({ path: '.env.example' });
+const mongoose = require('mongoose');
+
+const {
+  getIntegrityMigrationStatus,
+  migrateIntegrityTags,
+} = require('../utils/integrityMigration');
+const { initializeKeyProvider } = require('../utils/crypto');
+
+function parseArgs(argv) {
+  const args = { status: false, batchSize: 100 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--status') {
+      args.status = true;
+    } else if (argv[i] === '--batch-size') {
+      args.batchSize = parseInt(argv[++i], 10);
+      if (!Number.isInteger(args.batchSize) || args.batchSize < 1) {
+        throw new Error('--batch-size must be a positive integer');
+      }
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  await initializeKeyProvider();
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    if (args.status) {
+      const { remaining, remainingRevisions } = await getIntegrityMigrationStatus();
+      console.log(`Todos on legacy SHA-256 hashes: ${remaining}`);
+      console.log(`Revisions on legacy SHA-256 hashes: ${remainingRevisions}`);
+      return 0;
+    }
+
+    const result = await migrateIntegrityTags({
+      batchSize: args.batchSize,
+      onProgress: ({ total, processed, migrated, skipped, failed }) => {
+        const percent = total > 0 ? Math.floor((processed / total) * 100) : 100;
+        console.log(
+          `[${percent}%] ${processed}/${total} processed ` +
+          `(${migrated} migrated, ${skipped} skipped, ${failed} failed)`
+        );
+      },
+    });
+
+    console.log(`✓ Done: ${result.migrated} todos now use HMAC-SHA256 tags`);
+    if (result.failed > 0) {
+      console.error(`✗ ${result.failed} todos could not be migrated, see logs for details`);
+      return 1;
+    }
+    return 0;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('✗ Integrity migration failed:', error.message);
+    process.exit(1);
+  });
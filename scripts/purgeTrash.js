@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Permanently delete todos that have been in the trash too long
+ *
+ * Usage:
+ *   node scripts/purgeTrash.js [--status] [--retention-days <n>] [--batch-size <n>]
+ *
+ *   --status               Only report how many trashed todos are past retention
+ *   --retention-days <n>   Days in the trash before purging (default TRASH_RETENTION_DAYS or 30)
+ *   --batch-size <n>       Number of todos loaded per batch (default 100)
+ *
+ * The server runs the same purge periodically (TRASH_PURGE_INTERVAL_MINUTES).
+ * Exits with code 1 if any todo could not be purged.
+ */
+require('dotenv').config({ path: '.env.example' });
+const mongoose = require('mongoose');
+
+const { getTrashRetentionDays, getTrashPurgeStatus, purgeExpiredTrash } = require('../utils/trash');
+
+function parseArgs(argv) {
+  const args = { status: false, retentionDays: getTrashRetentionDays(), batchSize: 100 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--status') {
+      args.status = true;
+    } else if (argv[i] === '--retention-days') {
+      args.retentionDays = parseInt(argv[++i], 10);
+      if (!Number.isInteger(args.retentionDays) || args.retentionDays < 0) {
+        throw new Error('--retention-days must be a non-negative integer');
+      }
+    } else if (argv[i] === '--batch-size') {
+      args.batchSize = parseInt(argv[++i], 10);
+      if (!Number.isInteger(args.batchSize) || args.batchSize < 1) {
+        throw new Error('--batch-size must be a positive integer');
+      }
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    if (args.status) {
+      const { expired } = await getTrashPurgeStatus({ retentionDays: args.retentionDays });
+      console.log(`Trashed todos older than ${args.retentionDays} days: ${expired}`);
+      return 0;
+    }
+
+    const result = await purgeExpiredTrash({
+      retentionDays: args.retentionDays,
+      batchSize: args.batchSize,
+    });
+
+    console.log(`✓ Done: ${result.purged} todos purged from the trash`);
+    if (result.failed > 0) {
+      console.error(`✗ ${result.failed} todos could not be purged, see logs for details`);
+      return 1;
+    }
+    return 0;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('✗ Trash purge failed:', error.message);
+    process.exit(1);
+  });
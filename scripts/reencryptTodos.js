@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Move user data keys, two-factor secrets and todos onto the current AES keys
+ *
+ * Usage:
+ *   node scripts/reencryptTodos.js [--status] [--batch-size <n>]
+ *
+ *   --status          Only report how many data keys, two-factor secrets and todos
+ *                     are still on old keys
+ *   --batch-size <n>  Number of todos loaded per batch (default 100)
+ *
+ * Safe to interrupt and run again: finished records are not revisited.
+ * Exits with code 1 if any record could not be re-encrypted.
+ */
+require('dotenv').config({ path: '.env.example' });
+const mongoose = require('mongoose');
+
+const { getRotationStatus, reencryptTodos } = require('../utils/keyRotation');
+const { initializeKeyProvider } = require('../utils/crypto');
+
+function parseArgs(argv) {
+  const args = { status: false, batchSize: 100 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--status') {
+      args.status = true;
+    } else if (argv[i] === '--batch-size') {
+      args.batchSize = parseInt(argv[++i], 10);
+      if (!Number.isInteger(args.batchSize) || args.batchSize < 1) {
+        throw new Error('--batch-size must be a positive integer');
+      }
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  await initializeKeyProvider();
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    if (args.status) {
+      const {
+        activeKeyId,
+        remainingUsers,
+        remainingMfaSecrets,
+        remaining,
+        remainingRevisions,
+      } = await getRotationStatus();
+      console.log(`Active key: ${activeKeyId}`);
+      console.log(`Data keys wrapped with old keys: ${remainingUsers}`);
+      console.log(`Two-factor secrets encrypted with old keys: ${remainingMfaSecrets}`);
+      console.log(`Todos not on bound user data key encryption: ${remaining}`);
+      console.log(`Revisions not on bound user data key encryption: ${remainingRevisions}`);
+      return 0;
+    }
+
+    const result = await reencryptTodos({
+      batchSize: args.batchSize,
+      onProgress: ({ total, processed, migrated, skipped, failed }) => {
+        const percent = total > 0 ? Math.floor((processed / total) * 100) : 100;
+        console.log(
+          `[${percent}%] ${processed}/${total} processed ` +
+          `(${migrated} re-encrypted, ${skipped} skipped, ${failed} failed)`
+        );
+      },
+    });
+
+    console.log(`✓ Done: ${result.migrated} records moved onto current keys (active key ${result.activeKeyId})`);
+    if (result.failed > 0) {
+      console.error(`✗ ${result.failed} records could not be re-encrypted, see logs for details`);
+      return 1;
+    }
+    return 0;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('✗ Re-encryption failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Crypto-shred a user's todos by destroying their data key
+ *
+ * Usage:
+ *   node scripts/shredUserData.js --email <email> --confirm
+ *
+ * IRREVERSIBLE: the user's todos (including copies in backups) can never be
+ * decrypted again. --confirm is required to run.
+ */
+require('dotenv').config({ path: '.env.example' });
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const { shredUserDataKey } = require('../utils/dataKeys');
+
+function parseArgs(argv) {
+  const args = { email: null, confirm: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--email') {
+      args.email = argv[++i];
+    } else if (argv[i] === '--confirm') {
+      args.confirm = true;
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!args.email) {
+    throw new Error('--email is required');
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.confirm) {
+    console.error('✗ This permanently destroys the user\'s data. Re-run with --confirm to proceed.');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const user = await User.findOne({ email: args.email.toLowerCase() });
+    if (!user) {
+      console.error(`✗ No user with email ${args.email}`);
+      return 1;
+    }
+
+    const { deletedTodos, deletedRevisions } = await shredUserDataKey(user._id);
+    console.log(`✓ Data key destroyed for ${user.email}`);
+    if (deletedTodos > 0) {
+      console.log(`✓ Deleted ${deletedTodos} todos that were not yet on the data key`);
+    }
+    if (deletedRevisions > 0) {
+      console.log(`✓ Deleted ${deletedRevisions} revisions that were not yet on the data key`);
+    }
+    return 0;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('✗ Shredding failed:', error.message);
+    process.exit(1);
+  });
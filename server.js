@@ -14,10 +14,17 @@ const path = require('path');
 // Import utilities and middleware
 const logger = require('./utils/logger');
 const { generalLimiter, authLimiter } = require('./middleware/rateLimiter');
+const { reencryptTodos } = require('./utils/keyRotation');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { scheduleNotifications } = require('./utils/notifications');
+const { initializeKeyProvider, verifyKeyConfiguration } = require('./utils/crypto');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const todoRoutes = require('./routes/todoRoutes');
+const listRoutes = require('./routes/listRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const eventRoutes = require('./routes/eventRoutes');
 
 // Import passport configuration
 require('./config/passport');
@@ -44,6 +51,7 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:4000',
   credentials: true, // Allow cookies to be sent
+  exposedHeaders: ['ETag'], // Read by clients for If-Match on updates
 }));
 
 // Parse JSON bodies
@@ -59,21 +67,6 @@ app.use(passport.initialize());
 // Rate limiting - Apply to all requests
 app.use(generalLimiter);
 
-// ============================================
-// Database Connection
-// ============================================
-
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
-    logger.info('MongoDB connected successfully');
-    console.log('✓ MongoDB connected');
-  })
-  .catch((err) => {
-    logger.error('MongoDB connection error:', err);
-    console.error('✗ MongoDB connection failed:', err.message);
-    process.exit(1);
-  });
-
 // ============================================
 // Routes
 // ============================================
@@ -84,6 +77,9 @@ app.use(express.static(path.join(__dirname, 'public')));
 // API Routes
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/todos', todoRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -131,11 +127,65 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 4000;
 
-app.listen(PORT, () => {
-  console.log(`\n🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Server started on port ${PORT}`);
-});
+async function start() {
+  // Unlock the key provider and make sure the master keys are usable
+  // before accepting any request
+  try {
+    await initializeKeyProvider();
+  } catch (err) {
+    logger.error('Key provider initialization failed:', err);
+    console.error('✗ Key provider initialization failed:', err.message);
+    process.exit(1);
+  }
+
+  const keyStatus = verifyKeyConfiguration();
+  if (!keyStatus.configured) {
+    logger.error('Encryption keys are not configured', keyStatus);
+    console.error(`✗ Encryption keys are not configured (${keyStatus.provider}): ${keyStatus.error}`);
+    process.exit(1);
+  }
+  logger.info(`Key provider "${keyStatus.provider}" ready, active key ${keyStatus.activeKeyId}`);
+
+  // Queries inside mongoose.connection.transaction() use its session without
+  // passing it around (todo batches). This option needs Mongoose 8.4 or later,
+  // hence the ^8.4.0 in package.json.
+  mongoose.set('transactionAsyncLocalStorage', true);
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('MongoDB connected successfully');
+    console.log('✓ MongoDB connected');
+  } catch (err) {
+    logger.error('MongoDB connection error:', err);
+    console.error('✗ MongoDB connection failed:', err.message);
+    process.exit(1);
+  }
+
+  // Optionally move todos on old AES keys onto the active key in the background
+  // (same job as `npm run reencrypt`, which can also be run on its own)
+  if (process.env.KEY_ROTATION_ON_STARTUP === 'true') {
+    reencryptTodos({
+      onProgress: ({ total, processed, failed }) => {
+        logger.info(`Key rotation progress: ${processed}/${total} (${failed} failed)`);
+      },
+    }).catch((err) => logger.error('Background key rotation failed:', err));
+  }
+
+  // Purge todos that have been in the trash longer than TRASH_RETENTION_DAYS
+  // (same job as `npm run purge-trash`)
+  scheduleTrashPurge();
+
+  // Send due-date and reminder notifications every NOTIFICATION_INTERVAL_SECONDS
+  scheduleNotifications();
+
+  app.listen(PORT, () => {
+    console.log(`\n🚀 Server running on http://localhost:${PORT}`);
+    console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`Server started on port ${PORT}`);
+  });
+}
+
+start();
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,140 @@
+/**
+ * Backup Import Tests
+ * A modified archive or a wrong password must be refused before anything
+ * is written (no database needed: the import stops before it is used).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Todo = require('../models/Todo');
+const { createBackupArchive, openBackupArchive } = require('../utils/backup');
+const todoController = require('../controllers/todoController');
+
+const PASSWORD = 'correct horse battery staple';
+const USER_ID = '507f1f77bcf86cd799439011';
+
+const ENTRIES = [
+  {
+    encryptionMode: 'server',
+    content: 'Buy milk',
+    fields: { completed: false, priority: 'high', tags: ['errands'] },
+    createdAt: '2026-01-05T09:00:00.000Z',
+    updatedAt: '2026-01-05T09:00:00.000Z',
+  },
+  {
+    encryptionMode: 'server',
+    content: 'File taxes',
+    fields: { completed: true, completedAt: '2026-03-01T18:30:00.000Z' },
+    createdAt: '2026-02-10T12:00:00.000Z',
+    updatedAt: '2026-03-01T18:30:00.000Z',
+  },
+];
+
+// The import must stop before it reads or writes todos
+for (const method of ['find', 'insertMany', 'deleteMany']) {
+  Todo[method] = () => {
+    throw new Error(`Todo.${method} called for a rejected archive`);
+  };
+}
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+async function importArchive(archive, password) {
+  const res = mockResponse();
+  await todoController.importTodos({ userId: USER_ID, user: {}, body: { archive, password } }, res);
+  return res;
+}
+
+/**
+ * Copy of an archive with one change applied
+ */
+function modified(archive, change) {
+  const copy = JSON.parse(JSON.stringify(archive));
+  change(copy);
+  return copy;
+}
+
+/**
+ * Flip one bit of a base64 value
+ */
+function flipBit(base64) {
+  const bytes = Buffer.from(base64, 'base64');
+  bytes[0] ^= 0x01;
+  return bytes.toString('base64');
+}
+
+test('an archive opens with its password and returns its todos', async () => {
+  const archive = await createBackupArchive(USER_ID, ENTRIES, PASSWORD);
+  const { metadata, userId, todos } = await openBackupArchive(archive, PASSWORD);
+
+  assert.strictEqual(metadata.todoCount, 2);
+  assert.strictEqual(userId, USER_ID);
+  assert.deepStrictEqual(todos.map((todo) => todo.content), ['Buy milk', 'File taxes']);
+});
+
+test('an import with the wrong password is refused', async () => {
+  const archive = await createBackupArchive(USER_ID, ENTRIES, PASSWORD);
+  const res = await importArchive(archive, 'wrong password');
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.error, 'Backup could not be verified');
+  assert.match(res.body.message, /wrong password or modified archive/);
+});
+
+test('an import of a modified archive is refused', async () => {
+  const archive = await createBackupArchive(USER_ID, ENTRIES, PASSWORD);
+  const tampered = {
+    ciphertext: modified(archive, (copy) => {
+      copy.ciphertext = flipBit(copy.ciphertext);
+    }),
+    authTag: modified(archive, (copy) => {
+      copy.cipher.authTag = flipBit(copy.cipher.authTag);
+    }),
+    // The metadata is authenticated as associated data
+    metadata: modified(archive, (copy) => {
+      copy.exportedAt = new Date(0).toISOString();
+    }),
+    salt: modified(archive, (copy) => {
+      copy.kdf.salt = flipBit(copy.kdf.salt);
+    }),
+  };
+
+  for (const [name, archiveCopy] of Object.entries(tampered)) {
+    const res = await importArchive(archiveCopy, PASSWORD);
+    assert.strictEqual(res.statusCode, 400, name);
+    assert.match(res.body.message, /wrong password or modified archive/, name);
+  }
+});
+
+test('an archive asking for more scrypt work than the server uses is refused', async () => {
+  const archive = await createBackupArchive(USER_ID, ENTRIES, PASSWORD);
+  const costly = modified(archive, (copy) => {
+    copy.kdf.N *= 2;
+  });
+
+  const res = await importArchive(costly, PASSWORD);
+  assert.strictEqual(res.statusCode, 400);
+});
+
+test('an archive that is not a backup is refused', async () => {
+  const res = await importArchive({ format: 'something-else', version: 1 }, PASSWORD);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.message, 'Not a supported backup archive');
+});
@@ -0,0 +1,84 @@
+/**
+ * List Sharing Tests
+ * Sharing a list must not tell the owner whether an email is registered
+ * (in-memory models, no database needed).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.INTEGRITY_KEY = crypto.randomBytes(32).toString('base64');
+
+const List = require('../models/List');
+const ListShare = require('../models/ListShare');
+const User = require('../models/User');
+const listController = require('../controllers/listController');
+
+// ============================================
+// In-memory models
+// ============================================
+
+const ownerId = new mongoose.Types.ObjectId();
+const list = { _id: new mongoose.Types.ObjectId(), userId: ownerId };
+const registered = { _id: new mongoose.Types.ObjectId(), email: 'bob@example.com' };
+const shares = [];
+
+List.findOne = async ({ _id, userId }) => (list._id.equals(_id) && list.userId.equals(userId) ? list : null);
+User.findOne = ({ email }) => ({
+  select: async () => (email === registered.email ? registered : null),
+});
+ListShare.findOne = async ({ userId }) => shares.find((share) => share.userId.equals(userId)) || null;
+ListShare.countDocuments = async () => shares.length;
+ListShare.prototype.save = async function () {
+  if (!shares.includes(this)) {
+    shares.push(this);
+  }
+  return this;
+};
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+async function share(email, permission = 'view') {
+  const res = mockResponse();
+  await listController.shareList(
+    { userId: ownerId, params: { id: list._id.toString() }, body: { email, permission } },
+    res
+  );
+  return { status: res.statusCode, body: res.body };
+}
+
+// ============================================
+// Tests
+// ============================================
+
+test('sharing answers the same for registered and unregistered emails', async () => {
+  const unknown = await share('nobody@example.com');
+  const created = await share(registered.email);
+  const updated = await share(registered.email, 'edit');
+
+  assert.strictEqual(unknown.status, 200);
+  assert.deepStrictEqual(created, unknown);
+  assert.deepStrictEqual(updated, unknown);
+
+  // Only the registered user got a grant
+  assert.strictEqual(shares.length, 1);
+  assert.ok(shares[0].userId.equals(registered._id));
+  assert.strictEqual(shares[0].permission, 'edit');
+});
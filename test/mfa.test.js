@@ -0,0 +1,142 @@
+/**
+ * Two-Factor Login Tests
+ * Runs the second login step against in-memory models (no database needed):
+ * a challenge token is no access token, and it takes a few codes at most.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.AES_KEYS = `v1:${crypto.randomBytes(32).toString('base64')}`;
+process.env.AES_ACTIVE_KEY_ID = 'v1';
+delete process.env.AES_KEY;
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const MfaChallenge = require('../models/MfaChallenge');
+const { beginMfaSetup, enableMfa } = require('../utils/mfa');
+const { generateTotp } = require('../utils/totp');
+const { generateMfaToken, verifyAccessToken } = require('../middleware/auth');
+const authController = require('../controllers/authController');
+
+// ============================================
+// In-memory models
+// ============================================
+
+const users = new Map();
+const challenges = new Map();
+
+User.findById = async (id) => users.get(String(id)) || null;
+User.updateOne = async (query, update) => {
+  // No recovery codes are used here
+  const user = users.get(String(query._id));
+  if (!user || query['mfa.recoveryCodes']) {
+    return { matchedCount: 0, modifiedCount: 0 };
+  }
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    user.set(path, value);
+  }
+  return { matchedCount: 1, modifiedCount: 1 };
+};
+User.prototype.save = async function () {
+  return this;
+};
+
+MfaChallenge.findOneAndUpdate = async ({ jti }, update) => {
+  const record = challenges.get(jti) || { jti, attempts: 0, completedAt: null, ...update.$setOnInsert };
+  record.attempts += update.$inc.attempts;
+  challenges.set(jti, record);
+  return { ...record };
+};
+MfaChallenge.updateOne = async ({ jti }, update) => {
+  Object.assign(challenges.get(jti), update.$set);
+  return { matchedCount: 1, modifiedCount: 1 };
+};
+
+Session.create = async (doc) => new Session(doc);
+Session.updateOne = async () => ({ matchedCount: 1, modifiedCount: 1 });
+RefreshToken.create = async (doc) => doc;
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    cookie() {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+async function createMfaUser() {
+  const user = new User({ email: 'bob@example.com', username: 'bob' });
+  users.set(user._id.toString(), user);
+  const { secret } = await beginMfaSetup(user);
+  assert.ok(await enableMfa(user, generateTotp(secret)));
+  return { user, secret };
+}
+
+async function loginMfa(mfaToken, code) {
+  const res = mockResponse();
+  await authController.loginMfa(
+    {
+      body: { mfaToken, code },
+      ip: '127.0.0.1',
+      headers: {},
+      cookies: {},
+      get: () => 'node-test',
+    },
+    res
+  );
+  return res;
+}
+
+// A code for a later time step than the one used to enable (codes work once)
+const nextCode = (secret, offset = 1) => generateTotp(secret, Math.floor(Date.now() / 30000) + offset);
+
+// ============================================
+// Tests
+// ============================================
+
+test('a challenge token is not accepted as an access token', () => {
+  assert.throws(
+    () => verifyAccessToken(generateMfaToken('507f1f77bcf86cd799439011')),
+    { name: 'JsonWebTokenError' }
+  );
+});
+
+test('a challenge is refused after five wrong codes, even with the right one', async () => {
+  const { user, secret } = await createMfaUser();
+  const mfaToken = generateMfaToken(user._id);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const res = await loginMfa(mfaToken, '000000');
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.body.error, 'Invalid code');
+  }
+
+  const res = await loginMfa(mfaToken, nextCode(secret));
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.error, /Too many attempts/);
+
+  // A new password check gives a new challenge
+  assert.strictEqual((await loginMfa(generateMfaToken(user._id), nextCode(secret))).statusCode, 200);
+});
+
+test('a completed challenge can\'t log in again', async () => {
+  const { user, secret } = await createMfaUser();
+  const mfaToken = generateMfaToken(user._id);
+
+  assert.strictEqual((await loginMfa(mfaToken, nextCode(secret))).statusCode, 200);
+  assert.strictEqual((await loginMfa(mfaToken, nextCode(secret, 2))).statusCode, 401);
+});
@@ -0,0 +1,126 @@
+/**
+ * Notification Scheduler Tests
+ * Collecting against in-memory models (no database needed): each run looks
+ * at the times since the previous one, skips todos already notified and
+ * inserts the new records in one write.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Todo = require('../models/Todo');
+const Notification = require('../models/Notification');
+const { collectDueNotifications, runNotifications } = require('../utils/notifications');
+
+const MINUTE_MS = 60 * 1000;
+const NOW = new Date('2026-05-04T09:00:00Z');
+
+// ============================================
+// In-memory models
+// ============================================
+
+let todos = [];
+let notifications = [];
+const todoQueries = [];
+const inserts = [];
+
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * MINUTE_MS);
+
+function createTodo(fields) {
+  return { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId(), ...fields };
+}
+
+Todo.find = (query) => ({
+  select: async () => {
+    todoQueries.push(query);
+    const [field, range] = Object.entries(query).find(([, condition]) => condition && condition.$lte);
+    return todos.filter((todo) => todo[field] && todo[field] > range.$gt && todo[field] <= range.$lte);
+  },
+});
+
+Notification.find = (query) => ({
+  select: async () => notifications.filter((record) => record.kind === query.kind
+    && query.todoId.$in.some((id) => id.equals(record.todoId))),
+  // Nothing waits for delivery in these tests
+  sort() {
+    return this;
+  },
+  limit: async () => [],
+});
+Notification.insertMany = async (records) => {
+  inserts.push(records);
+  notifications.push(...records);
+  return records;
+};
+Notification.deleteMany = async () => ({ deletedCount: 0 });
+
+test.beforeEach(() => {
+  todos = [];
+  notifications = [];
+  todoQueries.length = 0;
+  inserts.length = 0;
+});
+
+// ============================================
+// Tests
+// ============================================
+
+test('todos already notified are skipped and the rest are inserted in one write', async () => {
+  const notified = createTodo({ reminderAt: minutesAgo(5) });
+  const fresh = createTodo({ reminderAt: minutesAgo(3) });
+  const due = createTodo({ dueDate: minutesAgo(1) });
+  todos = [notified, fresh, due, createTodo({ reminderAt: new Date(NOW.getTime() + MINUTE_MS) })];
+  notifications = [{ todoId: notified._id, kind: 'reminder', scheduledFor: notified.reminderAt }];
+
+  const created = await collectDueNotifications({ now: NOW, since: minutesAgo(10) });
+
+  assert.strictEqual(created, 2);
+  assert.strictEqual(inserts.length, 1);
+  assert.deepStrictEqual(
+    inserts[0].map((record) => [String(record.todoId), record.kind]),
+    [[String(due._id), 'due'], [String(fresh._id), 'reminder']]
+  );
+});
+
+test('nothing is written when nothing is new', async () => {
+  todos = [createTodo({ reminderAt: minutesAgo(30) })];
+
+  assert.strictEqual(await collectDueNotifications({ now: NOW, since: minutesAgo(10) }), 0);
+  assert.strictEqual(inserts.length, 0);
+});
+
+test('records another process inserted first are not counted', async () => {
+  todos = [createTodo({ reminderAt: minutesAgo(2) }), createTodo({ reminderAt: minutesAgo(1) })];
+  const insertMany = Notification.insertMany;
+  Notification.insertMany = async (records) => {
+    const error = new Error('E11000 duplicate key error');
+    error.code = 11000;
+    error.insertedDocs = records.slice(1);
+    throw error;
+  };
+
+  try {
+    assert.strictEqual(await collectDueNotifications({ now: NOW, since: minutesAgo(10) }), 1);
+  } finally {
+    Notification.insertMany = insertMany;
+  }
+});
+
+test('each run only looks at the times since the previous one', async () => {
+  await runNotifications({ now: minutesAgo(1) });
+  await runNotifications({ now: NOW });
+
+  const windowStarts = todoQueries
+    .filter((query) => query.reminderAt)
+    .map((query) => query.reminderAt.$gt.toISOString());
+
+  // The first run looks back NOTIFICATION_LOOKBACK_HOURS, later ones overlap
+  // the previous window by a minute
+  assert.deepStrictEqual(windowStarts, [
+    new Date(minutesAgo(1).getTime() - 24 * 60 * MINUTE_MS).toISOString(),
+    minutesAgo(2).toISOString(),
+  ]);
+});
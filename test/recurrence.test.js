@@ -0,0 +1,77 @@
+/**
+ * Recurrence Tests
+ * Repeating todos keep their local time across DST changes: a time skipped
+ * by the change moves forward by the gap, one that exists twice uses the
+ * first.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createRecurrence, getNextOccurrence } = require('../utils/recurrence');
+
+/**
+ * The occurrences of a series after its start
+ * @returns {Array<string>} - ISO timestamps (UTC)
+ */
+function occurrences(rule, timeZone, start, count) {
+  const recurrence = createRecurrence({ rule, timeZone }, new Date(start));
+  const result = [];
+  let after = recurrence.start;
+  while (result.length < count) {
+    after = getNextOccurrence(recurrence, after);
+    if (!after) {
+      break;
+    }
+    result.push(after.toISOString());
+  }
+  return result;
+}
+
+test('a daily 09:00 todo stays at 09:00 when summer time starts', () => {
+  // Europe/Berlin moves from UTC+1 to UTC+2 on 29 March 2026
+  assert.deepStrictEqual(occurrences('FREQ=DAILY', 'Europe/Berlin', '2026-03-28T08:00:00Z', 2), [
+    '2026-03-29T07:00:00.000Z',
+    '2026-03-30T07:00:00.000Z',
+  ]);
+});
+
+test('a daily 09:00 todo stays at 09:00 when summer time ends', () => {
+  // Europe/Berlin moves back to UTC+1 on 25 October 2026
+  assert.deepStrictEqual(occurrences('FREQ=DAILY', 'Europe/Berlin', '2026-10-24T07:00:00Z', 2), [
+    '2026-10-25T08:00:00.000Z',
+    '2026-10-26T08:00:00.000Z',
+  ]);
+});
+
+test('a weekly todo keeps its local time across the change', () => {
+  assert.deepStrictEqual(occurrences('FREQ=WEEKLY;BYDAY=MO', 'Europe/Berlin', '2026-03-23T17:30:00Z', 2), [
+    '2026-03-30T16:30:00.000Z',
+    '2026-04-06T16:30:00.000Z',
+  ]);
+});
+
+test('a time skipped by the change moves forward by the gap', () => {
+  // 02:30 doesn't exist in New York on 8 March 2026 (02:00 becomes 03:00)
+  assert.deepStrictEqual(occurrences('FREQ=DAILY', 'America/New_York', '2026-03-07T07:30:00Z', 2), [
+    '2026-03-08T07:30:00.000Z', // 03:30 EDT
+    '2026-03-09T06:30:00.000Z', // 02:30 EDT
+  ]);
+});
+
+test('a time that exists twice uses the first', () => {
+  // 01:30 happens twice in New York on 1 November 2026
+  assert.deepStrictEqual(occurrences('FREQ=DAILY', 'America/New_York', '2026-10-31T05:30:00Z', 2), [
+    '2026-11-01T05:30:00.000Z', // 01:30 EDT
+    '2026-11-02T06:30:00.000Z', // 01:30 EST
+  ]);
+});
+
+test('COUNT ends a series that crosses the change', () => {
+  assert.deepStrictEqual(
+    occurrences('FREQ=DAILY;COUNT=3', 'Europe/Berlin', '2026-03-28T08:00:00Z', 5),
+    ['2026-03-29T07:00:00.000Z', '2026-03-30T07:00:00.000Z']
+  );
+});
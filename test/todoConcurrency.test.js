@@ -0,0 +1,140 @@
+/**
+ * Todo Concurrency Tests
+ * Runs concurrent updates against in-memory models (no database needed):
+ * an update must never overwrite a change it wasn't based on.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.AES_KEYS = `v1:${crypto.randomBytes(32).toString('base64')}`;
+process.env.AES_ACTIVE_KEY_ID = 'v1';
+process.env.INTEGRITY_KEY = crypto.randomBytes(32).toString('base64');
+delete process.env.AES_KEY;
+
+const User = require('../models/User');
+const Todo = require('../models/Todo');
+const TodoRevision = require('../models/TodoRevision');
+const IntegrityRoot = require('../models/IntegrityRoot');
+const { generateDataKey, wrapKey } = require('../utils/crypto');
+const todoController = require('../controllers/todoController');
+
+// ============================================
+// In-memory models
+// ============================================
+
+// Stored todos by ID, as plain objects
+const todos = new Map();
+const revisions = [];
+
+/**
+ * Match a stored todo against a query of plain values (null also matches
+ * a missing field)
+ */
+function matches(stored, query) {
+  return Object.entries(query).every(([path, condition]) => {
+    const value = stored[path];
+    if (condition === null || condition === undefined) {
+      return value === null || value === undefined;
+    }
+    return String(value) === String(condition);
+  });
+}
+
+Todo.findOne = async (query) => {
+  const stored = Array.from(todos.values()).find((todo) => matches(todo, query));
+  return stored ? Todo.hydrate(stored) : null;
+};
+Todo.find = () => ({
+  select: async () => Array.from(todos.values()).map((todo) => Todo.hydrate(todo)),
+});
+
+// Updates of existing todos honour $where like Mongoose does
+Todo.prototype.save = async function () {
+  const id = this._id.toString();
+  if (!this.isNew && !(todos.has(id) && matches(todos.get(id), this.$where || {}))) {
+    throw new mongoose.Error.DocumentNotFoundError({ _id: this._id }, 'Todo', 0, {});
+  }
+  todos.set(id, this.toObject());
+  this.isNew = false;
+  return this;
+};
+
+TodoRevision.create = async (doc) => {
+  revisions.push(doc);
+  return doc;
+};
+
+// Every change builds a new integrity root; its contents aren't checked here
+IntegrityRoot.findOne = async () => null;
+IntegrityRoot.create = async (doc) => doc;
+User.findById = () => ({
+  select: async () => null,
+});
+User.updateOne = async () => ({ matchedCount: 1, modifiedCount: 1 });
+
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+// ============================================
+// Tests
+// ============================================
+
+test('of two updates sent with the same ETag, one is applied and the other gets a 412', async () => {
+  const user = new User({ email: 'alice@example.com', username: 'alice' });
+  user.dataKey = await wrapKey(generateDataKey());
+
+  const created = mockResponse();
+  await todoController.createTodo({ user, body: { content: 'Buy milk' } }, created);
+  assert.strictEqual(created.statusCode, 201);
+  const { id, etag } = created.body.todo;
+
+  const update = async (content) => {
+    const res = mockResponse();
+    await todoController.updateTodo(
+      {
+        user,
+        params: { id: id.toString() },
+        body: { content },
+        get: (header) => (header === 'If-Match' ? etag : undefined),
+      },
+      res
+    );
+    return res;
+  };
+
+  const results = await Promise.all([update('Buy oat milk'), update('Buy soy milk')]);
+  assert.deepStrictEqual(results.map((res) => res.statusCode).sort(), [200, 412]);
+
+  // The loser gets the winner's todo to resolve the conflict with
+  const winner = results.find((res) => res.statusCode === 200);
+  const loser = results.find((res) => res.statusCode === 412);
+  assert.strictEqual(loser.body.todo.content, winner.body.todo.content);
+  assert.strictEqual(loser.body.todo.etag, winner.body.todo.etag);
+  assert.strictEqual(loser.headers.ETag, winner.headers.ETag);
+
+  const stored = todos.get(id.toString());
+  assert.strictEqual(stored.version, 2);
+  assert.strictEqual(revisions.length, 1);
+});
@@ -0,0 +1,64 @@
+/**
+ * TOTP Tests
+ * Codes must match the SHA-1 test vectors of RFC 6238 (appendix B), which
+ * give 8-digit codes: the 6 digits authenticator apps show are their last 6.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { generateTotp, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+// "12345678901234567890" (the RFC's SHA-1 seed) in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// [Unix time in seconds, 8-digit code from RFC 6238]
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130'],
+];
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.strictEqual(generateTotp(RFC_SECRET, Math.floor(seconds / 30)), code.slice(-6), `T = ${seconds}`);
+  }
+});
+
+test('a code is accepted one step early or late and returns its step', () => {
+  const time = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050471', { time }), step);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { time }), step - 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { time }), step + 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { time }), null);
+});
+
+test('spaces are ignored and anything but 6 digits is refused', () => {
+  const time = 1111111111 * 1000;
+
+  assert.notStrictEqual(verifyTotp(RFC_SECRET, '050 471', { time }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '14050471', { time }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '05047a', { time }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '', { time }), null);
+});
+
+test('lowercase secrets decode like uppercase ones', () => {
+  assert.strictEqual(generateTotp(RFC_SECRET.toLowerCase(), 1), '287082');
+});
+
+test('the provisioning URI names the parameters the codes use', () => {
+  const uri = buildOtpauthUri({ secret: RFC_SECRET, account: 'alice@example.com', issuer: 'Secure Todo' });
+
+  assert.strictEqual(
+    uri,
+    `otpauth://totp/Secure%20Todo:alice%40example.com?secret=${RFC_SECRET}&issuer=Secure%20Todo`
+      + '&algorithm=SHA1&digits=6&period=30'
+  );
+});
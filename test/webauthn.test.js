@@ -0,0 +1,188 @@
+/**
+ * Passkey Registration Tests
+ * Malformed attestation objects from the browser must be refused with an
+ * error, never crash the request or register a key (no database needed).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.WEBAUTHN_ORIGIN = 'http://localhost:4000';
+delete process.env.WEBAUTHN_RP_ID;
+
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { verifyRegistration } = require('../utils/webauthn');
+
+const CHALLENGE = crypto.randomBytes(32).toString('base64url');
+
+// Every response answers a challenge that is still pending
+WebAuthnChallenge.findOneAndDelete = async ({ challenge }) => (challenge === CHALLENGE
+  ? { challenge, expiresAt: new Date(Date.now() + 60000) }
+  : null);
+
+// ============================================
+// Building registration responses
+// ============================================
+
+/**
+ * CBOR head: major type and length/value
+ */
+function cborHead(major, length) {
+  if (length < 24) {
+    return Buffer.from([(major << 5) | length]);
+  }
+  const head = Buffer.alloc(3);
+  head[0] = (major << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+}
+
+/**
+ * Encode the CBOR items a registration uses (integers, byte and text
+ * strings, arrays, Maps)
+ */
+function cbor(value) {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([cborHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    return Buffer.concat([cborHead(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  }
+  if (typeof value === 'number') {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([cborHead(4, value.length), ...value.map(cbor)]);
+  }
+  return Buffer.concat([cborHead(5, value.size), ...Array.from(value).flat().map(cbor)]);
+}
+
+/**
+ * A new ES256 key as a COSE_Key
+ */
+function createCoseKey() {
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  return new Map([
+    [1, 2], // kty: EC2
+    [3, -7], // alg: ES256
+    [-1, 1], // crv: P-256
+    [-2, Buffer.from(x, 'base64url')],
+    [-3, Buffer.from(y, 'base64url')],
+  ]);
+}
+
+/**
+ * Authenticator data with an attested credential
+ * @param {Object} [options]
+ * @param {number} [options.flags] - Defaults to user present, verified, attested credential
+ * @param {Buffer} [options.publicKey] - Encoded COSE key
+ */
+function buildAuthData(credentialId, { flags = 0x45, publicKey = cbor(createCoseKey()) } = {}) {
+  const rpIdHash = crypto.createHash('sha256').update('localhost').digest();
+  const signCount = Buffer.alloc(4);
+  const idLength = Buffer.alloc(2);
+  idLength.writeUInt16BE(credentialId.length);
+  return Buffer.concat([rpIdHash, Buffer.from([flags]), signCount, Buffer.alloc(16), idLength, credentialId, publicKey]);
+}
+
+/**
+ * A registration response (PublicKeyCredential as JSON)
+ * @param {Buffer} attestationObject - Encoded attestation object
+ */
+function buildResponse(credentialId, attestationObject) {
+  const clientData = { type: 'webauthn.create', challenge: CHALLENGE, origin: 'http://localhost:4000' };
+  return {
+    id: credentialId.toString('base64url'),
+    response: {
+      clientDataJSON: Buffer.from(JSON.stringify(clientData)).toString('base64url'),
+      attestationObject: attestationObject.toString('base64url'),
+      transports: ['internal'],
+    },
+  };
+}
+
+function attestationOf(authData) {
+  return cbor(new Map([['fmt', 'none'], ['attStmt', new Map()], ['authData', authData]]));
+}
+
+const user = { _id: new mongoose.Types.ObjectId(), webauthnCredentials: [] };
+
+// ============================================
+// Tests
+// ============================================
+
+test('a well-formed registration is accepted', async () => {
+  const credentialId = crypto.randomBytes(16);
+  const result = await verifyRegistration(user, buildResponse(credentialId, attestationOf(buildAuthData(credentialId))));
+
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.credential.credentialId, credentialId.toString('base64url'));
+  assert.strictEqual(result.credential.algorithm, -7);
+  assert.deepStrictEqual(result.credential.transports, ['internal']);
+});
+
+test('malformed attestation objects are refused', async () => {
+  const credentialId = crypto.randomBytes(16);
+  const authData = buildAuthData(credentialId);
+  const attestation = attestationOf(authData);
+
+  // Arrays nested deeper than the decoder allows
+  let nested = cbor(1);
+  for (let depth = 0; depth < 10; depth++) {
+    nested = Buffer.concat([cborHead(4, 1), nested]);
+  }
+
+  const malformed = {
+    'empty': Buffer.alloc(0),
+    'truncated': attestation.subarray(0, attestation.length - 10),
+    'not a map': cbor(['fmt', 'none']),
+    'no authData': cbor(new Map([['fmt', 'none'], ['attStmt', new Map()]])),
+    'authData not bytes': cbor(new Map([['fmt', 'none'], ['authData', 'text']])),
+    'indefinite length': Buffer.from([0xbf, 0xff]),
+    'float': Buffer.from([0xfa, 0x3f, 0x80, 0x00, 0x00]),
+    'too deeply nested': nested,
+    'authData too short': attestationOf(authData.subarray(0, 36)),
+    'credential ID longer than authData': attestationOf(Buffer.concat([authData.subarray(0, 53), Buffer.from([0xff, 0xff])])),
+    'data after the authData': attestationOf(Buffer.concat([authData, Buffer.from([0x00])])),
+    'no attested credential': attestationOf(buildAuthData(credentialId, { flags: 0x05 }).subarray(0, 37)),
+    'public key not a map': attestationOf(buildAuthData(credentialId, { publicKey: cbor('key') })),
+    'unsupported algorithm': attestationOf(buildAuthData(credentialId, {
+      publicKey: cbor(new Map([[1, 2], [3, -36], [-1, 1]])),
+    })),
+    'public key coordinates missing': attestationOf(buildAuthData(credentialId, {
+      publicKey: cbor(new Map([[1, 2], [3, -7], [-1, 1]])),
+    })),
+    'point not on the curve': attestationOf(buildAuthData(credentialId, {
+      publicKey: cbor(new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.alloc(32, 1)], [-3, Buffer.alloc(32, 2)]])),
+    })),
+    'user not verified': attestationOf(buildAuthData(credentialId, { flags: 0x41 })),
+  };
+
+  for (const [name, attestationObject] of Object.entries(malformed)) {
+    const result = await verifyRegistration(user, buildResponse(credentialId, attestationObject));
+    assert.strictEqual(result.credential, undefined, name);
+    assert.match(result.error, /^Invalid passkey registration: /, name);
+  }
+});
+
+test('an attestation object that is not base64url is refused', async () => {
+  const credentialId = crypto.randomBytes(16);
+  const response = buildResponse(credentialId, attestationOf(buildAuthData(credentialId)));
+  response.response.attestationObject = 'not+base64/url==';
+
+  const result = await verifyRegistration(user, response);
+  assert.strictEqual(result.error, 'Invalid passkey registration: attestationObject must be base64url');
+});
+
+test('a credential ID that differs from the attested one is refused', async () => {
+  const credentialId = crypto.randomBytes(16);
+  const response = buildResponse(credentialId, attestationOf(buildAuthData(crypto.randomBytes(16))));
+
+  const result = await verifyRegistration(user, response);
+  assert.strictEqual(result.error, 'Invalid passkey registration: Credential ID does not match');
+});
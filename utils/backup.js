@@ -0,0 +1,253 @@
+/**
+ * Backup Archive Utility
+ * Portable, password-protected archives of a user's todos
+ *
+ * Archive format (JSON):
+ * - format, version, exportedAt, todoCount: metadata, readable without the password
+ * - kdf: scrypt parameters and salt used to derive the archive key from the password
+ * - cipher: AES-256-GCM IV and auth tag
+ * - ciphertext: encrypted { userId, todos: [...] }
+ *
+ * The metadata is authenticated as GCM associated data, and every todo carries
+ * a SHA-256 hash of its entry, so a modified archive (or a wrong password) is
+ * rejected as a whole before anything is imported.
+ *
+ * Archives don't depend on the server's keys: todos are decrypted on export
+ * and re-encrypted under the current keys on import. Client-encrypted
+ * (end-to-end) todos are exported as their blob, which only the owner's
+ * browser can decrypt.
+ *
+ * Each entry carries its structured fields (completed, dueDate, reminderAt,
+ * priority, tags, repeat schedule) in `fields`; archives from before structured fields
+ * have none.
+ */
+
+const {
+  encryptWithKey,
+  decryptWithKey,
+  createPasswordKdf,
+  derivePasswordKey,
+} = require('./crypto');
+const { computeSHA256 } = require('./hash');
+const { ENCRYPTION_MODES } = require('./todoCipher');
+const { PRIORITIES, MAX_TAGS } = require('./todoFields');
+const { parseRecurrenceRule, isValidTimeZone } = require('./recurrence');
+
+const BACKUP_FORMAT = 'secure-todo-backup';
+const BACKUP_VERSION = 1;
+
+// Largest archive accepted on import
+const MAX_BACKUP_TODOS = 10000;
+
+/**
+ * Metadata covered by the archive's auth tag, in a fixed field order
+ */
+function pickMetadata(archive) {
+  return {
+    format: archive.format,
+    version: archive.version,
+    exportedAt: archive.exportedAt,
+    todoCount: archive.todoCount,
+  };
+}
+
+/**
+ * Hash of a todo entry (without its hash field)
+ * Fields are only hashed when present, so older archives still verify.
+ */
+function hashEntry({ content, encryptionMode, encrypted, createdAt, updatedAt, fields }) {
+  const blob = encrypted ? [encrypted.encryptedContent, encrypted.iv, encrypted.authTag] : null;
+  const parts = [encryptionMode, content, blob, createdAt, updatedAt];
+  if (fields) {
+    const tagsBlob = fields.encryptedTags
+      ? [fields.encryptedTags.encryptedContent, fields.encryptedTags.iv, fields.encryptedTags.authTag]
+      : null;
+    parts.push([fields.completed, fields.completedAt, fields.dueDate, fields.priority, fields.tags || null, tagsBlob]);
+    if (fields.recurrence) {
+      parts.push([fields.recurrence.rule, fields.recurrence.timeZone, fields.recurrence.start]);
+    }
+    if (fields.reminderAt) {
+      parts.push(['reminder', fields.reminderAt]);
+    }
+  }
+  return computeSHA256(JSON.stringify(parts));
+}
+
+/**
+ * Check that a value is null/absent or an ISO date string
+ */
+function isOptionalDate(value) {
+  return value === undefined || value === null
+    || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+}
+
+/**
+ * Check that a value is null/absent or a valid repeat schedule
+ */
+function isOptionalRecurrence(value) {
+  if (value === undefined || value === null) {
+    return true;
+  }
+  if (typeof value !== 'object' || !isValidTimeZone(value.timeZone)
+    || typeof value.start !== 'string' || Number.isNaN(Date.parse(value.start))) {
+    return false;
+  }
+  try {
+    parseRecurrenceRule(value.rule);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check the structured fields of a todo entry
+ * @returns {boolean}
+ */
+function isValidFields(fields, encryptionMode) {
+  if (typeof fields !== 'object' || fields === null) {
+    return false;
+  }
+
+  if ((fields.completed !== undefined && typeof fields.completed !== 'boolean')
+    || (fields.priority !== undefined && !PRIORITIES.includes(fields.priority))
+    || !isOptionalDate(fields.completedAt)
+    || !isOptionalDate(fields.dueDate)
+    || !isOptionalDate(fields.reminderAt)
+    || !isOptionalRecurrence(fields.recurrence)) {
+    return false;
+  }
+
+  if (encryptionMode === ENCRYPTION_MODES.CLIENT) {
+    const { encryptedTags } = fields;
+    return fields.tags === undefined
+      && (encryptedTags === undefined || encryptedTags === null
+        || ['encryptedContent', 'iv', 'authTag'].every((field) => typeof encryptedTags[field] === 'string'));
+  }
+
+  return fields.encryptedTags === undefined
+    && (fields.tags === undefined
+      || (Array.isArray(fields.tags) && fields.tags.length <= MAX_TAGS
+        && fields.tags.every((tag) => typeof tag === 'string' && tag.length > 0)));
+}
+
+/**
+ * Check the shape of a todo entry from an archive
+ * @returns {boolean}
+ */
+function isValidEntry(entry) {
+  if (!entry || typeof entry !== 'object' || typeof entry.sha256 !== 'string') {
+    return false;
+  }
+
+  if (entry.fields !== undefined && !isValidFields(entry.fields, entry.encryptionMode)) {
+    return false;
+  }
+
+  if (entry.encryptionMode === ENCRYPTION_MODES.CLIENT) {
+    const { encrypted } = entry;
+    return Boolean(encrypted)
+      && ['encryptedContent', 'iv', 'authTag'].every((field) => typeof encrypted[field] === 'string');
+  }
+
+  return entry.encryptionMode === ENCRYPTION_MODES.SERVER
+    && typeof entry.content === 'string'
+    && entry.content.length > 0
+    && entry.content.length <= 5000;
+}
+
+/**
+ * Create an encrypted backup archive
+ *
+ * @param {string} userId - Owner of the todos
+ * @param {Array} todos - Entries: { encryptionMode, content } for server todos or
+ *                        { encryptionMode, encrypted } for client-encrypted ones,
+ *                        plus fields, createdAt and updatedAt (ISO strings)
+ * @param {string} password - Archive password chosen by the user
+ * @returns {Promise<Object>} - Archive (JSON-serializable)
+ */
+async function createBackupArchive(userId, todos, password) {
+  const metadata = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    todoCount: todos.length,
+  };
+
+  const payload = {
+    userId: userId.toString(),
+    todos: todos.map((todo) => ({ ...todo, sha256: hashEntry(todo) })),
+  };
+
+  const kdf = createPasswordKdf();
+  const { encryptedContent, iv, authTag } = encryptWithKey(
+    await derivePasswordKey(password, kdf),
+    JSON.stringify(payload),
+    JSON.stringify(metadata)
+  );
+
+  return {
+    ...metadata,
+    kdf,
+    cipher: { name: 'aes-256-gcm', iv, authTag },
+    ciphertext: encryptedContent,
+  };
+}
+
+/**
+ * Decrypt and verify a backup archive
+ *
+ * @param {Object} archive - Archive as produced by createBackupArchive
+ * @param {string} password - Archive password
+ * @returns {Promise<Object>} - { metadata, userId, todos }
+ * @throws {Error} - If the archive is malformed, modified, or the password is wrong
+ */
+async function openBackupArchive(archive, password) {
+  if (!archive || archive.format !== BACKUP_FORMAT || archive.version !== BACKUP_VERSION
+    || !archive.cipher || typeof archive.ciphertext !== 'string') {
+    throw new Error('Not a supported backup archive');
+  }
+
+  const metadata = pickMetadata(archive);
+
+  let payload;
+  try {
+    payload = JSON.parse(decryptWithKey(
+      await derivePasswordKey(password, archive.kdf),
+      archive.ciphertext,
+      archive.cipher.iv,
+      archive.cipher.authTag,
+      JSON.stringify(metadata)
+    ));
+  } catch (error) {
+    throw new Error('Backup archive could not be decrypted (wrong password or modified archive)');
+  }
+
+  const { todos } = payload;
+
+  if (!Array.isArray(todos) || todos.length !== metadata.todoCount) {
+    throw new Error('Backup archive todo count does not match its metadata');
+  }
+
+  if (todos.length > MAX_BACKUP_TODOS) {
+    throw new Error(`Backup archives may contain at most ${MAX_BACKUP_TODOS} todos`);
+  }
+
+  todos.forEach((entry, index) => {
+    if (!isValidEntry(entry)) {
+      throw new Error(`Backup archive entry ${index} is malformed`);
+    }
+    if (hashEntry(entry) !== entry.sha256) {
+      throw new Error(`Backup archive entry ${index} failed its integrity check`);
+    }
+  });
+
+  return { metadata, userId: payload.userId, todos };
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  MAX_BACKUP_TODOS,
+  createBackupArchive,
+  openBackupArchive,
+};
@@ -8,12 +8,19 @@
  * - Performance: GCM mode is efficient and parallelizable
  * 
  * Security notes:
- * - Key is 32 bytes (256 bits) loaded from environment variable
+ * - Keys are 32 bytes (256 bits) supplied by a pluggable key provider
+ *   (environment variables by default, or an encrypted local keystore file)
+ * - Keys are versioned: one active key encrypts, every key in the keyring can decrypt
+ * - Envelope encryption: each user has a random data key, stored only wrapped
+ *   (encrypted) by a keyring key, which encrypts that user's content
  * - IV is 12 bytes (recommended for GCM) and must be unique per encryption
  * - Auth tag is 16 bytes and verified during decryption
  */
 
 const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
 
 // Algorithm configuration
 const ALGORITHM = 'aes-256-gcm';
@@ -21,53 +28,336 @@ const IV_LENGTH = 12; // 12 bytes (96 bits) recommended for GCM
 const AUTH_TAG_LENGTH = 16; // 16 bytes (128 bits) authentication tag
 
 /**
- * Get the AES encryption key from environment variable
- * Key must be 32 bytes (256 bits) encoded as base64
+ * Key ID assigned to the single legacy AES_KEY and to todos stored before
+ * key versioning was introduced
  */
-function getEncryptionKey() {
-  const base64Key = process.env.AES_KEY;
-  
-  if (!base64Key) {
-    throw new Error('AES_KEY environment variable is not set');
-  }
+const LEGACY_KEY_ID = 'v1';
+
+/**
+ * Key ID stored on records encrypted with their owner's data key
+ * (rather than directly with a key from the keyring)
+ */
+const DATA_KEY_ID = 'user';
 
+/**
+ * Decode and validate a base64 encoded AES key
+ * @param {string} keyId - Key identifier (used in error messages)
+ * @param {string} base64Key - Key material encoded as base64
+ * @returns {Buffer} - 32 byte key
+ */
+function decodeKey(keyId, base64Key) {
   const key = Buffer.from(base64Key, 'base64');
-  
+
   if (key.length !== 32) {
-    throw new Error(`AES key must be 32 bytes (256 bits), got ${key.length} bytes`);
+    throw new Error(`AES key "${keyId}" must be 32 bytes (256 bits), got ${key.length} bytes`);
   }
 
   return key;
 }
 
+/**
+ * Build a keyring from key entries
+ * @param {Array} entries - [[keyId, base64Key], ...]
+ * @param {string} [activeKeyId] - Key used for new encryptions (optional if there is only one key)
+ * @returns {Object} - { activeKeyId, keys } where keys is a Map of keyId -> Buffer
+ */
+function buildKeyring(entries, activeKeyId) {
+  const keys = new Map();
+
+  for (const [keyId, base64Key] of entries) {
+    if (keys.has(keyId)) {
+      throw new Error(`AES key "${keyId}" is defined more than once`);
+    }
+    keys.set(keyId, decodeKey(keyId, base64Key));
+  }
+
+  if (keys.size === 0) {
+    throw new Error('No AES keys configured');
+  }
+
+  // With a single key there is nothing to choose from
+  const active = activeKeyId || (keys.size === 1 ? keys.keys().next().value : null);
+
+  if (!active) {
+    throw new Error('An active key ID must be set when more than one AES key is configured');
+  }
+
+  if (!keys.has(active)) {
+    throw new Error(`Active AES key "${active}" is not in the keyring`);
+  }
+
+  return { activeKeyId: active, keys };
+}
+
+// ============================================
+// Key Management Providers
+// ============================================
+
+/**
+ * A key provider supplies the master keys and wraps/unwraps data keys with them.
+ * Set KEY_PROVIDER to choose one, or register your own with setKeyProvider
+ * (e.g. an adapter for a cloud KMS).
+ *
+ * @typedef {Object} KeyProvider
+ * @property {string} name - Provider name (reported by verifyKeyConfiguration)
+ * @property {Function} [unlock] - async (passphrase) => void, for providers that start locked
+ * @property {Function} getKeyring - () => { activeKeyId, keys: Map<keyId, Buffer> }
+ * @property {Function} wrapKey - async (dataKey: Buffer) => { wrappedKey, iv, authTag, keyId }
+ * @property {Function} unwrapKey - async (wrapped) => Buffer
+ */
+
+/**
+ * Wrap a data key with the active key of a local keyring
+ * Shared by providers that hold the master keys in memory
+ * @param {Object} keyring - { activeKeyId, keys }
+ * @param {Buffer} dataKey - Raw data key
+ * @returns {Object} - { wrappedKey, iv, authTag, keyId }
+ */
+function wrapWithKeyring(keyring, dataKey) {
+  const { encryptedContent, iv, authTag } = encryptWithKey(
+    keyring.keys.get(keyring.activeKeyId),
+    dataKey.toString('base64')
+  );
+  return { wrappedKey: encryptedContent, iv, authTag, keyId: keyring.activeKeyId };
+}
+
+/**
+ * Unwrap a data key with a key from a local keyring
+ * @param {Object} keyring - { activeKeyId, keys }
+ * @param {Object} wrapped - { wrappedKey, iv, authTag, keyId }
+ * @returns {Buffer} - Raw data key
+ */
+function unwrapWithKeyring(keyring, wrapped) {
+  const key = keyring.keys.get(wrapped.keyId);
+  if (!key) {
+    throw new Error(`AES key "${wrapped.keyId}" is not in the keyring`);
+  }
+  return Buffer.from(decryptWithKey(key, wrapped.wrappedKey, wrapped.iv, wrapped.authTag), 'base64');
+}
+
+/**
+ * Environment variable provider (KEY_PROVIDER=env, the default)
+ *
+ * - AES_KEYS: comma-separated "<keyId>:<base64 key>" pairs, e.g. "v1:...,v2:..."
+ * - AES_ACTIVE_KEY_ID: ID of the key used for new encryptions
+ * - AES_KEY: legacy single key, loaded as key "v1" if AES_KEYS doesn't define it
+ *
+ * Old keys must stay in the keyring until every record encrypted with them
+ * has been re-encrypted (see utils/keyRotation.js)
+ *
+ * @returns {KeyProvider}
+ */
+function createEnvKeyProvider() {
+  const getKeyring = () => {
+    const entries = [];
+
+    if (process.env.AES_KEYS) {
+      for (const entry of process.env.AES_KEYS.split(',')) {
+        const trimmed = entry.trim();
+        if (!trimmed) {
+          continue;
+        }
+
+        const separator = trimmed.indexOf(':');
+        if (separator <= 0) {
+          throw new Error('AES_KEYS entries must use the format "<keyId>:<base64 key>"');
+        }
+
+        entries.push([
+          trimmed.substring(0, separator).trim(),
+          trimmed.substring(separator + 1).trim(),
+        ]);
+      }
+    }
+
+    if (process.env.AES_KEY && !entries.some(([keyId]) => keyId === LEGACY_KEY_ID)) {
+      entries.push([LEGACY_KEY_ID, process.env.AES_KEY]);
+    }
+
+    if (entries.length === 0) {
+      throw new Error('No AES keys configured (set AES_KEYS or AES_KEY)');
+    }
+
+    return buildKeyring(entries, process.env.AES_ACTIVE_KEY_ID);
+  };
+
+  return {
+    name: 'env',
+    getKeyring,
+    wrapKey: async (dataKey) => wrapWithKeyring(getKeyring(), dataKey),
+    unwrapKey: async (wrapped) => unwrapWithKeyring(getKeyring(), wrapped),
+  };
+}
+
+let keyProvider = null;
+
+/**
+ * Create the provider selected by KEY_PROVIDER
+ * @returns {KeyProvider}
+ */
+function createKeyProviderFromEnv() {
+  const name = process.env.KEY_PROVIDER || 'env';
+
+  switch (name) {
+    case 'env':
+      return createEnvKeyProvider();
+    case 'keystore':
+      // Required lazily: the keystore module builds on this one
+      return require('./keystore').createKeystoreProvider({
+        path: process.env.KEYSTORE_PATH,
+      });
+    default:
+      throw new Error(`Unknown KEY_PROVIDER "${name}" (expected "env" or "keystore")`);
+  }
+}
+
+/**
+ * Get the configured key provider
+ * @returns {KeyProvider}
+ */
+function getKeyProvider() {
+  if (!keyProvider) {
+    keyProvider = createKeyProviderFromEnv();
+  }
+  return keyProvider;
+}
+
+/**
+ * Replace the key provider (e.g. with a cloud KMS adapter)
+ * @param {KeyProvider} provider - Provider implementing the KeyProvider interface
+ */
+function setKeyProvider(provider) {
+  keyProvider = provider;
+}
+
+/**
+ * Prepare the key provider for use
+ * Call once on startup (server and CLI scripts) before encrypting anything.
+ * Locked providers such as the keystore are unlocked here.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Passphrase for locked providers
+ * @returns {Promise<KeyProvider>}
+ */
+async function initializeKeyProvider({ passphrase } = {}) {
+  const provider = getKeyProvider();
+  if (provider.unlock) {
+    await provider.unlock(passphrase);
+  }
+  return provider;
+}
+
+/**
+ * Get the ID of the key currently used for encryption
+ * @returns {string} - Active key ID
+ */
+function getActiveKeyId() {
+  return getKeyProvider().getKeyring().activeKeyId;
+}
+
+/**
+ * Get an AES key from the keyring
+ * @param {string} [keyId] - Key ID (defaults to the active key)
+ * @returns {Object} - { keyId, key }
+ * @throws {Error} - If the key is not in the keyring
+ */
+function getEncryptionKey(keyId) {
+  const { activeKeyId, keys } = getKeyProvider().getKeyring();
+  const id = keyId || activeKeyId;
+  const key = keys.get(id);
+
+  if (!key) {
+    throw new Error(`AES key "${id}" is not in the keyring`);
+  }
+
+  return { keyId: id, key };
+}
+
+/**
+ * AES-256-GCM encryption with a given key
+ * @param {Buffer} key - 32 byte key
+ * @param {string} plaintext - The content to encrypt
+ * @param {string} [aad] - Associated data
+ * @returns {Object} - { encryptedContent, iv, authTag } (all base64)
+ */
+function encryptWithKey(key, plaintext, aad) {
+  // Generate a unique random IV for this encryption
+  // CRITICAL: Never reuse an IV with the same key
+  const iv = crypto.randomBytes(IV_LENGTH);
+  
+  // Create cipher with key and IV
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+
+  // Bind the ciphertext to its context (must be set before calling update)
+  if (aad) {
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+  }
+  
+  // Encrypt the plaintext
+  let encrypted = cipher.update(plaintext, 'utf8', 'base64');
+  encrypted += cipher.final('base64');
+  
+  // Get the authentication tag (verifies integrity and authenticity)
+  const authTag = cipher.getAuthTag();
+  
+  return {
+    encryptedContent: encrypted,
+    iv: iv.toString('base64'),
+    authTag: authTag.toString('base64'),
+  };
+}
+
+/**
+ * AES-256-GCM decryption with a given key
+ * @param {Buffer} key - 32 byte key
+ * @param {string} encryptedContent - Base64 encoded ciphertext
+ * @param {string} ivBase64 - Base64 encoded IV
+ * @param {string} authTagBase64 - Base64 encoded authentication tag
+ * @param {string} [aad] - Associated data passed on encryption
+ * @returns {string} - Decrypted plaintext
+ * @throws {Error} - If the authentication tag is invalid
+ */
+function decryptWithKey(key, encryptedContent, ivBase64, authTagBase64, aad) {
+  // Convert from base64 to Buffer
+  const iv = Buffer.from(ivBase64, 'base64');
+  const authTag = Buffer.from(authTagBase64, 'base64');
+  
+  // Create decipher
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  
+  // Set the authentication tag (must be set before calling update)
+  decipher.setAuthTag(authTag);
+
+  // Associated data must match exactly what was used to encrypt
+  if (aad) {
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+  }
+  
+  // Decrypt the content
+  let decrypted = decipher.update(encryptedContent, 'base64', 'utf8');
+  decrypted += decipher.final('utf8');
+  
+  return decrypted;
+}
+
 /**
  * Encrypt plaintext content using AES-256-GCM
  * @param {string} plaintext - The content to encrypt
+ * @param {Object} [options]
+ * @param {Buffer} [options.dataKey] - Unwrapped per-user data key; without it the
+ *                                     active keyring key is used
+ * @param {string} [options.aad] - Associated data: authenticated but not encrypted,
+ *                                 the same value must be passed to decrypt
  * @returns {Object} - Object containing iv, authTag, and encryptedContent (all base64)
+ *                     plus the keyId of the key that was used
  */
-function encrypt(plaintext) {
+function encrypt(plaintext, { dataKey, aad } = {}) {
   try {
-    const key = getEncryptionKey();
-    
-    // Generate a unique random IV for this encryption
-    // CRITICAL: Never reuse an IV with the same key
-    const iv = crypto.randomBytes(IV_LENGTH);
-    
-    // Create cipher with key and IV
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-    
-    // Encrypt the plaintext
-    let encrypted = cipher.update(plaintext, 'utf8', 'base64');
-    encrypted += cipher.final('base64');
-    
-    // Get the authentication tag (verifies integrity and authenticity)
-    const authTag = cipher.getAuthTag();
-    
-    return {
-      encryptedContent: encrypted,
-      iv: iv.toString('base64'),
-      authTag: authTag.toString('base64'),
-    };
+    const { keyId, key } = dataKey
+      ? { keyId: DATA_KEY_ID, key: dataKey }
+      : getEncryptionKey();
+
+    return { ...encryptWithKey(key, plaintext, aad), keyId };
   } catch (error) {
     throw new Error(`Encryption failed: ${error.message}`);
   }
@@ -78,28 +368,27 @@ function encrypt(plaintext) {
  * @param {string} encryptedContent - Base64 encoded ciphertext
  * @param {string} ivBase64 - Base64 encoded IV
  * @param {string} authTagBase64 - Base64 encoded authentication tag
+ * @param {Object} [options]
+ * @param {string} [options.keyId] - ID of the key the content was encrypted with
+ *                                   (records without one predate versioning and use "v1")
+ * @param {Buffer} [options.dataKey] - Unwrapped data key, required when keyId is "user"
+ * @param {string} [options.aad] - Associated data passed to encrypt
  * @returns {string} - Decrypted plaintext
- * @throws {Error} - If decryption fails or authentication tag is invalid
+ * @throws {Error} - If decryption fails, authentication tag is invalid or AAD doesn't match
  */
-function decrypt(encryptedContent, ivBase64, authTagBase64) {
+function decrypt(encryptedContent, ivBase64, authTagBase64, { keyId = LEGACY_KEY_ID, dataKey, aad } = {}) {
   try {
-    const key = getEncryptionKey();
-    
-    // Convert from base64 to Buffer
-    const iv = Buffer.from(ivBase64, 'base64');
-    const authTag = Buffer.from(authTagBase64, 'base64');
-    
-    // Create decipher
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    
-    // Set the authentication tag (must be set before calling update)
-    decipher.setAuthTag(authTag);
-    
-    // Decrypt the content
-    let decrypted = decipher.update(encryptedContent, 'base64', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+    let key;
+    if (keyId === DATA_KEY_ID) {
+      if (!dataKey) {
+        throw new Error('Content is encrypted with a data key but none was provided');
+      }
+      key = dataKey;
+    } else {
+      key = getEncryptionKey(keyId).key;
+    }
+
+    return decryptWithKey(key, encryptedContent, ivBase64, authTagBase64, aad);
   } catch (error) {
     // If auth tag doesn't match, GCM mode will throw an error
     // This indicates the ciphertext was tampered with
@@ -108,27 +397,141 @@ function decrypt(encryptedContent, ivBase64, authTagBase64) {
 }
 
 /**
- * Verify the encryption key is properly configured
- * Call this on server startup to catch configuration issues early
+ * Generate a new random data-encryption key
+ * @returns {Buffer} - 32 byte key
+ */
+function generateDataKey() {
+  return crypto.randomBytes(32);
+}
+
+// ============================================
+// Password-Based Keys
+// ============================================
+
+/**
+ * scrypt cost for new password-derived keys
+ * Stored next to the data they protect, so they can be raised later
+ */
+const PASSWORD_KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+
+/**
+ * Upper bounds for scrypt parameters read from files/uploads, so a crafted
+ * archive can't make the server exhaust memory or CPU: exactly what this
+ * server writes (32 MiB of scrypt memory per derivation). Raise together
+ * with PASSWORD_KDF_PARAMS.
+ */
+const PASSWORD_KDF_LIMITS = { ...PASSWORD_KDF_PARAMS };
+
+/**
+ * Create KDF parameters (with a fresh random salt) for a new password-derived key
+ * @returns {Object} - { name, salt (base64), N, r, p }
+ */
+function createPasswordKdf() {
+  return { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...PASSWORD_KDF_PARAMS };
+}
+
+/**
+ * Derive a 32 byte key from a password (scrypt)
+ * @param {string} password - Password or passphrase
+ * @param {Object} kdf - Parameters from createPasswordKdf
+ * @returns {Promise<Buffer>} - 32 byte key
+ * @throws {Error} - If the parameters are unsupported or out of bounds
+ */
+async function derivePasswordKey(password, kdf) {
+  if (!kdf || kdf.name !== 'scrypt' || typeof kdf.salt !== 'string') {
+    throw new Error('Unsupported key derivation parameters');
+  }
+
+  for (const param of ['N', 'r', 'p']) {
+    if (!Number.isInteger(kdf[param]) || kdf[param] < 1 || kdf[param] > PASSWORD_KDF_LIMITS[param]) {
+      throw new Error(`Key derivation parameter ${param} is out of bounds`);
+    }
+  }
+
+  return scrypt(password, Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r,
+  });
+}
+
+/**
+ * Wrap (encrypt) a data key with the key provider's active master key
+ * Only the wrapped form is ever stored
+ * @param {Buffer} dataKey - Raw data key
+ * @returns {Promise<Object>} - { wrappedKey, iv, authTag, keyId } (all base64 except keyId)
+ */
+async function wrapKey(dataKey) {
+  return getKeyProvider().wrapKey(dataKey);
+}
+
+/**
+ * Unwrap (decrypt) a data key with the master key it was wrapped with
+ * @param {Object} wrapped - { wrappedKey, iv, authTag, keyId } as returned by wrapKey
+ * @returns {Promise<Buffer>} - Raw data key
+ * @throws {Error} - If the wrapped key was tampered with or its master key is missing
+ */
+async function unwrapKey(wrapped) {
+  let dataKey;
+  try {
+    dataKey = await getKeyProvider().unwrapKey(wrapped);
+  } catch (error) {
+    throw new Error(`Data key unwrap failed: ${error.message}`);
+  }
+
+  if (dataKey.length !== 32) {
+    throw new Error(`Data key must be 32 bytes (256 bits), got ${dataKey.length} bytes`);
+  }
+
+  return dataKey;
+}
+
+/**
+ * Verify the configured key provider is usable
+ * Call this on server startup (after initializeKeyProvider) to catch
+ * configuration issues early
  */
 function verifyKeyConfiguration() {
+  let provider;
   try {
-    const key = getEncryptionKey();
+    provider = getKeyProvider();
+    const { activeKeyId, keys } = provider.getKeyring();
     return {
       configured: true,
-      keyLength: key.length,
-      valid: key.length === 32,
+      provider: provider.name,
+      activeKeyId,
+      keyIds: Array.from(keys.keys()),
+      valid: true,
     };
   } catch (error) {
     return {
       configured: false,
+      provider: provider ? provider.name : process.env.KEY_PROVIDER || 'env',
       error: error.message,
     };
   }
 }
 
 module.exports = {
+  LEGACY_KEY_ID,
+  DATA_KEY_ID,
+  buildKeyring,
+  wrapWithKeyring,
+  unwrapWithKeyring,
+  createEnvKeyProvider,
+  encryptWithKey,
+  decryptWithKey,
+  getKeyProvider,
+  setKeyProvider,
+  initializeKeyProvider,
+  getActiveKeyId,
   encrypt,
   decrypt,
+  generateDataKey,
+  createPasswordKdf,
+  derivePasswordKey,
+  wrapKey,
+  unwrapKey,
   verifyKeyConfiguration,
 };
@@ -0,0 +1,139 @@
+/**
+ * Per-User Data Key Utility
+ * Envelope encryption for todo content
+ *
+ * How it works:
+ * - Every user has a random 256-bit data key (DEK)
+ * - The DEK is stored on the user record only in wrapped form, encrypted
+ *   with the active master key of the key provider (utils/crypto.js)
+ * - Todo content is encrypted with the owner's unwrapped DEK
+ *
+ * Benefits:
+ * - A leaked DEK only exposes one user's todos
+ * - Rotating a master key only means re-wrapping small DEKs
+ * - Destroying a user's wrapped DEK makes all their ciphertext permanently
+ *   unreadable, including copies in backups (crypto-shredding)
+ */
+
+const User = require('../models/User');
+const Todo = require('../models/Todo');
+const TodoRevision = require('../models/TodoRevision');
+const { DATA_KEY_ID, generateDataKey, wrapKey, unwrapKey } = require('./crypto');
+const { recordTodoChanges } = require('./integrityRoot');
+const logger = require('./logger');
+
+/**
+ * Get a user's unwrapped data key
+ * Users created before envelope encryption get a key on first use.
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Buffer>} - Raw 32 byte data key
+ * @throws {Error} - If the key was shredded or cannot be unwrapped
+ */
+async function getUserDataKey(user) {
+  if (user.dataKeyShreddedAt) {
+    throw new Error('Data key for this account has been destroyed');
+  }
+
+  if (!user.dataKey) {
+    const wrapped = await wrapKey(generateDataKey());
+
+    // Only set the key if no concurrent request has done so already
+    const result = await User.updateOne(
+      { _id: user._id, dataKey: { $exists: false }, dataKeyShreddedAt: { $exists: false } },
+      { $set: { dataKey: wrapped } }
+    );
+
+    if (result.modifiedCount === 1) {
+      user.dataKey = wrapped;
+      logger.info(`Data key provisioned for user ${user._id}`);
+    } else {
+      // Lost the race (or the key was shredded meanwhile), use what is stored
+      const stored = await User.findById(user._id).select('dataKey dataKeyShreddedAt');
+      if (!stored || stored.dataKeyShreddedAt || !stored.dataKey) {
+        throw new Error('Data key for this account has been destroyed');
+      }
+      user.dataKey = stored.dataKey;
+    }
+  }
+
+  return unwrapKey(user.dataKey);
+}
+
+/**
+ * Re-wrap a user's data key with the active master key
+ * Used by key rotation; the todos themselves don't need re-encrypting.
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} - True if the key was re-wrapped
+ */
+async function rewrapUserDataKey(user) {
+  const wrapped = await wrapKey(await unwrapKey(user.dataKey));
+
+  const result = await User.updateOne(
+    { _id: user._id, 'dataKey.iv': user.dataKey.iv },
+    { $set: { dataKey: { ...wrapped, createdAt: user.dataKey.createdAt } } }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Crypto-shred a user's data
+ * Destroys the wrapped data key so the user's todos can never be decrypted.
+ * Todos still encrypted directly with a keyring key (not yet moved onto the
+ * data key by the re-encryption job) and client-encrypted todos are deleted,
+ * since shredding the data key would not protect them. The same applies to
+ * revisions. The deletions are recorded in the user's signed integrity root,
+ * so they aren't reported as tampering.
+ *
+ * @param {string} userId - ID of the user to shred
+ * @returns {Promise<Object>} - { shredded, deletedTodos, deletedRevisions }
+ */
+async function shredUserDataKey(userId) {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $unset: { dataKey: 1 }, $set: { dataKeyShreddedAt: new Date() } }
+  );
+
+  if (result.matchedCount === 0) {
+    return { shredded: false, deletedTodos: 0, deletedRevisions: 0 };
+  }
+
+  const unprotected = { userId, keyId: { $ne: DATA_KEY_ID } };
+  const removed = (await Todo.find(unprotected).select('_id')).map((todo) => todo._id);
+  const unprotectedRevisions = await TodoRevision.find(unprotected).select('_id todoId');
+
+  const { deletedCount } = await Todo.deleteMany({ userId, _id: { $in: removed } });
+  const revisions = await TodoRevision.deleteMany({
+    userId,
+    _id: { $in: unprotectedRevisions.map((revision) => revision._id) },
+  });
+
+  // Histories of the todos that remain lost these revisions
+  const removedIds = new Set(removed.map((todoId) => todoId.toString()));
+  const removedRevisions = new Map();
+  for (const revision of unprotectedRevisions) {
+    const todoId = revision.todoId.toString();
+    if (!removedIds.has(todoId)) {
+      removedRevisions.set(todoId, (removedRevisions.get(todoId) || 0) + 1);
+    }
+  }
+  if (removed.length > 0 || removedRevisions.size > 0) {
+    await recordTodoChanges(userId, { removed, removedRevisions });
+  }
+
+  logger.securityEvent('User data key destroyed (crypto-shredded)', {
+    userId,
+    deletedTodos: deletedCount,
+    deletedRevisions: revisions.deletedCount,
+  });
+
+  return { shredded: true, deletedTodos: deletedCount, deletedRevisions: revisions.deletedCount };
+}
+
+module.exports = {
+  getUserDataKey,
+  rewrapUserDataKey,
+  shredUserDataKey,
+};
@@ -0,0 +1,44 @@
+/**
+ * ETag Utility
+ * Entity tags for optimistic concurrency on todos (If-Match on updates)
+ *
+ * A todo's ETag is its version number, which every update and revision
+ * restore bumps. Subtasks completed or moved along with their parent are
+ * changed in place without a new version (utils/subtasks.js), so the ETag
+ * also carries a short fingerprint of the metadata tag, which covers those
+ * fields: any change to a todo gives it a new ETag.
+ */
+
+// Hex characters of the metadata tag included in the ETag
+const FINGERPRINT_LENGTH = 16;
+
+/**
+ * Compute a todo's ETag
+ * @param {Object} todo - Todo document (version, metadataHash)
+ * @returns {string} - Quoted strong ETag, e.g. "4-9f86d081884c7d65"
+ */
+function computeTodoETag(todo) {
+  const version = todo.version || 1;
+  return todo.metadataHash
+    ? `"${version}-${todo.metadataHash.slice(0, FINGERPRINT_LENGTH)}"`
+    : `"${version}"`;
+}
+
+/**
+ * Check an If-Match header against the current ETag
+ * Uses the strong comparison of RFC 9110: weak tags (W/"...") never match.
+ * @param {string} header - "*" or a comma-separated list of ETags
+ * @param {string} etag - Current ETag (computeTodoETag)
+ * @returns {boolean}
+ */
+function matchesIfMatch(header, etag) {
+  if (header.trim() === '*') {
+    return true;
+  }
+  return header.split(',').some((value) => value.trim() === etag);
+}
+
+module.exports = {
+  computeTodoETag,
+  matchesIfMatch,
+};
@@ -1,18 +1,55 @@
 /**
  * Hash Utility
- * Provides SHA-256 hashing for integrity verification
- * 
+ * Provides keyed HMAC-SHA256 tags for integrity verification
+ *
  * Purpose:
- * - Compute SHA-256 hash of plaintext content before encryption
- * - Store this hash alongside encrypted content
- * - After decryption, recompute hash and compare to detect tampering
- * - If hashes don't match, content was modified (integrity breach)
+ * - Compute an HMAC-SHA256 of plaintext content before encryption
+ * - Store this tag alongside encrypted content
+ * - After decryption, recompute the tag and compare to detect tampering
+ * - If tags don't match, content was modified (integrity breach)
+ *
+ * Why HMAC instead of a bare SHA-256:
+ * - A plain hash can be recomputed by anyone who can write to the database
+ * - A plain hash lets anyone who can read the database confirm guesses of the content
+ * - An HMAC needs the separate INTEGRITY_KEY for both
+ *
+ * Records created before HMAC tags carry the legacy "sha256" scheme until
+ * they are migrated with `npm run migrate-integrity`
  */
 
 const crypto = require('crypto');
 
+/**
+ * Integrity schemes, stored on each record as integrityScheme
+ */
+const INTEGRITY_SCHEMES = {
+  SHA256: 'sha256', // Legacy: unkeyed SHA-256 of the plaintext
+  HMAC_SHA256: 'hmac-sha256', // HMAC-SHA256 under INTEGRITY_KEY
+};
+
+/**
+ * Get the integrity key from environment variable
+ * Key must be at least 32 bytes encoded as base64 and must differ from the AES keys
+ */
+function getIntegrityKey() {
+  const base64Key = process.env.INTEGRITY_KEY;
+
+  if (!base64Key) {
+    throw new Error('INTEGRITY_KEY environment variable is not set');
+  }
+
+  const key = Buffer.from(base64Key, 'base64');
+
+  if (key.length < 32) {
+    throw new Error(`Integrity key must be at least 32 bytes (256 bits), got ${key.length} bytes`);
+  }
+
+  return key;
+}
+
 /**
  * Compute SHA-256 hash of content
+ * Only used to verify legacy records; new records use computeHMAC
  * @param {string} content - Content to hash
  * @returns {string} - Hex-encoded SHA-256 hash
  */
@@ -24,17 +61,91 @@ function computeSHA256(content) {
 }
 
 /**
- * Verify integrity by comparing hashes
+ * Compute HMAC-SHA256 of content under the integrity key
+ * Tags for anything other than todo content must pass a domain, which
+ * derives a separate sub-key, so a tag from one use can never be replayed
+ * as a tag for another (e.g. todo content crafted to look like a signature).
+ *
+ * @param {string} content - Content to authenticate
+ * @param {string} [domain] - Purpose of the tag (e.g. "integrity-root")
+ * @returns {string} - Hex-encoded HMAC-SHA256 tag
+ */
+function computeHMAC(content, domain) {
+  let key = getIntegrityKey();
+
+  if (domain) {
+    key = crypto.createHmac('sha256', key).update(domain, 'utf8').digest();
+  }
+
+  return crypto
+    .createHmac('sha256', key)
+    .update(content, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Compute the integrity tag for new content with the current scheme
+ * @param {string} content - Content to protect
+ * @returns {Object} - { integrityHash, integrityScheme }
+ */
+function computeIntegrityHash(content) {
+  return {
+    integrityHash: computeHMAC(content),
+    integrityScheme: INTEGRITY_SCHEMES.HMAC_SHA256,
+  };
+}
+
+/**
+ * Compare two hex strings in constant time
+ * @param {string} a - First hex string
+ * @param {string} b - Second hex string
+ * @returns {boolean} - True if equal
+ */
+function safeEqualHex(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+
+  // timingSafeEqual throws on length mismatch; lengths are not secret
+  if (bufA.length !== bufB.length || bufA.length === 0) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verify integrity by comparing tags in constant time
+ * Set INTEGRITY_REQUIRE_HMAC=true once all records are migrated, so a record
+ * downgraded to the legacy scheme is rejected.
+ *
  * @param {string} content - Current content
- * @param {string} storedHash - Previously computed hash
- * @returns {boolean} - True if hashes match (integrity verified)
+ * @param {string} storedHash - Previously computed tag
+ * @param {string} [scheme] - Scheme the tag was computed with (defaults to legacy "sha256")
+ * @returns {boolean} - True if tags match (integrity verified)
  */
-function verifyIntegrity(content, storedHash) {
-  const currentHash = computeSHA256(content);
-  return currentHash === storedHash;
+function verifyIntegrity(content, storedHash, scheme = INTEGRITY_SCHEMES.SHA256) {
+  switch (scheme) {
+    case INTEGRITY_SCHEMES.HMAC_SHA256:
+      return safeEqualHex(computeHMAC(content), storedHash);
+    case INTEGRITY_SCHEMES.SHA256:
+      if (process.env.INTEGRITY_REQUIRE_HMAC === 'true') {
+        return false;
+      }
+      return safeEqualHex(computeSHA256(content), storedHash);
+    default:
+      return false;
+  }
 }
 
 module.exports = {
+  INTEGRITY_SCHEMES,
   computeSHA256,
+  computeHMAC,
+  computeIntegrityHash,
   verifyIntegrity,
+  safeEqualHex,
 };
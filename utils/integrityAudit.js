@@ -0,0 +1,205 @@
+/**
+ * Integrity Audit Utility
+ * Checks every stored todo and revision without waiting for its owner to load it
+ *
+ * Runs the same pipeline as GET /api/todos (decrypt + verifyIntegrity) over
+ * both collections and classifies each problem:
+ * - corrupted: decryption failed (auth tag mismatch, record moved between
+ *   users/todos/versions, missing key)
+ * - tampered: decryption succeeded but the integrity tag doesn't match, or
+ *   the structured fields don't match their metadata tag
+ * - orphaned: the owner no longer exists, or a revision's todo is gone
+ *
+ * Todos of crypto-shredded accounts can't be decrypted by design; they are
+ * counted separately and not reported as findings. Client-encrypted
+ * (end-to-end) todos can't be decrypted by the server either; only the tag
+ * over their ciphertext is checked.
+ *
+ * The audit is read-only.
+ */
+
+const Todo = require('../models/Todo');
+const TodoRevision = require('../models/TodoRevision');
+const User = require('../models/User');
+const { DATA_KEY_ID } = require('./crypto');
+const { getUserDataKey } = require('./dataKeys');
+const { verifyIntegrity } = require('./hash');
+const { decryptTodoContent, isClientEncrypted, verifyClientContent } = require('./todoCipher');
+const { verifyTodoFields, openTodoFields } = require('./todoFields');
+const { revisionCipherView } = require('./revisions');
+const logger = require('./logger');
+
+const FINDING_STATUSES = {
+  CORRUPTED: 'corrupted',
+  TAMPERED: 'tampered',
+  ORPHANED: 'orphaned',
+};
+
+/**
+ * Check one stored record
+ * @param {Object} record - Todo-shaped record (see revisionCipherView)
+ * @param {Object} owner - { dataKey, error } of the record's owner
+ * @returns {Object|null} - { status, detail } of the problem, or null if ok
+ */
+function checkRecord(record, owner) {
+  const fields = openTodoFields(record, owner.dataKey);
+  if (!fields.valid) {
+    return verifyTodoFields(record)
+      ? { status: FINDING_STATUSES.CORRUPTED, detail: `Tags could not be decrypted: ${fields.error}` }
+      : { status: FINDING_STATUSES.TAMPERED, detail: 'Metadata tag does not match fields' };
+  }
+
+  if (isClientEncrypted(record)) {
+    return verifyClientContent(record)
+      ? null
+      : { status: FINDING_STATUSES.TAMPERED, detail: 'Client-encrypted blob does not match its tag' };
+  }
+
+  if (record.keyId === DATA_KEY_ID && !owner.dataKey) {
+    const reason = owner.error ? owner.error.message : 'Owner has no data key';
+    return { status: FINDING_STATUSES.CORRUPTED, detail: `Data key unavailable: ${reason}` };
+  }
+
+  try {
+    const plaintext = decryptTodoContent(record, owner.dataKey);
+
+    return verifyIntegrity(plaintext, record.integrityHash, record.integrityScheme)
+      ? null
+      : { status: FINDING_STATUSES.TAMPERED, detail: 'Integrity tag does not match content' };
+  } catch (error) {
+    return { status: FINDING_STATUSES.CORRUPTED, detail: error.message };
+  }
+}
+
+/**
+ * Audit every todo and revision in the database
+ *
+ * @param {Object} [options]
+ * @param {number} [options.progressEvery=500] - Call onProgress after this many records
+ * @param {Function} [options.onProgress] - Called with a copy of the summary
+ * @returns {Promise<Object>} - { summary, findings }
+ */
+async function auditTodos({ progressEvery = 500, onProgress } = {}) {
+  const summary = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    total: await Todo.countDocuments() + await TodoRevision.countDocuments(),
+    checked: 0,
+    ok: 0,
+    corrupted: 0,
+    tampered: 0,
+    orphaned: 0,
+    shredded: 0,
+  };
+  const findings = [];
+
+  // userId -> { user, dataKey, error }; read-only, so owners without a data
+  // key yet are not provisioned one here
+  const owners = new Map();
+  const loadOwner = async (userId) => {
+    const id = userId.toString();
+    if (!owners.has(id)) {
+      const user = await User.findById(userId);
+      const owner = { user, dataKey: null, error: null };
+      if (user && user.dataKey && !user.dataKeyShreddedAt) {
+        try {
+          owner.dataKey = await getUserDataKey(user);
+        } catch (error) {
+          owner.error = error;
+        }
+      }
+      owners.set(id, owner);
+    }
+    return owners.get(id);
+  };
+
+  // record: todo-shaped view; revision: the revision document, if any
+  const addFinding = (record, revision, status, detail) => {
+    summary[status]++;
+    findings.push({
+      todoId: record._id.toString(),
+      revision: revision ? revision.version : '',
+      userId: record.userId ? record.userId.toString() : '',
+      status,
+      detail,
+      keyId: record.keyId,
+      createdAt: (revision || record).createdAt ? (revision || record).createdAt.toISOString() : '',
+      updatedAt: revision
+        ? (revision.archivedAt ? revision.archivedAt.toISOString() : '')
+        : (record.updatedAt ? record.updatedAt.toISOString() : ''),
+    });
+  };
+
+  const audit = async (record, revision, findParent) => {
+    const owner = record.userId ? await loadOwner(record.userId) : { user: null };
+
+    if (!owner.user) {
+      addFinding(record, revision, FINDING_STATUSES.ORPHANED, 'Owner no longer exists');
+    } else if (owner.user.dataKeyShreddedAt) {
+      summary.shredded++;
+    } else if (findParent && !(await findParent())) {
+      addFinding(record, revision, FINDING_STATUSES.ORPHANED, 'Todo of this revision no longer exists');
+    } else {
+      const problem = checkRecord(record, owner);
+      if (problem) {
+        addFinding(record, revision, problem.status, problem.detail);
+      } else {
+        summary.ok++;
+      }
+    }
+
+    summary.checked++;
+    if (onProgress && summary.checked % progressEvery === 0) {
+      onProgress({ ...summary });
+    }
+  };
+
+  for await (const todo of Todo.find().sort({ _id: 1 }).cursor()) {
+    await audit(todo, null, null);
+  }
+
+  for await (const revision of TodoRevision.find().sort({ _id: 1 }).cursor()) {
+    await audit(revisionCipherView(revision), revision, () => (
+      Todo.exists({ _id: revision.todoId, userId: revision.userId })
+    ));
+  }
+
+  summary.finishedAt = new Date().toISOString();
+
+  if (findings.length > 0) {
+    logger.securityEvent('Integrity audit found problems', {
+      corrupted: summary.corrupted,
+      tampered: summary.tampered,
+      orphaned: summary.orphaned,
+    });
+  } else {
+    logger.info(`Integrity audit passed: ${summary.checked} todos and revisions checked`);
+  }
+
+  return { summary, findings };
+}
+
+/**
+ * Escape a value for CSV output
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render findings as CSV (one row per finding)
+ * @param {Array} findings - Findings from auditTodos
+ * @returns {string} - CSV text with header row
+ */
+function findingsToCsv(findings) {
+  const columns = ['todoId', 'revision', 'userId', 'status', 'detail', 'keyId', 'createdAt', 'updatedAt'];
+  const rows = findings.map((finding) => columns.map((column) => csvField(finding[column])).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  FINDING_STATUSES,
+  auditTodos,
+  findingsToCsv,
+};
@@ -0,0 +1,114 @@
+/**
+ * Integrity Migration Utility
+ * Moves todos and their revisions from legacy unkeyed SHA-256 hashes onto
+ * HMAC-SHA256 tags
+ *
+ * Each legacy record is decrypted and its SHA-256 hash verified first, so a
+ * record that was already tampered with is reported instead of being
+ * re-tagged (which would launder the tampering).
+ *
+ * The job is resumable: it only selects records still on the legacy scheme.
+ */
+
+const Todo = require('../models/Todo');
+const TodoRevision = require('../models/TodoRevision');
+const { DATA_KEY_ID } = require('./crypto');
+const { decryptTodoContent } = require('./todoCipher');
+const { INTEGRITY_SCHEMES, computeIntegrityHash, verifyIntegrity } = require('./hash');
+const { revisionCipherView } = require('./revisions');
+const { createProgress, migrateInBatches, createDataKeyCache } = require('./migration');
+const logger = require('./logger');
+
+/**
+ * Query for todos (or revisions) still on the legacy integrity scheme
+ */
+function legacyTodoQuery() {
+  return { integrityScheme: { $ne: INTEGRITY_SCHEMES.HMAC_SHA256 } };
+}
+
+/**
+ * Count todos and revisions still on the legacy integrity scheme
+ * @returns {Promise<Object>} - { remaining, remainingRevisions }
+ */
+async function getIntegrityMigrationStatus() {
+  const [remaining, remainingRevisions] = await Promise.all([
+    Todo.countDocuments(legacyTodoQuery()),
+    TodoRevision.countDocuments(legacyTodoQuery()),
+  ]);
+  return { remaining, remainingRevisions };
+}
+
+/**
+ * Verify a legacy hash and replace it with an HMAC tag
+ * @param {Object} Model - Todo or TodoRevision
+ * @param {Object} record - Document on the legacy scheme
+ * @param {Function} ownerDataKey - Data key lookup (see createDataKeyCache)
+ * @param {Object} [view] - Todo-shaped view of the record for the cipher
+ * @returns {Promise<boolean>} - True if the record was migrated
+ */
+async function migrateRecord(Model, record, ownerDataKey, view = record) {
+  const dataKey = record.keyId === DATA_KEY_ID ? await ownerDataKey(record.userId) : undefined;
+  const plaintext = decryptTodoContent(view, dataKey);
+
+  if (!verifyIntegrity(plaintext, record.integrityHash, INTEGRITY_SCHEMES.SHA256)) {
+    throw new Error('Legacy integrity hash does not match, record not migrated');
+  }
+
+  const { integrityHash, integrityScheme } = computeIntegrityHash(plaintext);
+
+  // Conditional on the ciphertext being unchanged (owner may have edited it)
+  const result = await Model.updateOne(
+    { _id: record._id, iv: record.iv, integrityHash: record.integrityHash },
+    { $set: { integrityHash, integrityScheme } }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Move every todo and revision onto HMAC integrity tags
+ * Records that fail to decrypt or verify are logged and left on the legacy
+ * scheme; they are reported again by the next run.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=100] - Number of records loaded per batch
+ * @param {Function} [options.onProgress] - Called after each batch with the progress object
+ * @returns {Promise<Object>} - Final progress { total, processed, migrated, skipped, failed }
+ */
+async function migrateIntegrityTags({ batchSize = 100, onProgress } = {}) {
+  const { remaining, remainingRevisions } = await getIntegrityMigrationStatus();
+  const progress = createProgress(remaining + remainingRevisions);
+  const ownerDataKey = createDataKeyCache();
+
+  logger.info(
+    `Integrity migration started: ${remaining} todos and ${remainingRevisions} revisions ` +
+    'on legacy SHA-256 hashes'
+  );
+
+  await migrateInBatches(Todo, legacyTodoQuery(), progress, async (todo) => {
+    return migrateRecord(Todo, todo, ownerDataKey);
+  }, {
+    name: 'Integrity migration',
+    batchSize,
+    onProgress,
+    describe: (todo) => ({ todoId: todo._id, userId: todo.userId }),
+  });
+
+  await migrateInBatches(TodoRevision, legacyTodoQuery(), progress, async (revision) => {
+    return migrateRecord(TodoRevision, revision, ownerDataKey, revisionCipherView(revision));
+  }, {
+    name: 'Integrity migration',
+    batchSize,
+    onProgress,
+    describe: (revision) => ({ todoId: revision.todoId, version: revision.version, userId: revision.userId }),
+  });
+
+  logger.info('Integrity migration finished', progress);
+
+  return progress;
+}
+
+module.exports = {
+  getIntegrityMigrationStatus,
+  migrateIntegrityTags,
+};
@@ -0,0 +1,387 @@
+/**
+ * Integrity Root Utility
+ * Set-level integrity for each user's todos
+ *
+ * How it works:
+ * - Every create/update/delete records the todo ID and version (and the
+ *   number of revisions kept in its history) in the user's IntegrityRoot document
+ * - The entries are hashed into a Merkle root, which is signed together with
+ *   a sequence number using an HMAC under INTEGRITY_KEY
+ * - On read, the todos actually in the database are compared with the signed
+ *   entries, reporting:
+ *   - missing: expected todos that are gone (deleted in the database)
+ *   - unexpected: todos nobody created through the API (injected)
+ *   - rolledBack: todos whose version differs from the recorded one
+ * - Reading a todo's history compares its stored revisions with the
+ *   recorded count (verifyTodoHistory)
+ *
+ * Limitations:
+ * - Replaying an old IntegrityRoot document together with matching old todos
+ *   can't be detected from the database alone; the root and sequence are
+ *   logged on every change so they can be compared with the logs
+ */
+
+const crypto = require('crypto');
+const IntegrityRoot = require('../models/IntegrityRoot');
+const User = require('../models/User');
+const Todo = require('../models/Todo');
+const { computeHMAC, safeEqualHex } = require('./hash');
+const logger = require('./logger');
+
+// HMAC domain for root signatures (see computeHMAC)
+const SIGNATURE_DOMAIN = 'integrity-root';
+
+// Attempts before giving up when concurrent requests update the same root
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * SHA-256 helper returning a Buffer
+ */
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    hash.update(part);
+  }
+  return hash.digest();
+}
+
+/**
+ * Compute the Merkle leaf for one entry
+ * Leaves and inner nodes use different prefixes so one can't pose as the other.
+ * The revision count is only included once a todo has history, so roots
+ * signed before history existed stay valid.
+ * @param {Object} entry - { todoId, version, revisions }
+ * @returns {Buffer} - Leaf hash
+ */
+function computeLeaf(entry) {
+  const leaf = entry.revisions
+    ? `${entry.todoId}:${entry.version}:${entry.revisions}`
+    : `${entry.todoId}:${entry.version}`;
+  return sha256(Buffer.from([0x00]), leaf);
+}
+
+/**
+ * Compute the Merkle root of a list of entries
+ * Entries must already be sorted by todoId. An odd node is carried up to
+ * the next level unchanged.
+ *
+ * @param {Array} entries - [{ todoId, version, revisions }]
+ * @returns {string} - Hex-encoded root
+ */
+function computeMerkleRoot(entries) {
+  if (entries.length === 0) {
+    return sha256(Buffer.from([0x00])).toString('hex');
+  }
+
+  let level = entries.map(computeLeaf);
+
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 < level.length) {
+        next.push(sha256(Buffer.from([0x01]), level[i], level[i + 1]));
+      } else {
+        next.push(level[i]);
+      }
+    }
+    level = next;
+  }
+
+  return level[0].toString('hex');
+}
+
+/**
+ * Sign a root
+ * @param {string} userId - Owner
+ * @param {number} sequence - Sequence number
+ * @param {number} count - Number of entries
+ * @param {string} root - Merkle root (hex)
+ * @returns {string} - Hex-encoded HMAC
+ */
+function signRoot(userId, sequence, count, root) {
+  return computeHMAC(`${userId}:${sequence}:${count}:${root}`, SIGNATURE_DOMAIN);
+}
+
+/**
+ * Convert a stored root's entries to plain { todoId, version, revisions } objects
+ */
+function plainEntries(current) {
+  return current.entries.map((entry) => ({
+    todoId: entry.todoId.toString(),
+    version: entry.version,
+    ...(entry.revisions && { revisions: entry.revisions }),
+  }));
+}
+
+/**
+ * Check that a stored root matches its entries and carries a valid signature
+ * @param {string} userId - Owner
+ * @param {Object} current - IntegrityRoot document
+ * @returns {boolean} - True if authentic
+ */
+function isRootAuthentic(userId, current) {
+  const entries = plainEntries(current);
+  const root = computeMerkleRoot(entries);
+  const expectedSignature = signRoot(userId, current.sequence, entries.length, root);
+
+  return root === current.root && safeEqualHex(expectedSignature, current.signature);
+}
+
+/**
+ * Turn a Map of todoId -> { version, revisions } into sorted entries
+ */
+function toSortedEntries(versions) {
+  return Array.from(versions.entries())
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([todoId, { version, revisions }]) => ({
+      todoId,
+      version,
+      ...(revisions && { revisions }),
+    }));
+}
+
+/**
+ * Apply a change to a user's integrity root
+ * Uses the sequence number for optimistic concurrency and retries if another
+ * request updated the root in between. A user without a root yet gets one
+ * built from the todos currently in the database.
+ *
+ * @param {string} userId - Owner
+ * @param {Function} mutate - (versions: Map<string, { version, revisions }>) => void
+ */
+async function updateIntegrityRoot(userId, mutate) {
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const current = await IntegrityRoot.findOne({ userId });
+
+    const versions = new Map();
+    if (current) {
+      // Never re-sign entries someone modified in the database
+      if (!isRootAuthentic(userId, current)) {
+        logger.securityEvent('Refusing to update tampered integrity root', { userId });
+        throw new Error('Integrity root signature is invalid');
+      }
+      for (const entry of plainEntries(current)) {
+        versions.set(entry.todoId, { version: entry.version, revisions: entry.revisions });
+      }
+    } else {
+      // A root that existed before must not be silently re-created
+      const owner = await User.findById(userId).select('integrityRootCreatedAt');
+      if (owner && owner.integrityRootCreatedAt) {
+        logger.securityEvent('Refusing to re-create deleted integrity root', { userId });
+        throw new Error('Integrity root is missing');
+      }
+
+      const todos = await Todo.find({ userId }).select('_id version');
+      for (const todo of todos) {
+        versions.set(todo._id.toString(), { version: todo.version });
+      }
+    }
+
+    mutate(versions);
+
+    const entries = toSortedEntries(versions);
+    const root = computeMerkleRoot(entries);
+    const sequence = current ? current.sequence + 1 : 1;
+    const signature = signRoot(userId, sequence, entries.length, root);
+    const update = { entries, root, sequence, signature, updatedAt: new Date() };
+
+    if (current) {
+      const result = await IntegrityRoot.updateOne(
+        { _id: current._id, sequence: current.sequence },
+        { $set: update }
+      );
+      if (result.modifiedCount === 1) {
+        logger.info(`Integrity root updated for user ${userId}`, { sequence, root });
+        return;
+      }
+    } else {
+      try {
+        await IntegrityRoot.create({ userId, ...update });
+        await User.updateOne({ _id: userId }, { $set: { integrityRootCreatedAt: new Date() } });
+        logger.info(`Integrity root created for user ${userId}`, { sequence, root });
+        return;
+      } catch (error) {
+        // Duplicate key: a concurrent request created it first, retry as an update
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  throw new Error('Integrity root update failed: too many concurrent updates');
+}
+
+/**
+ * Record a created or updated todo in its owner's integrity root
+ * @param {Object} todo - Saved todo document (userId, _id, version)
+ * @param {Object} [options]
+ * @param {number} [options.addedRevisions=0] - Revisions added to the todo's history by this change
+ */
+async function recordTodo(todo, { addedRevisions = 0 } = {}) {
+  await updateIntegrityRoot(todo.userId, (versions) => {
+    const id = todo._id.toString();
+    const current = versions.get(id);
+    const revisions = ((current && current.revisions) || 0) + addedRevisions;
+    versions.set(id, { version: todo.version, revisions });
+  });
+}
+
+/**
+ * Remove a deleted todo from its owner's integrity root
+ * @param {string} userId - Owner
+ * @param {string} todoId - Deleted todo
+ */
+async function forgetTodo(userId, todoId) {
+  await updateIntegrityRoot(userId, (versions) => {
+    versions.delete(todoId.toString());
+  });
+}
+
+/**
+ * Record many created/updated and deleted todos in one root update
+ * (bulk operations such as backup import)
+ * @param {string} userId - Owner
+ * @param {Object} changes
+ * @param {Array} [changes.saved] - Saved todo documents (_id, version)
+ * @param {Array} [changes.removed] - IDs of deleted todos
+ * @param {Map} [changes.removedRevisions] - Todo ID -> number of revisions
+ *                                           deleted from its history
+ */
+async function recordTodoChanges(userId, { saved = [], removed = [], removedRevisions = new Map() }) {
+  await updateIntegrityRoot(userId, (versions) => {
+    for (const todoId of removed) {
+      versions.delete(todoId.toString());
+    }
+    for (const [todoId, count] of removedRevisions) {
+      const current = versions.get(todoId.toString());
+      if (current) {
+        versions.set(todoId.toString(), { ...current, revisions: Math.max((current.revisions || 0) - count, 0) });
+      }
+    }
+    for (const todo of saved) {
+      const current = versions.get(todo._id.toString());
+      versions.set(todo._id.toString(), { version: todo.version, revisions: current && current.revisions });
+    }
+  });
+}
+
+/**
+ * Compare a user's todos in the database with their signed integrity root
+ *
+ * @param {Object} user - User document
+ * @param {Array} todos - Every todo of the user currently in the database ({ _id, version })
+ * @returns {Promise<Object>} - { valid, rootValid, missing, unexpected, rolledBack }
+ */
+async function verifyTodoSet(user, todos) {
+  const report = {
+    valid: true,
+    rootValid: true,
+    missing: [],
+    unexpected: [],
+    rolledBack: [],
+  };
+
+  const current = await IntegrityRoot.findOne({ userId: user._id });
+
+  if (!current) {
+    if (user.integrityRootCreatedAt) {
+      // The root existed before, so it was deleted behind our back
+      report.valid = false;
+      report.rootValid = false;
+      logger.securityEvent('Integrity root missing', { userId: user._id });
+      return report;
+    }
+
+    // Users from before set-level integrity: trust the current state once
+    await updateIntegrityRoot(user._id, () => {});
+    return report;
+  }
+
+  report.rootValid = isRootAuthentic(user._id, current);
+
+  const entries = plainEntries(current);
+  const expected = new Map(entries.map((entry) => [entry.todoId, entry.version]));
+  const seen = new Set();
+
+  for (const todo of todos) {
+    const id = todo._id.toString();
+    seen.add(id);
+
+    if (!expected.has(id)) {
+      report.unexpected.push(id);
+    } else if (expected.get(id) !== todo.version) {
+      report.rolledBack.push(id);
+    }
+  }
+
+  for (const id of expected.keys()) {
+    if (!seen.has(id)) {
+      report.missing.push(id);
+    }
+  }
+
+  report.valid = report.rootValid
+    && report.missing.length === 0
+    && report.unexpected.length === 0
+    && report.rolledBack.length === 0;
+
+  if (!report.valid) {
+    logger.securityEvent('Todo set integrity check failed', {
+      userId: user._id,
+      rootValid: report.rootValid,
+      missing: report.missing,
+      unexpected: report.unexpected,
+      rolledBack: report.rolledBack,
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Compare a todo's stored revisions with the count in the signed integrity root
+ * Each revision's content is protected by its own auth tag and integrity tag;
+ * this catches revisions deleted (or the whole history removed) in the database.
+ *
+ * @param {string} userId - Owner
+ * @param {string} todoId - Todo
+ * @param {number} storedRevisions - Number of revisions found in the database
+ * @returns {Promise<Object>} - { valid, rootValid, expected, found }
+ */
+async function verifyTodoHistory(userId, todoId, storedRevisions) {
+  const report = { valid: true, rootValid: true, expected: 0, found: storedRevisions };
+
+  const current = await IntegrityRoot.findOne({ userId });
+
+  if (!current) {
+    // No root yet: nothing was ever recorded, including history
+    report.valid = storedRevisions === 0;
+  } else {
+    report.rootValid = isRootAuthentic(userId, current);
+    const entry = plainEntries(current).find((item) => item.todoId === todoId.toString());
+    report.expected = (entry && entry.revisions) || 0;
+    report.valid = report.rootValid && report.expected === storedRevisions;
+  }
+
+  if (!report.valid) {
+    logger.securityEvent('Todo history integrity check failed', {
+      userId,
+      todoId,
+      rootValid: report.rootValid,
+      expected: report.expected,
+      found: report.found,
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  computeMerkleRoot,
+  recordTodo,
+  forgetTodo,
+  recordTodoChanges,
+  verifyTodoSet,
+  verifyTodoHistory,
+};
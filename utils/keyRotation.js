@@ -0,0 +1,183 @@
+/**
+ * Key Rotation Utility
+ * Moves stored keys and todos onto the current keys
+ *
+ * How rotation works:
+ * 1. Add the new key to AES_KEYS and point AES_ACTIVE_KEY_ID at it
+ * 2. New writes immediately use the new key, old records stay readable
+ * 3. This job re-wraps every user's data key with the active master key,
+ *    re-encrypts two-factor (TOTP) secrets with it, and re-encrypts todos
+ *    (and their revisions) still encrypted directly with a keyring key (from
+ *    before per-user data keys) or not yet bound to their record via
+ *    associated data, under their owner's data key
+ * 4. Once it reports nothing remaining, the old key can be removed
+ *
+ * The job is resumable: it only selects records that are not yet on the
+ * current key, so records finished by an earlier (interrupted) run are
+ * never touched again.
+ */
+
+const Todo = require('../models/Todo');
+const TodoRevision = require('../models/TodoRevision');
+const User = require('../models/User');
+const { getActiveKeyId, DATA_KEY_ID } = require('./crypto');
+const { ENCRYPTION_MODES, encryptTodoContent, decryptTodoContent } = require('./todoCipher');
+const { rewrapUserDataKey } = require('./dataKeys');
+const { reencryptMfaSecret } = require('./mfa');
+const { revisionCipherView } = require('./revisions');
+const { createProgress, migrateInBatches, createDataKeyCache } = require('./migration');
+const logger = require('./logger');
+
+/**
+ * Query for users whose data key is wrapped with an old master key
+ * @param {string} activeKeyId - Active master key ID
+ */
+function staleUserQuery(activeKeyId) {
+  return { dataKey: { $exists: true }, 'dataKey.keyId': { $ne: activeKeyId } };
+}
+
+/**
+ * Query for users whose TOTP secret is encrypted with an old master key
+ * @param {string} activeKeyId - Active master key ID
+ */
+function staleMfaQuery(activeKeyId) {
+  return { 'mfa.secret': { $exists: true }, 'mfa.secret.keyId': { $ne: activeKeyId } };
+}
+
+/**
+ * Query for todos (or revisions) not yet encrypted with their owner's data
+ * key and bound to their record (client-encrypted ones are never touched by
+ * the server)
+ */
+function staleTodoQuery() {
+  return {
+    encryptionMode: { $ne: ENCRYPTION_MODES.CLIENT },
+    $or: [{ keyId: { $ne: DATA_KEY_ID } }, { aadBound: { $ne: true } }],
+  };
+}
+
+/**
+ * Count what is not yet on the current keys
+ * @returns {Promise<Object>} - { activeKeyId, remainingUsers, remainingMfaSecrets,
+ *                               remaining, remainingRevisions }
+ */
+async function getRotationStatus() {
+  const activeKeyId = getActiveKeyId();
+  const [remainingUsers, remainingMfaSecrets, remaining, remainingRevisions] = await Promise.all([
+    User.countDocuments(staleUserQuery(activeKeyId)),
+    User.countDocuments(staleMfaQuery(activeKeyId)),
+    Todo.countDocuments(staleTodoQuery()),
+    TodoRevision.countDocuments(staleTodoQuery()),
+  ]);
+  return { activeKeyId, remainingUsers, remainingMfaSecrets, remaining, remainingRevisions };
+}
+
+/**
+ * Re-encrypt a single todo or revision with its owner's data key, bound to
+ * the record
+ * The integrity tag is kept as-is: re-tagging here would hide tampering.
+ * The write is conditional on the ciphertext being unchanged, so a todo
+ * edited by its owner while the job runs is left alone (the edit already
+ * used the current format).
+ *
+ * @param {Object} Model - Todo or TodoRevision
+ * @param {Object} record - Document in an old format
+ * @param {Buffer} dataKey - Owner's unwrapped data key
+ * @param {Object} [view] - Todo-shaped view of the record for the cipher
+ *                          (revisions are bound to their todo's ID)
+ * @returns {Promise<boolean>} - True if the record was re-encrypted
+ */
+async function reencryptRecord(Model, record, dataKey, view = record) {
+  const plaintext = decryptTodoContent(view, dataKey);
+  const { encryptedContent, iv, authTag, keyId, aadBound } = encryptTodoContent(view, plaintext, dataKey);
+
+  const result = await Model.updateOne(
+    { _id: record._id, iv: record.iv, authTag: record.authTag },
+    { $set: { encryptedContent, iv, authTag, keyId, aadBound } }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Move every user data key, TOTP secret and todo onto the current keys
+ * Records that fail are logged and skipped; they are picked up again by
+ * the next run.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=100] - Number of records loaded per batch
+ * @param {Function} [options.onProgress] - Called after each batch with the progress object
+ * @returns {Promise<Object>} - Final progress { activeKeyId, total, processed, migrated, skipped, failed }
+ */
+async function reencryptTodos({ batchSize = 100, onProgress } = {}) {
+  const {
+    activeKeyId,
+    remainingUsers,
+    remainingMfaSecrets,
+    remaining,
+    remainingRevisions,
+  } = await getRotationStatus();
+
+  const progress = createProgress(
+    remainingUsers + remainingMfaSecrets + remaining + remainingRevisions,
+    { activeKeyId }
+  );
+
+  logger.info(
+    `Key rotation started: ${remainingUsers} data keys to re-wrap and ${remainingMfaSecrets} ` +
+    `two-factor secrets to re-encrypt with key ${activeKeyId}, ${remaining} todos and ${remainingRevisions} revisions to move onto bound user data key encryption`
+  );
+
+  // Step 1: re-wrap data keys (cheap, no todo needs re-encrypting for this)
+  await migrateInBatches(User, staleUserQuery(activeKeyId), progress, rewrapUserDataKey, {
+    name: 'Key rotation',
+    batchSize,
+    onProgress,
+    describe: (user) => ({ userId: user._id, keyId: user.dataKey.keyId }),
+  });
+
+  // Step 2: re-encrypt two-factor secrets, which use the master key directly
+  await migrateInBatches(User, staleMfaQuery(activeKeyId), progress, reencryptMfaSecret, {
+    name: 'Key rotation',
+    batchSize,
+    onProgress,
+    describe: (user) => ({ userId: user._id, keyId: user.mfa.secret.keyId }),
+  });
+
+  // Step 3: move todos encrypted directly with a keyring key, or without
+  // associated data, onto bound data key encryption
+  const ownerDataKey = createDataKeyCache();
+
+  await migrateInBatches(Todo, staleTodoQuery(), progress, async (todo) => {
+    return reencryptRecord(Todo, todo, await ownerDataKey(todo.userId));
+  }, {
+    name: 'Key rotation',
+    batchSize,
+    onProgress,
+    describe: (todo) => ({ todoId: todo._id, keyId: todo.keyId }),
+  });
+
+  // Step 4: the same for revision history
+  await migrateInBatches(TodoRevision, staleTodoQuery(), progress, async (revision) => {
+    return reencryptRecord(
+      TodoRevision,
+      revision,
+      await ownerDataKey(revision.userId),
+      revisionCipherView(revision)
+    );
+  }, {
+    name: 'Key rotation',
+    batchSize,
+    onProgress,
+    describe: (revision) => ({ todoId: revision.todoId, version: revision.version, keyId: revision.keyId }),
+  });
+
+  logger.info('Key rotation finished', progress);
+
+  return progress;
+}
+
+module.exports = {
+  getRotationStatus,
+  reencryptTodos,
+};
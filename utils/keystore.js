@@ -0,0 +1,173 @@
+/**
+ * Local Keystore Key Provider
+ * Keeps the master keys in a passphrase-encrypted file instead of environment variables
+ *
+ * File format (JSON):
+ * - kdf: scrypt parameters and salt used to derive the file key from the passphrase
+ * - cipher: AES-256-GCM IV and auth tag
+ * - ciphertext: encrypted { activeKeyId, keys: { <keyId>: <base64 key> } }
+ *
+ * The provider starts locked. initializeKeyProvider (utils/crypto.js) unlocks it
+ * with KEYSTORE_PASSPHRASE, or by prompting on the terminal if that isn't set.
+ * A wrong passphrase or a modified file fails the GCM auth tag check.
+ *
+ * Manage the file with `npm run keystore` (scripts/keystore.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const {
+  buildKeyring,
+  wrapWithKeyring,
+  unwrapWithKeyring,
+  encryptWithKey,
+  decryptWithKey,
+  createPasswordKdf,
+  derivePasswordKey,
+} = require('./crypto');
+
+const KEYSTORE_VERSION = 1;
+const DEFAULT_KEYSTORE_PATH = 'keystore.json';
+
+// Associated data binding the ciphertext to this file format
+const KEYSTORE_AAD = 'secure-todo-keystore:v1';
+
+/**
+ * Resolve the keystore path (KEYSTORE_PATH or ./keystore.json)
+ * @param {string} [filePath] - Explicit path
+ * @returns {string} - Absolute path
+ */
+function resolveKeystorePath(filePath) {
+  return path.resolve(filePath || process.env.KEYSTORE_PATH || DEFAULT_KEYSTORE_PATH);
+}
+
+/**
+ * Read and decrypt a keystore file
+ * @param {string} filePath - Keystore path
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<Object>} - { activeKeyId, keys: { keyId: base64Key } }
+ * @throws {Error} - If the file is missing, malformed, or the passphrase is wrong
+ */
+async function readKeystore(filePath, passphrase) {
+  const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (file.version !== KEYSTORE_VERSION || !file.kdf || !file.cipher || !file.ciphertext) {
+    throw new Error(`Unsupported keystore format in ${filePath}`);
+  }
+
+  const fileKey = await derivePasswordKey(passphrase, file.kdf);
+
+  let plaintext;
+  try {
+    plaintext = decryptWithKey(
+      fileKey,
+      file.ciphertext,
+      file.cipher.iv,
+      file.cipher.authTag,
+      KEYSTORE_AAD
+    );
+  } catch (error) {
+    throw new Error('Keystore could not be decrypted (wrong passphrase or modified file)');
+  }
+
+  return JSON.parse(plaintext);
+}
+
+/**
+ * Encrypt and write a keystore file
+ * Written to a temporary file first and renamed, so an interrupted write
+ * never leaves a half-written keystore behind.
+ *
+ * @param {string} filePath - Keystore path
+ * @param {string} passphrase - Keystore passphrase
+ * @param {Object} contents - { activeKeyId, keys: { keyId: base64Key } }
+ * @returns {Promise<void>}
+ */
+async function writeKeystore(filePath, passphrase, contents) {
+  // Validates the keys and the active key ID before anything is written
+  buildKeyring(Object.entries(contents.keys), contents.activeKeyId);
+
+  const kdf = createPasswordKdf();
+  const { encryptedContent, iv, authTag } = encryptWithKey(
+    await derivePasswordKey(passphrase, kdf),
+    JSON.stringify(contents),
+    KEYSTORE_AAD
+  );
+
+  const file = {
+    version: KEYSTORE_VERSION,
+    kdf,
+    cipher: { name: 'aes-256-gcm', iv, authTag },
+    ciphertext: encryptedContent,
+  };
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(file, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Ask for a passphrase on the terminal without echoing it
+ * @param {string} [prompt] - Prompt text
+ * @returns {Promise<string>} - Entered passphrase
+ */
+function promptPassphrase(prompt = 'Keystore passphrase: ') {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('Keystore is locked: set KEYSTORE_PASSPHRASE or run in a terminal'));
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    // Print the prompt once, then swallow the echoed characters
+    rl._writeToOutput = () => {};
+    process.stdout.write(prompt);
+    rl.question('', (answer) => {
+      process.stdout.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Create the keystore provider (KEY_PROVIDER=keystore)
+ * @param {Object} [options]
+ * @param {string} [options.path] - Keystore path (defaults to KEYSTORE_PATH or ./keystore.json)
+ * @returns {import('./crypto').KeyProvider}
+ */
+function createKeystoreProvider({ path: filePath } = {}) {
+  const keystorePath = resolveKeystorePath(filePath);
+  let keyring = null;
+
+  const getKeyring = () => {
+    if (!keyring) {
+      throw new Error('Keystore is locked');
+    }
+    return keyring;
+  };
+
+  return {
+    name: 'keystore',
+    path: keystorePath,
+
+    async unlock(passphrase) {
+      const secret = passphrase || process.env.KEYSTORE_PASSPHRASE || await promptPassphrase();
+      const { activeKeyId, keys } = await readKeystore(keystorePath, secret);
+      keyring = buildKeyring(Object.entries(keys), activeKeyId);
+    },
+
+    getKeyring,
+    wrapKey: async (dataKey) => wrapWithKeyring(getKeyring(), dataKey),
+    unwrapKey: async (wrapped) => unwrapWithKeyring(getKeyring(), wrapped),
+  };
+}
+
+module.exports = {
+  DEFAULT_KEYSTORE_PATH,
+  resolveKeystorePath,
+  readKeystore,
+  writeKeystore,
+  promptPassphrase,
+  createKeystoreProvider,
+};
@@ -0,0 +1,155 @@
+/**
+ * List Access Utility
+ * Resolves what a user may do with a list or a todo
+ *
+ * Owners have full access to their lists. Other users get view or edit
+ * access through a ListShare grant. Grants are tagged with an HMAC over the
+ * list, owner, recipient and permission, so a grant added or escalated
+ * directly in the database is ignored and logged.
+ *
+ * Shared todos stay encrypted under the owner's data key and recorded in the
+ * owner's integrity root; callers use the returned owner for both.
+ */
+
+const List = require('../models/List');
+const ListShare = require('../models/ListShare');
+const User = require('../models/User');
+const { computeHMAC, safeEqualHex } = require('./hash');
+const { verifyTodoFields } = require('./todoFields');
+const logger = require('./logger');
+
+// HMAC domain for share tags (see computeHMAC)
+const SHARE_DOMAIN = 'list-share';
+
+const PERMISSIONS = {
+  OWNER: 'owner',
+  EDIT: 'edit',
+  VIEW: 'view',
+};
+
+/**
+ * Compute the tag over a grant
+ */
+function computeShareTag(share) {
+  return computeHMAC(
+    [share.listId, share.ownerId, share.userId, share.permission].join('|'),
+    SHARE_DOMAIN
+  );
+}
+
+/**
+ * Tag a grant
+ * Call after the permission has its final value.
+ * @param {Object} share - ListShare document
+ * @returns {Object} - Fields to store: { integrityHash }
+ */
+function sealShare(share) {
+  return { integrityHash: computeShareTag(share) };
+}
+
+/**
+ * Verify a grant's tag
+ * @param {Object} share - ListShare document
+ * @returns {boolean}
+ */
+function verifyShare(share) {
+  return Boolean(share.integrityHash) && safeEqualHex(computeShareTag(share), share.integrityHash);
+}
+
+/**
+ * Find a user's grant for a list
+ * @param {string} userId - Recipient
+ * @param {string} listId - Shared list
+ * @returns {Promise<Object|null>} - ListShare document, or null without a valid grant
+ */
+async function findShare(userId, listId) {
+  const share = await ListShare.findOne({ listId, userId });
+  if (!share) {
+    return null;
+  }
+
+  if (!verifyShare(share)) {
+    logger.securityEvent('List share integrity check failed', {
+      shareId: share._id,
+      listId,
+      userId,
+    });
+    return null;
+  }
+
+  return share;
+}
+
+/**
+ * Resolve a user's access to a list
+ * @param {Object} user - Authenticated user document
+ * @param {string} listId - List to access
+ * @returns {Promise<Object|null>} - { list, owner, permission }, or null if the
+ *                                   list doesn't exist or isn't shared with the user
+ */
+async function getListAccess(user, listId) {
+  const list = await List.findOne({ _id: listId });
+  if (!list) {
+    return null;
+  }
+
+  if (list.userId.equals(user._id)) {
+    return { list, owner: user, permission: PERMISSIONS.OWNER };
+  }
+
+  // The grant must come from the list's current owner
+  const share = await findShare(user._id, list._id);
+  if (!share || !share.ownerId.equals(list.userId)) {
+    return null;
+  }
+
+  const owner = await User.findById(list.userId);
+  if (!owner) {
+    return null;
+  }
+
+  return { list, owner, permission: share.permission };
+}
+
+/**
+ * Resolve a user's access to a todo: their own, or one in a list shared with them
+ * @param {Object} user - Authenticated user document
+ * @param {Object} todo - Todo document
+ * @returns {Promise<Object|null>} - { owner, permission } (and list for shared
+ *                                   todos), or null without access
+ */
+async function getTodoAccess(user, todo) {
+  if (todo.userId.equals(user._id)) {
+    return { owner: user, permission: PERMISSIONS.OWNER };
+  }
+
+  // A todo moved into a shared list directly in the database grants nothing
+  if (!todo.listId || !verifyTodoFields(todo)) {
+    return null;
+  }
+
+  const access = await getListAccess(user, todo.listId);
+  if (!access || !access.owner._id.equals(todo.userId)) {
+    return null;
+  }
+
+  return access;
+}
+
+/**
+ * Whether an access level allows changes
+ * @param {Object} access - From getListAccess or getTodoAccess
+ * @returns {boolean}
+ */
+function canEdit(access) {
+  return access.permission !== PERMISSIONS.VIEW;
+}
+
+module.exports = {
+  PERMISSIONS,
+  sealShare,
+  verifyShare,
+  getListAccess,
+  getTodoAccess,
+  canEdit,
+};
@@ -0,0 +1,89 @@
+/**
+ * List Cipher Utility
+ * Encrypts list names and tags their display fields
+ *
+ * The name is encrypted under the owner's data key with userId and the list's
+ * _id as associated data, so a name copied into another list or another
+ * user's list fails to decrypt. Color and position are stored in the clear;
+ * an HMAC tag over them, the name ciphertext and the same binding reports a
+ * list whose fields were changed directly in the database.
+ */
+
+const { encrypt, decrypt } = require('./crypto');
+const { computeHMAC, safeEqualHex } = require('./hash');
+
+// HMAC domain for list tags (see computeHMAC)
+const LIST_DOMAIN = 'list';
+
+/**
+ * Build the associated data for a list
+ * @param {Object} list - List document (needs userId and _id)
+ * @returns {string} - AAD string
+ */
+function buildListAad(list) {
+  return `list:${list.userId}:${list._id}`;
+}
+
+/**
+ * Compute the tag over a list's stored fields and record binding
+ */
+function computeListTag(list) {
+  return computeHMAC(
+    [buildListAad(list), list.color, list.position, `${list.iv}:${list.authTag}:${list.encryptedName}`].join('|'),
+    LIST_DOMAIN
+  );
+}
+
+/**
+ * Encrypt a list's name
+ * @param {Object} list - List document (userId and _id must be final)
+ * @param {string} name - Plaintext name
+ * @param {Buffer} dataKey - Owner's unwrapped data key
+ * @returns {Object} - Fields to store: encryptedName, iv, authTag, keyId
+ */
+function encryptListName(list, name, dataKey) {
+  const { encryptedContent, iv, authTag, keyId } = encrypt(name, {
+    dataKey,
+    aad: buildListAad(list),
+  });
+  return { encryptedName: encryptedContent, iv, authTag, keyId };
+}
+
+/**
+ * Tag a list's stored fields
+ * Call after the name, color and position have their final values.
+ * @param {Object} list - List document
+ * @returns {Object} - Fields to store: { integrityHash }
+ */
+function sealList(list) {
+  return { integrityHash: computeListTag(list) };
+}
+
+/**
+ * Verify and decrypt a list
+ * @param {Object} list - List document
+ * @param {Buffer} dataKey - Owner's unwrapped data key
+ * @returns {Object} - { valid, name, error }
+ */
+function openList(list, dataKey) {
+  if (!list.integrityHash || !safeEqualHex(computeListTag(list), list.integrityHash)) {
+    return { valid: false, error: 'List tag does not match' };
+  }
+
+  try {
+    const name = decrypt(list.encryptedName, list.iv, list.authTag, {
+      keyId: list.keyId,
+      dataKey,
+      aad: buildListAad(list),
+    });
+    return { valid: true, name };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+module.exports = {
+  encryptListName,
+  sealList,
+  openList,
+};
@@ -0,0 +1,242 @@
+/**
+ * MFA Utility
+ * TOTP two-factor authentication for password logins (utils/totp.js)
+ *
+ * - The TOTP secret is encrypted with the active master key, with the user
+ *   ID as associated data so it can't be copied to another account; key
+ *   rotation re-encrypts it with the new key (utils/keyRotation.js)
+ * - Each accepted code moves the user's last used time step forward
+ *   atomically, so a code (or an older one) can't be replayed
+ * - Recovery codes are random, shown once and stored as SHA-256 hashes;
+ *   each can be used once instead of a code
+ * - A login challenge (mfaToken) takes a few codes at most, then the
+ *   password must be entered again (models/MfaChallenge.js)
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const MfaChallenge = require('../models/MfaChallenge');
+const { encrypt, decrypt } = require('./crypto');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+// Base32 characters per recovery code (80 bits)
+const RECOVERY_CODE_LENGTH = 16;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Codes that can be tried with one login challenge
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+/**
+ * Name authenticator apps show for the account
+ */
+function getMfaIssuer() {
+  return process.env.MFA_ISSUER || 'Secure Todo';
+}
+
+/**
+ * Associated data binding a secret to its user
+ */
+function secretAad(userId) {
+  return `mfa:${userId}`;
+}
+
+/**
+ * Start (or restart) enrollment: store a new secret, not yet enabled
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { secret, otpauthUri } to show to the user
+ */
+async function beginMfaSetup(user) {
+  const secret = generateTotpSecret();
+  const { encryptedContent, iv, authTag, keyId } = encrypt(secret, { aad: secretAad(user._id) });
+
+  user.mfa = {
+    secret: { encryptedContent, iv, authTag, keyId },
+    enabledAt: null,
+    lastUsedStep: null,
+    recoveryCodes: [],
+  };
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: getMfaIssuer() }),
+  };
+}
+
+/**
+ * Decrypt a user's TOTP secret
+ */
+function readSecret(user) {
+  const { encryptedContent, iv, authTag, keyId } = user.mfa.secret;
+  return decrypt(encryptedContent, iv, authTag, { keyId, aad: secretAad(user._id) });
+}
+
+/**
+ * Re-encrypt a user's TOTP secret with the active master key
+ * Used by key rotation. The write is conditional on the stored ciphertext,
+ * so a setup restarted while the job runs is left alone.
+ *
+ * @param {Object} user - User document with a secret
+ * @returns {Promise<boolean>} - True if the secret was re-encrypted
+ */
+async function reencryptMfaSecret(user) {
+  const { encryptedContent, iv, authTag, keyId } = encrypt(readSecret(user), { aad: secretAad(user._id) });
+
+  const result = await User.updateOne(
+    { _id: user._id, 'mfa.secret.iv': user.mfa.secret.iv },
+    {
+      $set: {
+        'mfa.secret.encryptedContent': encryptedContent,
+        'mfa.secret.iv': iv,
+        'mfa.secret.authTag': authTag,
+        'mfa.secret.keyId': keyId,
+      },
+    }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Normalize a recovery code as typed (case, dashes and spaces don't matter)
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage and lookup
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code), 'utf8').digest('hex');
+}
+
+/**
+ * Generate a set of recovery codes
+ * @returns {Array<string>} - Codes like "ABCD-EFGH-IJKL-MNOP"
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(crypto.randomBytes(RECOVERY_CODE_LENGTH))
+      .map((byte) => RECOVERY_CODE_ALPHABET[byte & 31])
+      .join('');
+    return chars.match(/.{4}/g).join('-');
+  });
+}
+
+/**
+ * Accept a TOTP code once: the step must be newer than the last one used
+ * @returns {Promise<boolean>}
+ */
+async function consumeTotpStep(user, step) {
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }],
+    },
+    { $set: { 'mfa.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Confirm enrollment with a code from the app and create recovery codes
+ * @param {Object} user - User document with a pending setup
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Array<string>|null>} - Recovery codes (shown once), or
+ *                                          null if the code is wrong
+ */
+async function enableMfa(user, code) {
+  const step = verifyTotp(readSecret(user), code);
+  if (step === null) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.mfa.enabledAt = new Date();
+  user.mfa.lastUsedStep = step;
+  user.mfa.recoveryCodes = recoveryCodes.map((recoveryCode) => ({ hash: hashRecoveryCode(recoveryCode) }));
+  await user.save();
+
+  return recoveryCodes;
+}
+
+/**
+ * Check a second factor: a code from the app or an unused recovery code
+ * @param {Object} user - User document with MFA enabled
+ * @param {string} code - What the user entered
+ * @returns {Promise<string|null>} - "totp" or "recovery" for the kind of code
+ *                                   that was accepted, null if none was
+ */
+async function verifyMfaCode(user, code) {
+  const step = verifyTotp(readSecret(user), code);
+  if (step !== null) {
+    return (await consumeTotpStep(user, step)) ? 'totp' : null;
+  }
+
+  // Marks the code as used in the same write that finds it unused
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'mfa.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(code), usedAt: null } },
+    },
+    { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1 ? 'recovery' : null;
+}
+
+/**
+ * Count a code sent with a login challenge, before it is checked
+ * Counting first means concurrent guesses can't get past the limit.
+ * @param {Object} challenge - Decoded challenge token (verifyMfaToken)
+ * @returns {Promise<boolean>} - False if the challenge was already completed
+ *                               or has used up its attempts
+ */
+async function countChallengeAttempt(challenge) {
+  if (!challenge.jti) {
+    return false;
+  }
+
+  const record = await MfaChallenge.findOneAndUpdate(
+    { jti: challenge.jti },
+    {
+      $inc: { attempts: 1 },
+      $setOnInsert: { userId: challenge.userId, expiresAt: new Date(challenge.exp * 1000) },
+    },
+    { upsert: true, new: true }
+  );
+  return !record.completedAt && record.attempts <= MAX_CHALLENGE_ATTEMPTS;
+}
+
+/**
+ * Mark a login challenge as completed, so its token can't log in again
+ * @param {Object} challenge - Decoded challenge token (verifyMfaToken)
+ */
+async function completeChallenge(challenge) {
+  await MfaChallenge.updateOne({ jti: challenge.jti }, { $set: { completedAt: new Date() } });
+}
+
+/**
+ * Whether a user has confirmed two-factor authentication
+ */
+function isMfaEnabled(user) {
+  return Boolean(user.mfa && user.mfa.enabledAt);
+}
+
+/**
+ * Recovery codes a user has left
+ */
+function countRecoveryCodes(user) {
+  return isMfaEnabled(user) ? user.mfa.recoveryCodes.filter((recoveryCode) => !recoveryCode.usedAt).length : 0;
+}
+
+module.exports = {
+  beginMfaSetup,
+  enableMfa,
+  verifyMfaCode,
+  countChallengeAttempt,
+  completeChallenge,
+  reencryptMfaSecret,
+  isMfaEnabled,
+  countRecoveryCodes,
+};
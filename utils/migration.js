@@ -0,0 +1,110 @@
+/**
+ * Migration Utility
+ * Shared helpers for background/CLI jobs that rewrite stored records
+ * (key rotation, integrity scheme migration)
+ */
+
+const User = require('../models/User');
+const { getUserDataKey } = require('./dataKeys');
+const logger = require('./logger');
+
+/**
+ * Create a progress object for a migration run
+ * @param {number} total - Number of records expected to be processed
+ * @param {Object} [extra] - Additional fields to report (e.g. activeKeyId)
+ * @returns {Object} - { ...extra, total, processed, migrated, skipped, failed }
+ */
+function createProgress(total, extra = {}) {
+  return {
+    ...extra,
+    total,
+    processed: 0,
+    migrated: 0,
+    skipped: 0,
+    failed: 0,
+  };
+}
+
+/**
+ * Walk every document matching a query in _id order and apply a handler
+ * Walking by _id means failed records aren't selected again in the same run,
+ * and because the query only matches records still to migrate, an
+ * interrupted run can simply be started again.
+ *
+ * @param {Object} Model - Mongoose model
+ * @param {Object} query - Selection of records still to migrate
+ * @param {Object} progress - Counters updated in place (see createProgress)
+ * @param {Function} handler - async (doc) => boolean (true if migrated, false if skipped)
+ * @param {Object} options
+ * @param {string} options.name - Job name used in log messages
+ * @param {number} [options.batchSize=100] - Number of records loaded per batch
+ * @param {Function} [options.onProgress] - Called after each batch with a copy of progress
+ * @param {Function} options.describe - (doc) => details logged when a record fails
+ */
+async function migrateInBatches(Model, query, progress, handler, {
+  name,
+  batchSize = 100,
+  onProgress,
+  describe,
+}) {
+  let lastId = null;
+
+  while (true) {
+    const batchQuery = lastId ? { ...query, _id: { $gt: lastId } } : query;
+
+    const batch = await Model.find(batchQuery).sort({ _id: 1 }).limit(batchSize);
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const doc of batch) {
+      try {
+        if (await handler(doc)) {
+          progress.migrated++;
+        } else {
+          progress.skipped++;
+        }
+      } catch (error) {
+        progress.failed++;
+        logger.securityEvent(`${name} failed`, {
+          ...describe(doc),
+          error: error.message,
+        });
+      }
+      progress.processed++;
+    }
+
+    lastId = batch[batch.length - 1]._id;
+
+    if (onProgress) {
+      onProgress({ ...progress });
+    }
+  }
+}
+
+/**
+ * Create a lookup for todo owners' unwrapped data keys
+ * Jobs process records one at a time, so caching is race-free.
+ * @returns {Function} - async (userId) => Buffer
+ */
+function createDataKeyCache() {
+  const dataKeys = new Map();
+
+  return async (userId) => {
+    const id = userId.toString();
+    if (!dataKeys.has(id)) {
+      const owner = await User.findById(userId);
+      if (!owner) {
+        throw new Error('Owner not found');
+      }
+      dataKeys.set(id, await getUserDataKey(owner));
+    }
+    return dataKeys.get(id);
+  };
+}
+
+module.exports = {
+  createProgress,
+  migrateInBatches,
+  createDataKeyCache,
+};
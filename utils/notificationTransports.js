@@ -0,0 +1,72 @@
+/**
+ * Notification Transports
+ * Built-in ways of delivering a notification (see utils/notifications.js)
+ *
+ * - inbox: the in-app inbox (GET /api/notifications). Delivery only records
+ *   the notification as delivered; the inbox shows it from then on. Always
+ *   enabled, not held back by quiet hours.
+ * - email: a plain-text email through SMTP (utils/smtp.js), for users who
+ *   turned it on. Waits for the end of quiet hours. The email says that a
+ *   todo is due and when, but not what it is: todo content stays encrypted.
+ */
+
+const { getSmtpConfig, sendMail } = require('./smtp');
+
+/**
+ * Format a time for an email in the user's time zone
+ */
+function formatTime(date, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    dateStyle: 'full',
+    timeStyle: 'short',
+  }).format(date);
+}
+
+const inboxTransport = {
+  name: 'inbox',
+  interrupts: false,
+  async send() {
+    // Nothing to send: the recorded delivery puts it in the inbox
+  },
+};
+
+const emailTransport = {
+  name: 'email',
+  interrupts: true,
+  isEnabled(user) {
+    return Boolean(getSmtpConfig()) && Boolean(user.email) && Boolean(user.notifications && user.notifications.email);
+  },
+  async send(notification, { user, todo, settings }) {
+    const link = process.env.FRONTEND_URL || 'http://localhost:4000';
+    const isReminder = notification.kind === 'reminder';
+    const due = todo.dueDate ? formatTime(todo.dueDate, settings.timeZone) : null;
+
+    const lines = [
+      `Hi ${user.username},`,
+      '',
+      isReminder
+        ? `This is the reminder you set for one of your todos${due ? ` (due ${due})` : ''}.`
+        : `One of your todos is due now (${due}).`,
+      '',
+      `Open ${link} to see it. Todo contents are encrypted and never sent by email.`,
+      '',
+      'You can turn these emails off or set quiet hours under Notifications in the app.',
+    ];
+
+    await sendMail({
+      to: user.email,
+      subject: isReminder ? 'Todo reminder' : 'A todo is due',
+      text: lines.join('\r\n'),
+    });
+  },
+};
+
+const builtInTransports = {
+  inbox: inboxTransport,
+  email: emailTransport,
+};
+
+module.exports = {
+  builtInTransports,
+};
@@ -0,0 +1,459 @@
+/**
+ * Notifications Utility
+ * Due-date and reminder notifications through pluggable transports
+ *
+ * The scheduler (started by the server) runs every
+ * NOTIFICATION_INTERVAL_SECONDS (default 60, 0 disables it):
+ * 1. Collect: open todos whose due date or reminder time has arrived since
+ *    the previous run get a Notification record, one per todo, kind and time
+ *    (unique index); the records are inserted in one write. This is what
+ *    de-duplicates delivery: after a restart the record already exists and
+ *    nothing is sent again. The first run of a process looks back
+ *    NOTIFICATION_LOOKBACK_HOURS (default 24), e.g. after downtime; older
+ *    times are not notified.
+ * 2. Deliver: each pending notification is claimed first, so two server
+ *    processes never deliver it at once. A todo that was completed, trashed,
+ *    rescheduled or fails its metadata check cancels it; otherwise every
+ *    transport still pending delivers it. Failures are retried with backoff,
+ *    up to MAX_ATTEMPTS times.
+ *
+ * Transports are { name, interrupts, isEnabled(user), send(notification,
+ * context) }; NOTIFICATION_TRANSPORTS (default "inbox,email") picks the built-in
+ * ones (utils/notificationTransports.js) and registerTransport adds others.
+ * Transports that interrupt (email) wait for the end of the user's quiet hours.
+ *
+ * Todo content is encrypted and never handed to a transport: the in-app inbox
+ * decrypts it when the user reads it.
+ */
+
+const Notification = require('../models/Notification');
+const Todo = require('../models/Todo');
+const User = require('../models/User');
+const { verifyTodoFields } = require('./todoFields');
+const { builtInTransports } = require('./notificationTransports');
+const logger = require('./logger');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+const DEFAULT_LOOKBACK_HOURS = 24;
+const RETENTION_DAYS = 30; // Delivered notifications are kept this long
+const MAX_ATTEMPTS = 5;
+const CLAIM_MS = 5 * 60 * 1000; // Time a process has to deliver a claimed notification
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Each collection window reaches this far into the previous one, for todos
+// saved while that run was going
+const WINDOW_OVERLAP_MS = 60 * 1000;
+
+// Todo field each kind of notification is for
+const KIND_FIELDS = {
+  due: 'dueDate',
+  reminder: 'reminderAt',
+};
+
+const transports = new Map();
+
+// Up to when this process has collected notifications (null before its first run)
+let collectedUntil = null;
+
+/**
+ * Add a transport (replaces one with the same name)
+ * @param {Object} transport
+ * @param {string} transport.name - Stored in notification records
+ * @param {boolean} [transport.interrupts=false] - Waits for the end of quiet hours
+ * @param {Function} [transport.isEnabled] - (user) => boolean; defaults to always
+ * @param {Function} transport.send - async (notification, { user, todo, settings })
+ */
+function registerTransport(transport) {
+  if (!transport || typeof transport.name !== 'string' || typeof transport.send !== 'function') {
+    throw new Error('A transport needs a name and a send function');
+  }
+  transports.set(transport.name, transport);
+}
+
+/**
+ * Names of the registered transports
+ * @returns {Array<string>}
+ */
+function getTransportNames() {
+  return [...transports.keys()];
+}
+
+/**
+ * Whether a transport is registered
+ * @param {string} name - Transport name
+ * @returns {boolean}
+ */
+function isTransportRegistered(name) {
+  return transports.has(name);
+}
+
+/**
+ * A user's notification settings, with defaults for users who never set them
+ * @param {Object} user - User document
+ * @returns {Object} - { email, quietHours: { start, end } | null, timeZone }
+ */
+function getNotificationSettings(user) {
+  const settings = user.notifications || {};
+  return {
+    email: Boolean(settings.email),
+    quietHours: settings.quietHours
+      ? { start: settings.quietHours.start, end: settings.quietHours.end }
+      : null,
+    timeZone: settings.timeZone || 'UTC',
+  };
+}
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ */
+function parseClockTime(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes since local midnight of an instant in a time zone
+ */
+function getLocalMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+/**
+ * When the user's quiet hours end, if they are in them
+ * Quiet hours may span midnight ("22:00" to "07:00"). Across a DST change
+ * the end can be off by the shift; the next run checks again.
+ * @param {Object} settings - From getNotificationSettings
+ * @param {Date} now
+ * @returns {Date|null} - End of the current quiet hours, or null if not quiet
+ */
+function getQuietHoursEnd(settings, now) {
+  if (!settings.quietHours) {
+    return null;
+  }
+
+  const start = parseClockTime(settings.quietHours.start);
+  const end = parseClockTime(settings.quietHours.end);
+  const current = getLocalMinutes(now, settings.timeZone);
+  const isQuiet = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!isQuiet || start === end) {
+    return null;
+  }
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+}
+
+/**
+ * Hours back the scheduler looks for due dates and reminders
+ * @returns {number}
+ */
+function getLookbackHours() {
+  const hours = parseInt(process.env.NOTIFICATION_LOOKBACK_HOURS, 10);
+  return Number.isInteger(hours) && hours > 0 ? hours : DEFAULT_LOOKBACK_HOURS;
+}
+
+/**
+ * Create notification records for due dates and reminders that have arrived
+ * Todos that already have a record for the time are skipped; the new
+ * records are inserted in one write.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Date} [options.since] - Only times after this (the previous run);
+ *                                 never further back than the lookback
+ * @param {number} [options.lookbackHours] - Defaults to NOTIFICATION_LOOKBACK_HOURS
+ * @returns {Promise<number>} - Number of new notifications
+ */
+async function collectDueNotifications({ now = new Date(), since = null, lookbackHours = getLookbackHours() } = {}) {
+  const lookbackStart = new Date(now.getTime() - lookbackHours * HOUR_MS);
+  const windowStart = since && since > lookbackStart ? since : lookbackStart;
+  const pending = getTransportNames();
+  const records = [];
+
+  for (const [kind, field] of Object.entries(KIND_FIELDS)) {
+    const todos = await Todo.find({
+      [field]: { $gt: windowStart, $lte: now },
+      completed: false,
+      deletedAt: null,
+    }).select(`userId ${field}`);
+    if (todos.length === 0) {
+      continue;
+    }
+
+    // An existing record means it was already handled
+    const existing = await Notification.find({ todoId: { $in: todos.map((todo) => todo._id) }, kind })
+      .select('todoId scheduledFor');
+    const notified = new Set(existing.map((record) => `${record.todoId}:${record.scheduledFor.getTime()}`));
+
+    for (const todo of todos) {
+      if (!notified.has(`${todo._id}:${todo[field].getTime()}`)) {
+        records.push({
+          userId: todo.userId,
+          todoId: todo._id,
+          kind,
+          scheduledFor: todo[field],
+          pending,
+          nextAttemptAt: now,
+        });
+      }
+    }
+  }
+
+  if (records.length === 0) {
+    return 0;
+  }
+
+  try {
+    return (await Notification.insertMany(records, { ordered: false })).length;
+  } catch (error) {
+    // Another process inserted some of them first; the others are in
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return error.insertedDocs.length;
+  }
+}
+
+/**
+ * Deliver one claimed notification through its pending transports
+ * @returns {Promise<string>} - "sent", "deferred", "retry", "failed" or "cancelled"
+ */
+async function deliverNotification(notification, now) {
+  const cancel = async (reason) => {
+    await Notification.updateOne({ _id: notification._id }, { $set: { status: 'cancelled', pending: [], lastError: reason } });
+    return 'cancelled';
+  };
+
+  const field = KIND_FIELDS[notification.kind];
+  const todo = await Todo.findOne({ _id: notification.todoId, userId: notification.userId });
+  if (!todo || todo.deletedAt || todo.completed) {
+    return cancel('Todo is no longer open');
+  }
+  if (!todo[field] || todo[field].getTime() !== notification.scheduledFor.getTime()) {
+    return cancel('Todo was rescheduled');
+  }
+  if (!verifyTodoFields(todo)) {
+    logger.securityEvent('Notification cancelled for tampered todo', {
+      todoId: todo._id,
+      userId: todo.userId,
+      kind: notification.kind,
+    });
+    return cancel('Todo failed its metadata check');
+  }
+
+  const user = await User.findById(notification.userId);
+  if (!user) {
+    return cancel('User no longer exists');
+  }
+
+  const settings = getNotificationSettings(user);
+  const quietUntil = getQuietHoursEnd(settings, now);
+  const remaining = [];
+  const errors = [];
+
+  for (const name of notification.pending) {
+    const transport = transports.get(name);
+
+    // Turned off (or removed) since the notification was created
+    if (!transport || (transport.isEnabled && !transport.isEnabled(user))) {
+      await Notification.updateOne({ _id: notification._id }, { $pull: { pending: name } });
+      continue;
+    }
+
+    if (transport.interrupts && quietUntil) {
+      remaining.push(name);
+      continue;
+    }
+
+    try {
+      await transport.send(notification, { user, todo, settings });
+      // Recorded right away, so a retry never sends it through this transport again
+      await Notification.updateOne(
+        { _id: notification._id },
+        { $pull: { pending: name }, $push: { deliveries: { transport: name, deliveredAt: new Date() } } }
+      );
+    } catch (error) {
+      remaining.push(name);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  if (remaining.length === 0) {
+    await Notification.updateOne({ _id: notification._id }, { $set: { status: 'sent' } });
+    return 'sent';
+  }
+
+  if (errors.length === 0) {
+    await Notification.updateOne({ _id: notification._id }, { $set: { nextAttemptAt: quietUntil } });
+    return 'deferred';
+  }
+
+  const attempts = notification.attempts + 1;
+  const lastError = errors.join('; ');
+  logger.warn(`Notification ${notification._id} delivery failed (attempt ${attempts}): ${lastError}`);
+
+  if (attempts >= MAX_ATTEMPTS) {
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { status: 'failed', pending: [], attempts, lastError } }
+    );
+    return 'failed';
+  }
+
+  // 1, 2, 4, 8 minutes - or later if quiet hours last longer
+  const retryAt = new Date(now.getTime() + 2 ** (attempts - 1) * 60 * 1000);
+  await Notification.updateOne(
+    { _id: notification._id },
+    { $set: { attempts, lastError, nextAttemptAt: quietUntil && quietUntil > retryAt ? quietUntil : retryAt } }
+  );
+  return 'retry';
+}
+
+/**
+ * Deliver every notification that is waiting and due for an attempt
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.batchSize=100] - Notifications loaded per batch
+ * @returns {Promise<Object>} - Counts: { sent, deferred, retry, failed, cancelled }
+ */
+async function deliverPendingNotifications({ now = new Date(), batchSize = 100 } = {}) {
+  const report = { sent: 0, deferred: 0, retry: 0, failed: 0, cancelled: 0 };
+
+  // Every claimed notification gets a later nextAttemptAt (or is done), so
+  // it isn't selected again in this run
+  while (true) {
+    const batch = await Notification.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(batchSize);
+
+    for (const candidate of batch) {
+      const notification = await Notification.findOneAndUpdate(
+        { _id: candidate._id, status: 'pending', nextAttemptAt: candidate.nextAttemptAt },
+        { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+        { new: true }
+      );
+      if (!notification) {
+        continue; // Claimed by another process
+      }
+
+      try {
+        report[await deliverNotification(notification, now)]++;
+      } catch (error) {
+        // Left claimed; tried again once the claim runs out
+        report.retry++;
+        logger.error(`Notification ${notification._id} delivery error:`, error);
+      }
+    }
+
+    if (batch.length < batchSize) {
+      break;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Remove old notifications
+ * Only records past the lookback window go, so they can't be created again.
+ * @returns {Promise<number>} - Number removed
+ */
+async function pruneNotifications({ now = new Date(), lookbackHours = getLookbackHours() } = {}) {
+  const cutoff = new Date(Math.min(now.getTime() - RETENTION_DAYS * DAY_MS, now.getTime() - lookbackHours * HOUR_MS));
+  const result = await Notification.deleteMany({
+    status: { $ne: 'pending' },
+    createdAt: { $lt: cutoff },
+    scheduledFor: { $lt: cutoff },
+  });
+  return result.deletedCount;
+}
+
+/**
+ * One scheduler run: collect, deliver and prune
+ * @returns {Promise<Object>} - { created, sent, deferred, retry, failed, cancelled, pruned }
+ */
+async function runNotifications({ now = new Date() } = {}) {
+  const since = collectedUntil && new Date(collectedUntil.getTime() - WINDOW_OVERLAP_MS);
+  const created = await collectDueNotifications({ now, since });
+  collectedUntil = now;
+  const report = await deliverPendingNotifications({ now });
+  const pruned = await pruneNotifications({ now });
+
+  if (created > 0 || report.sent > 0 || report.failed > 0) {
+    logger.info(`Notifications: ${created} new, ${report.sent} sent, ${report.deferred} deferred, `
+      + `${report.retry} to retry, ${report.failed} failed, ${report.cancelled} cancelled`);
+  }
+
+  return { created, ...report, pruned };
+}
+
+/**
+ * Run the scheduler now and then periodically in the background
+ * Interval from NOTIFICATION_INTERVAL_SECONDS (default 60); 0 disables it.
+ * @returns {Object|null} - Timer, or null if disabled
+ */
+function scheduleNotifications() {
+  const seconds = parseInt(process.env.NOTIFICATION_INTERVAL_SECONDS, 10);
+  const interval = Number.isInteger(seconds) && seconds >= 0 ? seconds : DEFAULT_INTERVAL_SECONDS;
+  if (interval === 0) {
+    return null;
+  }
+
+  logger.info(`Notification transports: ${getTransportNames().join(', ') || 'none'}`);
+
+  // Skip a run while the previous one is still going
+  let running = false;
+  const run = () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    runNotifications()
+      .catch((err) => logger.error('Scheduled notification run failed:', err))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, interval * 1000);
+  timer.unref();
+  return timer;
+}
+
+// Built-in transports named in NOTIFICATION_TRANSPORTS
+const enabledTransports = (process.env.NOTIFICATION_TRANSPORTS || 'inbox,email')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+for (const name of enabledTransports) {
+  if (builtInTransports[name]) {
+    registerTransport(builtInTransports[name]);
+  } else {
+    logger.warn(`Unknown notification transport "${name}" in NOTIFICATION_TRANSPORTS`);
+  }
+}
+
+module.exports = {
+  registerTransport,
+  getTransportNames,
+  isTransportRegistered,
+  getNotificationSettings,
+  getQuietHoursEnd,
+  collectDueNotifications,
+  deliverPendingNotifications,
+  pruneNotifications,
+  runNotifications,
+  scheduleNotifications,
+};
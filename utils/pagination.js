@@ -0,0 +1,106 @@
+/**
+ * Pagination Utility
+ * Cursor (keyset) pagination for todo lists
+ *
+ * How it works:
+ * - Todos are sorted by createdAt or updatedAt with _id as tie-breaker, which
+ *   the { userId, <field>, _id } indexes serve without an in-memory sort
+ * - A cursor holds the sort value and _id of the last todo on a page; the next
+ *   page continues strictly after it, so todos created or deleted in between
+ *   never shift the pages (unlike skip/limit)
+ * - Cursors are opaque base64url JSON. They carry no secrets (queries are
+ *   always scoped to the requesting user) but are checked for shape and must
+ *   match the requested sort order.
+ */
+
+const SORT_FIELDS = ['createdAt', 'updatedAt'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_SORT = 'createdAt';
+const DEFAULT_ORDER = 'desc';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Mongo sort specification for a sort field and order
+ * @param {Object} options - { sort, order }
+ * @returns {Object} - e.g. { createdAt: -1, _id: -1 }
+ */
+function buildSort({ sort, order }) {
+  const direction = order === 'asc' ? 1 : -1;
+  return { [sort]: direction, _id: direction };
+}
+
+/**
+ * Encode the cursor pointing after a todo
+ * @param {Object} todo - Last todo on the page
+ * @param {Object} options - { sort, order } of the listing
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor(todo, { sort, order }) {
+  const payload = {
+    sort,
+    order,
+    value: new Date(todo[sort]).toISOString(),
+    id: todo._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode and check a cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} options - { sort, order } of the current request
+ * @returns {Object} - { value: Date, id: string }
+ * @throws {Error} - If the cursor is malformed or was issued for another sort order
+ */
+function decodeCursor(cursor, { sort, order }) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Cursor is malformed');
+  }
+
+  if (!payload || typeof payload.id !== 'string' || !/^[0-9a-fA-F]{24}$/.test(payload.id)) {
+    throw new Error('Cursor is malformed');
+  }
+  const value = new Date(payload.value);
+  if (typeof payload.value !== 'string' || isNaN(value.getTime())) {
+    throw new Error('Cursor is malformed');
+  }
+  if (payload.sort !== sort || payload.order !== order) {
+    throw new Error('Cursor does not match the requested sort order');
+  }
+
+  return { value, id: payload.id };
+}
+
+/**
+ * Query condition for the todos after a cursor
+ * @param {Object} cursor - Decoded cursor ({ value, id })
+ * @param {Object} options - { sort, order }
+ * @returns {Object} - Mongo condition to combine with the list filter
+ */
+function buildCursorFilter(cursor, { sort, order }) {
+  const op = order === 'asc' ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sort]: { [op]: cursor.value } },
+      { [sort]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  SORT_ORDERS,
+  DEFAULT_SORT,
+  DEFAULT_ORDER,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  buildSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+};
@@ -0,0 +1,132 @@
+/**
+ * Real-time Events Utility
+ * Pushes todo changes to the open connections of the user they belong to
+ * (Server-Sent Events, GET /api/events)
+ *
+ * - Events go to the todo owner's connections only; every connection was
+ *   authenticated like any other request (see controllers/eventController.js)
+ * - Each event is a JSON object in the shape the REST API returns, e.g.
+ *   { todo } for todo.created and todo.updated, { id } for todo.deleted
+ * - Connections are kept in memory: with several server processes a client
+ *   only hears about changes made through the process it is connected to
+ * - A comment line is sent every HEARTBEAT_MS so proxies don't close idle
+ *   connections, and at most MAX_CONNECTIONS_PER_USER are kept per user
+ */
+
+const logger = require('./logger');
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_CONNECTIONS_PER_USER = 10;
+
+// userId -> Set of open responses
+const connections = new Map();
+// Open response -> session it was authenticated with
+const connectionSessions = new WeakMap();
+let heartbeat = null;
+
+/**
+ * Write to every open connection
+ */
+function writeAll(chunk) {
+  for (const userConnections of connections.values()) {
+    for (const res of userConnections) {
+      res.write(chunk);
+    }
+  }
+}
+
+/**
+ * Register an open event stream
+ * @param {string} userId - Authenticated user
+ * @param {Object} res - Response with the event-stream headers already sent
+ * @param {string} [sessionId] - Session of the request (closeSessionConnections)
+ * @returns {Function|null} - Removes the connection again; null if the user
+ *                            already has MAX_CONNECTIONS_PER_USER open
+ */
+function addConnection(userId, res, sessionId) {
+  const key = userId.toString();
+  const userConnections = connections.get(key) || new Set();
+  if (userConnections.size >= MAX_CONNECTIONS_PER_USER) {
+    return null;
+  }
+
+  userConnections.add(res);
+  connections.set(key, userConnections);
+  if (sessionId) {
+    connectionSessions.set(res, sessionId.toString());
+  }
+
+  if (!heartbeat) {
+    heartbeat = setInterval(() => writeAll(': heartbeat\n\n'), HEARTBEAT_MS);
+    heartbeat.unref();
+  }
+
+  return () => {
+    userConnections.delete(res);
+    if (userConnections.size === 0 && connections.get(key) === userConnections) {
+      connections.delete(key);
+    }
+    if (connections.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  };
+}
+
+/**
+ * Send an event to all of a user's open connections
+ * @param {string} userId - Owner of what changed
+ * @param {string} type - Event name, e.g. "todo.updated"
+ * @param {Object} data - Event data (serialized as JSON)
+ */
+function publish(userId, type, data) {
+  const userConnections = connections.get(userId.toString());
+  if (!userConnections) {
+    return;
+  }
+
+  const chunk = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of userConnections) {
+    try {
+      res.write(chunk);
+    } catch (error) {
+      logger.error(`Failed to push ${type} event:`, error);
+    }
+  }
+}
+
+/**
+ * End the open streams of a session that was revoked
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId
+ */
+function closeSessionConnections(userId, sessionId) {
+  const userConnections = connections.get(userId.toString());
+  if (!userConnections) {
+    return;
+  }
+
+  for (const res of userConnections) {
+    if (connectionSessions.get(res) === sessionId.toString()) {
+      res.end();
+    }
+  }
+}
+
+/**
+ * Send a list of events, e.g. those of a todo operation once it is committed
+ * @param {Array} events - [{ userId, type, data }]
+ */
+function publishAll(events = []) {
+  for (const { userId, type, data } of events) {
+    publish(userId, type, data);
+  }
+}
+
+module.exports = {
+  MAX_CONNECTIONS_PER_USER,
+  addConnection,
+  closeSessionConnections,
+  publish,
+  publishAll,
+};
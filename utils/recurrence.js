@@ -0,0 +1,457 @@
+/**
+ * Recurrence Utility
+ * Repeating todos from iCalendar (RFC 5545) RRULE schedules
+ *
+ * A recurring todo carries its schedule: the rule, an IANA time zone and the
+ * start of the series (the due date it was set up with, which counts as the
+ * first occurrence). When the todo is completed the next occurrence is created
+ * as a new todo (see todoController).
+ *
+ * Occurrences are expanded in local wall-clock time in the schedule's time
+ * zone and only then converted to UTC, so "every day at 09:00" stays at 09:00
+ * across DST changes. A local time that doesn't exist (skipped by a DST change)
+ * is moved forward by the length of the gap; one that exists twice uses the
+ * first, as RFC 5545 specifies.
+ *
+ * Supported rule parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * COUNT, UNTIL, BYDAY (with ordinals such as 2TU or -1FR in MONTHLY rules and
+ * YEARLY rules with BYMONTH), BYMONTHDAY (negative counts from the end of the
+ * month), BYMONTH, BYSETPOS (MONTHLY and YEARLY) and WKST. Rules are stored in
+ * a normalized form.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+
+const MAX_RULE_LENGTH = 200;
+const MAX_INTERVAL = 1000;
+const MAX_COUNT = 10000;
+
+// How far ahead a series is searched before it is treated as ended (a rule
+// such as BYMONTH=2;BYMONTHDAY=30 never matches)
+const MAX_YEARS = 200;
+const PERIOD_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 28, YEARLY: 365 };
+
+/**
+ * Parse a whole number in a range
+ */
+function parseInteger(value, min, max, name) {
+  if (!/^[+-]?\d{1,5}$/.test(value)) {
+    throw new Error(`${name} must be a number`);
+  }
+  const number = parseInt(value, 10);
+  if (number < min || number > max || number === 0) {
+    throw new Error(`${name} must be between ${min} and ${max} (not 0)`);
+  }
+  return number;
+}
+
+/**
+ * Parse a comma-separated list of numbers in ±1..max
+ */
+function parseIntegerList(value, max, name) {
+  return value.split(',').map((item) => parseInteger(item, -max, max, name));
+}
+
+/**
+ * Parse and check an RRULE
+ * @param {string} text - e.g. "FREQ=MONTHLY;BYDAY=-1FR" (an "RRULE:" prefix is allowed)
+ * @returns {Object} - Parsed rule
+ * @throws {Error} - If the rule is malformed or uses unsupported parts
+ */
+function parseRecurrenceRule(text) {
+  if (typeof text !== 'string' || text.length === 0 || text.length > MAX_RULE_LENGTH) {
+    throw new Error(`Recurrence rule must be 1-${MAX_RULE_LENGTH} characters`);
+  }
+
+  const parts = {};
+  for (const part of text.trim().toUpperCase().replace(/^RRULE:/, '').split(';')) {
+    const [key, value, ...rest] = part.split('=');
+    if (!RULE_PARTS.includes(key)) {
+      throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+    if (!value || rest.length > 0 || key in parts) {
+      throw new Error(`Invalid recurrence rule part: ${part}`);
+    }
+    parts[key] = value;
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (parts.COUNT && parts.UNTIL) {
+    throw new Error('COUNT and UNTIL cannot both be set');
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseInteger(parts.INTERVAL, 1, MAX_INTERVAL, 'INTERVAL') : 1,
+    count: parts.COUNT ? parseInteger(parts.COUNT, 1, MAX_COUNT, 'COUNT') : null,
+    until: null,
+    byDay: null,
+    byMonthDay: parts.BYMONTHDAY ? parseIntegerList(parts.BYMONTHDAY, 31, 'BYMONTHDAY') : null,
+    byMonth: parts.BYMONTH ? parseIntegerList(parts.BYMONTH, 12, 'BYMONTH') : null,
+    bySetPos: parts.BYSETPOS ? parseIntegerList(parts.BYSETPOS, 366, 'BYSETPOS') : null,
+    wkst: parts.WKST ? WEEKDAYS.indexOf(parts.WKST) : 0,
+  };
+
+  if (parts.UNTIL) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(parts.UNTIL);
+    if (!match) {
+      throw new Error('UNTIL must be a date (YYYYMMDD) or date-time (YYYYMMDDTHHMMSSZ)');
+    }
+    const [, year, month, day, hour, minute, second, utc] = match;
+    rule.until = {
+      // Date-only UNTIL includes the whole day
+      time: hour === undefined
+        ? Date.UTC(year, month - 1, day) + DAY_MS - 1
+        : Date.UTC(year, month - 1, day, hour, minute, second),
+      utc: utc === 'Z',
+    };
+  }
+
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(',').map((item) => {
+      const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(item);
+      if (!match) {
+        throw new Error(`Invalid BYDAY value: ${item}`);
+      }
+      const ordinal = match[1] ? parseInteger(match[1], -5, 5, 'BYDAY ordinal') : null;
+      return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+    });
+  }
+
+  if (rule.wkst < 0) {
+    throw new Error('WKST must be a weekday (MO-SU)');
+  }
+  if (rule.byMonthDay && rule.freq === 'WEEKLY') {
+    throw new Error('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  }
+  if (rule.byDay && rule.byDay.some((day) => day.ordinal)
+    && !(rule.freq === 'MONTHLY' || (rule.freq === 'YEARLY' && rule.byMonth))) {
+    throw new Error('BYDAY ordinals need FREQ=MONTHLY, or FREQ=YEARLY with BYMONTH');
+  }
+  if (rule.bySetPos && !(['MONTHLY', 'YEARLY'].includes(rule.freq) && (rule.byDay || rule.byMonthDay))) {
+    throw new Error('BYSETPOS needs FREQ=MONTHLY or YEARLY and BYDAY or BYMONTHDAY');
+  }
+
+  return rule;
+}
+
+/**
+ * Format a UTC timestamp as YYYYMMDD or YYYYMMDDTHHMMSS
+ */
+function formatRuleDate(time, withTime) {
+  const iso = new Date(time).toISOString().replace(/[-:]/g, '');
+  return withTime ? iso.substring(0, 15) : iso.substring(0, 8);
+}
+
+/**
+ * Write a parsed rule back as an RRULE in a fixed part order
+ * @param {Object} rule - From parseRecurrenceRule
+ * @returns {string}
+ */
+function formatRecurrenceRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byMonth) {
+    parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  }
+  if (rule.byMonthDay) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.byDay) {
+    parts.push(`BYDAY=${rule.byDay.map((day) => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.bySetPos) {
+    parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  }
+  if (rule.wkst !== 0) {
+    parts.push(`WKST=${WEEKDAYS[rule.wkst]}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    const isDateOnly = !rule.until.utc && rule.until.time % DAY_MS === DAY_MS - 1;
+    parts.push(`UNTIL=${isDateOnly
+      ? formatRuleDate(rule.until.time, false)
+      : `${formatRuleDate(rule.until.time, true)}${rule.until.utc ? 'Z' : ''}`}`);
+  }
+  return parts.join(';');
+}
+
+// Formatters are expensive to create, so one per time zone is kept
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check that a time zone is a known IANA name (e.g. "Europe/Berlin")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock time of an instant in a time zone, as milliseconds since the
+ * epoch as if that wall-clock time were UTC
+ */
+function toLocalTime(time, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(time)) {
+    parts[type] = value;
+  }
+  const seconds = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return seconds + (((time % 1000) + 1000) % 1000);
+}
+
+/**
+ * Instant of a wall-clock time in a time zone (see toLocalTime)
+ * Offsets are taken a day either side, so a DST change in between is seen.
+ */
+function fromLocalTime(local, timeZone) {
+  const offsetBefore = toLocalTime(local - DAY_MS, timeZone) - (local - DAY_MS);
+  const offsetAfter = toLocalTime(local + DAY_MS, timeZone) - (local + DAY_MS);
+
+  // Both offsets are valid in an overlap (the earlier instant comes first),
+  // neither in a gap (the offset from before the gap moves the time forward)
+  const valid = [local - offsetBefore, local - offsetAfter]
+    .filter((time) => toLocalTime(time, timeZone) === local);
+  return valid.length > 0 ? Math.min(...valid) : local - offsetBefore;
+}
+
+/**
+ * Weekday of a day number (days since the epoch), 0 = Monday
+ */
+function weekdayOf(day) {
+  return (new Date(day * DAY_MS).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Days (day numbers) of one month matching the rule's day parts
+ * @param {number} year
+ * @param {number} month - 0-11
+ * @param {Object} rule - Parsed rule
+ * @param {number} defaultDate - Day of the month used without BYDAY/BYMONTHDAY
+ */
+function expandMonth(year, month, rule, defaultDate) {
+  const first = Date.UTC(year, month, 1) / DAY_MS;
+  const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let dates = null;
+
+  if (rule.byMonthDay) {
+    dates = rule.byMonthDay
+      .map((date) => (date > 0 ? date : length + date + 1))
+      .filter((date) => date >= 1 && date <= length);
+  }
+
+  if (rule.byDay) {
+    const weekdayDates = [];
+    for (const { weekday, ordinal } of rule.byDay) {
+      const matching = [];
+      for (let date = 1; date <= length; date++) {
+        if (weekdayOf(first + date - 1) === weekday) {
+          matching.push(date);
+        }
+      }
+      if (!ordinal) {
+        weekdayDates.push(...matching);
+      } else {
+        const date = matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal];
+        if (date) {
+          weekdayDates.push(date);
+        }
+      }
+    }
+    dates = dates ? dates.filter((date) => weekdayDates.includes(date)) : weekdayDates;
+  }
+
+  if (!dates) {
+    // Months without that day (e.g. the 31st) are skipped, as in RFC 5545
+    dates = defaultDate <= length ? [defaultDate] : [];
+  }
+
+  return [...new Set(dates)].sort((a, b) => a - b).map((date) => first + date - 1);
+}
+
+/**
+ * Pick the BYSETPOS positions from one period's sorted days
+ */
+function applySetPos(days, bySetPos) {
+  if (!bySetPos) {
+    return days;
+  }
+  const picked = bySetPos
+    .map((position) => days[position > 0 ? position - 1 : days.length + position])
+    .filter((day) => day !== undefined);
+  return [...new Set(picked)].sort((a, b) => a - b);
+}
+
+/**
+ * Days (day numbers) of the period'th period of a series, in order
+ * @param {Object} rule - Parsed rule
+ * @param {number} startDay - Day number of the series start
+ * @param {number} period - 0 for the period containing the start
+ */
+function expandPeriod(rule, startDay, period) {
+  const start = new Date(startDay * DAY_MS);
+  const step = period * rule.interval;
+  const inMonths = (day) => !rule.byMonth || rule.byMonth.includes(new Date(day * DAY_MS).getUTCMonth() + 1);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startDay + step;
+      const current = new Date(day * DAY_MS);
+      const date = current.getUTCDate();
+      const length = new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 0)).getUTCDate();
+      const matches = inMonths(day)
+        && (!rule.byMonthDay || rule.byMonthDay.some((d) => (d > 0 ? d : length + d + 1) === date))
+        && (!rule.byDay || rule.byDay.some(({ weekday }) => weekday === weekdayOf(day)));
+      return matches ? [day] : [];
+    }
+    case 'WEEKLY': {
+      const weekStart = startDay - ((weekdayOf(startDay) - rule.wkst + 7) % 7) + 7 * step;
+      const weekdays = rule.byDay ? rule.byDay.map(({ weekday }) => weekday) : [weekdayOf(startDay)];
+      return [...new Set(weekdays)]
+        .map((weekday) => weekStart + ((weekday - rule.wkst + 7) % 7))
+        .filter(inMonths)
+        .sort((a, b) => a - b);
+    }
+    case 'MONTHLY': {
+      const index = start.getUTCFullYear() * 12 + start.getUTCMonth() + step;
+      const year = Math.floor(index / 12);
+      const month = index % 12;
+      if (rule.byMonth && !rule.byMonth.includes(month + 1)) {
+        return [];
+      }
+      return applySetPos(expandMonth(year, month, rule, start.getUTCDate()), rule.bySetPos);
+    }
+    default: {
+      // YEARLY: the start's month, or every month when only days are given
+      const year = start.getUTCFullYear() + step;
+      const months = rule.byMonth
+        || (rule.byDay || rule.byMonthDay ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.getUTCMonth() + 1]);
+      const days = [...new Set(months)]
+        .sort((a, b) => a - b)
+        .flatMap((month) => expandMonth(year, month - 1, rule, start.getUTCDate()));
+      return applySetPos(days, rule.bySetPos);
+    }
+  }
+}
+
+/**
+ * Occurrences of a series in local time (see toLocalTime), in order
+ * The start is always the first occurrence, even if the rule doesn't match it.
+ * @param {Object} rule - Parsed rule
+ * @param {number} startLocal - Local time of the series start
+ */
+function* expandLocal(rule, startLocal) {
+  const startDay = Math.floor(startLocal / DAY_MS);
+  const timeOfDay = startLocal - startDay * DAY_MS;
+
+  const periods = Math.ceil((MAX_YEARS * 366) / (PERIOD_DAYS[rule.freq] * rule.interval));
+
+  yield startLocal;
+  for (let period = 0; period <= periods; period++) {
+    for (const day of expandPeriod(rule, startDay, period)) {
+      const local = day * DAY_MS + timeOfDay;
+      if (local > startLocal) {
+        yield local;
+      }
+    }
+  }
+}
+
+/**
+ * Check a recurrence from a request and fill in its start
+ * @param {Object} recurrence - { rule, timeZone }
+ * @param {Date} start - First occurrence (the todo's due date)
+ * @returns {Object} - { rule (normalized), timeZone, start } to store
+ * @throws {Error} - If the rule or time zone is invalid
+ */
+function createRecurrence({ rule, timeZone = 'UTC' }, start) {
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error('timeZone must be an IANA time zone such as "Europe/Berlin"');
+  }
+  return {
+    rule: formatRecurrenceRule(parseRecurrenceRule(rule)),
+    timeZone,
+    start: new Date(start),
+  };
+}
+
+/**
+ * Find the first occurrence of a series after a given time
+ * Occurrences before that time are skipped (they still count towards COUNT).
+ * @param {Object} recurrence - Stored recurrence: { rule, timeZone, start }
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date|null} - Next occurrence, or null if the series has ended
+ */
+function getNextOccurrence(recurrence, after) {
+  const rule = parseRecurrenceRule(recurrence.rule);
+  const { timeZone } = recurrence;
+  const afterTime = new Date(after).getTime();
+  const afterLocal = toLocalTime(afterTime, timeZone);
+
+  // A floating or date-only UNTIL is in local time, one ending in Z in UTC
+  const isPastUntil = (local) => (rule.until.utc
+    ? fromLocalTime(local, timeZone) > rule.until.time
+    : local > rule.until.time);
+
+  let count = 0;
+  for (const local of expandLocal(rule, toLocalTime(new Date(recurrence.start).getTime(), timeZone))) {
+    count++;
+    if ((rule.count && count > rule.count) || (rule.until && isPastUntil(local))) {
+      return null;
+    }
+
+    // Local and UTC time differ by less than a day, so only occurrences
+    // close to the bound need converting
+    if (local > afterLocal - DAY_MS) {
+      const time = fromLocalTime(local, timeZone);
+      if (time > afterTime) {
+        return new Date(time);
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseRecurrenceRule,
+  formatRecurrenceRule,
+  isValidTimeZone,
+  createRecurrence,
+  getNextOccurrence,
+};
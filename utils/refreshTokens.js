@@ -0,0 +1,118 @@
+/**
+ * Refresh Token Utility
+ * Issues, rotates and revokes the stored refresh tokens (models/RefreshToken.js)
+ *
+ * - Refresh tokens are still signed JWTs (middleware/auth.js), but one is
+ *   only accepted while its hash is stored, not rotated and not revoked
+ * - Each refresh rotates the token: the presented one is used up and the
+ *   client gets the next token of the same family
+ * - Presenting a token that was already rotated revokes its whole family;
+ *   the caller reports it as a security event
+ * - Tokens issued before tokens were stored are refused, so those clients
+ *   log in again
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const { generateRefreshToken } = require('../middleware/auth');
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 (hex)
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+/**
+ * Issue and store a refresh token
+ * @param {string} userId - User the token is for
+ * @param {string} [familyId] - Family to continue; a new one if omitted (login)
+ * @returns {Promise<string>} - Refresh token
+ */
+async function issueRefreshToken(userId, familyId = crypto.randomBytes(16).toString('hex')) {
+  const token = generateRefreshToken(userId, familyId);
+  const { exp } = jwt.decode(token);
+
+  await RefreshToken.create({
+    userId,
+    familyId,
+    tokenHash: hashRefreshToken(token),
+    expiresAt: new Date(exp * 1000),
+  });
+
+  return token;
+}
+
+/**
+ * Revoke all tokens of a family
+ * @param {string} familyId
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+async function revokeTokenFamily(familyId) {
+  const result = await RefreshToken.updateMany(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Use up a refresh token so the next one of its family can be issued
+ * The token's signature must already be verified (verifyRefreshToken).
+ * @param {string} token - Refresh token
+ * @returns {Promise<Object>} - { status, userId, familyId }, status being
+ *   "valid" (now rotated), "reused" (already rotated: the family is revoked)
+ *   or "invalid" (unknown, revoked or expired)
+ */
+async function rotateRefreshToken(token) {
+  const tokenHash = hashRefreshToken(token);
+  const now = new Date();
+
+  // Atomic, so of two concurrent refreshes with the same token only one wins
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { rotatedAt: now } },
+    { new: true }
+  );
+  if (record) {
+    return { status: 'valid', userId: record.userId, familyId: record.familyId };
+  }
+
+  const used = await RefreshToken.findOne({ tokenHash });
+  if (!used) {
+    return { status: 'invalid' };
+  }
+
+  if (used.rotatedAt) {
+    await revokeTokenFamily(used.familyId);
+    return { status: 'reused', userId: used.userId, familyId: used.familyId };
+  }
+
+  return { status: 'invalid', userId: used.userId, familyId: used.familyId };
+}
+
+/**
+ * Revoke the family of a refresh token (logout)
+ * @param {string} token - Refresh token
+ * @returns {Promise<Object|null>} - { userId, familyId } of the token, null
+ *                                   if it is unknown
+ */
+async function revokeRefreshToken(token) {
+  const record = await RefreshToken.findOne({ tokenHash: hashRefreshToken(token) });
+  if (!record) {
+    return null;
+  }
+
+  await revokeTokenFamily(record.familyId);
+  return { userId: record.userId, familyId: record.familyId };
+}
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+};
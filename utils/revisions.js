@@ -0,0 +1,123 @@
+/**
+ * Todo Revision Utility
+ * Keeps the previous encrypted version of a todo whenever it changes
+ *
+ * How it works:
+ * - Before a todo is updated its stored fields are snapshotted as they are
+ *   (ciphertext, IV, auth tag, keyId, integrity tag) - nothing is decrypted
+ * - After the new version is saved the snapshot is stored as a TodoRevision
+ *   and the todo's revision count in the signed integrity root is increased
+ * - A revision is decrypted with the todo's ID and the revision's version as
+ *   associated data, exactly as the todo was at that version
+ */
+
+const TodoRevision = require('../models/TodoRevision');
+const { recordTodo } = require('./integrityRoot');
+
+/**
+ * Copy of an encrypted tags blob (or null)
+ */
+function copyTags(blob) {
+  return blob ? { encryptedContent: blob.encryptedContent, iv: blob.iv, authTag: blob.authTag } : null;
+}
+
+/**
+ * Copy of a repeat schedule (or null)
+ */
+function copyRecurrence(recurrence) {
+  return recurrence ? { rule: recurrence.rule, timeZone: recurrence.timeZone, start: recurrence.start } : null;
+}
+
+/**
+ * Snapshot the stored (encrypted) state of a todo before it changes
+ * @param {Object} todo - Todo document, not yet modified
+ * @returns {Object} - Revision fields
+ */
+function snapshotTodo(todo) {
+  return {
+    todoId: todo._id,
+    userId: todo.userId,
+    version: todo.version,
+    encryptedContent: todo.encryptedContent,
+    iv: todo.iv,
+    authTag: todo.authTag,
+    keyId: todo.keyId,
+    integrityHash: todo.integrityHash,
+    integrityScheme: todo.integrityScheme,
+    aadBound: todo.aadBound,
+    encryptionMode: todo.encryptionMode,
+    completed: todo.completed,
+    completedAt: todo.completedAt,
+    dueDate: todo.dueDate,
+    reminderAt: todo.reminderAt,
+    priority: todo.priority,
+    encryptedTags: copyTags(todo.encryptedTags),
+    metadataHash: todo.metadataHash,
+    listId: todo.listId,
+    parentId: todo.parentId,
+    recurrence: copyRecurrence(todo.recurrence),
+    createdAt: todo.updatedAt,
+  };
+}
+
+/**
+ * Store a snapshot as a revision and record the todo's new state
+ * Call after the todo was saved with its new version; replaces recordTodo.
+ *
+ * @param {Object} todo - Saved todo document (new version)
+ * @param {Object} snapshot - Result of snapshotTodo taken before the change
+ * @returns {Promise<Object>} - The stored revision
+ */
+async function commitRevision(todo, snapshot) {
+  const revision = await TodoRevision.create(snapshot);
+  await recordTodo(todo, { addedRevisions: 1 });
+  return revision;
+}
+
+/**
+ * View of a revision for the todo cipher functions (utils/todoCipher.js),
+ * which expect the todo's own _id
+ * @param {Object} revision - TodoRevision document
+ * @returns {Object} - Todo-shaped object
+ */
+function revisionCipherView(revision) {
+  return {
+    _id: revision.todoId,
+    userId: revision.userId,
+    version: revision.version,
+    encryptedContent: revision.encryptedContent,
+    iv: revision.iv,
+    authTag: revision.authTag,
+    keyId: revision.keyId,
+    integrityHash: revision.integrityHash,
+    integrityScheme: revision.integrityScheme,
+    aadBound: revision.aadBound,
+    encryptionMode: revision.encryptionMode,
+    completed: revision.completed,
+    completedAt: revision.completedAt,
+    dueDate: revision.dueDate,
+    reminderAt: revision.reminderAt,
+    priority: revision.priority,
+    encryptedTags: copyTags(revision.encryptedTags),
+    metadataHash: revision.metadataHash,
+    listId: revision.listId,
+    parentId: revision.parentId,
+    recurrence: copyRecurrence(revision.recurrence),
+  };
+}
+
+/**
+ * Delete the history of deleted todos
+ * @param {string} userId - Owner
+ * @param {Array} todoIds - Deleted todos
+ */
+async function deleteRevisions(userId, todoIds) {
+  await TodoRevision.deleteMany({ userId, todoId: { $in: todoIds } });
+}
+
+module.exports = {
+  snapshotTodo,
+  commitRevision,
+  revisionCipherView,
+  deleteRevisions,
+};
@@ -0,0 +1,112 @@
+/**
+ * Sessions Utility
+ * Starts, extends and revokes login sessions (models/Session.js)
+ *
+ * - A session's ID is the family ID of its refresh tokens: refreshing keeps
+ *   the session alive, and revoking it revokes the refresh tokens
+ * - Revoking a session also closes its live sync streams; its access tokens
+ *   are refused from then on (middleware/auth.js)
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { revokeTokenFamily } = require('./refreshTokens');
+const { closeSessionConnections } = require('./realtime');
+
+// Stored user agents are cut to this length
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Expiry of a signed token
+ * @param {string} token - JWT
+ * @returns {Date}
+ */
+function tokenExpiry(token) {
+  return new Date(jwt.decode(token).exp * 1000);
+}
+
+/**
+ * Record a new session for a login
+ * @param {string} userId - User who logged in
+ * @param {string} method - "password" or "google"
+ * @param {Object} req - Login request (user agent and IP)
+ * @returns {Promise<Object>} - Session document
+ */
+async function createSession(userId, method, req) {
+  return Session.create({
+    userId,
+    method,
+    userAgent: (req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH),
+    ip: req.ip || '',
+    // Extended to the session's tokens once they are issued
+    expiresAt: new Date(),
+  });
+}
+
+/**
+ * Keep a session until a token issued for it expires
+ * @param {string} sessionId
+ * @param {string} token - Longest-lived token of the session (refresh token,
+ *                         or the access token if it has none)
+ */
+async function extendSession(sessionId, token) {
+  await Session.updateOne({ _id: sessionId }, { $set: { expiresAt: tokenExpiry(token) } });
+}
+
+/**
+ * Find a session that hasn't been revoked or expired
+ * @param {string} sessionId
+ * @param {string} userId - Owner it must belong to
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveSession(sessionId, userId) {
+  // Refresh token families from before sessions existed have no session
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+  return Session.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+/**
+ * Revoke a session, its refresh tokens and its live sync streams
+ * @param {Object} session - Session document
+ */
+async function revokeSession(session) {
+  await Session.updateOne({ _id: session._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  await revokeTokenFamily(session._id.toString());
+  closeSessionConnections(session.userId, session._id);
+}
+
+/**
+ * Revoke all of a user's sessions except one ("log out everywhere else")
+ * @param {string} userId
+ * @param {string} keepSessionId - Session to keep (the current one)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeOtherSessions(userId, keepSessionId) {
+  const sessions = await Session.find({
+    userId,
+    _id: { $ne: keepSessionId },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  for (const session of sessions) {
+    await revokeSession(session);
+  }
+  return sessions.length;
+}
+
+module.exports = {
+  createSession,
+  extendSession,
+  findActiveSession,
+  revokeSession,
+  revokeOtherSessions,
+};
@@ -0,0 +1,302 @@
+/**
+ * SMTP Utility
+ * Minimal SMTP client for sending plain-text notification emails
+ *
+ * Configuration (environment):
+ * - SMTP_HOST: server to send through; email is disabled while unset
+ * - SMTP_PORT: default 465 with SMTP_SECURE, 587 otherwise
+ * - SMTP_SECURE=true: implicit TLS from the start (port 465)
+ * - SMTP_STARTTLS=false: don't upgrade plain connections with STARTTLS
+ *   (it is used whenever the server offers it)
+ * - SMTP_USER / SMTP_PASS: AUTH PLAIN credentials, only ever sent over TLS
+ * - SMTP_FROM: sender, e.g. "Secure Todo <todo@example.com>"
+ *
+ * A local SMTP sink (MailHog, smtp4dev, ...) works with just SMTP_HOST and
+ * SMTP_PORT, e.g. SMTP_HOST=localhost SMTP_PORT=1025.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const TIMEOUT_MS = 30 * 1000;
+
+/**
+ * SMTP settings from the environment
+ * @returns {Object|null} - null if SMTP_HOST is not set
+ */
+function getSmtpConfig() {
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    return null;
+  }
+
+  const secure = process.env.SMTP_SECURE === 'true';
+  const port = parseInt(process.env.SMTP_PORT, 10);
+
+  return {
+    host,
+    port: Number.isInteger(port) && port > 0 ? port : (secure ? 465 : 587),
+    secure,
+    startTls: process.env.SMTP_STARTTLS !== 'false',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || `Secure Todo <no-reply@${host}>`,
+  };
+}
+
+/**
+ * Address part of "Name <address>" (or the value itself)
+ */
+function parseAddress(value) {
+  const match = /<([^<>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * Refuse header values that could inject headers or commands
+ */
+function checkHeaderValue(value) {
+  if (/[\r\n]/.test(value)) {
+    throw new Error('Mail header values cannot contain line breaks');
+  }
+  return value;
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word if it isn't plain ASCII
+ */
+function encodeHeader(value) {
+  checkHeaderValue(value);
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the message: headers and a base64 body, so no line of it can be
+ * mistaken for the end of the DATA section
+ */
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  const domain = parseAddress(from).split('@')[1] || 'localhost';
+
+  return [
+    `From: ${checkHeaderValue(from)}`,
+    `To: ${checkHeaderValue(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+/**
+ * Open a connection (TLS from the start if secure)
+ * Fails after TIMEOUT_MS if the server doesn't answer, so a stuck host
+ * can't hold up the sender.
+ * @returns {Promise<Object>} - Socket
+ */
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const onTimeout = () => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`));
+    const onConnect = () => {
+      socket.off('timeout', onTimeout);
+      socket.off('error', reject);
+      resolve(socket);
+    };
+
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, onConnect)
+      : net.connect({ host, port }, onConnect);
+    socket.setTimeout(TIMEOUT_MS);
+    socket.once('timeout', onTimeout);
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Line-based SMTP session over a socket
+ * read() resolves with the next (possibly multi-line) reply, send() writes a
+ * command; upgrade() switches to TLS after STARTTLS.
+ */
+function createSession(initialSocket, host) {
+  let socket = null;
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const push = (reply) => {
+    const waiter = waiting.shift();
+    if (waiter) {
+      waiter.resolve(reply);
+    } else {
+      replies.push(reply);
+    }
+  };
+
+  const fail = (error) => {
+    failure = failure || error;
+    while (waiting.length > 0) {
+      waiting.shift().reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line.slice(4));
+      // "250-..." continues a reply, "250 ..." ends it
+      if (!/^\d{3}-/.test(line)) {
+        push({ code: parseInt(line.slice(0, 3), 10), lines });
+        lines = [];
+      }
+    }
+  };
+  const onError = (error) => fail(error);
+  const onClose = () => fail(new Error('SMTP connection closed'));
+  const onTimeout = () => socket.destroy(new Error('SMTP server timed out'));
+
+  const detach = () => {
+    socket.off('data', onData);
+    socket.off('error', onError);
+    socket.off('close', onClose);
+    socket.off('timeout', onTimeout);
+  };
+
+  const attach = (next) => {
+    socket = next;
+    socket.setTimeout(TIMEOUT_MS);
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+    socket.on('timeout', onTimeout);
+  };
+
+  attach(initialSocket);
+
+  return {
+    get encrypted() {
+      return socket instanceof tls.TLSSocket;
+    },
+    read() {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    send(line) {
+      socket.write(`${line}\r\n`);
+    },
+    upgrade() {
+      // The plain socket now carries the TLS handshake, not replies
+      detach();
+      return new Promise((resolve, reject) => {
+        const onHandshakeTimeout = () => secureSocket.destroy(new Error('SMTP TLS handshake timed out'));
+        const secureSocket = tls.connect({ socket, servername: host }, () => {
+          secureSocket.off('timeout', onHandshakeTimeout);
+          attach(secureSocket);
+          resolve();
+        });
+        secureSocket.setTimeout(TIMEOUT_MS);
+        secureSocket.once('timeout', onHandshakeTimeout);
+        secureSocket.once('error', (error) => {
+          secureSocket.off('timeout', onHandshakeTimeout);
+          attach(secureSocket);
+          reject(error);
+        });
+      });
+    },
+    close() {
+      socket.destroy();
+    },
+  };
+}
+
+/**
+ * Read a reply and check its code
+ * @param {Object} session - From createSession
+ * @param {Array<number>} codes - Accepted reply codes
+ * @param {string} step - Command, for the error message
+ */
+async function expectReply(session, codes, step) {
+  const reply = await session.read();
+  if (!codes.includes(reply.code)) {
+    throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`);
+  }
+  return reply;
+}
+
+/**
+ * Send a command and check the reply
+ */
+async function command(session, line, codes, step = line.split(' ')[0]) {
+  session.send(line);
+  return expectReply(session, codes, step);
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject
+ * @param {string} message.text - Body
+ * @param {Object} [config] - Defaults to the SMTP_* environment
+ * @returns {Promise<void>}
+ * @throws {Error} - If SMTP isn't configured or the server refuses the message
+ */
+async function sendMail({ to, subject, text }, config = getSmtpConfig()) {
+  if (!config) {
+    throw new Error('SMTP is not configured');
+  }
+
+  const session = createSession(await connect(config), config.host);
+  const clientName = os.hostname() || 'localhost';
+
+  try {
+    await expectReply(session, [220], 'greeting');
+    const hello = await command(session, `EHLO ${clientName}`, [250]);
+
+    if (!config.secure && config.startTls && hello.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await command(session, 'STARTTLS', [220]);
+      await session.upgrade();
+      await command(session, `EHLO ${clientName}`, [250]);
+    }
+
+    if (config.user) {
+      // Never send the password in the clear
+      if (!session.encrypted) {
+        throw new Error('Refusing to send SMTP credentials over an unencrypted connection');
+      }
+      const credentials = Buffer.from(`\0${config.user}\0${config.pass || ''}`, 'utf8').toString('base64');
+      await command(session, `AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await command(session, `MAIL FROM:<${checkHeaderValue(parseAddress(config.from))}>`, [250], 'MAIL FROM');
+    await command(session, `RCPT TO:<${checkHeaderValue(parseAddress(to))}>`, [250, 251], 'RCPT TO');
+    await command(session, 'DATA', [354]);
+    await command(session, `${buildMessage({ from: config.from, to, subject, text })}\r\n.`, [250], 'message');
+
+    session.send('QUIT');
+  } finally {
+    session.close();
+  }
+}
+
+module.exports = {
+  getSmtpConfig,
+  sendMail,
+};
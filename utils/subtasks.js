@@ -0,0 +1,186 @@
+/**
+ * Subtasks Utility
+ * Parent/child structure of todos (checklists)
+ *
+ * A subtask is a todo with a parentId. The parent is covered by the metadata
+ * tag (utils/todoFields.js), so a subtask moved under another todo directly in
+ * the database is reported as tampered. Subtasks always have their parent's
+ * owner and list; nesting is limited to MAX_SUBTASK_DEPTH levels (counting the
+ * top-level todo) and MAX_SUBTASKS direct subtasks per todo.
+ *
+ * Changes that follow the parent (trash, restore, list, cascaded completion)
+ * are made to the subtasks in place and re-tagged, without a new version.
+ * Subtasks that fail their metadata check are never re-tagged.
+ */
+
+const Todo = require('../models/Todo');
+const { sealTodoFields, verifyTodoFields } = require('./todoFields');
+
+const MAX_SUBTASK_DEPTH = 3;
+const MAX_SUBTASKS = 100;
+
+/**
+ * IDs of a todo and its ancestors, nearest first
+ * Stops after MAX_SUBTASK_DEPTH + 1 levels, so a loop in the database can't
+ * make it run forever.
+ * @param {Object} todo - Todo document
+ * @returns {Promise<Array>}
+ */
+async function findAncestorIds(todo) {
+  const ids = [todo._id];
+  let parentId = todo.parentId;
+
+  while (parentId && ids.length <= MAX_SUBTASK_DEPTH) {
+    ids.push(parentId);
+    const parent = await Todo.findOne({ _id: parentId, userId: todo.userId }).select('parentId');
+    parentId = parent ? parent.parentId : null;
+  }
+
+  return ids;
+}
+
+/**
+ * Load a todo's subtasks, level by level
+ * @param {Object} todo - Todo document
+ * @param {Object} [filter] - Extra conditions (e.g. { deletedAt: null })
+ * @returns {Promise<Array>} - Subtask documents, nearest level first
+ */
+async function findSubtasks(todo, filter = {}) {
+  return findSubtasksOf([todo._id], todo.userId, filter);
+}
+
+/**
+ * Load the subtasks of several todos of one owner, level by level
+ * @param {Array} parentIds - Todos whose subtasks to load
+ * @param {string} userId - Owner
+ * @param {Object} [filter] - Extra conditions (e.g. { deletedAt: null })
+ * @returns {Promise<Array>} - Subtask documents, nearest level first
+ */
+async function findSubtasksOf(parentIds, userId, filter = {}) {
+  const found = [];
+  let level = parentIds;
+
+  // One level more than allowed, so subtasks moved too deep directly in the
+  // database still show up (as tampered) instead of disappearing
+  for (let depth = 1; depth <= MAX_SUBTASK_DEPTH && level.length > 0; depth++) {
+    const children = await Todo.find({ ...filter, userId, parentId: { $in: level } }).sort({ createdAt: 1, _id: 1 });
+    found.push(...children);
+    level = children.map((child) => child._id);
+  }
+
+  return found;
+}
+
+/**
+ * Number of levels in a todo's live subtree, itself included
+ * Counts at most MAX_SUBTASK_DEPTH + 1 levels.
+ */
+async function countLevels(todo) {
+  let levels = 1;
+  let level = [todo._id];
+
+  while (levels <= MAX_SUBTASK_DEPTH) {
+    const children = await Todo.find({ userId: todo.userId, parentId: { $in: level }, deletedAt: null }).select('_id');
+    if (children.length === 0) {
+      break;
+    }
+    levels++;
+    level = children.map((child) => child._id);
+  }
+
+  return levels;
+}
+
+/**
+ * Check that a todo can be put under a parent
+ * @param {Object} parent - Prospective parent (same owner and list)
+ * @param {Object} [todo] - Todo being moved; omit for a new todo
+ * @returns {Promise<string|null>} - Error message, or null if allowed
+ */
+async function checkSubtaskPlacement(parent, todo) {
+  const ancestorIds = await findAncestorIds(parent);
+
+  if (todo && ancestorIds.some((id) => id.equals(todo._id))) {
+    return 'A todo cannot be moved under itself or one of its subtasks';
+  }
+
+  // Levels the moved todo brings along: itself and its live subtasks
+  const levels = todo ? await countLevels(todo) : 1;
+
+  if (ancestorIds.length + levels > MAX_SUBTASK_DEPTH) {
+    return `Subtasks can be nested at most ${MAX_SUBTASK_DEPTH} levels deep`;
+  }
+
+  const siblings = await Todo.countDocuments({ userId: parent.userId, parentId: parent._id, deletedAt: null });
+  if (siblings >= MAX_SUBTASKS) {
+    return `A todo can have at most ${MAX_SUBTASKS} subtasks`;
+  }
+
+  return null;
+}
+
+/**
+ * Change a todo's subtasks in place and re-tag them
+ * @param {Object} todo - Parent todo document
+ * @param {Object} filter - Which subtasks (e.g. { deletedAt: null })
+ * @param {Function} change - (subtask) => void, sets the new field values
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTampered=false] - Change subtasks that fail
+ *   their metadata check too (left untagged), e.g. to trash them with the parent
+ * @returns {Promise<Object>} - { updated, skipped }
+ */
+async function updateSubtasks(todo, filter, change, { includeTampered = false } = {}) {
+  const report = { updated: 0, skipped: 0 };
+
+  for (const subtask of await findSubtasks(todo, filter)) {
+    const isFieldsValid = verifyTodoFields(subtask);
+    if (!isFieldsValid && !includeTampered) {
+      report.skipped++;
+      continue;
+    }
+
+    change(subtask);
+    if (isFieldsValid) {
+      subtask.set(sealTodoFields(subtask));
+    }
+    await subtask.save();
+    report.updated++;
+  }
+
+  return report;
+}
+
+/**
+ * Nest subtasks under their parents for a response
+ * @param {Array} todos - Top-level todo documents
+ * @param {Array} subtasks - Their subtasks (from findSubtasksOf)
+ * @param {Function} present - (todo) => todo as returned by the API
+ * @returns {Array} - Presented todos, each with a subtasks array
+ */
+function buildTodoTree(todos, subtasks, present) {
+  const children = new Map();
+  for (const subtask of subtasks) {
+    const key = String(subtask.parentId);
+    if (!children.has(key)) {
+      children.set(key, []);
+    }
+    children.get(key).push(subtask);
+  }
+
+  const attach = (todo) => ({
+    ...present(todo),
+    subtasks: (children.get(String(todo._id)) || []).map(attach),
+  });
+
+  return todos.map(attach);
+}
+
+module.exports = {
+  MAX_SUBTASK_DEPTH,
+  MAX_SUBTASKS,
+  findSubtasks,
+  findSubtasksOf,
+  checkSubtaskPlacement,
+  updateSubtasks,
+  buildTodoTree,
+};
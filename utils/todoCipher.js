@@ -0,0 +1,150 @@
+/**
+ * Todo Cipher Utility
+ * Encrypts and decrypts todo content bound to the record it belongs to
+ *
+ * The owner's userId, the todo's own _id and its version counter are passed
+ * to AES-256-GCM as associated data (AAD). Someone with database access who
+ * copies encryptedContent/iv/authTag/integrityHash into another user's
+ * todo, into another todo, or restores only the ciphertext of an older
+ * version, gets an auth tag failure on read and the record is reported as
+ * tampered.
+ *
+ * Restoring a whole old document (ciphertext and version together) still
+ * decrypts; that kind of rollback has to be caught at the set level.
+ *
+ * Records written before binding have aadBound = false and are decrypted
+ * without AAD until the re-encryption job (utils/keyRotation.js) binds them.
+ *
+ * Client-encrypted (end-to-end) records arrive already encrypted by the
+ * browser. The server can't decrypt them, so instead of an integrity tag over
+ * the plaintext it stores an HMAC over the ciphertext blob and the same
+ * userId/_id/version binding, and checks that on read.
+ */
+
+const { encrypt, decrypt } = require('./crypto');
+const { computeIntegrityHash, computeHMAC, safeEqualHex, INTEGRITY_SCHEMES } = require('./hash');
+
+const ENCRYPTION_MODES = {
+  SERVER: 'server',
+  CLIENT: 'client',
+};
+
+// keyId stored on client-encrypted records (the key never leaves the browser)
+const CLIENT_KEY_ID = 'client';
+
+// HMAC domain for client blob tags (see computeHMAC)
+const CLIENT_BLOB_DOMAIN = 'client-blob';
+
+/**
+ * Build the associated data for a todo
+ * @param {Object} todo - Todo document (needs userId, _id and version)
+ * @returns {string} - AAD string
+ */
+function buildTodoAad(todo) {
+  return `todo:${todo.userId}:${todo._id}:${todo.version}`;
+}
+
+/**
+ * Encrypt content for a todo and compute its integrity tag
+ * Does not modify the todo; callers assign the returned fields (or $set them)
+ * after setting userId, _id and version to their final values.
+ *
+ * @param {Object} todo - Todo document the content belongs to
+ * @param {string} content - Plaintext content
+ * @param {Buffer} dataKey - Owner's unwrapped data key
+ * @returns {Object} - Fields to store: encryptedContent, iv, authTag, keyId,
+ *                     integrityHash, integrityScheme, aadBound, encryptionMode
+ */
+function encryptTodoContent(todo, content, dataKey) {
+  const { integrityHash, integrityScheme } = computeIntegrityHash(content);
+  const { encryptedContent, iv, authTag, keyId } = encrypt(content, {
+    dataKey,
+    aad: buildTodoAad(todo),
+  });
+
+  return {
+    encryptedContent,
+    iv,
+    authTag,
+    keyId,
+    integrityHash,
+    integrityScheme,
+    aadBound: true,
+    encryptionMode: ENCRYPTION_MODES.SERVER,
+  };
+}
+
+/**
+ * Decrypt a todo's content
+ * The integrity tag is not checked here; use verifyIntegrity on the result.
+ *
+ * @param {Object} todo - Todo document
+ * @param {Buffer} [dataKey] - Owner's unwrapped data key (needed for keyId "user")
+ * @returns {string} - Decrypted plaintext
+ * @throws {Error} - If decryption fails (tampered ciphertext or mismatched binding)
+ */
+function decryptTodoContent(todo, dataKey) {
+  return decrypt(todo.encryptedContent, todo.iv, todo.authTag, {
+    keyId: todo.keyId,
+    dataKey,
+    aad: todo.aadBound ? buildTodoAad(todo) : undefined,
+  });
+}
+
+/**
+ * Compute the tag over a client-encrypted blob and its record binding
+ */
+function computeClientBlobTag(todo, { encryptedContent, iv, authTag }) {
+  return computeHMAC(`${buildTodoAad(todo)}:${iv}:${authTag}:${encryptedContent}`, CLIENT_BLOB_DOMAIN);
+}
+
+/**
+ * Prepare a browser-encrypted blob for storage
+ * Like encryptTodoContent, the todo's userId, _id and version must already
+ * have their final values.
+ *
+ * @param {Object} todo - Todo document the content belongs to
+ * @param {Object} blob - { encryptedContent, iv, authTag } from the browser (base64)
+ * @returns {Object} - Fields to store
+ */
+function sealClientContent(todo, blob) {
+  return {
+    encryptedContent: blob.encryptedContent,
+    iv: blob.iv,
+    authTag: blob.authTag,
+    keyId: CLIENT_KEY_ID,
+    integrityHash: computeClientBlobTag(todo, blob),
+    integrityScheme: INTEGRITY_SCHEMES.HMAC_SHA256,
+    aadBound: true,
+    encryptionMode: ENCRYPTION_MODES.CLIENT,
+  };
+}
+
+/**
+ * Check the tag of a client-encrypted record without decrypting it
+ * @param {Object} todo - Todo document
+ * @returns {boolean} - True if the blob and its binding are unchanged
+ */
+function verifyClientContent(todo) {
+  return safeEqualHex(computeClientBlobTag(todo, todo), todo.integrityHash);
+}
+
+/**
+ * Check whether a todo was encrypted in the browser
+ * @param {Object} todo - Todo document
+ * @returns {boolean}
+ */
+function isClientEncrypted(todo) {
+  return todo.encryptionMode === ENCRYPTION_MODES.CLIENT;
+}
+
+module.exports = {
+  ENCRYPTION_MODES,
+  CLIENT_KEY_ID,
+  buildTodoAad,
+  encryptTodoContent,
+  decryptTodoContent,
+  sealClientContent,
+  verifyClientContent,
+  isClientEncrypted,
+};
@@ -0,0 +1,208 @@
+/**
+ * Todo Fields Utility
+ * Structured todo fields next to the encrypted content
+ *
+ * - completed, completedAt, dueDate, reminderAt and priority are stored in the
+ *   clear so the database can filter and sort on them (and the notification
+ *   scheduler can find todos coming due)
+ * - tags are sensitive and encrypted like the content: AES-256-GCM under the
+ *   owner's data key, bound to userId/_id via associated data. In end-to-end
+ *   mode the browser encrypts them and the server stores the blob as-is.
+ *
+ * The clear fields, the tag ciphertext, the list, the parent todo, the repeat
+ * schedule, the reminder, the trash state and the record binding (userId, _id,
+ * version) are covered by an HMAC tag (metadataHash). A todo marked done, a due
+ * date, reminder or schedule changed, a todo moved to another list or parent or taken out of the
+ * trash directly in the database, or tags copied from another version, is
+ * reported as tampered.
+ *
+ * Records from before structured fields have no metadataHash; they are only
+ * accepted while their fields still hold the defaults.
+ */
+
+const { encrypt, decrypt, DATA_KEY_ID } = require('./crypto');
+const { computeHMAC, safeEqualHex } = require('./hash');
+const { buildTodoAad, isClientEncrypted } = require('./todoCipher');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const DEFAULT_PRIORITY = 'medium';
+
+// Limits for tags sent in the clear (server mode)
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// HMAC domain for metadata tags (see computeHMAC)
+const METADATA_DOMAIN = 'todo-metadata';
+
+/**
+ * Associated data for a todo's tags
+ * Not bound to the version, so unchanged tags are kept across updates;
+ * the metadata tag binds them to the version instead.
+ */
+function buildTagsAad(todo) {
+  return `tags:${todo.userId}:${todo._id}`;
+}
+
+/**
+ * Encrypt a todo's tags with the owner's data key
+ * @param {Object} todo - Todo document (needs userId and _id)
+ * @param {Array<string>} tags - Plaintext tags
+ * @param {Buffer} dataKey - Owner's unwrapped data key
+ * @returns {Object|null} - { encryptedContent, iv, authTag }, or null for no tags
+ */
+function encryptTodoTags(todo, tags, dataKey) {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+
+  const { encryptedContent, iv, authTag } = encrypt(JSON.stringify(tags), {
+    dataKey,
+    aad: buildTagsAad(todo),
+  });
+  return { encryptedContent, iv, authTag };
+}
+
+/**
+ * Decrypt a todo's tags
+ * @param {Object} todo - Todo document (server mode)
+ * @param {Buffer} dataKey - Owner's unwrapped data key
+ * @returns {Array<string>} - Tags (empty if none)
+ * @throws {Error} - If decryption fails
+ */
+function decryptTodoTags(todo, dataKey) {
+  const blob = todo.encryptedTags;
+  if (!blob) {
+    return [];
+  }
+
+  const tags = JSON.parse(decrypt(blob.encryptedContent, blob.iv, blob.authTag, {
+    keyId: DATA_KEY_ID,
+    dataKey,
+    aad: buildTagsAad(todo),
+  }));
+
+  if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === 'string')) {
+    throw new Error('Decrypted tags are malformed');
+  }
+  return tags;
+}
+
+/**
+ * Compute the tag over a todo's structured fields and record binding
+ */
+function computeMetadataTag(todo) {
+  const tags = todo.encryptedTags;
+  const parts = [
+    buildTodoAad(todo),
+    todo.completed ? '1' : '0',
+    todo.completedAt ? new Date(todo.completedAt).toISOString() : '',
+    todo.dueDate ? new Date(todo.dueDate).toISOString() : '',
+    todo.priority || DEFAULT_PRIORITY,
+    tags ? `${tags.iv}:${tags.authTag}:${tags.encryptedContent}` : '',
+  ];
+  // Only todos in a list, subtasks, recurring todos, todos with a reminder or
+  // todos in the trash carry these, so existing tags stay valid
+  if (todo.listId) {
+    parts.push(`list:${todo.listId}`);
+  }
+  if (todo.parentId) {
+    parts.push(`parent:${todo.parentId}`);
+  }
+  if (todo.recurrence) {
+    const { rule, timeZone, start } = todo.recurrence;
+    parts.push(`recurrence:${rule}:${timeZone}:${new Date(start).toISOString()}`);
+  }
+  if (todo.reminderAt) {
+    parts.push(`reminder:${new Date(todo.reminderAt).toISOString()}`);
+  }
+  if (todo.deletedAt) {
+    parts.push(`deleted:${new Date(todo.deletedAt).toISOString()}`);
+  }
+  return computeHMAC(parts.join('|'), METADATA_DOMAIN);
+}
+
+/**
+ * Tag a todo's structured fields
+ * Call after the fields, userId, _id and version have their final values.
+ * @param {Object} todo - Todo document
+ * @returns {Object} - Fields to store: { metadataHash }
+ */
+function sealTodoFields(todo) {
+  return { metadataHash: computeMetadataTag(todo) };
+}
+
+/**
+ * Check a todo's structured fields against their tag
+ * @param {Object} todo - Todo document
+ * @returns {boolean} - True if unchanged
+ */
+function verifyTodoFields(todo) {
+  if (!todo.metadataHash) {
+    return !todo.completed
+      && !todo.completedAt
+      && !todo.dueDate
+      && (todo.priority || DEFAULT_PRIORITY) === DEFAULT_PRIORITY
+      && !todo.encryptedTags
+      && !todo.listId
+      && !todo.parentId
+      && !todo.recurrence
+      && !todo.reminderAt
+      && !todo.deletedAt;
+  }
+  return safeEqualHex(computeMetadataTag(todo), todo.metadataHash);
+}
+
+/**
+ * Verify and decrypt a todo's structured fields for a response
+ * @param {Object} todo - Todo document
+ * @param {Buffer} [dataKey] - Owner's unwrapped data key (server mode with tags)
+ * @returns {Object} - { valid, fields, error }; fields holds completed,
+ *                     completedAt, dueDate, reminderAt, priority, listId, parentId, recurrence
+ *                     and either tags
+ *                     (server mode) or encryptedTags (client mode)
+ */
+function openTodoFields(todo, dataKey) {
+  if (!verifyTodoFields(todo)) {
+    return { valid: false, error: 'Metadata tag does not match' };
+  }
+
+  const fields = {
+    completed: Boolean(todo.completed),
+    completedAt: todo.completedAt || null,
+    dueDate: todo.dueDate || null,
+    reminderAt: todo.reminderAt || null,
+    priority: todo.priority || DEFAULT_PRIORITY,
+    listId: todo.listId || null,
+    parentId: todo.parentId || null,
+    recurrence: todo.recurrence
+      ? { rule: todo.recurrence.rule, timeZone: todo.recurrence.timeZone, start: todo.recurrence.start }
+      : null,
+  };
+
+  if (isClientEncrypted(todo)) {
+    const blob = todo.encryptedTags;
+    fields.encryptedTags = blob
+      ? { encryptedContent: blob.encryptedContent, iv: blob.iv, authTag: blob.authTag }
+      : null;
+    return { valid: true, fields };
+  }
+
+  try {
+    fields.tags = decryptTodoTags(todo, dataKey);
+    return { valid: true, fields };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  encryptTodoTags,
+  decryptTodoTags,
+  sealTodoFields,
+  verifyTodoFields,
+  openTodoFields,
+};
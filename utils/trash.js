@@ -0,0 +1,229 @@
+/**
+ * Trash Utility
+ * Permanently removes todos from the trash
+ *
+ * Deleting a todo only moves it to the trash (deletedAt is set and covered by
+ * the metadata tag, see utils/todoFields.js). Trashed todos are purged when
+ * the user empties the trash, or by the scheduled purge once they have been
+ * in the trash longer than TRASH_RETENTION_DAYS (default 30).
+ *
+ * A purge first overwrites the ciphertext, IV, auth tag and integrity tags of
+ * the todo and its revisions with random data, then removes the records, its
+ * notifications and the todo's entry in the signed integrity root. Every
+ * purge is logged as a security event.
+ */
+
+const crypto = require('crypto');
+const Todo = require('../models/Todo');
+const TodoRevision = require('../models/TodoRevision');
+const Notification = require('../models/Notification');
+const { forgetTodo } = require('./integrityRoot');
+const { deleteRevisions } = require('./revisions');
+const logger = require('./logger');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of days todos stay in the trash before the scheduled purge
+ * @returns {number}
+ */
+function getTrashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * When a trashed todo will be purged
+ * @param {Date} deletedAt - When it was moved to the trash
+ * @param {number} [retentionDays] - Defaults to TRASH_RETENTION_DAYS
+ * @returns {Date}
+ */
+function getPurgeDate(deletedAt, retentionDays = getTrashRetentionDays()) {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+/**
+ * Query for trashed todos past the retention period
+ */
+function expiredTrashQuery(retentionDays) {
+  return { deletedAt: { $lte: new Date(Date.now() - retentionDays * DAY_MS) } };
+}
+
+/**
+ * Random base64 of the same length as a stored value
+ */
+function randomLike(value, encoding = 'base64') {
+  const length = value ? value.length : 24;
+  return crypto.randomBytes(length).toString(encoding).slice(0, length);
+}
+
+/**
+ * Fields that replace a record's ciphertext before it is removed
+ */
+function overwriteFields(record) {
+  return {
+    encryptedContent: randomLike(record.encryptedContent),
+    iv: randomLike(record.iv),
+    authTag: randomLike(record.authTag),
+    integrityHash: randomLike(record.integrityHash, 'hex'),
+    encryptedTags: null,
+    metadataHash: randomLike(record.metadataHash, 'hex'),
+  };
+}
+
+/**
+ * Overwrite and remove a trashed todo and its revisions
+ * @param {Object} todo - Trashed todo document
+ * @param {string} reason - Why it was purged ("emptied" or "retention"), for the log
+ * @returns {Promise<boolean>} - False if the todo was restored (or purged) meanwhile
+ */
+async function purgeTodo(todo, reason) {
+  // Conditional on the todo still being in the same trash state
+  const result = await Todo.updateOne(
+    { _id: todo._id, userId: todo.userId, deletedAt: todo.deletedAt },
+    { $set: overwriteFields(todo) }
+  );
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  const revisions = await TodoRevision.find({ todoId: todo._id, userId: todo.userId });
+  for (const revision of revisions) {
+    await TodoRevision.updateOne({ _id: revision._id }, { $set: overwriteFields(revision) });
+  }
+
+  await Todo.deleteOne({ _id: todo._id, userId: todo.userId });
+  await deleteRevisions(todo.userId, [todo._id]);
+  await Notification.deleteMany({ userId: todo.userId, todoId: todo._id });
+  await forgetTodo(todo.userId, todo._id);
+
+  logger.securityEvent('Todo purged from trash', {
+    todoId: todo._id,
+    userId: todo.userId,
+    reason,
+    deletedAt: todo.deletedAt,
+    revisions: revisions.length,
+  });
+
+  return true;
+}
+
+/**
+ * Purge trashed todos matching a query, one at a time
+ * Failures are logged and the todo is left in the trash for the next run.
+ * @returns {Promise<Object>} - { purged, failed }
+ */
+async function purgeMatching(query, reason, batchSize) {
+  const report = { purged: 0, failed: 0 };
+  const skippedIds = []; // Not selected again in this run
+
+  while (true) {
+    const batch = await Todo.find({ ...query, _id: { $nin: skippedIds } })
+      .sort({ deletedAt: 1 })
+      .limit(batchSize);
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const todo of batch) {
+      try {
+        if (await purgeTodo(todo, reason)) {
+          report.purged++;
+        } else {
+          skippedIds.push(todo._id);
+        }
+      } catch (error) {
+        report.failed++;
+        skippedIds.push(todo._id);
+        logger.securityEvent('Trash purge failed', {
+          todoId: todo._id,
+          userId: todo.userId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Purge all of a user's trashed todos (empty the trash)
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} - { purged, failed }
+ */
+async function emptyTrash(userId) {
+  return purgeMatching({ userId, deletedAt: { $ne: null } }, 'emptied', 100);
+}
+
+/**
+ * Count trashed todos past the retention period
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Defaults to TRASH_RETENTION_DAYS
+ * @returns {Promise<Object>} - { retentionDays, expired }
+ */
+async function getTrashPurgeStatus({ retentionDays = getTrashRetentionDays() } = {}) {
+  const expired = await Todo.countDocuments(expiredTrashQuery(retentionDays));
+  return { retentionDays, expired };
+}
+
+/**
+ * Purge every trashed todo past the retention period
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Defaults to TRASH_RETENTION_DAYS
+ * @param {number} [options.batchSize=100] - Number of todos loaded per batch
+ * @returns {Promise<Object>} - { retentionDays, purged, failed }
+ */
+async function purgeExpiredTrash({ retentionDays = getTrashRetentionDays(), batchSize = 100 } = {}) {
+  const report = await purgeMatching(expiredTrashQuery(retentionDays), 'retention', batchSize);
+
+  if (report.purged > 0 || report.failed > 0) {
+    logger.info(`Trash purge finished: ${report.purged} purged, ${report.failed} failed`);
+  }
+
+  return { retentionDays, ...report };
+}
+
+/**
+ * Run the retention purge now and then periodically in the background
+ * Interval from TRASH_PURGE_INTERVAL_MINUTES (default 60); 0 disables it.
+ * @returns {Object|null} - Timer, or null if disabled
+ */
+function scheduleTrashPurge() {
+  const minutes = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10);
+  const interval = Number.isInteger(minutes) && minutes >= 0 ? minutes : DEFAULT_PURGE_INTERVAL_MINUTES;
+  if (interval === 0) {
+    return null;
+  }
+
+  // Skip a run while the previous one is still going
+  let running = false;
+  const run = () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    purgeExpiredTrash()
+      .catch((err) => logger.error('Scheduled trash purge failed:', err))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, interval * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeDate,
+  purgeTodo,
+  emptyTrash,
+  getTrashPurgeStatus,
+  purgeExpiredTrash,
+  scheduleTrashPurge,
+};
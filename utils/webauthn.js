@@ -0,0 +1,532 @@
+/**
+ * WebAuthn Utility
+ * Passkey registration and sign-in ceremonies (W3C Web Authentication)
+ *
+ * - The relying party is this app: WEBAUTHN_RP_ID (default: the host name of
+ *   WEBAUTHN_ORIGIN) and WEBAUTHN_ORIGIN (default: FRONTEND_URL), which must
+ *   match the address users open in the browser
+ * - Challenges are stored and deleted when used (models/WebAuthnChallenge.js)
+ * - User verification (PIN, fingerprint, face) is required, so a passkey
+ *   alone is a two-factor sign-in
+ * - No attestation is requested: any authenticator may be registered, and
+ *   only its public key (ES256, EdDSA or RS256) is kept
+ * - Authenticators that count signatures must count up; a counter that
+ *   doesn't increase means the credential was cloned and the sign-in is
+ *   refused (the caller logs it)
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+
+const CHALLENGE_BYTES = 32;
+// How long the browser and the server wait for the user
+const CEREMONY_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_CREDENTIALS_PER_USER = 20;
+// CBOR nesting accepted from authenticators (COSE keys are flat maps)
+const MAX_CBOR_DEPTH = 8;
+
+// COSE algorithm IDs, in order of preference
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257,
+};
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+const FLAG_EXTENSIONS = 0x80;
+
+/**
+ * Relying party settings from the environment
+ * @returns {Object} - { id, name, origin }
+ */
+function getRelyingParty() {
+  const origin = new URL(process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:4000');
+  return {
+    id: process.env.WEBAUTHN_RP_ID || origin.hostname,
+    name: process.env.WEBAUTHN_RP_NAME || 'Secure Todo',
+    origin: origin.origin,
+  };
+}
+
+/**
+ * Decode base64url sent by the browser
+ * @throws {Error} - If it isn't base64url
+ */
+function fromBase64url(value, field) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new Error(`${field} must be base64url`);
+  }
+  return Buffer.from(value, 'base64url');
+}
+
+// ============================================
+// CBOR (RFC 8949), as much as authenticators use
+// ============================================
+
+/**
+ * Decode one CBOR item
+ * Definite lengths only; tags and floats are refused (WebAuthn uses neither).
+ * @param {Buffer} buffer
+ * @param {number} offset - Where the item starts
+ * @returns {Object} - { value, offset } with offset just after the item;
+ *                     maps are returned as Map, byte strings as Buffer
+ */
+function decodeCbor(buffer, offset = 0, depth = 0) {
+  if (depth > MAX_CBOR_DEPTH) {
+    throw new Error('CBOR is nested too deeply');
+  }
+  if (offset >= buffer.length) {
+    throw new Error('CBOR data is truncated');
+  }
+
+  const major = buffer[offset] >> 5;
+  const info = buffer[offset] & 31;
+  let position = offset + 1;
+  let argument;
+
+  if (info < 24) {
+    argument = info;
+  } else if (info <= 27) {
+    const size = 2 ** (info - 24);
+    if (position + size > buffer.length) {
+      throw new Error('CBOR data is truncated');
+    }
+    argument = size === 8 ? Number(buffer.readBigUInt64BE(position)) : buffer.readUIntBE(position, size);
+    position += size;
+  } else {
+    throw new Error('Unsupported CBOR encoding');
+  }
+
+  switch (major) {
+    case 0:
+      return { value: argument, offset: position };
+    case 1:
+      return { value: -1 - argument, offset: position };
+    case 2:
+    case 3: {
+      if (position + argument > buffer.length) {
+        throw new Error('CBOR data is truncated');
+      }
+      const bytes = buffer.subarray(position, position + argument);
+      return {
+        value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'),
+        offset: position + argument,
+      };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        const item = decodeCbor(buffer, position, depth + 1);
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < argument; i++) {
+        const key = decodeCbor(buffer, position, depth + 1);
+        const value = decodeCbor(buffer, key.offset, depth + 1);
+        map.set(key.value, value.value);
+        position = value.offset;
+      }
+      return { value: map, offset: position };
+    }
+    case 7: {
+      const simple = { 20: false, 21: true, 22: null };
+      if (info in simple) {
+        return { value: simple[info], offset: position };
+      }
+      throw new Error('Unsupported CBOR value');
+    }
+    default:
+      throw new Error('Unsupported CBOR value');
+  }
+}
+
+// ============================================
+// Keys and Signatures
+// ============================================
+
+/**
+ * Convert a COSE public key (RFC 9053) to a Node.js key
+ * @param {Map} cose - Decoded COSE_Key
+ * @returns {Object} - { key, algorithm }
+ * @throws {Error} - For key types and algorithms we don't accept
+ */
+function coseToPublicKey(cose) {
+  const kty = cose.get(1);
+  const algorithm = cose.get(3);
+  let jwk;
+
+  if (kty === 2 && algorithm === COSE_ALGORITHMS.ES256 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: cose.get(-2), y: cose.get(-3) };
+  } else if (kty === 1 && algorithm === COSE_ALGORITHMS.EdDSA && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: cose.get(-2) };
+  } else if (kty === 3 && algorithm === COSE_ALGORITHMS.RS256) {
+    jwk = { kty: 'RSA', n: cose.get(-1), e: cose.get(-2) };
+  } else {
+    throw new Error('Unsupported public key algorithm');
+  }
+
+  for (const [name, value] of Object.entries(jwk)) {
+    if (name !== 'kty' && name !== 'crv') {
+      if (!Buffer.isBuffer(value)) {
+        throw new Error('Malformed public key');
+      }
+      jwk[name] = value.toString('base64url');
+    }
+  }
+
+  return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), algorithm };
+}
+
+/**
+ * Check a signature with a stored public key
+ * @param {Object} credential - Stored credential (publicKey, algorithm)
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature
+ * @returns {boolean}
+ */
+function verifySignature(credential, data, signature) {
+  const key = crypto.createPublicKey({
+    key: Buffer.from(credential.publicKey, 'base64'),
+    format: 'der',
+    type: 'spki',
+  });
+
+  switch (credential.algorithm) {
+    case COSE_ALGORITHMS.ES256:
+      return crypto.verify('sha256', data, { key, dsaEncoding: 'der' }, signature);
+    case COSE_ALGORITHMS.EdDSA:
+      return crypto.verify(null, data, key, signature);
+    case COSE_ALGORITHMS.RS256:
+      return crypto.verify('sha256', data, key, signature);
+    default:
+      return false;
+  }
+}
+
+// ============================================
+// Ceremony Data
+// ============================================
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} authData
+ * @returns {Object} - { rpIdHash, flags, signCount, credential } where
+ *                     credential ({ id, publicKey }) is only set at registration
+ */
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flags = authData[32];
+  let position = 37;
+  let credential = null;
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    // 16-byte AAGUID, then the credential ID with its length
+    if (authData.length < 55) {
+      throw new Error('Authenticator data is too short');
+    }
+    const idLength = authData.readUInt16BE(53);
+    if (55 + idLength > authData.length) {
+      throw new Error('Authenticator data is too short');
+    }
+    const id = authData.subarray(55, 55 + idLength);
+    const publicKey = decodeCbor(authData, 55 + idLength);
+    if (!(publicKey.value instanceof Map)) {
+      throw new Error('Malformed public key');
+    }
+    credential = { id: Buffer.from(id), publicKey: publicKey.value };
+    position = publicKey.offset;
+  }
+
+  if (flags & FLAG_EXTENSIONS) {
+    position = decodeCbor(authData, position).offset;
+  }
+
+  if (position !== authData.length) {
+    throw new Error('Unexpected data after the authenticator data');
+  }
+
+  return {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    signCount: authData.readUInt32BE(33),
+    credential,
+  };
+}
+
+/**
+ * Parse and check the client data the browser signed over
+ * @param {string} clientDataJSON - base64url
+ * @param {string} type - "webauthn.create" or "webauthn.get"
+ * @returns {Object} - { clientData, hash }
+ */
+function readClientData(clientDataJSON, type) {
+  const raw = fromBase64url(clientDataJSON, 'clientDataJSON');
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    throw new Error('clientDataJSON is not JSON');
+  }
+
+  if (!clientData || clientData.type !== type) {
+    throw new Error('Wrong ceremony type');
+  }
+  if (clientData.origin !== getRelyingParty().origin) {
+    throw new Error(`Unexpected origin ${clientData.origin}`);
+  }
+  if (clientData.crossOrigin) {
+    throw new Error('Cross-origin ceremonies are not allowed');
+  }
+  if (typeof clientData.challenge !== 'string') {
+    throw new Error('Missing challenge');
+  }
+
+  return { clientData, hash: crypto.createHash('sha256').update(raw).digest() };
+}
+
+/**
+ * Check the relying party and user flags of authenticator data
+ */
+function checkAuthenticatorData(authenticator) {
+  const expected = crypto.createHash('sha256').update(getRelyingParty().id, 'utf8').digest();
+  if (!crypto.timingSafeEqual(authenticator.rpIdHash, expected)) {
+    throw new Error('Credential is for another site');
+  }
+  if (!(authenticator.flags & FLAG_USER_PRESENT) || !(authenticator.flags & FLAG_USER_VERIFIED)) {
+    throw new Error('User verification is required');
+  }
+}
+
+// ============================================
+// Challenges
+// ============================================
+
+/**
+ * Create and store a challenge
+ * @param {string} type - "registration" or "authentication"
+ * @param {string|null} userId - User adding a passkey (registration only)
+ * @returns {Promise<string>} - Challenge (base64url)
+ */
+async function createChallenge(type, userId = null) {
+  const challenge = crypto.randomBytes(CHALLENGE_BYTES).toString('base64url');
+  await WebAuthnChallenge.create({
+    challenge,
+    type,
+    userId,
+    expiresAt: new Date(Date.now() + CEREMONY_TIMEOUT_MS),
+  });
+  return challenge;
+}
+
+/**
+ * Use up a challenge the browser signed
+ * @returns {Promise<boolean>} - Whether it was issued for this ceremony and is unexpired
+ */
+async function consumeChallenge(challenge, type, userId = null) {
+  const found = await WebAuthnChallenge.findOneAndDelete({ challenge, type, userId });
+  return Boolean(found && found.expiresAt > new Date());
+}
+
+/**
+ * The user handle passed to authenticators: the user ID's 12 bytes
+ */
+function userHandle(user) {
+  return Buffer.from(user._id.toString(), 'hex').toString('base64url');
+}
+
+// ============================================
+// Registration
+// ============================================
+
+/**
+ * Options for navigator.credentials.create() (binary values as base64url)
+ * @param {Object} user - User adding a passkey
+ * @returns {Promise<Object>}
+ */
+async function generateRegistrationOptions(user) {
+  const rp = getRelyingParty();
+
+  return {
+    challenge: await createChallenge('registration', user._id),
+    rp: { id: rp.id, name: rp.name },
+    user: { id: userHandle(user), name: user.email, displayName: user.username },
+    pubKeyCredParams: Object.values(COSE_ALGORITHMS).map((alg) => ({ type: 'public-key', alg })),
+    timeout: CEREMONY_TIMEOUT_MS,
+    attestation: 'none',
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      requireResidentKey: false,
+      userVerification: 'required',
+    },
+    // Don't register the same authenticator twice
+    excludeCredentials: (user.webauthnCredentials || []).map((credential) => ({
+      type: 'public-key',
+      id: credential.credentialId,
+      transports: credential.transports,
+    })),
+  };
+}
+
+/**
+ * Check the browser's answer to generateRegistrationOptions
+ * @param {Object} user - User adding the passkey
+ * @param {Object} response - PublicKeyCredential as JSON: { id, response:
+ *                            { clientDataJSON, attestationObject, transports } }
+ * @returns {Promise<Object>} - { credential } to store, or { error }
+ */
+async function verifyRegistration(user, response) {
+  try {
+    if ((user.webauthnCredentials || []).length >= MAX_CREDENTIALS_PER_USER) {
+      return { error: `At most ${MAX_CREDENTIALS_PER_USER} passkeys can be registered` };
+    }
+
+    const { clientData } = readClientData(response.response.clientDataJSON, 'webauthn.create');
+    if (!(await consumeChallenge(clientData.challenge, 'registration', user._id))) {
+      return { error: 'Passkey setup has expired. Please try again.' };
+    }
+
+    const attestation = decodeCbor(fromBase64url(response.response.attestationObject, 'attestationObject')).value;
+    const authData = attestation instanceof Map ? attestation.get('authData') : null;
+    if (!Buffer.isBuffer(authData)) {
+      throw new Error('Malformed attestation object');
+    }
+
+    const authenticator = parseAuthenticatorData(authData);
+    checkAuthenticatorData(authenticator);
+    if (!authenticator.credential) {
+      throw new Error('No credential in the attestation');
+    }
+
+    const credentialId = authenticator.credential.id.toString('base64url');
+    if (credentialId !== response.id) {
+      throw new Error('Credential ID does not match');
+    }
+
+    // With attestation "none" there is no signature to check yet
+    const { key, algorithm } = coseToPublicKey(authenticator.credential.publicKey);
+
+    const transports = Array.isArray(response.response.transports)
+      ? response.response.transports.filter((transport) => typeof transport === 'string').slice(0, 10)
+      : [];
+
+    return {
+      credential: {
+        credentialId,
+        publicKey: key.export({ type: 'spki', format: 'der' }).toString('base64'),
+        algorithm,
+        signCount: authenticator.signCount,
+        transports,
+      },
+    };
+  } catch (error) {
+    return { error: `Invalid passkey registration: ${error.message}` };
+  }
+}
+
+// ============================================
+// Authentication
+// ============================================
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {Object|null} user - Limits the choice to this user's passkeys; with
+ *                             null the browser offers all passkeys for the site
+ * @returns {Promise<Object>}
+ */
+async function generateAuthenticationOptions(user = null) {
+  return {
+    challenge: await createChallenge('authentication'),
+    rpId: getRelyingParty().id,
+    timeout: CEREMONY_TIMEOUT_MS,
+    userVerification: 'required',
+    allowCredentials: (user ? user.webauthnCredentials : []).map((credential) => ({
+      type: 'public-key',
+      id: credential.credentialId,
+      transports: credential.transports,
+    })),
+  };
+}
+
+/**
+ * Check the browser's answer to generateAuthenticationOptions
+ * @param {Object} response - PublicKeyCredential as JSON: { id, response:
+ *                            { clientDataJSON, authenticatorData, signature, userHandle } }
+ * @returns {Promise<Object>} - { user, credential } on success; otherwise
+ *   { error }, plus { cloned: true, user, credential } if the signature
+ *   counter didn't increase
+ */
+async function verifyAuthentication(response) {
+  try {
+    const { clientData, hash } = readClientData(response.response.clientDataJSON, 'webauthn.get');
+    if (!(await consumeChallenge(clientData.challenge, 'authentication'))) {
+      return { error: 'Passkey sign-in has expired. Please try again.' };
+    }
+
+    const credentialId = fromBase64url(response.id, 'id').toString('base64url');
+    const user = await User.findOne({ 'webauthnCredentials.credentialId': credentialId });
+    const credential = user && user.webauthnCredentials.find((item) => item.credentialId === credentialId);
+    if (!credential) {
+      return { error: 'Unknown passkey' };
+    }
+
+    // Discoverable passkeys name their user; it must be the credential's owner
+    if (response.response.userHandle && response.response.userHandle !== userHandle(user)) {
+      throw new Error('Passkey belongs to another user');
+    }
+
+    const authData = fromBase64url(response.response.authenticatorData, 'authenticatorData');
+    const authenticator = parseAuthenticatorData(authData);
+    checkAuthenticatorData(authenticator);
+
+    const signature = fromBase64url(response.response.signature, 'signature');
+    if (!verifySignature(credential, Buffer.concat([authData, hash]), signature)) {
+      throw new Error('Signature is invalid');
+    }
+
+    // Authenticators that don't count always send 0
+    const counting = authenticator.signCount !== 0 || credential.signCount !== 0;
+    if (counting && authenticator.signCount <= credential.signCount) {
+      return { error: 'Passkey was refused', cloned: true, user, credential, signCount: authenticator.signCount };
+    }
+
+    // Only if the counter is still the one checked, so two concurrent
+    // sign-ins with a copied credential can't both pass
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        webauthnCredentials: { $elemMatch: { credentialId, signCount: credential.signCount } },
+      },
+      {
+        $set: {
+          'webauthnCredentials.$.signCount': authenticator.signCount,
+          'webauthnCredentials.$.lastUsedAt': new Date(),
+        },
+      }
+    );
+    if (result.modifiedCount !== 1 && counting) {
+      return { error: 'Passkey was refused', cloned: true, user, credential, signCount: authenticator.signCount };
+    }
+
+    return { user, credential };
+  } catch (error) {
+    return { error: `Invalid passkey sign-in: ${error.message}` };
+  }
+}
+
+module.exports = {
+  generateRegistrationOptions,
+  verifyRegistration,
+  generateAuthenticationOptions,
+  verifyAuthentication,
+};